@@ -0,0 +1,77 @@
+jest.mock('../../src/models/RateSnapshot', () => ({ findOne: jest.fn() }));
+
+const RateSnapshot = require('../../src/models/RateSnapshot');
+const affordabilityService = require('../../src/services/affordabilityService');
+const mortgageInsuranceService = require('../../src/services/mortgageInsuranceService');
+
+const borrower = { monthlyIncome: 10000, monthlyDebts: 500, downPayment: 40000, termYears: 30 };
+
+describe('mortgageInsuranceService.calculate', () => {
+  it('charges no PMI at 80% LTV or below on conventional loans', () => {
+    const mi = mortgageInsuranceService.calculate('conventional', { baseLoanAmount: 320000, propertyValue: 400000 });
+
+    expect(mi).toMatchObject({ ltv: 80, monthlyPremium: 0, upfrontFee: 0, totalLoanAmount: 320000 });
+  });
+
+  it('finances FHA upfront MIP and charges annual MIP', () => {
+    const mi = mortgageInsuranceService.calculate('fha', { baseLoanAmount: 386000, propertyValue: 400000 });
+
+    expect(mi.upfrontFee).toBe(6755);
+    expect(mi.totalLoanAmount).toBe(392755);
+    expect(mi.annualRate).toBe(0.55);
+    expect(mi.monthlyPremium).toBeCloseTo((386000 * 0.0055) / 12, 2);
+  });
+
+  it('tiers the VA funding fee by down payment', () => {
+    expect(mortgageInsuranceService.calculate('va', { baseLoanAmount: 400000, propertyValue: 400000 }).upfrontPercent).toBe(2.15);
+    expect(mortgageInsuranceService.calculate('va', { baseLoanAmount: 360000, propertyValue: 400000 }).upfrontPercent).toBe(1.25);
+  });
+});
+
+describe('affordabilityService.calculateProgram', () => {
+  it('keeps the housing payment within the front-end DTI limit', () => {
+    const result = affordabilityService.calculateProgram('conventional', { ...borrower, rate: 6.5 });
+
+    expect(result.limitingFactor).toBe('front_end_dti');
+    expect(result.monthlyPayment.total).toBeLessThanOrEqual(2800);
+    expect(result.monthlyPayment.total).toBeGreaterThan(2799);
+    expect(result.maxLoanAmount).toBe(result.maxPurchasePrice - 40000);
+  });
+
+  it('only lets borrower DTI targets tighten program limits', () => {
+    const looser = affordabilityService.calculateProgram('fha', { ...borrower, rate: 6.25, frontEndDti: 50 });
+    const tighter = affordabilityService.calculateProgram('fha', { ...borrower, rate: 6.25, frontEndDti: 25 });
+
+    expect(looser.dti.maxFrontEnd).toBe(31);
+    expect(tighter.dti.maxFrontEnd).toBe(25);
+    expect(tighter.maxPurchasePrice).toBeLessThan(looser.maxPurchasePrice);
+  });
+
+  it('caps the price by the minimum down payment', () => {
+    const result = affordabilityService.calculateProgram('fha', { ...borrower, downPayment: 5000, rate: 6.25 });
+
+    expect(result.limitingFactor).toBe('down_payment');
+    expect(result.maxPurchasePrice).toBe(142857);
+    expect(result.mortgageInsurance.upfrontFee).toBeGreaterThan(0);
+  });
+
+  it('uses the back-end limit when debts dominate', () => {
+    const result = affordabilityService.calculateProgram('va', { ...borrower, monthlyDebts: 2000, rate: 6 });
+
+    expect(result.limitingFactor).toBe('back_end_dti');
+    expect(result.dti.backEnd).toBeLessThanOrEqual(41);
+  });
+});
+
+describe('affordabilityService.getCurrentRates', () => {
+  it('falls back to program defaults without a rate snapshot', async () => {
+    RateSnapshot.findOne.mockImplementation(({ productType }) => ({
+      sort: jest.fn().mockResolvedValue(productType === 'fha' ? { rate: 5.875, effectiveDate: new Date() } : null),
+    }));
+
+    const rates = await affordabilityService.getCurrentRates(['conventional', 'fha'], 30);
+
+    expect(rates.fha).toMatchObject({ rate: 5.875, source: 'rate_snapshot' });
+    expect(rates.conventional).toMatchObject({ rate: 6.5, source: 'default' });
+  });
+});
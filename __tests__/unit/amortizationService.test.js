@@ -0,0 +1,70 @@
+const amortizationService = require('../../src/services/amortizationService');
+const { amortize, generateAmortizationSchedule } = require('../../src/utils/mortgageMath');
+
+const loan = { amount: 320000, rate: 6.5, termYears: 30, firstPaymentDate: '2026-12-01' };
+
+describe('mortgageMath.amortize', () => {
+  it('matches the standard schedule without prepayments', () => {
+    const { schedule, payoffDate } = amortize(320000, 6.5, 30, { firstPaymentDate: '2026-12-01' });
+    const standard = generateAmortizationSchedule(320000, 6.5, 30, 1, 12);
+
+    expect(schedule).toHaveLength(360);
+    expect(schedule.slice(0, 12).map((row) => row.interest)).toEqual(standard.map((row) => row.interest));
+    expect(schedule[359].balance).toBe(0);
+    expect(payoffDate).toBe('2056-11-01');
+  });
+
+  it('applies lump sums once in the requested month', () => {
+    const { schedule } = amortize(320000, 6.5, 30, { lumpSums: [{ month: 2, amount: 10000 }] });
+
+    expect(schedule[0].extraPrincipal).toBe(0);
+    expect(schedule[1].extraPrincipal).toBe(10000);
+    expect(schedule[1].balance).toBeCloseTo(schedule[0].balance - schedule[1].principal - 10000, 1);
+  });
+
+  it('pays half the monthly payment every two weeks on a biweekly schedule', () => {
+    const { schedule, payment } = amortize(320000, 6.5, 30, { frequency: 'biweekly', firstPaymentDate: '2026-12-04' });
+
+    expect(payment).toBeCloseTo(2022.62 / 2, 1);
+    expect(schedule[1].date).toBe('2026-12-18');
+    expect(schedule[26].month).toBe(13);
+    expect(schedule.length).toBeLessThan(26 * 30);
+  });
+});
+
+describe('amortizationService.buildSchedule', () => {
+  it('reports interest saved and the earlier payoff for extra principal', () => {
+    const { summary } = amortizationService.buildSchedule({ ...loan, extraMonthly: 200 });
+
+    expect(summary.interestSaved).toBeGreaterThan(0);
+    expect(summary.interestSaved).toBeCloseTo(summary.baselineInterest - summary.totalInterest, 2);
+    expect(summary.monthsSaved).toBeGreaterThan(0);
+    expect(summary.payoffDate < summary.baselinePayoffDate).toBe(true);
+  });
+
+  it('drops PMI sooner when extra principal is paid', () => {
+    const { summary } = amortizationService.buildSchedule({ ...loan, amount: 380000, propertyValue: 400000, extraMonthly: 500 });
+
+    expect(summary.mortgageInsurance.endMonth).toBeLessThan(summary.mortgageInsurance.baselineEndMonth);
+    expect(summary.mortgageInsurance.premiumsSaved).toBeGreaterThan(0);
+  });
+
+  it('saves interest with biweekly payments', () => {
+    const { summary } = amortizationService.buildSchedule({ ...loan, frequency: 'biweekly' });
+
+    expect(summary.interestSaved).toBeGreaterThan(0);
+    expect(summary.monthsSaved).toBeGreaterThanOrEqual(48);
+  });
+
+  it('returns a month range, the full schedule or yearly rollups', () => {
+    const range = amortizationService.buildSchedule({ ...loan, startMonth: 13, monthsToGenerate: 6 });
+    const full = amortizationService.buildSchedule({ ...loan, view: 'full' });
+    const yearly = amortizationService.buildSchedule({ ...loan, view: 'yearly', lumpSums: [{ month: 6, amount: 5000 }] });
+
+    expect(range.schedule.map((row) => row.month)).toEqual([13, 14, 15, 16, 17, 18]);
+    expect(full.schedule).toHaveLength(360);
+    expect(yearly.schedule).toBeUndefined();
+    expect(yearly.yearly[0]).toMatchObject({ year: 1, extraPrincipal: 5000 });
+    expect(yearly.yearly[yearly.yearly.length - 1].endingBalance).toBe(0);
+  });
+});
@@ -0,0 +1,104 @@
+jest.mock('../../src/utils/audit', () => ({ audit: jest.fn() }));
+jest.mock('../../src/services/azureBlobService', () => ({ downloadFile: jest.fn() }));
+
+const DocumentUpload = require('../../src/models/DocumentUpload');
+const Document = require('../../src/models/Document');
+const azureBlobService = require('../../src/services/azureBlobService');
+const { audit } = require('../../src/utils/audit');
+const antivirusService = require('../../src/services/antivirusService');
+
+// Stands in for clamd: anything containing the EICAR marker is infected
+const stubScanner = {
+  name: 'stub',
+  scan: jest.fn(async (buffer) =>
+    buffer.toString().includes('EICAR') ? { status: 'infected', signature: 'Eicar-Test-Signature' } : { status: 'clean' }
+  ),
+};
+
+function buildUpload() {
+  const doc = new DocumentUpload({
+    loan: '507f1f77bcf86cd799439011',
+    uploadedBy: '507f1f77bcf86cd799439012',
+    fileName: 'loan/w2/file.pdf',
+    originalFileName: 'w2.pdf',
+    fileSize: 10,
+    mimeType: 'application/pdf',
+    documentType: 'w2',
+    blobUrl: 'https://acct.blob.core.windows.net/loan-documents/loan/w2/file.pdf',
+    blobName: 'loan/w2/file.pdf',
+  });
+  jest.spyOn(doc, 'save').mockResolvedValue(doc);
+  return doc;
+}
+
+describe('antivirusService', () => {
+  beforeAll(() => antivirusService.setScanner(stubScanner));
+  afterEach(() => jest.clearAllMocks());
+
+  it('quarantines new uploads until scanned', () => {
+    const doc = buildUpload();
+
+    expect(doc.avStatus).toBe('pending');
+    expect(() => antivirusService.assertClean(doc)).toThrow(expect.objectContaining({ status: 423 }));
+  });
+
+  it('releases a clean file and audits the result', async () => {
+    const doc = buildUpload();
+
+    await antivirusService.scanDocument(doc, Buffer.from('%PDF-1.7 statement'));
+
+    expect(doc).toMatchObject({ avStatus: 'clean', avScanner: 'stub', scanAttempts: 1 });
+    expect(doc.save).toHaveBeenCalled();
+    expect(() => antivirusService.assertClean(doc)).not.toThrow();
+    expect(audit).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: 'document.scan',
+        entityType: 'DocumentUpload',
+        status: 'success',
+        metadata: expect.objectContaining({ avStatus: 'clean', scanner: 'stub' }),
+      }),
+      undefined
+    );
+  });
+
+  it('blocks an infected file, reading it from blob storage', async () => {
+    const doc = buildUpload();
+    azureBlobService.downloadFile.mockResolvedValue(Buffer.from('X5O!P%@AP EICAR-STANDARD-ANTIVIRUS-TEST-FILE'));
+
+    await antivirusService.scanDocument(doc);
+
+    expect(azureBlobService.downloadFile).toHaveBeenCalledWith('loan/w2/file.pdf');
+    expect(doc).toMatchObject({ avStatus: 'infected', avSignature: 'Eicar-Test-Signature' });
+    expect(() => antivirusService.assertClean(doc)).toThrow(expect.objectContaining({ status: 403 }));
+  });
+
+  it('keeps the file quarantined when the scanner fails', async () => {
+    const doc = buildUpload();
+    stubScanner.scan.mockRejectedValueOnce(new Error('connect ECONNREFUSED 127.0.0.1:3310'));
+
+    await antivirusService.scanDocument(doc, Buffer.from('%PDF'));
+
+    expect(doc).toMatchObject({ avStatus: 'error', lastScanError: 'connect ECONNREFUSED 127.0.0.1:3310' });
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({ status: 'error' }), undefined);
+    expect(() => antivirusService.assertClean(doc)).toThrow(expect.objectContaining({ status: 423 }));
+  });
+
+  describe('loadContent', () => {
+    it('decodes data URIs and resolves blob URLs in our container', async () => {
+      const inline = new Document({ url: `data:application/pdf;base64,${Buffer.from('%PDF').toString('base64')}` });
+      await expect(antivirusService.loadContent(inline)).resolves.toEqual(Buffer.from('%PDF'));
+
+      azureBlobService.downloadFile.mockResolvedValue(Buffer.from('blob'));
+      const stored = new Document({ url: 'https://acct.blob.core.windows.net/loan-documents/l1/w2/a%20b.pdf' });
+      await antivirusService.loadContent(stored);
+      expect(azureBlobService.downloadFile).toHaveBeenCalledWith('l1/w2/a b.pdf');
+    });
+
+    it('never fetches files held elsewhere', async () => {
+      const external = new Document({ url: 'https://storage.example.com/docs/w2.pdf' });
+
+      await expect(antivirusService.loadContent(external)).rejects.toThrow('File is not in document storage');
+      expect(azureBlobService.downloadFile).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,76 @@
+jest.mock('../../src/models/RateSnapshot', () => ({
+  findOne: jest.fn(),
+}));
+
+const RateSnapshot = require('../../src/models/RateSnapshot');
+const armService = require('../../src/services/armService');
+
+const loan = { loanAmount: 400000, initialRate: 6, armType: '5/6', indexValue: 4.3, margin: 2.75 };
+
+describe('armService.project', () => {
+  it('raises the worst case by the initial then periodic caps up to the lifetime cap', () => {
+    const { worstCase, fixedMonths } = armService.project(loan);
+    const rates = worstCase.periods.map(({ startMonth, rate }) => [startMonth, rate]);
+
+    expect(fixedMonths).toBe(60);
+    expect(rates).toEqual([[1, 6], [61, 8], [67, 9], [73, 10], [79, 11]]);
+    expect(worstCase.maxRate).toBe(11);
+    expect(worstCase.periods[worstCase.periods.length - 1].endMonth).toBe(360);
+  });
+
+  it('moves the index-based path to the fully indexed rate rounded to 1/8', () => {
+    const projection = armService.project(loan);
+
+    expect(projection.fullyIndexedRate).toBe(7);
+    expect(projection.indexBased.periods.map((period) => period.rate)).toEqual([6, 7]);
+    expect(projection.indexBased.maxPayment).toBeLessThan(projection.worstCase.maxPayment);
+  });
+
+  it('limits downward adjustments by the caps', () => {
+    const { indexBased } = armService.project({ ...loan, initialRate: 9, indexValue: 3 });
+
+    expect(indexBased.periods.map((period) => period.rate)).toEqual([9, 7, 6, 5.75]);
+  });
+
+  it('recasts the payment over the remaining term at each adjustment', () => {
+    const { initialPayment, worstCase } = armService.project(loan);
+    const [fixed, firstAdjustment] = worstCase.periods;
+
+    expect(fixed.payment).toBe(initialPayment);
+    expect(firstAdjustment.startingBalance).toBeLessThan(loan.loanAmount);
+    expect(firstAdjustment.payment).toBeGreaterThan(fixed.payment);
+    expect(worstCase.totalPayments).toBeCloseTo(loan.loanAmount + worstCase.totalInterest, 2);
+  });
+
+  it('applies cap overrides', () => {
+    const { worstCase, caps } = armService.project({ ...loan, caps: { lifetime: 2 } });
+
+    expect(caps).toEqual({ initial: 2, periodic: 1, lifetime: 2 });
+    expect(worstCase.maxRate).toBe(8);
+  });
+});
+
+describe('armService.getIndexValue', () => {
+  it('uses the latest snapshot carrying the index', async () => {
+    const effectiveDate = new Date('2026-01-02');
+    RateSnapshot.findOne.mockReturnValue({
+      sort: jest.fn().mockResolvedValue({ arm: { indexValue: 4.12 }, effectiveDate }),
+    });
+
+    await expect(armService.getIndexValue()).resolves.toEqual({
+      index: 'sofr_30day_avg',
+      value: 4.12,
+      source: 'rate_snapshot',
+      effectiveDate,
+    });
+  });
+
+  it('falls back to the configured value', async () => {
+    RateSnapshot.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(null) });
+
+    const result = await armService.getIndexValue();
+
+    expect(result.source).toBe('default');
+    expect(result.value).toBe(4.3);
+  });
+});
@@ -0,0 +1,61 @@
+const net = require('net');
+const { createClamdScanner, parseReply } = require('../../src/services/clamdScanner');
+
+// Minimal clamd: reads an INSTREAM request and answers based on the streamed bytes
+function startFakeClamd() {
+  const received = [];
+  const server = net.createServer((socket) => {
+    const chunks = [];
+    socket.on('data', (data) => chunks.push(data));
+    socket.on('end', () => {
+      const request = Buffer.concat(chunks);
+      const command = request.subarray(0, 10).toString();
+      let offset = 10;
+      const body = [];
+      while (offset < request.length) {
+        const size = request.readUInt32BE(offset);
+        offset += 4;
+        if (size === 0) break;
+        body.push(request.subarray(offset, offset + size));
+        offset += size;
+      }
+      const file = Buffer.concat(body);
+      received.push({ command, file });
+      socket.end(file.toString().includes('EICAR') ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0');
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, received }));
+  });
+}
+
+describe('clamdScanner', () => {
+  let clamd;
+
+  beforeAll(async () => {
+    clamd = await startFakeClamd();
+  });
+
+  afterAll(() => new Promise((resolve) => clamd.server.close(resolve)));
+
+  it('streams the file in length-prefixed chunks and reports clean files', async () => {
+    const scanner = createClamdScanner({ host: '127.0.0.1', port: clamd.port });
+    const file = Buffer.alloc(150 * 1024, 'a');
+
+    await expect(scanner.scan(file)).resolves.toEqual({ status: 'clean' });
+    const last = clamd.received[clamd.received.length - 1];
+    expect(last.command).toBe('zINSTREAM\0');
+    expect(last.file.equals(file)).toBe(true);
+  });
+
+  it('reports the signature of infected files', async () => {
+    const scanner = createClamdScanner({ host: '127.0.0.1', port: clamd.port });
+
+    await expect(scanner.scan(Buffer.from('X5O!P%@AP EICAR-STANDARD-ANTIVIRUS-TEST-FILE')))
+      .resolves.toEqual({ status: 'infected', signature: 'Eicar-Test-Signature' });
+  });
+
+  it('treats clamd errors as scan failures', () => {
+    expect(() => parseReply('INSTREAM size limit exceeded. ERROR\0')).toThrow('clamd: INSTREAM size limit exceeded. ERROR');
+  });
+});
@@ -0,0 +1,175 @@
+jest.mock('../../src/models/DocumentUpload');
+jest.mock('../../src/services/azureBlobService', () => ({
+  downloadFile: jest.fn(),
+  uploadFile: jest.fn(),
+}));
+jest.mock('../../src/services/antivirusService', () => ({
+  scanDocument: jest.fn(async (doc) => {
+    doc.avStatus = 'clean';
+    return doc;
+  }),
+  assertClean: jest.requireActual('../../src/services/antivirusService').assertClean,
+}));
+jest.mock('../../src/utils/audit', () => ({ audit: jest.fn() }));
+
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { PDFDocument } = require('pdf-lib');
+const DocumentUpload = require('../../src/models/DocumentUpload');
+const azureBlobService = require('../../src/services/azureBlobService');
+const { audit } = require('../../src/utils/audit');
+const documentAssemblyService = require('../../src/services/documentAssemblyService');
+
+// 40x20 landscape photo, stored sideways with EXIF orientation 6 (rotate 90 clockwise)
+function photo() {
+  const data = Buffer.alloc(40 * 20 * 4, 200);
+  const encoded = jpeg.encode({ data, width: 40, height: 20 }, 90).data;
+  const exif = Buffer.alloc(36);
+  exif.writeUInt16BE(0xffe1, 0);
+  exif.writeUInt16BE(34, 2);
+  exif.write('Exif\0\0MM\0*', 4, 'latin1');
+  exif.writeUInt32BE(8, 14);
+  exif.writeUInt16BE(1, 18);
+  exif.writeUInt16BE(0x0112, 20);
+  exif.writeUInt16BE(3, 22);
+  exif.writeUInt32BE(1, 24);
+  exif.writeUInt16BE(6, 28);
+  return Buffer.concat([encoded.subarray(0, 2), exif, encoded.subarray(2)]);
+}
+
+function screenshot() {
+  const png = new PNG({ width: 10, height: 30 });
+  png.data.fill(120);
+  return PNG.sync.write(png);
+}
+
+async function statement(pages) {
+  const pdf = await PDFDocument.create();
+  for (let i = 0; i < pages; i++) pdf.addPage([612, 792]);
+  return Buffer.from(await pdf.save());
+}
+
+describe('documentAssemblyService', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  describe('assemblePdf', () => {
+    it('puts every part in order, one page per photo, turned upright', async () => {
+      const { buffer, pageCount } = await documentAssemblyService.assemblePdf([
+        { buffer: photo(), mimeType: 'image/jpeg' },
+        { buffer: await statement(2), mimeType: 'application/pdf' },
+        { buffer: screenshot(), mimeType: 'image/png' },
+      ]);
+
+      const pdf = await PDFDocument.load(buffer);
+      const pages = pdf.getPages();
+      expect(pageCount).toBe(4);
+      expect(pages.map((page) => page.getRotation().angle)).toEqual([90, 0, 0, 0]);
+      // Landscape as stored, so it reads as a portrait page once rotated
+      expect(pages[0].getSize()).toEqual({ width: 792, height: 612 });
+      expect(pages[3].getSize()).toEqual({ width: 612, height: 792 });
+    });
+
+    it('re-encodes photos as grayscale', async () => {
+      const gray = await documentAssemblyService.toGrayscaleJpeg(photo(), 'image/jpeg');
+      const decoded = jpeg.decode(gray, { useTArray: true });
+
+      expect(decoded.width).toBe(40);
+      expect(Math.abs(decoded.data[0] - decoded.data[2])).toBeLessThanOrEqual(2);
+
+      const { pageCount } = await documentAssemblyService.assemblePdf(
+        [{ buffer: photo(), mimeType: 'image/jpeg' }, { buffer: screenshot(), mimeType: 'image/png' }],
+        { grayscale: true }
+      );
+      expect(pageCount).toBe(2);
+    });
+
+    it('reports photos the grayscale worker cannot decode', async () => {
+      await expect(documentAssemblyService.toGrayscaleJpeg(Buffer.from('not an image'), 'image/jpeg')).rejects.toThrow();
+      // The queue keeps working after a failed conversion
+      await expect(documentAssemblyService.toGrayscaleJpeg(screenshot(), 'image/png')).resolves.toBeInstanceOf(Buffer);
+    });
+
+    it('reports PDF parts it cannot read', async () => {
+      await expect(documentAssemblyService.assemblePdf([
+        { buffer: Buffer.from('%PDF-1.7 broken'), mimeType: 'application/pdf', name: 'statement.pdf' },
+      ])).rejects.toMatchObject({ status: 422, message: 'statement.pdf could not be read for merging' });
+    });
+  });
+
+  describe('mergeUploads', () => {
+    const loan = { _id: '507f1f77bcf86cd799439011' };
+    const user = { _id: '507f1f77bcf86cd799439012' };
+    const part = (id, overrides = {}) => ({
+      _id: id,
+      blobName: `${id}.jpg`,
+      mimeType: 'image/jpeg',
+      originalFileName: `${id}.jpg`,
+      avStatus: 'clean',
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      DocumentUpload.mockImplementation(function (data) {
+        Object.assign(this, { _id: 'combined1', ...data });
+        this.save = jest.fn().mockResolvedValue(this);
+      });
+      azureBlobService.downloadFile.mockResolvedValue(photo());
+      azureBlobService.uploadFile.mockImplementation(async (blobName) => ({
+        blobUrl: `https://blob/${blobName}`,
+        blobContainer: 'loan-documents',
+        blobName,
+      }));
+    });
+
+    it('stores the combined PDF in the requested order and links the parts to it', async () => {
+      DocumentUpload.find.mockResolvedValue([part('p2'), part('p1')]);
+
+      const combined = await documentAssemblyService.mergeUploads(
+        loan,
+        { documentIds: ['p1', 'p2'], documentType: 'paystub', fileName: 'March paystub.jpg' },
+        user
+      );
+
+      expect(azureBlobService.downloadFile.mock.calls.map(([name]) => name)).toEqual(['p1.jpg', 'p2.jpg']);
+      expect(combined).toMatchObject({
+        originalFileName: 'March paystub.pdf',
+        mimeType: 'application/pdf',
+        status: 'uploaded',
+        posSystem: 'blend',
+        mergedFrom: ['p1', 'p2'],
+        metadata: { pageCount: 2 },
+        avStatus: 'clean',
+      });
+      expect(DocumentUpload.updateMany).toHaveBeenCalledWith({ _id: { $in: ['p1', 'p2'] } }, { mergedInto: 'combined1' });
+      expect(audit).toHaveBeenCalledWith(
+        expect.objectContaining({ action: 'document.merge', entityId: 'combined1' }),
+        undefined
+      );
+    });
+
+    it('refuses parts that are missing or not clean', async () => {
+      DocumentUpload.find.mockResolvedValueOnce([part('p1')]);
+      await expect(documentAssemblyService.mergeUploads(loan, { documentIds: ['p1', 'p2'], documentType: 'paystub' }, user))
+        .rejects.toMatchObject({ status: 404 });
+
+      DocumentUpload.find.mockResolvedValueOnce([part('p1'), part('p2', { avStatus: 'pending' })]);
+      await expect(documentAssemblyService.mergeUploads(loan, { documentIds: ['p1', 'p2'], documentType: 'paystub' }, user))
+        .rejects.toMatchObject({ status: 423 });
+
+      await expect(documentAssemblyService.mergeUploads(loan, { documentIds: ['p1', 'p1'], documentType: 'paystub' }, user))
+        .rejects.toMatchObject({ status: 400 });
+      expect(azureBlobService.uploadFile).not.toHaveBeenCalled();
+    });
+
+    it('refuses parts already synced or merged', async () => {
+      DocumentUpload.find.mockResolvedValueOnce([part('p1'), part('p2', { status: 'synced' })]);
+      await expect(documentAssemblyService.mergeUploads(loan, { documentIds: ['p1', 'p2'], documentType: 'paystub' }, user))
+        .rejects.toMatchObject({ status: 409 });
+
+      DocumentUpload.find.mockResolvedValueOnce([part('p1', { mergedInto: 'combined0' }), part('p2')]);
+      await expect(documentAssemblyService.mergeUploads(loan, { documentIds: ['p1', 'p2'], documentType: 'paystub' }, user))
+        .rejects.toMatchObject({ status: 409 });
+      expect(azureBlobService.downloadFile).not.toHaveBeenCalled();
+    });
+  });
+});
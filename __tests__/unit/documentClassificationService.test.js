@@ -0,0 +1,243 @@
+jest.mock('../../src/utils/audit', () => ({ audit: jest.fn() }));
+jest.mock('../../src/services/azureBlobService', () => ({ downloadFile: jest.fn() }));
+jest.mock('../../src/services/documentRequestService', () => ({ fulfillMatchingRequests: jest.fn() }));
+
+const PDFDocument = require('pdfkit');
+const DocumentUpload = require('../../src/models/DocumentUpload');
+const azureBlobService = require('../../src/services/azureBlobService');
+const textExtractionService = require('../../src/services/textExtractionService');
+const documentRequestService = require('../../src/services/documentRequestService');
+const { audit } = require('../../src/utils/audit');
+const documentClassificationService = require('../../src/services/documentClassificationService');
+
+const PAYSTUB = `ACME ROOFING LLC
+Earnings Statement
+Company: Acme Roofing LLC
+Pay Period: 03/01/2026 - 03/15/2026
+Pay Date: 03/20/2026
+Gross Pay $4,250.00 YTD 25,500.00
+Deductions
+Net Pay $3,180.44`;
+
+const W2 = `Form W-2 Wage and Tax Statement 2025
+b Employer identification number (EIN) 12-3456789
+c Employer's name, address, and ZIP code
+Acme Roofing LLC
+1 Wages, tips, other compensation 98,500.00
+2 Federal income tax withheld 14,210.50
+3 Social security wages 98,500.00
+5 Medicare wages and tips 98,500.00`;
+
+const BANK_STATEMENT = `First Community Bank
+Account Statement
+Statement Period: January 1, 2026 through January 31, 2026
+Account Number: XXXX-XXXX-4821
+Beginning Balance $12,004.17
+Deposits and Other Credits 6,500.00
+Withdrawals and Debits 3,210.55
+Ending Balance $15,293.62`;
+
+function pdfOf(text) {
+  return new Promise((resolve) => {
+    const doc = new PDFDocument();
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    text.split('\n').forEach((line) => doc.text(line));
+    doc.end();
+  });
+}
+
+function buildUpload(overrides = {}) {
+  const doc = new DocumentUpload({
+    loan: '507f1f77bcf86cd799439011',
+    uploadedBy: '507f1f77bcf86cd799439012',
+    fileName: 'loan/other/file.pdf',
+    originalFileName: 'scan.pdf',
+    fileSize: 10,
+    mimeType: 'application/pdf',
+    documentType: 'other',
+    blobUrl: 'https://acct.blob.core.windows.net/loan-documents/loan/other/file.pdf',
+    blobName: 'loan/other/file.pdf',
+    ...overrides,
+  });
+  jest.spyOn(doc, 'save').mockResolvedValue(doc);
+  return doc;
+}
+
+describe('documentClassificationService', () => {
+  beforeEach(() => {
+    jest.spyOn(DocumentUpload, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('classifyText', () => {
+    it('recognises each supported type', () => {
+      expect(documentClassificationService.classifyText(PAYSTUB).documentType).toBe('paystub');
+      expect(documentClassificationService.classifyText(W2).documentType).toBe('w2');
+      expect(documentClassificationService.classifyText(BANK_STATEMENT).documentType).toBe('bank_statement');
+      expect(documentClassificationService.classifyText('DRIVER LICENSE  DOB 04/12/1988  EXP 04/12/2030  SEX M').documentType).toBe('id');
+      expect(documentClassificationService.classifyText('Form 1040 U.S. Individual Income Tax Return 2025 Filing Status Adjusted gross income').documentType)
+        .toBe('tax_return');
+    });
+
+    it('leaves text without enough evidence unclassified', () => {
+      expect(documentClassificationService.classifyText('Thank you for your business')).toEqual({ documentType: null, confidence: 0 });
+    });
+
+    it('scores mixed evidence with lower confidence', () => {
+      const clean = documentClassificationService.classifyText(W2);
+      const mixed = documentClassificationService.classifyText(`${W2}\nPay Period 03/01/2026 - 03/15/2026 Net Pay 3,180.44`);
+
+      expect(mixed.documentType).toBe('w2');
+      expect(mixed.confidence).toBeLessThan(clean.confidence);
+    });
+  });
+
+  describe('extractFields', () => {
+    it('reads paystub fields', () => {
+      expect(documentClassificationService.extractFields('paystub', PAYSTUB)).toEqual({
+        employer: 'Acme Roofing LLC',
+        payPeriodStart: '2026-03-01',
+        payPeriodEnd: '2026-03-15',
+        payDate: '2026-03-20',
+        grossPay: 4250,
+        netPay: 3180.44,
+      });
+    });
+
+    it('reads W-2 fields without mistaking box numbers for amounts', () => {
+      expect(documentClassificationService.extractFields('w2', W2)).toEqual({
+        employer: 'Acme Roofing LLC',
+        employerEin: '12-3456789',
+        taxYear: 2025,
+        wages: 98500,
+        federalTaxWithheld: 14210.5,
+      });
+    });
+
+    it('reads bank statement fields and keeps only the last four account digits', () => {
+      expect(documentClassificationService.extractFields('bank_statement', BANK_STATEMENT)).toEqual({
+        statementPeriodStart: '2026-01-01',
+        statementPeriodEnd: '2026-01-31',
+        accountLast4: '4821',
+        beginningBalance: 12004.17,
+        statementBalance: 15293.62,
+      });
+    });
+  });
+
+  describe('classifyDocument', () => {
+    it('suggests a type from the PDF text layer without changing the declared type', async () => {
+      const doc = buildUpload();
+      azureBlobService.downloadFile.mockResolvedValue(await pdfOf(PAYSTUB));
+
+      await documentClassificationService.classifyDocument(doc);
+
+      expect(doc.documentType).toBe('other');
+      expect(doc.classification).toMatchObject({
+        status: 'suggested',
+        suggestedType: 'paystub',
+        declaredType: 'other',
+        textSource: 'pdf_text',
+      });
+      expect(doc.metadata.extracted).toMatchObject({ grossPay: 4250, netPay: 3180.44 });
+      expect(DocumentUpload.updateOne).toHaveBeenCalledWith(
+        { _id: doc._id },
+        { $set: expect.objectContaining({ 'metadata.extracted': expect.objectContaining({ grossPay: 4250 }) }) }
+      );
+      expect(doc.save).not.toHaveBeenCalled();
+    });
+
+    it('records failures instead of throwing', async () => {
+      const doc = buildUpload({ mimeType: 'image/jpeg' });
+      jest.spyOn(textExtractionService, 'extractText').mockRejectedValue(new Error('OCR worker crashed'));
+
+      await documentClassificationService.classifyDocument(doc, Buffer.from('jpeg'));
+
+      expect(doc.classification).toMatchObject({ status: 'failed', error: 'OCR worker crashed' });
+    });
+  });
+
+  describe('reviewClassification', () => {
+    const reviewer = { _id: '507f1f77bcf86cd799439013' };
+
+    it('accepts the suggestion and files the document under it', async () => {
+      const doc = buildUpload();
+      doc.set({
+        classification: { status: 'suggested', suggestedType: 'paystub', declaredType: 'other', confidence: 0.9 },
+        'metadata.extracted': { grossPay: 4250 },
+      });
+
+      await documentClassificationService.reviewClassification(doc, {}, reviewer);
+
+      expect(doc.documentType).toBe('paystub');
+      expect(doc.classification.status).toBe('accepted');
+      expect(doc.classification.reviewedBy.toString()).toBe(reviewer._id);
+      expect(doc.metadata.extracted).toEqual({ grossPay: 4250 });
+      expect(audit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'document.classification.review',
+          metadata: expect.objectContaining({ status: 'accepted', previousType: 'other', documentType: 'paystub' }),
+        }),
+        undefined
+      );
+    });
+
+    it('corrects the type and replaces extracted fields', async () => {
+      const doc = buildUpload({ documentType: 'paystub' });
+      doc.set({
+        classification: { status: 'suggested', suggestedType: 'paystub', declaredType: 'paystub' },
+        'metadata.extracted': { grossPay: 4250 },
+      });
+
+      await documentClassificationService.reviewClassification(
+        doc,
+        { documentType: 'w2', fields: { employer: 'Acme Roofing LLC', wages: 98500 } },
+        reviewer
+      );
+
+      expect(doc.documentType).toBe('w2');
+      expect(doc.classification.status).toBe('corrected');
+      expect(doc.metadata.extracted).toEqual({ employer: 'Acme Roofing LLC', wages: 98500 });
+    });
+
+    it('fulfills requests for the corrected type once the document is released', async () => {
+      const doc = buildUpload({ documentType: 'paystub', avStatus: 'clean', status: 'synced' });
+
+      await documentClassificationService.reviewClassification(doc, { documentType: 'w2' }, reviewer);
+
+      expect(documentRequestService.fulfillMatchingRequests).toHaveBeenCalledWith(doc.loan, 'w2', doc._id);
+
+      const held = buildUpload({ documentType: 'paystub', avStatus: 'clean', status: 'processing' });
+      await documentClassificationService.reviewClassification(held, { documentType: 'w2' }, reviewer);
+      expect(documentRequestService.fulfillMatchingRequests).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects fields the type does not have', async () => {
+      const doc = buildUpload({ documentType: 'paystub' });
+
+      await expect(documentClassificationService.reviewClassification(doc, { documentType: 'w2', fields: { grossPay: 1 } }, reviewer))
+        .rejects.toMatchObject({ status: 400, message: 'Unknown w2 fields: grossPay' });
+      await expect(documentClassificationService.reviewClassification(doc, { documentType: 'w2', fields: { 'wages.$gt': 1 } }, reviewer))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(documentClassificationService.reviewClassification(doc, { documentType: 'w2', fields: { wages: { $gt: 1 } } }, reviewer))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(documentClassificationService.reviewClassification(doc, { documentType: 'other', fields: { note: 'x' } }, reviewer))
+        .rejects.toMatchObject({ status: 400 });
+      expect(doc.save).not.toHaveBeenCalled();
+    });
+
+    it('needs a type when there is no suggestion', async () => {
+      const doc = buildUpload();
+      doc.set({ classification: { status: 'unclassified', declaredType: 'other' } });
+
+      await expect(documentClassificationService.reviewClassification(doc, {}, reviewer))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+});
@@ -1,5 +1,9 @@
 jest.mock('../../src/models/Document');
 jest.mock('../../src/utils/audit', () => ({ audit: jest.fn() }));
+jest.mock('../../src/services/antivirusService', () => ({
+  scanDocument: jest.fn(),
+  assertClean: jest.requireActual('../../src/services/antivirusService').assertClean,
+}));
 jest.mock('express-validator', () => ({
   validationResult: jest.fn(),
 }));
@@ -7,6 +11,7 @@ jest.mock('express-validator', () => ({
 // ...existing code...
 const Document = require('../../src/models/Document');
 const { audit } = require('../../src/utils/audit');
+const antivirusService = require('../../src/services/antivirusService');
 const { validationResult } = require('express-validator');
 const documentController = require('../../src/controllers/documentController');
 
@@ -86,6 +91,7 @@ describe('documentController.upload', () => {
       expect.objectContaining({ action: 'document.upload', entityId: 'd2' }),
       req,
     );
+    expect(antivirusService.scanDocument).toHaveBeenCalledWith(created, undefined, req);
   });
 });
 
@@ -104,7 +110,7 @@ describe('documentController.listForLoan', () => {
 
 describe('documentController.markSynced', () => {
   it('marks document as synced', async () => {
-    const doc = { _id: 'd1', status: 'pending', loan: 'l1', save: jest.fn().mockResolvedValue() };
+    const doc = { _id: 'd1', status: 'pending', avStatus: 'clean', loan: 'l1', save: jest.fn().mockResolvedValue() };
     const req = { params: { id: 'd1' } };
     const res = makeRes();
     const next = makeNext();
@@ -117,6 +123,20 @@ describe('documentController.markSynced', () => {
     expect(res.json).toHaveBeenCalledWith(doc);
   });
 
+  it('refuses infected and quarantined documents', async () => {
+    const infected = { _id: 'd1', status: 'pending', avStatus: 'infected', save: jest.fn() };
+    const pending = { _id: 'd2', status: 'pending', avStatus: 'pending', save: jest.fn() };
+    const next = makeNext();
+    Document.findById.mockResolvedValueOnce(infected).mockResolvedValueOnce(pending);
+
+    await documentController.markSynced({ params: { id: 'd1' } }, makeRes(), next);
+    await documentController.markSynced({ params: { id: 'd2' } }, makeRes(), next);
+
+    expect(next.mock.calls.map(([err]) => err.status)).toEqual([403, 423]);
+    expect(infected.save).not.toHaveBeenCalled();
+    expect(pending.status).toBe('pending');
+  });
+
   it('handles missing document', async () => {
     Document.findById.mockResolvedValue(null);
     const next = makeNext();
@@ -0,0 +1,100 @@
+jest.mock('../../src/models/DocumentRequest', () => ({ create: jest.fn(), updateMany: jest.fn(), find: jest.fn() }));
+jest.mock('../../src/models/LoanApplication', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/Notification', () => ({ create: jest.fn() }));
+jest.mock('../../src/services/smsNotificationService', () => ({ sendDocumentRequest: jest.fn() }));
+
+const DocumentRequest = require('../../src/models/DocumentRequest');
+const LoanApplication = require('../../src/models/LoanApplication');
+const Notification = require('../../src/models/Notification');
+const smsNotificationService = require('../../src/services/smsNotificationService');
+const documentRequestService = require('../../src/services/documentRequestService');
+
+const now = new Date('2026-03-10T15:00:00Z');
+
+const loan = {
+  _id: 'loan-1',
+  borrower: { _id: 'user-2', name: 'Jane Doe', phone: '+15125550100' },
+  assignedOfficer: { _id: 'user-1', name: 'Lou Officer' },
+};
+
+function mockLoanLookup() {
+  const query = { populate: jest.fn() };
+  query.populate.mockReturnValueOnce(query).mockResolvedValueOnce(loan);
+  LoanApplication.findById.mockReturnValue(query);
+}
+
+function buildRequest(overrides = {}) {
+  return {
+    _id: 'request-1',
+    loan: 'loan-1',
+    documentType: 'bank_statement',
+    dueDate: new Date('2026-03-11T00:00:00Z'),
+    requestedBy: 'user-1',
+    reminders: { count: 0 },
+    save: jest.fn().mockResolvedValue(),
+    ...overrides,
+  };
+}
+
+describe('documentRequestService', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  it('fulfills outstanding requests of the uploaded document type', async () => {
+    DocumentRequest.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+    const count = await documentRequestService.fulfillMatchingRequests('loan-1', 'paystub', 'upload-1');
+
+    expect(count).toBe(2);
+    expect(DocumentRequest.updateMany).toHaveBeenCalledWith(
+      { loan: 'loan-1', documentType: 'paystub', status: 'outstanding' },
+      { $set: expect.objectContaining({ status: 'fulfilled', fulfilledBy: 'upload-1' }) }
+    );
+  });
+
+  it('texts the borrower when a request is created', async () => {
+    const request = buildRequest();
+    DocumentRequest.create.mockResolvedValue(request);
+    mockLoanLookup();
+
+    await documentRequestService.createRequest('loan-1', { documentType: 'bank_statement' }, { _id: 'user-1' });
+
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ user: 'user-2', title: 'Document requested' }));
+    expect(smsNotificationService.sendDocumentRequest).toHaveBeenCalledWith(
+      'loan-1',
+      'bank statement',
+      '+15125550100',
+      loan.assignedOfficer,
+      request.dueDate
+    );
+  });
+
+  it('records each reminder sent before the due date', async () => {
+    const request = buildRequest();
+    DocumentRequest.find.mockResolvedValue([request]);
+    mockLoanLookup();
+    smsNotificationService.sendDocumentRequest.mockRejectedValue(new Error('Twilio down'));
+
+    const sent = await documentRequestService.sendDueReminders(now);
+
+    expect(sent).toBe(1);
+    expect(request.reminders).toEqual({ count: 1, lastSentAt: now });
+    expect(request.save).toHaveBeenCalled();
+  });
+
+  it('escalates overdue requests to the assigned loan officer once', async () => {
+    const request = buildRequest({
+      loan: { _id: 'loan-1', assignedOfficer: 'user-3' },
+      dueDate: new Date('2026-03-01T00:00:00Z'),
+    });
+    DocumentRequest.find.mockReturnValue({ populate: jest.fn().mockResolvedValue([request]) });
+
+    const escalated = await documentRequestService.escalateOverdue(now);
+
+    expect(escalated).toBe(1);
+    expect(Notification.create).toHaveBeenCalledWith(
+      expect.objectContaining({ user: 'user-3', title: 'Document request overdue' })
+    );
+    expect(request.escalatedAt).toBe(now);
+    expect(DocumentRequest.find).toHaveBeenCalledWith(expect.objectContaining({ escalatedAt: null }));
+  });
+});
@@ -0,0 +1,187 @@
+jest.mock('../../src/utils/audit', () => ({ audit: jest.fn() }));
+jest.mock('../../src/services/azureBlobService', () => ({
+  uploadFile: jest.fn(),
+  deleteFile: jest.fn(),
+}));
+jest.mock('../../src/services/antivirusService', () => ({
+  scanDocument: jest.fn(async (doc) => {
+    doc.avStatus = 'clean';
+  }),
+}));
+jest.mock('../../src/models/AuditLog', () => ({ find: jest.fn() }));
+
+const DocumentUpload = require('../../src/models/DocumentUpload');
+const AuditLog = require('../../src/models/AuditLog');
+const azureBlobService = require('../../src/services/azureBlobService');
+const { audit } = require('../../src/utils/audit');
+const documentVersionService = require('../../src/services/documentVersionService');
+
+const LOAN_ID = '507f1f77bcf86cd799439011';
+const user = { _id: '507f1f77bcf86cd799439012' };
+
+const pdfFile = (name = 'statement-corrected.pdf') => ({
+  originalname: name,
+  mimetype: 'application/pdf',
+  buffer: Buffer.from('%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\n%%EOF'),
+});
+
+function buildUpload(overrides = {}) {
+  return new DocumentUpload({
+    loan: LOAN_ID,
+    uploadedBy: user._id,
+    fileName: `${LOAN_ID}/bank_statement/old.pdf`,
+    originalFileName: 'statement.pdf',
+    fileSize: 10,
+    mimeType: 'application/pdf',
+    documentType: 'bank_statement',
+    description: 'January statement',
+    blobUrl: `https://acct.blob.core.windows.net/loan-documents/${LOAN_ID}/bank_statement/old.pdf`,
+    blobName: `${LOAN_ID}/bank_statement/old.pdf`,
+    posSystem: 'encompass',
+    avStatus: 'clean',
+    ...overrides,
+  });
+}
+
+// Resolves a find(...).populate(...).sort(...).lean() chain
+const chain = (result) => ({
+  populate: () => ({ sort: () => ({ lean: jest.fn().mockResolvedValue(result) }) }),
+});
+
+describe('documentVersionService', () => {
+  beforeEach(() => {
+    jest.spyOn(DocumentUpload.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(DocumentUpload, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    azureBlobService.uploadFile.mockImplementation(async (blobName) => ({
+      blobUrl: `https://acct.blob.core.windows.net/loan-documents/${blobName}`,
+      blobContainer: 'loan-documents',
+      blobName,
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('assertLatest', () => {
+    it('refuses earlier versions', () => {
+      const previous = buildUpload({ version: 2, supersededBy: '507f1f77bcf86cd799439099' });
+
+      expect(() => documentVersionService.assertLatest(previous)).toThrow(expect.objectContaining({ status: 409 }));
+      expect(() => documentVersionService.assertLatest(buildUpload())).not.toThrow();
+    });
+  });
+
+  describe('assertDeletable', () => {
+    it('refuses every version of a replaced document', () => {
+      const replacement = buildUpload({ version: 2, replaces: '507f1f77bcf86cd799439098' });
+
+      expect(() => documentVersionService.assertDeletable(replacement)).toThrow(expect.objectContaining({ status: 409 }));
+      expect(() => documentVersionService.assertDeletable(buildUpload({ supersededBy: '507f1f77bcf86cd799439099' })))
+        .toThrow(expect.objectContaining({ status: 409 }));
+      expect(() => documentVersionService.assertDeletable(buildUpload())).not.toThrow();
+    });
+  });
+
+  describe('replaceDocument', () => {
+    it('stores the next version and marks the previous one superseded', async () => {
+      const previous = buildUpload();
+
+      const replacement = await documentVersionService.replaceDocument(previous, pdfFile(), {}, user);
+
+      expect(replacement).toMatchObject({
+        version: 2,
+        documentType: 'bank_statement',
+        posSystem: 'encompass',
+        description: 'January statement',
+        originalFileName: 'statement-corrected.pdf',
+        status: 'uploaded',
+        avStatus: 'clean',
+      });
+      expect(replacement.versionGroup).toEqual(previous._id);
+      expect(replacement.replaces).toEqual(previous._id);
+      expect(DocumentUpload.updateOne).toHaveBeenCalledWith(
+        { _id: previous._id, supersededBy: null },
+        { $set: expect.objectContaining({ supersededBy: replacement._id, versionGroup: previous._id }) }
+      );
+      expect(previous.supersededBy).toEqual(replacement._id);
+      expect(audit).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'document.replace',
+          entityId: replacement._id.toString(),
+          metadata: expect.objectContaining({ version: 2, replaces: previous._id.toString() }),
+        }),
+        undefined
+      );
+    });
+
+    it('keeps the first version as the group for later versions', async () => {
+      const root = '507f1f77bcf86cd799439020';
+      const previous = buildUpload({ version: 2, versionGroup: root });
+
+      const replacement = await documentVersionService.replaceDocument(previous, pdfFile(), {}, user);
+
+      expect(replacement.version).toBe(3);
+      expect(replacement.versionGroup.toString()).toBe(root);
+    });
+
+    it('rejects replacing an earlier version', async () => {
+      const previous = buildUpload({ supersededBy: '507f1f77bcf86cd799439099' });
+
+      await expect(documentVersionService.replaceDocument(previous, pdfFile(), {}, user))
+        .rejects.toMatchObject({ status: 409 });
+      expect(azureBlobService.uploadFile).not.toHaveBeenCalled();
+    });
+
+    it('backs out when another replacement got there first', async () => {
+      DocumentUpload.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(documentVersionService.replaceDocument(buildUpload(), pdfFile(), {}, user))
+        .rejects.toMatchObject({ status: 409 });
+      expect(azureBlobService.deleteFile).toHaveBeenCalledWith(azureBlobService.uploadFile.mock.calls[0][0]);
+      expect(DocumentUpload.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('runs the same content checks as an upload', async () => {
+      const file = { ...pdfFile(), buffer: Buffer.from('not a pdf at all') };
+
+      await expect(documentVersionService.replaceDocument(buildUpload(), file, {}, user))
+        .rejects.toMatchObject({ status: 400 });
+      expect(DocumentUpload.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listVersions', () => {
+    it('lists versions with the downloads of each', async () => {
+      const first = buildUpload({ version: 1, supersededBy: '507f1f77bcf86cd799439021' });
+      const second = buildUpload({ _id: '507f1f77bcf86cd799439021', version: 2, versionGroup: first._id });
+      first.versionGroup = first._id;
+      const underwriter = { name: 'Una Writer', email: 'una@example.com' };
+      jest.spyOn(DocumentUpload, 'find').mockReturnValue(chain([first.toObject(), second.toObject()]));
+      AuditLog.find.mockReturnValue(chain([
+        { action: 'document.download', entityId: first._id.toString(), user: underwriter, createdAt: new Date('2026-03-01') },
+      ]));
+
+      const versions = await documentVersionService.listVersions(second);
+
+      expect(DocumentUpload.find).toHaveBeenCalledWith({ versionGroup: first._id });
+      expect(versions.map((v) => [v.version, v.latest])).toEqual([[1, false], [2, true]]);
+      expect(versions[0].downloads).toEqual([{ user: underwriter, at: new Date('2026-03-01') }]);
+      expect(versions[1].downloads).toEqual([]);
+    });
+
+    it('returns a document that was never replaced on its own', async () => {
+      const doc = buildUpload();
+      jest.spyOn(DocumentUpload, 'find');
+
+      const versions = await documentVersionService.listVersions(doc, { includeDownloads: false });
+
+      expect(DocumentUpload.find).not.toHaveBeenCalled();
+      expect(versions).toEqual([expect.objectContaining({ id: doc._id, version: 1, latest: true })]);
+      expect(versions[0].downloads).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,77 @@
+jest.mock('axios');
+
+const encompassService = require('../../src/services/encompassService');
+
+const encompassLoan = {
+  borrowerRequestedLoanAmount: '250000',
+  requestedInterestRatePercent: 6.625,
+  loanAmortizationTermMonths: 360,
+  mortgageType: 'Conventional',
+  purchasePriceAmount: 312500,
+  property: {
+    streetAddress: '123 Main St',
+    city: 'Austin',
+    state: 'TX',
+    postalCode: '787011234',
+    loanPurposeType: 'Purchase',
+    propertyUsageType: 'PrimaryResidence',
+  },
+  applications: [
+    {
+      topRatioPercent: 24.5,
+      bottomRatioPercent: 38.1,
+      borrower: { firstName: 'Jane', lastName: 'Doe', maritalStatusType: 'Married', emailAddressText: 'jane@example.com' },
+      coborrower: {},
+      employment: [
+        { owner: 'Borrower', employerName: 'Acme Corp', positionDescription: 'Engineer', basePayAmount: '8000', bonusAmount: 500 },
+      ],
+      assets: [
+        { assetType: 'CheckingAccount', holderName: 'First Bank', cashOrMarketValueAmount: '42000', owner: 'Borrower' },
+      ],
+    },
+  ],
+};
+
+describe('encompassService.transformLoanDetails', () => {
+  it('maps Encompass loan fields onto the typed application model', () => {
+    const mapped = encompassService.transformLoanDetails(encompassLoan);
+
+    expect(mapped).toMatchObject({
+      amount: 250000,
+      interestRate: 6.625,
+      loanTerm: 30,
+      productType: 'conventional',
+      loanPurpose: 'purchase',
+      occupancy: 'primary',
+      property: {
+        address: { street: '123 Main St', city: 'Austin', state: 'TX', zip: '78701-1234' },
+        purchasePrice: 312500,
+      },
+      dti: { frontEnd: 24.5, backEnd: 38.1 },
+      borrowerInfo: {
+        firstName: 'Jane',
+        lastName: 'Doe',
+        maritalStatus: 'married',
+        email: 'jane@example.com',
+        employment: [{ employerName: 'Acme Corp', position: 'Engineer', isCurrent: true }],
+        income: [
+          { type: 'base', monthlyAmount: 8000, source: 'Acme Corp' },
+          { type: 'bonus', monthlyAmount: 500, source: 'Acme Corp' },
+        ],
+      },
+      assets: [{ type: 'checking', institution: 'First Bank', balance: 42000, owner: 'borrower' }],
+    });
+  });
+
+  it('omits fields Encompass does not provide', () => {
+    const mapped = encompassService.transformLoanDetails({ mortgageType: 'Other', property: {} });
+
+    expect(mapped).toEqual({});
+  });
+
+  it('skips an empty co-borrower', () => {
+    const mapped = encompassService.transformLoanDetails(encompassLoan);
+
+    expect(mapped.coBorrowerInfo).toBeUndefined();
+  });
+});
@@ -0,0 +1,93 @@
+const feeEngineService = require('../../src/services/feeEngineService');
+
+const purchase = {
+  loanAmount: 320000,
+  rate: 6.5,
+  termYears: 30,
+  purchasePrice: 400000,
+  state: 'tx',
+  taxesAnnual: 7200,
+  insuranceAnnual: 2400,
+  closingDate: '2026-11-20',
+  deposit: 5000,
+};
+
+const codes = (section) => section.items.map((item) => item.code);
+
+describe('feeEngineService.resolveTemplate', () => {
+  it('layers loan-type and state overrides onto the default template', () => {
+    const template = feeEngineService.resolveTemplate({ state: 'TX', productType: 'va' });
+
+    expect(template.fees.origination.percentOfLoan).toBe(1);
+    expect(template.fees.underwriting).toBeUndefined();
+    expect(template.fees.pest_inspection).toBeUndefined();
+    expect(template.fees.survey.amount).toBe(550);
+    expect(template.settings.escrowTaxMonths).toBe(6);
+  });
+
+  it('falls back to the default template for unknown states', () => {
+    const template = feeEngineService.resolveTemplate({ state: 'ZZ', productType: 'conventional' });
+
+    expect(template.fees.pest_inspection).toBeDefined();
+    expect(template.settings.escrowTaxMonths).toBe(3);
+  });
+});
+
+describe('feeEngineService.buildLoanEstimate', () => {
+  it('groups fees into TRID sections and totals closing costs', () => {
+    const estimate = feeEngineService.buildLoanEstimate(purchase);
+    const { sections, totals } = estimate;
+
+    expect(codes(sections.A)).toEqual(['origination', 'underwriting']);
+    expect(codes(sections.H)).toEqual(['owners_title_policy']);
+    expect(sections.F.items.find((item) => item.code === 'prepaid_interest').amount).toBeCloseTo(56.99 * 11, 0);
+    expect(sections.G.total).toBe(400 + 3600);
+    expect(totals.loanCosts).toBe(sections.A.total + sections.B.total + sections.C.total);
+    expect(totals.closingCosts).toBeCloseTo(totals.loanCosts + totals.otherCosts, 2);
+  });
+
+  it('builds APR from prepaid finance charges only', () => {
+    const { comparisons, sections } = feeEngineService.buildLoanEstimate(purchase);
+    const financeItems = Object.values(sections)
+      .flatMap((section) => section.items)
+      .filter((item) => item.financeCharge)
+      .map((item) => item.code);
+
+    expect(financeItems).toEqual(
+      expect.arrayContaining(['origination', 'underwriting', 'flood_certification', 'tax_service', 'title_settlement', 'prepaid_interest'])
+    );
+    expect(financeItems).not.toContain('appraisal');
+    expect(comparisons.amountFinanced).toBeCloseTo(purchase.loanAmount - comparisons.prepaidFinanceCharges, 2);
+    expect(comparisons.apr).toBeGreaterThan(6.5);
+    expect(comparisons.apr).toBeLessThan(6.7);
+  });
+
+  it('offsets lender credits against closing costs and finance charges', () => {
+    const base = feeEngineService.buildLoanEstimate(purchase);
+    const credited = feeEngineService.buildLoanEstimate({ ...purchase, lenderCredits: 1000 });
+
+    expect(credited.totals.closingCosts).toBeCloseTo(base.totals.closingCosts - 1000, 2);
+    expect(credited.comparisons.prepaidFinanceCharges).toBeCloseTo(base.comparisons.prepaidFinanceCharges - 1000, 2);
+    expect(credited.comparisons.apr).toBeLessThan(base.comparisons.apr);
+  });
+
+  it('computes purchase cash to close from down payment and deposit', () => {
+    const { cashToClose, totals } = feeEngineService.buildLoanEstimate(purchase);
+
+    expect(cashToClose.downPayment).toBe(80000);
+    expect(cashToClose.total).toBeCloseTo(totals.closingCosts + 80000 - 5000, 2);
+  });
+
+  it('nets the new loan against payoffs on a refinance', () => {
+    const { cashToClose, totals, sections } = feeEngineService.buildLoanEstimate({
+      ...purchase,
+      loanPurpose: 'refinance',
+      payoffAmount: 300000,
+      deposit: 0,
+    });
+
+    expect(codes(sections.H)).toEqual([]);
+    expect(cashToClose.downPayment).toBe(0);
+    expect(cashToClose.total).toBeCloseTo(totals.closingCosts + 300000 - 320000, 2);
+  });
+});
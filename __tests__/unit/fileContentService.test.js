@@ -0,0 +1,185 @@
+const zlib = require('zlib');
+const jpegJs = require('jpeg-js');
+const fileContentService = require('../../src/services/fileContentService');
+
+const pdf = (body) => Buffer.from(`%PDF-1.7\n${body}\n%%EOF\n`, 'latin1');
+
+const segment = (marker, payload) => {
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xff00 | marker, 0);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+};
+
+// Little-endian EXIF with orientation 6 (rotate 90) and a GPS IFD pointer
+function exifPayload() {
+  const tiff = Buffer.alloc(38);
+  tiff.write('II*\0', 0, 'latin1');
+  tiff.writeUInt32LE(8, 4);
+  tiff.writeUInt16LE(2, 8);
+  tiff.writeUInt16LE(0x0112, 10);
+  tiff.writeUInt16LE(3, 12);
+  tiff.writeUInt32LE(1, 14);
+  tiff.writeUInt16LE(6, 18);
+  tiff.writeUInt16LE(0x8825, 22);
+  tiff.writeUInt16LE(4, 24);
+  tiff.writeUInt32LE(1, 26);
+  tiff.writeUInt32LE(38, 30);
+  return Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff, Buffer.from('GPS 40.7128N 74.0060W')]);
+}
+
+function jpeg() {
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    segment(0xe0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1')),
+    segment(0xe1, exifPayload()),
+    segment(0xfe, Buffer.from('Shot on a phone')),
+    segment(0xdb, Buffer.alloc(67, 1)),
+    Buffer.from([0xff, 0xda, 0x00, 0x02, 0x12, 0x34, 0xff, 0xd9]),
+  ]);
+}
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  return Buffer.concat([length, Buffer.from(type, 'latin1'), data, Buffer.alloc(4)]);
+};
+
+function png() {
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', Buffer.alloc(13)),
+    chunk('tEXt', Buffer.from('GPS\0 40.7128N 74.0060W')),
+    chunk('eXIf', exifPayload().subarray(6)),
+    chunk('IDAT', Buffer.from([1, 2, 3])),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+describe('fileContentService', () => {
+  describe('detectMimeType', () => {
+    it('identifies files by their magic bytes', () => {
+      expect(fileContentService.detectMimeType(pdf('1 0 obj << >> endobj'))).toBe('application/pdf');
+      expect(fileContentService.detectMimeType(png())).toBe('image/png');
+      expect(fileContentService.detectMimeType(jpeg())).toBe('image/jpeg');
+      expect(fileContentService.detectMimeType(Buffer.from('MZ\x90\0 executable', 'latin1'))).toBeNull();
+    });
+  });
+
+  describe('inspectPdf', () => {
+    it('accepts a plain PDF', () => {
+      expect(() => fileContentService.inspectPdf(pdf('1 0 obj << /Type /Catalog >> endobj'))).not.toThrow();
+    });
+
+    it('rejects encrypted PDFs', () => {
+      expect(() => fileContentService.inspectPdf(pdf('trailer << /Root 1 0 R /Encrypt 5 0 R >>')))
+        .toThrow('Encrypted or password-protected PDFs are not accepted');
+    });
+
+    it('finds JavaScript behind name escapes and inside object streams', () => {
+      expect(() => fileContentService.inspectPdf(pdf('1 0 obj << /S /J#61vaScript /JS (app.alert(1)) >> endobj')))
+        .toThrow(expect.objectContaining({ status: 400, message: 'PDFs containing JavaScript are not accepted' }));
+
+      const hidden = zlib.deflateSync(Buffer.from('<< /OpenAction << /S /JavaScript /JS 7 0 R >> >>'));
+      const objStm = Buffer.concat([
+        Buffer.from('%PDF-1.7\n4 0 obj << /Type /ObjStm /N 1 /First 4 /Filter /FlateDecode >>\nstream\n', 'latin1'),
+        hidden,
+        Buffer.from('\nendstream\nendobj\n%%EOF\n', 'latin1'),
+      ]);
+      expect(() => fileContentService.inspectPdf(objStm)).toThrow('PDFs containing JavaScript are not accepted');
+    });
+  });
+
+  describe('stripJpegMetadata', () => {
+    it('drops EXIF, GPS and comments but keeps orientation and image data', () => {
+      const clean = fileContentService.stripJpegMetadata(jpeg());
+
+      expect(clean.includes('GPS')).toBe(false);
+      expect(clean.includes('Shot on a phone')).toBe(false);
+      expect(clean.includes('JFIF')).toBe(true);
+      expect(clean.subarray(-8)).toEqual(Buffer.from([0xff, 0xda, 0x00, 0x02, 0x12, 0x34, 0xff, 0xd9]));
+
+      const app1 = clean.indexOf(Buffer.from([0xff, 0xe1]));
+      expect(clean.toString('latin1', app1 + 4, app1 + 14)).toBe('Exif\0\0MM\0*');
+      expect(clean.readUInt16BE(app1 + 20)).toBe(0x0112);
+      expect(clean.readUInt16BE(app1 + 28)).toBe(6);
+    });
+
+    it('drops multi-picture secondary images and anything else after the end of the image', () => {
+      const photo = jpegJs.encode({ data: Buffer.alloc(16 * 16 * 4, 0x80), width: 16, height: 16 }, 90).data;
+      const primary = Buffer.concat([
+        photo.subarray(0, 2),
+        segment(0xe2, Buffer.from('MPF\0II*\0 index of 2 images', 'latin1')),
+        photo.subarray(2),
+      ]);
+      // Phones append depth maps and previews as whole JPEGs, each with its own EXIF and GPS
+      const secondary = Buffer.concat([Buffer.from([0xff, 0xd8]), segment(0xe1, exifPayload()), photo.subarray(2)]);
+
+      const clean = fileContentService.stripJpegMetadata(Buffer.concat([primary, secondary, Buffer.from('payload')]));
+
+      expect(clean).toEqual(photo);
+      expect(clean.includes('GPS')).toBe(false);
+      expect(clean.includes('MPF')).toBe(false);
+      expect(jpegJs.decode(clean).width).toBe(16);
+    });
+
+    it('keeps only JFIF, ICC and Adobe application segments', () => {
+      const photo = jpegJs.encode({ data: Buffer.alloc(16 * 16 * 4, 0x80), width: 16, height: 16 }, 90).data;
+      const icc = segment(0xe2, Buffer.from('ICC_PROFILE\0\x01\x01sRGB', 'latin1'));
+      const adobe = segment(0xee, Buffer.from('Adobe\0\x64\0\0\0\0\x01', 'latin1'));
+      const vendor = [0xe2, 0xe3, 0xe9, 0xec, 0xef].map((marker) => segment(marker, Buffer.from('Vendor GPS 40.7128N')));
+      const input = Buffer.concat([photo.subarray(0, 2), icc, adobe, ...vendor, photo.subarray(2)]);
+
+      const clean = fileContentService.stripJpegMetadata(input);
+
+      expect(clean).toEqual(Buffer.concat([photo.subarray(0, 2), icc, adobe, photo.subarray(2)]));
+      expect(jpegJs.decode(clean).width).toBe(16);
+    });
+
+    it('rejects truncated images', () => {
+      expect(() => fileContentService.stripJpegMetadata(jpeg().subarray(0, 30))).toThrow('Invalid JPEG image');
+    });
+  });
+
+  describe('stripPngMetadata', () => {
+    it('drops text and EXIF chunks', () => {
+      const clean = fileContentService.stripPngMetadata(png());
+
+      expect(clean.includes('tEXt')).toBe(false);
+      expect(clean.includes('eXIf')).toBe(false);
+      expect(clean.includes('IDAT')).toBe(true);
+      expect(clean.subarray(-12, -4).toString('latin1', 4)).toBe('IEND');
+    });
+  });
+
+  describe('verifyUpload', () => {
+    it('returns sanitized content under its canonical type', () => {
+      const result = fileContentService.verifyUpload({ buffer: jpeg(), mimetype: 'image/jpg', originalname: 'id.JPG' });
+
+      expect(result.mimetype).toBe('image/jpeg');
+      expect(result.size).toBe(result.buffer.length);
+      expect(result.buffer.includes('GPS')).toBe(false);
+    });
+
+    it('rejects content that does not match the declared type', () => {
+      const disguised = { buffer: Buffer.from('MZ\x90\0', 'latin1'), mimetype: 'application/pdf', originalname: 'w2.pdf' };
+
+      expect(() => fileContentService.verifyUpload(disguised))
+        .toThrow('File content does not match its declared type application/pdf');
+      expect(() => fileContentService.verifyUpload({ buffer: pdf(''), mimetype: 'image/png', originalname: 'w2.png' }))
+        .toThrow('File content does not match its declared type image/png');
+    });
+
+    it('rejects a declared type that disagrees with the extension', () => {
+      expect(() => fileContentService.verifyUpload({ buffer: png(), mimetype: 'image/png', originalname: 'scan.pdf' }))
+        .toThrow('File type image/png does not match extension .pdf');
+    });
+
+    it('limits uploads to the allowed types', () => {
+      expect(() => fileContentService.verifyUpload(
+        { buffer: pdf(''), mimetype: 'application/pdf', originalname: 'me.pdf' },
+        ['image/png', 'image/jpeg']
+      )).toThrow('Files of type .pdf are not accepted');
+    });
+  });
+});
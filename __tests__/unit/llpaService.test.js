@@ -0,0 +1,119 @@
+const llpaService = require('../../src/services/llpaService');
+const { LLPA_GRIDS } = require('../../src/config/llpaGrids');
+
+const scenario = (overrides = {}) => ({ creditScore: 745, ltv: 80, loanAmount: 400000, ...overrides });
+
+const storedProduct = (overrides = {}) => ({
+  productType: 'conventional',
+  baseRate: 6.5,
+  basePrice: 101,
+  minLoanAmount: 50000,
+  maxLoanAmount: 766550,
+  maxLTV: 97,
+  minCreditScore: 620,
+  allowedOccupancy: ['primary', 'second_home', 'investment'],
+  allowedPropertyTypes: ['single_family', 'condo'],
+  finalPrice({ adjustments = 0, extensionCost = 0 } = {}) {
+    return Math.round((this.basePrice - adjustments - extensionCost) * 1000) / 1000;
+  },
+  toObject() {
+    return { productType: this.productType, basePrice: this.basePrice };
+  },
+  ...overrides,
+});
+
+describe('llpaService', () => {
+  describe('calculateAdjustments', () => {
+    it('prices the FICO × LTV cell', () => {
+      const { adjustments, ineligibleReasons } = llpaService.calculateAdjustments(LLPA_GRIDS.conventional, scenario());
+
+      expect(adjustments).toEqual([{ code: 'fico_ltv', description: 'FICO 740+, LTV > 75% to 80%', points: 0.875 }]);
+      expect(ineligibleReasons).toEqual([]);
+    });
+
+    it('adds a line item for each scenario attribute', () => {
+      const { adjustments } = llpaService.calculateAdjustments(
+        LLPA_GRIDS.conventional,
+        scenario({ ltv: 75, cashOut: true, occupancy: 'investment', propertyType: 'condo', units: 2, loanAmount: 800000 })
+      );
+
+      expect(adjustments.map(({ code, points }) => [code, points])).toEqual([
+        ['fico_ltv', 0.375],
+        ['cash_out', 0.875],
+        ['occupancy', 2.125],
+        ['units', 0.625],
+        ['loan_amount', 0.5],
+      ]);
+      expect(adjustments[4].description).toBe('Loan amount $766,551–$1,149,825');
+    });
+
+    it('reports scenarios outside the grid as ineligible', () => {
+      const { ineligibleReasons } = llpaService.calculateAdjustments(
+        LLPA_GRIDS.jumbo,
+        scenario({ creditScore: 705, ltv: 90, occupancy: 'investment' })
+      );
+
+      expect(ineligibleReasons).toEqual([
+        'No price for FICO 705 at 90% LTV',
+        'Investment property not available at 90% LTV',
+      ]);
+    });
+  });
+
+  describe('resolveGrids', () => {
+    it('uses grids stored on the product in place of the defaults', () => {
+      const ficoLtv = { ltvBands: [80], rows: [{ minScore: 700, points: [0.25] }] };
+
+      const grids = llpaService.resolveGrids('conventional', { adjustments: { ficoLtv } });
+
+      expect(grids.ficoLtv).toBe(ficoLtv);
+      expect(grids.occupancy).toBe(LLPA_GRIDS.conventional.occupancy);
+    });
+
+    it('ignores stored adjustments that are not grids', () => {
+      // Optimal Blue sync stores flat point adjustments under some of the same keys
+      const product = { adjustments: { ltv: 0.25, creditScore: 0.5, occupancy: 0.375, loanAmount: 0.125 } };
+
+      const grids = llpaService.resolveGrids('conventional', product);
+
+      expect(grids).toEqual(LLPA_GRIDS.conventional);
+      expect(() => llpaService.calculateAdjustments(grids, { creditScore: 740, ltv: 80, loanAmount: 50000 })).not.toThrow();
+    });
+  });
+
+  describe('priceProduct', () => {
+    it('takes the total adjustment off the base price', () => {
+      const result = llpaService.priceProduct(storedProduct(), scenario({ propertyType: 'condo', ltv: 85 }));
+
+      expect(result).toMatchObject({ basePrice: 101, totalAdjustment: 1.75, finalPrice: 99.25, eligible: true });
+    });
+
+    it('applies the product limits', () => {
+      const result = llpaService.priceProduct(storedProduct(), scenario({ propertyType: 'manufactured', loanAmount: 900000 }));
+
+      expect(result.eligible).toBe(false);
+      expect(result.ineligibleReasons).toEqual([
+        'Loan amount outside 50000–766550',
+        'Property type manufactured not allowed',
+      ]);
+    });
+  });
+
+  describe('priceProducts', () => {
+    it('lists eligible products first, best price first', () => {
+      const products = [
+        storedProduct({ basePrice: 100.5 }),
+        storedProduct({ basePrice: 102, minCreditScore: 760 }),
+        storedProduct({ basePrice: 101.25 }),
+      ];
+
+      const priced = llpaService.priceProducts(products, scenario());
+
+      expect(priced.map((p) => [p.basePrice, p.scenarioPricing.eligible])).toEqual([
+        [101.25, true],
+        [100.5, true],
+        [102, false],
+      ]);
+    });
+  });
+});
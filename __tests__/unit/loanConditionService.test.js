@@ -0,0 +1,98 @@
+jest.mock('../../src/models/LoanApplication', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/LoanCondition', () => ({ countDocuments: jest.fn() }));
+jest.mock('../../src/services/smsNotificationService', () => ({ sendMilestoneUpdate: jest.fn() }));
+
+const LoanApplication = require('../../src/models/LoanApplication');
+const LoanCondition = require('../../src/models/LoanCondition');
+const smsNotificationService = require('../../src/services/smsNotificationService');
+const loanConditionService = require('../../src/services/loanConditionService');
+
+function mockLoan(milestones = []) {
+  const loan = {
+    _id: 'loan-1',
+    borrower: { _id: 'user-2', name: 'Jane Doe', phone: '+15125550100' },
+    assignedOfficer: { _id: 'user-1', name: 'Lou Officer' },
+    milestones,
+    save: jest.fn().mockResolvedValue(),
+  };
+  const query = { populate: jest.fn() };
+  query.populate.mockReturnValueOnce(query).mockResolvedValueOnce(loan);
+  LoanApplication.findById.mockReturnValue(query);
+  return loan;
+}
+
+function buildCondition(overrides = {}) {
+  return {
+    loan: 'loan-1',
+    category: 'prior_to_doc',
+    status: 'submitted',
+    isResolved() {
+      return ['cleared', 'waived'].includes(this.status);
+    },
+    save: jest.fn().mockResolvedValue(),
+    ...overrides,
+  };
+}
+
+describe('loanConditionService.setStatus', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  it('completes the category milestone and texts the borrower when the last condition clears', async () => {
+    LoanCondition.countDocuments.mockResolvedValue(0);
+    const loan = mockLoan();
+    smsNotificationService.sendMilestoneUpdate.mockResolvedValue({ success: true });
+
+    const { condition, milestone } = await loanConditionService.setStatus(buildCondition(), 'cleared', { _id: 'user-1' });
+
+    expect(milestone).toBe('Clear to Close');
+    expect(condition.resolvedBy).toBe('user-1');
+    expect(loan.milestones).toEqual([expect.objectContaining({ name: 'Clear to Close', status: 'completed' })]);
+    expect(smsNotificationService.sendMilestoneUpdate).toHaveBeenCalledWith(
+      'loan-1',
+      'Clear to Close',
+      '+15125550100',
+      loan.assignedOfficer
+    );
+  });
+
+  it('leaves milestones alone while other conditions in the category are outstanding', async () => {
+    LoanCondition.countDocuments.mockResolvedValue(2);
+
+    const { milestone } = await loanConditionService.setStatus(buildCondition(), 'waived', { _id: 'user-1' });
+
+    expect(milestone).toBeNull();
+    expect(LoanApplication.findById).not.toHaveBeenCalled();
+  });
+
+  it('does not re-notify when the milestone is already complete', async () => {
+    LoanCondition.countDocuments.mockResolvedValue(0);
+    const loan = mockLoan([{ name: 'Clear to Close', status: 'completed' }]);
+
+    const { milestone } = await loanConditionService.setStatus(buildCondition(), 'cleared', { _id: 'user-1' });
+
+    expect(milestone).toBeNull();
+    expect(loan.save).not.toHaveBeenCalled();
+    expect(smsNotificationService.sendMilestoneUpdate).not.toHaveBeenCalled();
+  });
+
+  it('clears resolution details when a condition is reopened', async () => {
+    const condition = buildCondition({ status: 'cleared', resolvedBy: 'user-1', resolvedAt: new Date() });
+
+    const { milestone } = await loanConditionService.setStatus(condition, 'open', { _id: 'user-1' });
+
+    expect(milestone).toBeNull();
+    expect(condition.resolvedBy).toBeUndefined();
+    expect(condition.resolvedAt).toBeUndefined();
+    expect(LoanCondition.countDocuments).not.toHaveBeenCalled();
+  });
+
+  it('still advances the milestone when the SMS fails', async () => {
+    LoanCondition.countDocuments.mockResolvedValue(0);
+    mockLoan();
+    smsNotificationService.sendMilestoneUpdate.mockRejectedValue(new Error('Twilio down'));
+
+    const { milestone } = await loanConditionService.setStatus(buildCondition(), 'cleared', { _id: 'user-1' });
+
+    expect(milestone).toBe('Clear to Close');
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('../../src/models/CreditReport', () => ({ exists: jest.fn() }));
+jest.mock('../../src/models/RateLock', () => ({ exists: jest.fn() }));
+
+const CreditReport = require('../../src/models/CreditReport');
+const RateLock = require('../../src/models/RateLock');
+const loanStatusService = require('../../src/services/loanStatusService');
+
+const officer = { _id: 'user-1', role: { slug: 'loan_officer_retail' } };
+const borrower = { _id: 'user-2', role: { slug: 'borrower' } };
+
+function buildLoan(overrides = {}) {
+  return {
+    _id: 'loan-1',
+    status: 'application',
+    amount: 250000,
+    loanPurpose: 'purchase',
+    productType: 'conventional',
+    loanTerm: 30,
+    property: { address: { street: '123 Main St' } },
+    statusHistory: [],
+    ...overrides,
+  };
+}
+
+describe('loanStatusService.transition', () => {
+  beforeEach(() => {
+    CreditReport.exists.mockResolvedValue({ _id: 'report-1' });
+    RateLock.exists.mockResolvedValue({ _id: 'lock-1' });
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('moves the loan forward and records the change', async () => {
+    const loan = buildLoan();
+
+    const entry = await loanStatusService.transition(loan, 'processing', { actor: officer });
+
+    expect(loan.status).toBe('processing');
+    expect(loan.statusHistory).toHaveLength(1);
+    expect(entry).toMatchObject({ from: 'application', to: 'processing', changedBy: 'user-1', source: 'app', outOfWorkflow: false });
+  });
+
+  it('rejects transitions that are not configured', async () => {
+    const loan = buildLoan();
+
+    await expect(loanStatusService.transition(loan, 'funded', { actor: officer })).rejects.toMatchObject({ status: 409 });
+    expect(loan.status).toBe('application');
+  });
+
+  it('rejects roles that may not perform the transition', async () => {
+    await expect(loanStatusService.transition(buildLoan(), 'processing', { actor: borrower })).rejects.toMatchObject({
+      status: 403,
+    });
+  });
+
+  it('requires a reason to step back', async () => {
+    const loan = buildLoan({ status: 'underwriting' });
+
+    await expect(loanStatusService.transition(loan, 'processing', { actor: officer })).rejects.toMatchObject({ status: 400 });
+
+    await loanStatusService.transition(loan, 'processing', { actor: officer, reason: 'Missing paystubs' });
+    expect(loan.status).toBe('processing');
+  });
+
+  it('lists every failing guard', async () => {
+    CreditReport.exists.mockResolvedValue(null);
+    RateLock.exists.mockResolvedValue(null);
+    const loan = buildLoan({ status: 'underwriting' });
+
+    await expect(loanStatusService.transition(loan, 'closing', { actor: officer })).rejects.toMatchObject({
+      status: 409,
+      errors: ['A completed credit report must be on file', 'An active rate lock is required'],
+    });
+    expect(loan.statusHistory).toHaveLength(0);
+  });
+
+  it('applies system-of-record changes outside the workflow when rules are not enforced', async () => {
+    const loan = buildLoan();
+
+    const entry = await loanStatusService.transition(loan, 'funded', { source: 'encompass', enforceRules: false });
+
+    expect(loan.status).toBe('funded');
+    expect(entry).toMatchObject({ source: 'encompass', outOfWorkflow: true });
+  });
+
+  it('is a no-op when the status is unchanged', async () => {
+    const loan = buildLoan();
+
+    await expect(loanStatusService.transition(loan, 'application', { actor: officer })).resolves.toBeNull();
+    expect(loan.statusHistory).toHaveLength(0);
+  });
+});
+
+describe('loanStatusService.getAvailableTransitions', () => {
+  it('returns only transitions the role may perform', () => {
+    const loan = buildLoan({ status: 'funded' });
+
+    expect(loanStatusService.getAvailableTransitions(loan, 'loan_officer_retail')).toEqual([]);
+    expect(loanStatusService.getAvailableTransitions(loan, 'admin')).toEqual([
+      { to: 'closing', guards: [], requiresReason: true },
+    ]);
+  });
+});
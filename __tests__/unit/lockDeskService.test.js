@@ -0,0 +1,176 @@
+jest.mock('../../src/models/RateLock', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/Capability', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/models/Role', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/Notification', () => ({ create: jest.fn() }));
+jest.mock('../../src/services/rateLockService', () => ({ notifyParties: jest.fn(), applyFloatDown: jest.fn() }));
+jest.mock('../../src/utils/audit', () => ({ audit: jest.fn() }));
+
+const RateLock = require('../../src/models/RateLock');
+const Capability = require('../../src/models/Capability');
+const Role = require('../../src/models/Role');
+const User = require('../../src/models/User');
+const Notification = require('../../src/models/Notification');
+const { notifyParties, applyFloatDown } = require('../../src/services/rateLockService');
+const { audit } = require('../../src/utils/audit');
+const lockDeskService = require('../../src/services/lockDeskService');
+
+// Tuesday 10:00 and 18:30 Eastern
+const openTime = new Date('2026-03-10T14:00:00Z');
+const afterHours = new Date('2026-03-10T22:30:00Z');
+const deskUser = { _id: 'desk-1' };
+
+function buildLock(overrides = {}) {
+  return {
+    _id: 'lock-1',
+    loan: { _id: 'loan-1', assignedOfficer: 'user-1' },
+    status: 'pending',
+    lockedRate: 6.5,
+    lockedAPR: 6.62,
+    points: 0,
+    lockPeriod: 30,
+    productType: 'jumbo',
+    lockDesk: { state: 'queued', reasons: ['exception_product'], reviewDueAt: new Date(openTime.getTime() + 60 * 60 * 1000) },
+    set: jest.fn(),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides,
+  };
+}
+
+function mockReviewers(ids) {
+  Capability.findOne.mockResolvedValue({ _id: 'cap-1' });
+  Role.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'role-1' }]) });
+  User.find.mockReturnValue({ select: jest.fn().mockResolvedValue(ids.map((_id) => ({ _id }))) });
+}
+
+describe('lockDeskService', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  describe('reviewReasons', () => {
+    it('confirms standard requests during lock hours', () => {
+      expect(lockDeskService.reviewReasons({ productType: 'conventional', priceConcession: 0.125 }, openTime)).toEqual([]);
+    });
+
+    it('queues after-hours, large concessions and exception products', () => {
+      expect(lockDeskService.reviewReasons({ productType: 'jumbo', priceConcession: 0.25 }, afterHours)).toEqual([
+        'outside_lock_hours',
+        'price_concession',
+        'exception_product',
+      ]);
+    });
+
+    it('treats weekends as outside lock hours', () => {
+      expect(lockDeskService.isWithinLockHours(new Date('2026-03-14T15:00:00Z'))).toBe(false);
+    });
+  });
+
+  describe('queue', () => {
+    it('starts the review SLA at the next opening for after-hours requests', () => {
+      const lock = lockDeskService.queue(buildLock({ status: 'confirmed', lockDesk: undefined }), ['outside_lock_hours'], {
+        submittedAt: afterHours,
+      });
+
+      expect(lock.status).toBe('pending');
+      expect(lock.lockDesk.state).toBe('queued');
+      // Wednesday 9:00 Eastern plus the 60 minute SLA
+      expect(lock.lockDesk.reviewDueAt).toEqual(new Date('2026-03-11T14:00:00Z'));
+    });
+  });
+
+  describe('decisions', () => {
+    it('approves a queued lock and starts the lock period', async () => {
+      const lock = buildLock();
+
+      await lockDeskService.approve(lock, { actor: deskUser, notes: 'ok' });
+
+      expect(lock.status).toBe('confirmed');
+      expect(lock.lockDesk).toMatchObject({ state: 'approved', reviewedBy: 'desk-1' });
+      expect(lock.lockExpiresAt.getTime() - lock.confirmedAt.getTime()).toBe(30 * 24 * 60 * 60 * 1000);
+      expect(audit).toHaveBeenCalledWith(expect.objectContaining({ action: 'rateLock.lockDesk.approve' }), undefined);
+      expect(notifyParties).toHaveBeenCalled();
+    });
+
+    it('denies by cancelling the lock', async () => {
+      const lock = buildLock();
+
+      await lockDeskService.deny(lock, { actor: deskUser, reason: 'Outside guidelines' });
+
+      expect(lock.status).toBe('cancelled');
+      expect(lock.lockDesk).toMatchObject({ state: 'denied', notes: 'Outside guidelines' });
+    });
+
+    it('confirms a countered lock at the counter terms once accepted', async () => {
+      mockReviewers(['desk-1']);
+      const lock = buildLock();
+
+      await lockDeskService.counter(lock, { actor: deskUser, rate: 6.75, apr: 6.86, points: 0.25 });
+      expect(lock.status).toBe('pending');
+      expect(lock.lockDesk.counterOffer).toEqual({ rate: 6.75, apr: 6.86, points: 0.25, lockPeriod: 30 });
+
+      await lockDeskService.acceptCounter(lock, { actor: { _id: 'user-1' } });
+      expect(lock.status).toBe('confirmed');
+      expect(lock.lockedRate).toBe(6.75);
+      expect(lock.points).toBe(0.25);
+      expect(lock.lockDesk.state).toBe('approved');
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ user: 'desk-1', title: 'Counter accepted' }));
+    });
+
+    describe('float-downs', () => {
+      const lockExpiresAt = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000);
+      const floatDown = { rate: 6.125, apr: 6.24, rateSnapshot: 'snapshot-2', requestedBy: 'user-1' };
+      const floatDownLock = () => buildLock({
+        status: 'confirmed',
+        lockExpiresAt,
+        lockDesk: { state: 'queued', request: 'float_down', reasons: ['outside_lock_hours'], floatDown },
+      });
+
+      it('reprices the lock on approval and keeps its expiration', async () => {
+        const lock = floatDownLock();
+
+        await lockDeskService.approve(lock, { actor: deskUser });
+
+        expect(applyFloatDown).toHaveBeenCalledWith(lock, floatDown, undefined, expect.any(Date));
+        expect(lock.status).toBe('confirmed');
+        expect(lock.lockExpiresAt).toBe(lockExpiresAt);
+        expect(lock.lockDesk.state).toBe('approved');
+      });
+
+      it('leaves the lock in force when denied', async () => {
+        const lock = floatDownLock();
+
+        await lockDeskService.deny(lock, { actor: deskUser, reason: 'Market moved' });
+
+        expect(lock.status).toBe('confirmed');
+        expect(lock.lockDesk.state).toBe('denied');
+        expect(applyFloatDown).not.toHaveBeenCalled();
+        expect(notifyParties).toHaveBeenCalledWith(lock, expect.objectContaining({ title: 'Float-down denied' }));
+      });
+
+      it('cannot be countered', async () => {
+        await expect(lockDeskService.counter(floatDownLock(), { actor: deskUser, rate: 6.25, apr: 6.3, points: 0 }))
+          .rejects.toMatchObject({ status: 409 });
+      });
+    });
+
+    it('rejects decisions on locks that are not queued', async () => {
+      await expect(lockDeskService.approve(buildLock({ status: 'confirmed' }), { actor: deskUser }))
+        .rejects.toMatchObject({ status: 409 });
+      await expect(lockDeskService.acceptCounter(buildLock(), { actor: deskUser }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('flagSlaBreaches', () => {
+    it('flags overdue requests once and notifies the lock desk', async () => {
+      mockReviewers(['desk-1', 'desk-2']);
+      const lock = buildLock();
+      RateLock.find.mockResolvedValue([lock]);
+      const now = new Date(openTime.getTime() + 2 * 60 * 60 * 1000);
+
+      await expect(lockDeskService.flagSlaBreaches(now)).resolves.toBe(1);
+      expect(lock.lockDesk.slaBreachedAt).toBe(now);
+      expect(Notification.create).toHaveBeenCalledTimes(2);
+      expect(RateLock.find).toHaveBeenCalledWith(expect.objectContaining({ 'lockDesk.slaBreachedAt': null }));
+    });
+  });
+});
@@ -0,0 +1,118 @@
+jest.mock('../../src/models/ProductPricing', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/utils/audit', () => ({ audit: jest.fn() }));
+
+const ProductPricing = require('../../src/models/ProductPricing');
+const { audit } = require('../../src/utils/audit');
+const lockExtensionService = require('../../src/services/lockExtensionService');
+const { EXTENSION_POLICIES } = require('../../src/config/lockExtensions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const expiresAt = new Date('2026-04-01T00:00:00Z');
+
+function buildLock(overrides = {}) {
+  return {
+    _id: 'lock-1',
+    loan: { _id: 'loan-1' },
+    productType: 'conventional',
+    loanTerm: 30,
+    loanAmount: 400000,
+    lockExpiresAt: expiresAt,
+    status: 'confirmed',
+    pricing: {},
+    extensionHistory: [],
+    set: jest.fn(function set(path, value) {
+      this.pricing[path.replace('pricing.', '')] = value;
+    }),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides,
+  };
+}
+
+function mockProduct(product) {
+  ProductPricing.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(product) });
+}
+
+const investorProduct = (overrides = {}) => ({
+  basePrice: 100.5,
+  finalPrice({ extensionCost = 0 } = {}) {
+    return Math.round((this.basePrice - extensionCost) * 1000) / 1000;
+  },
+  ...overrides,
+});
+
+describe('lockExtensionService', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  describe('extensionCost', () => {
+    it('prices per day', () => {
+      expect(lockExtensionService.extensionCost(EXTENSION_POLICIES.conventional, 15)).toBe(0.3);
+    });
+
+    it('prices by tier', () => {
+      expect(lockExtensionService.extensionCost(EXTENSION_POLICIES.jumbo, 10)).toBe(0.25);
+    });
+  });
+
+  describe('quote', () => {
+    it('rejects days that are not an allowed increment', () => {
+      expect(() => lockExtensionService.quote(buildLock(), 7, EXTENSION_POLICIES.conventional, null))
+        .toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    it('enforces the cumulative maximum', () => {
+      const lock = buildLock({ extensionHistory: [{ extensionDays: 10 }, { extensionDays: 10 }] });
+
+      expect(() => lockExtensionService.quote(lock, 15, EXTENSION_POLICIES.conventional, null))
+        .toThrow('Extension would exceed the 30-day maximum (20 days already used)');
+      expect(lockExtensionService.quote(lock, 10, EXTENSION_POLICIES.conventional, null).cumulativeDays).toBe(30);
+    });
+
+    it('takes the cost off the investor base price', () => {
+      const lock = buildLock({ pricing: { extensionCost: 0.1 } });
+
+      const result = lockExtensionService.quote(lock, 5, EXTENSION_POLICIES.conventional, investorProduct());
+
+      expect(result).toMatchObject({ points: 0.1, amount: 400, extensionCost: 0.2, basePrice: 100.5, finalPrice: 100.3 });
+      expect(result.newExpiration).toEqual(new Date(expiresAt.getTime() + 5 * DAY_MS));
+    });
+  });
+
+  describe('getQuotes', () => {
+    it('lists the increments still available', async () => {
+      mockProduct(null);
+      const lock = buildLock({ extensionHistory: [{ extensionDays: 15 }] });
+
+      const result = await lockExtensionService.getQuotes(lock);
+
+      expect(result.remainingDays).toBe(15);
+      expect(result.quotes.map((q) => q.extensionDays)).toEqual([5, 10, 15]);
+      expect(result.quotes[0].finalPrice).toBe(99.9);
+    });
+
+    it('uses a product policy override', async () => {
+      mockProduct(investorProduct({
+        extensionPolicy: { increments: [7], maxCumulativeDays: 7, pricing: { type: 'per_day', pointsPerDay: 0.05 } },
+      }));
+
+      const result = await lockExtensionService.getQuotes(buildLock());
+
+      expect(result.quotes).toHaveLength(1);
+      expect(result.quotes[0]).toMatchObject({ extensionDays: 7, points: 0.35 });
+    });
+  });
+
+  describe('extend', () => {
+    it('records the cost on the extension history and final price', async () => {
+      mockProduct(investorProduct());
+      const lock = buildLock({ expiryWarnings: [{ daysOut: 7 }] });
+
+      await lockExtensionService.extend(lock, { actor: { _id: 'user-1' }, extensionDays: 10, reason: 'Appraisal delay' });
+
+      expect(lock.status).toBe('extended');
+      expect(lock.extensionHistory[0]).toMatchObject({ extensionDays: 10, extensionCost: 0.2, extensionFee: 800, pricingType: 'per_day' });
+      expect(lock.pricing).toEqual({ basePrice: 100.5, extensionCost: 0.2, finalPrice: 100.3 });
+      expect(lock.expiryWarnings).toEqual([]);
+      expect(audit).toHaveBeenCalledWith(expect.objectContaining({ action: 'rateLock.extend' }), undefined);
+    });
+  });
+});
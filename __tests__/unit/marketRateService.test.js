@@ -0,0 +1,91 @@
+jest.mock('../../src/models/RateSnapshot', () => ({ find: jest.fn(), insertMany: jest.fn() }));
+jest.mock('../../src/utils/audit', () => ({ audit: jest.fn() }));
+
+const RateSnapshot = require('../../src/models/RateSnapshot');
+const { audit } = require('../../src/utils/audit');
+const marketRateService = require('../../src/services/marketRateService');
+
+const actor = { _id: 'admin-1' };
+
+// Resolves a find(...).sort(...).lean() chain
+const chain = (result) => ({ sort: () => ({ lean: jest.fn().mockResolvedValue(result) }) });
+
+describe('marketRateService', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  describe('importRates', () => {
+    it('imports CSV survey rates as benchmark snapshots', async () => {
+      const csv = [
+        'source,benchmarkName,productType,loanTerm,rate,points,effectiveDate',
+        'market_index,"Freddie Mac PMMS, weekly",conventional,30,6.72,0.7,2099-03-19',
+        'competitor,Acme Lending,conventional,15,5.875,,2000-01-06',
+      ].join('\r\n');
+
+      const result = await marketRateService.importRates({ csv }, { actor });
+
+      expect(result).toEqual({ imported: 2, current: 1 });
+      const [snapshots] = RateSnapshot.insertMany.mock.calls[0];
+      expect(snapshots[0]).toMatchObject({
+        source: 'market_index',
+        benchmarkName: 'Freddie Mac PMMS, weekly',
+        loanTerm: 30,
+        rate: 6.72,
+        points: 0.7,
+        loanPurpose: 'purchase',
+        isActive: true,
+      });
+      // Back-dated history is kept but not current
+      expect(snapshots[1]).toMatchObject({ benchmarkName: 'Acme Lending', points: 0, isActive: false });
+      expect(audit).toHaveBeenCalledWith(expect.objectContaining({ action: 'marketRates.import' }), undefined);
+    });
+
+    it('rejects the whole batch when any row is invalid', async () => {
+      const rows = [
+        { benchmarkName: 'Acme Lending', productType: 'conventional', loanTerm: 30, rate: 6.5 },
+        { source: 'optimal_blue', productType: 'conventional', loanTerm: 25, rate: 65 },
+      ];
+
+      await expect(marketRateService.importRates({ rows }, { actor })).rejects.toMatchObject({
+        status: 400,
+        errors: [{ row: 2, messages: expect.arrayContaining(['benchmarkName is required', 'loanTerm must be one of 15, 20, 30']) }],
+      });
+      await expect(marketRateService.importRates({ rows: [] }, { actor })).rejects.toMatchObject({ status: 400 });
+      expect(RateSnapshot.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getMarketPosition', () => {
+    it('flags products priced out of market against the latest benchmarks', async () => {
+      RateSnapshot.find.mockImplementation(({ source }) => chain(source.$in.includes('competitor')
+        ? [
+          { source: 'competitor', benchmarkName: 'Acme Lending', productType: 'conventional', loanTerm: 30, rate: 6.375 },
+          { source: 'market_index', benchmarkName: 'PMMS', productType: 'conventional', loanTerm: 30, rate: 6.625 },
+          // Older Acme rate is superseded
+          { source: 'competitor', benchmarkName: 'Acme Lending', productType: 'conventional', loanTerm: 30, rate: 7 },
+          { source: 'competitor', benchmarkName: 'Acme Lending', productType: 'conventional', loanTerm: 15, rate: 5.875 },
+        ]
+        : [
+          { productType: 'conventional', loanTerm: 30, rate: 6.25, points: 1 },
+          { productType: 'conventional', loanTerm: 30, rate: 6.75, points: 0 },
+          { productType: 'conventional', loanTerm: 15, rate: 5.875, points: 0 },
+          { productType: 'fha', loanTerm: 30, rate: 6.125, points: 0 },
+        ]));
+
+      const position = await marketRateService.getMarketPosition();
+
+      expect(position.comparisons).toHaveLength(2);
+      expect(position.outOfMarket).toEqual([
+        expect.objectContaining({
+          productType: 'conventional',
+          loanTerm: 30,
+          ourRate: 6.75,
+          marketAverage: 6.5,
+          spread: 0.25,
+          position: 'above_market',
+          lowestCompetitor: { name: 'Acme Lending', rate: 6.375 },
+        }),
+      ]);
+      expect(position.comparisons[1]).toMatchObject({ loanTerm: 15, spread: 0, position: 'in_market' });
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const paymentService = require('../../src/services/paymentService');
+const mortgageInsuranceService = require('../../src/services/mortgageInsuranceService');
+
+const loan = { rate: 6.5, termYears: 30, taxesAnnual: 4800, insuranceAnnual: 1200 };
+
+describe('paymentService.calculatePayment', () => {
+  it('adds PMI to low-down-payment conventional loans and drops it at 78% LTV', () => {
+    const payment = paymentService.calculatePayment({ ...loan, baseLoanAmount: 380000, propertyValue: 400000 });
+    const { schedule } = payment.amortization;
+    const endMonth = payment.mortgageInsurance.endMonth;
+
+    expect(payment.mortgageInsurance.monthlyPremium).toBeGreaterThan(0);
+    expect(payment.totalMonthly).toBeCloseTo(
+      payment.principalAndInterest + payment.mortgageInsurance.monthlyPremium + payment.escrow.monthly,
+      1
+    );
+    expect(schedule[endMonth - 1].mortgageInsurance).toBeGreaterThan(0);
+    expect(schedule[endMonth].mortgageInsurance).toBe(0);
+    expect(schedule[endMonth - 2].balance).toBeGreaterThan(400000 * 0.78);
+    expect(schedule[endMonth - 1].balance).toBeLessThanOrEqual(400000 * 0.78);
+  });
+
+  it('prices PMI by credit tier', () => {
+    const strong = mortgageInsuranceService.calculate('conventional', { baseLoanAmount: 360000, propertyValue: 400000, creditScore: 780 });
+    const weak = mortgageInsuranceService.calculate('conventional', { baseLoanAmount: 360000, propertyValue: 400000, creditScore: 650 });
+    const unknown = mortgageInsuranceService.calculate('conventional', { baseLoanAmount: 360000, propertyValue: 400000 });
+
+    expect(strong.annualRate).toBeLessThan(unknown.annualRate);
+    expect(weak.annualRate).toBeGreaterThan(unknown.annualRate);
+  });
+
+  it('finances FHA upfront MIP and charges annual MIP for the life of a high-LTV loan', () => {
+    const payment = paymentService.calculatePayment({ ...loan, productType: 'fha', baseLoanAmount: 386000, propertyValue: 400000 });
+
+    expect(payment.loanAmount).toBe(392755);
+    expect(payment.mortgageInsurance.durationMonths).toBeNull();
+    expect(payment.mortgageInsurance.endMonth).toBe(360);
+  });
+
+  it('stops FHA MIP after 11 years at or below 90% LTV', () => {
+    const payment = paymentService.calculatePayment({ ...loan, productType: 'fha', baseLoanAmount: 360000, propertyValue: 400000 });
+
+    expect(payment.mortgageInsurance.durationMonths).toBe(132);
+    expect(payment.mortgageInsurance.endMonth).toBe(132);
+  });
+
+  it('has no monthly premium on VA loans', () => {
+    const payment = paymentService.calculatePayment({ ...loan, productType: 'va', baseLoanAmount: 400000, propertyValue: 400000 });
+
+    expect(payment.mortgageInsurance).toMatchObject({ type: 'funding_fee', upfrontFee: 8600, monthlyPremium: 0, endMonth: null });
+    expect(payment.loanAmount).toBe(408600);
+  });
+
+  it('caps the escrow cushion at two months', () => {
+    const payment = paymentService.calculatePayment({ ...loan, baseLoanAmount: 300000, escrowCushionMonths: 6 });
+
+    expect(payment.mortgageInsurance).toBeNull();
+    expect(payment.escrow).toMatchObject({ monthly: 500, cushionMonths: 2, cushion: 1000 });
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('../../src/models/User', () => ({
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+}));
+jest.mock('express-validator', () => ({
+  validationResult: jest.fn(),
+}));
+
+const User = require('../../src/models/User');
+const { validationResult } = require('express-validator');
+const rateAlertController = require('../../src/controllers/rateAlertController');
+
+const makeRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// authenticate puts the User document on req.user; it has _id but no userId
+const makeReq = (body = {}) => ({
+  user: { _id: '507f1f77bcf86cd799439011', name: 'Bo Rower' },
+  body,
+});
+
+describe('rateAlertController preferences', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    validationResult.mockReturnValue({ isEmpty: () => true });
+  });
+
+  it('reads preferences for the signed-in user', async () => {
+    const req = makeReq();
+    const res = makeRes();
+    const next = jest.fn();
+    User.findById.mockReturnValue({
+      select: () => ({ lean: jest.fn().mockResolvedValue({ rateAlertPreferences: { delivery: 'daily_digest' } }) }),
+    });
+
+    await rateAlertController.getPreferences(req, res, next);
+
+    expect(User.findById).toHaveBeenCalledWith(req.user._id);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      data: expect.objectContaining({ delivery: 'daily_digest', cooldownHours: 24 }),
+    });
+  });
+
+  it('updates only the preferences sent', async () => {
+    const req = makeReq({ delivery: 'weekly_digest', digestDay: 5, ignored: true });
+    const res = makeRes();
+    const next = jest.fn();
+    User.findByIdAndUpdate.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ rateAlertPreferences: { delivery: 'weekly_digest', digestDay: 5 } }),
+    });
+
+    await rateAlertController.updatePreferences(req, res, next);
+
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+      req.user._id,
+      { $set: { 'rateAlertPreferences.delivery': 'weekly_digest', 'rateAlertPreferences.digestDay': 5 } },
+      { new: true, runValidators: true }
+    );
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      data: expect.objectContaining({ delivery: 'weekly_digest', digestDay: 5 }),
+    });
+  });
+});
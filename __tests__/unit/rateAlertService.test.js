@@ -0,0 +1,199 @@
+jest.mock('../../src/models/Notification', () => ({ create: jest.fn() }));
+jest.mock('../../src/services/optimalBlueService', () => ({ getRateSheetCached: jest.fn() }));
+jest.mock('../../src/services/posLinkService', () => ({ generatePOSLink: jest.fn() }));
+jest.mock('../../src/services/smsNotificationService', () => ({ sendRateAlert: jest.fn() }));
+jest.mock('../../src/services/totalExpertService', () => ({ logActivity: jest.fn() }));
+jest.mock('../../src/services/emailService', () => ({ transporter: { sendMail: jest.fn() } }));
+
+const RateAlert = require('../../src/models/RateAlert');
+const User = require('../../src/models/User');
+const Notification = require('../../src/models/Notification');
+const optimalBlueService = require('../../src/services/optimalBlueService');
+const posLinkService = require('../../src/services/posLinkService');
+const totalExpertService = require('../../src/services/totalExpertService');
+const emailService = require('../../src/services/emailService');
+const rateAlertService = require('../../src/services/rateAlertService');
+
+const user = { _id: '507f1f77bcf86cd799439011', name: 'Pat Buyer', email: 'pat@example.com' };
+
+// Friday noon Eastern, outside the default quiet hours
+const NOON_ET = new Date('2026-03-20T16:00:00Z');
+
+function buildAlert(fields, owner = user) {
+  const alert = new RateAlert({
+    user: user._id,
+    productType: 'conventional',
+    loanTerm: 30,
+    loanAmount: 320000,
+    ltv: 80,
+    taxesAnnual: 4800,
+    insuranceAnnual: 1200,
+    notificationMethod: 'push',
+    ...fields,
+  });
+  // Populated as findAlertsToCheck leaves it
+  Object.defineProperty(alert, 'user', { value: owner });
+  jest.spyOn(alert, 'save').mockResolvedValue(alert);
+  return alert;
+}
+
+beforeAll(() => jest.useFakeTimers({ now: NOON_ET }));
+afterAll(() => jest.useRealTimers());
+
+describe('rateAlertService.checkSingleAlert', () => {
+  beforeEach(() => {
+    optimalBlueService.getRateSheetCached.mockResolvedValue([
+      { productType: 'conventional', loanTerm: 30, rate: 6.25, apr: 6.41, points: 0 },
+    ]);
+    posLinkService.generatePOSLink.mockResolvedValue({ redirectUrl: 'https://blend.com/apply?session_id=s1' });
+    totalExpertService.logActivity.mockResolvedValue({ id: 'crm-1' });
+  });
+
+  afterEach(() => jest.clearAllMocks());
+
+  it('triggers a payment target with the computed payment and an apply link', async () => {
+    const alert = buildAlert({ triggerType: 'payment_below', targetPayment: 2500 });
+
+    const result = await rateAlertService.checkSingleAlert(alert);
+
+    // P&I 1970.30 at 6.25% plus $400 taxes and $100 insurance
+    expect(result).toMatchObject({ triggered: true, currentRate: 6.25, apr: 6.41, payment: 2470.3 });
+    expect(alert).toMatchObject({ status: 'triggered', triggeredPayment: 2470.3, triggeredApr: 6.41 });
+    expect(posLinkService.generatePOSLink).toHaveBeenCalledWith(expect.objectContaining({
+      userId: user._id,
+      purpose: 'new_application',
+      source: 'rate_alert',
+    }));
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+      body: 'Estimated payment is now $2,470.30/mo at 6.250%, at or below your $2,500.00 target.',
+      metadata: expect.objectContaining({ monthlyPayment: '2,470.30', applyUrl: 'https://blend.com/apply?session_id=s1' }),
+    }));
+  });
+
+  it('holds a payment target the scenario does not meet', async () => {
+    const alert = buildAlert({ triggerType: 'payment_below', targetPayment: 2400 });
+
+    const result = await rateAlertService.checkSingleAlert(alert);
+
+    expect(result).toMatchObject({ triggered: false, payment: 2470.3 });
+    expect(alert.status).toBe('active');
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+
+  it('triggers when the APR falls below the target', async () => {
+    const alert = buildAlert({ triggerType: 'apr_below', targetApr: 6.5 });
+
+    const result = await rateAlertService.checkSingleAlert(alert);
+
+    expect(result.triggered).toBe(true);
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+      body: 'APR is now 6.410% (rate 6.250%), below your target of 6.500%.',
+    }));
+    expect(totalExpertService.logActivity).toHaveBeenCalledWith(user._id, expect.objectContaining({
+      metadata: expect.objectContaining({ currentApr: 6.41, targetApr: 6.5, currentPayment: 2470.3 }),
+    }));
+  });
+
+  it('holds an instant alert during the owner\'s quiet hours', async () => {
+    // 9 AM Eastern is still 6 AM in Los Angeles
+    jest.setSystemTime(new Date('2026-03-20T13:00:00Z'));
+    const westCoast = { ...user, rateAlertPreferences: { timezone: 'America/Los_Angeles' } };
+    const alert = buildAlert({ triggerType: 'below', targetRate: 6.5 }, westCoast);
+
+    const result = await rateAlertService.checkSingleAlert(alert);
+
+    expect(result).toMatchObject({ triggered: true, delivery: 'quiet_hours' });
+    expect(alert.deliveryPending).toBe(true);
+    expect(Notification.create).not.toHaveBeenCalled();
+    expect(totalExpertService.logActivity).toHaveBeenCalled();
+    jest.setSystemTime(NOON_ET);
+  });
+
+  it('queues digest users and starts the cooldown for re-arming alerts', async () => {
+    const digestUser = { ...user, rateAlertPreferences: { delivery: 'daily_digest', cooldownHours: 12 } };
+    const alert = buildAlert({ triggerType: 'below', targetRate: 6.5, rearm: 'cooldown' }, digestUser);
+
+    const result = await rateAlertService.checkSingleAlert(alert);
+
+    expect(result.delivery).toBe('daily_digest');
+    expect(alert.deliveryPending).toBe(true);
+    expect(alert.rearmAt).toEqual(new Date('2026-03-21T04:00:00Z'));
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+
+  it('keeps a reset alert quiet until the rate moves back past the target', async () => {
+    const alert = buildAlert({ triggerType: 'below', targetRate: 6.5, rearm: 'reset', awaitingReset: true });
+
+    await expect(rateAlertService.checkSingleAlert(alert)).resolves.toMatchObject({ triggered: false, awaitingReset: true });
+
+    optimalBlueService.getRateSheetCached.mockResolvedValue([
+      { productType: 'conventional', loanTerm: 30, rate: 6.75, apr: 6.9, points: 0 },
+    ]);
+    await expect(rateAlertService.checkSingleAlert(alert)).resolves.toMatchObject({ triggered: false, awaitingReset: false });
+    expect(alert.status).toBe('active');
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('rateAlertService.deliverPending', () => {
+  const digestUser = {
+    ...user,
+    rateAlertPreferences: {
+      delivery: 'daily_digest',
+      timezone: 'America/Chicago',
+      digestHour: 8,
+      lastDigestAt: new Date('2026-03-19T13:00:00Z'),
+    },
+  };
+
+  beforeEach(() => {
+    posLinkService.generatePOSLink.mockResolvedValue({ redirectUrl: 'https://blend.com/apply?session_id=s2' });
+    jest.spyOn(User, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([digestUser]) });
+    jest.spyOn(User, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('emails one digest covering triggered and watching alerts', async () => {
+    const triggered = buildAlert({
+      triggerType: 'payment_below',
+      targetPayment: 2500,
+      status: 'triggered',
+      deliveryPending: true,
+      triggerHistory: [{ currentRate: 6.25, currentApr: 6.41, currentPayment: 2470.3 }],
+    }, digestUser);
+    const watching = buildAlert({ triggerType: 'below', targetRate: 6, lastCheckedRate: 6.25 }, digestUser);
+    jest.spyOn(RateAlert, 'find')
+      // Instant alerts held for quiet hours
+      .mockReturnValueOnce({ populate: jest.fn().mockResolvedValue([]) })
+      .mockReturnValueOnce({ sort: () => ({ populate: jest.fn().mockResolvedValue([triggered, watching]) }) });
+
+    const result = await rateAlertService.deliverPending();
+
+    expect(result).toEqual({ sent: 0, digests: 1, failed: 0 });
+    const mail = emailService.transporter.sendMail.mock.calls[0][0];
+    expect(mail.subject).toBe('Your daily rate alert digest');
+    expect(mail.html).toContain('1 of your 2 rate alerts triggered since your last digest.');
+    expect(mail.html).toContain('Estimated payment is now $2,470.30/mo at 6.250%, at or below your $2,500.00 target.');
+    expect(mail.html).toContain('Watching for rate at or below 6.000%, currently 6.250%.');
+    expect(triggered).toMatchObject({ deliveryPending: false, notificationSent: true });
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: user._id },
+      { $set: { 'rateAlertPreferences.lastDigestAt': NOON_ET } }
+    );
+  });
+
+  it('skips a digest already sent today in the user\'s timezone', async () => {
+    const sentToday = {
+      ...digestUser,
+      rateAlertPreferences: { ...digestUser.rateAlertPreferences, lastDigestAt: new Date('2026-03-20T14:00:00Z') },
+    };
+    User.find.mockReturnValue({ select: jest.fn().mockResolvedValue([sentToday]) });
+    jest.spyOn(RateAlert, 'find').mockReturnValueOnce({ populate: jest.fn().mockResolvedValue([]) });
+
+    const result = await rateAlertService.deliverPending();
+
+    expect(result.digests).toBe(0);
+    expect(emailService.transporter.sendMail).not.toHaveBeenCalled();
+  });
+});
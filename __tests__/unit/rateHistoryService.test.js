@@ -0,0 +1,99 @@
+jest.mock('../../src/models/RateSnapshot', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/RateHistoryDaily', () => ({
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+}));
+
+const RateSnapshot = require('../../src/models/RateSnapshot');
+const RateHistoryDaily = require('../../src/models/RateHistoryDaily');
+const rateHistoryService = require('../../src/services/rateHistoryService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const day = new Date('2026-03-20T00:00:00Z');
+const daysBefore = (n) => new Date(day.getTime() - n * DAY_MS);
+
+// Resolves a find(...).sort(...).lean() chain
+const chain = (result) => ({ sort: () => ({ lean: jest.fn().mockResolvedValue(result) }) });
+
+describe('rateHistoryService', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  describe('buildDailyBar', () => {
+    it('tracks the par rate through the day and ignores buy-downs', () => {
+      const bar = rateHistoryService.buildDailyBar([
+        { rate: 6.5, apr: 6.6, points: 0 },
+        { rate: 6.25, apr: 6.45, points: 1 },
+        { rate: 6.625, apr: 6.7, points: 0 },
+        { rate: 6.375, apr: 6.5, points: 0 },
+      ]);
+
+      expect(bar).toEqual({ open: 6.5, high: 6.625, low: 6.375, close: 6.375, apr: 6.5, points: 0, samples: 3 });
+    });
+  });
+
+  describe('withIndicators', () => {
+    it('computes day and week change, moving averages and volatility', () => {
+      const history = [
+        { date: daysBefore(8), close: 6.75, changeDay: null },
+        { date: daysBefore(7), close: 6.625, changeDay: -0.125 },
+        { date: daysBefore(2), close: 6.625, changeDay: 0 },
+        { date: daysBefore(1), close: 6.625, changeDay: 0 },
+      ];
+
+      const bar = rateHistoryService.withIndicators({ date: day, close: 6.5 }, history);
+
+      expect(bar.changeDay).toBe(-0.125);
+      expect(bar.changeWeek).toBe(-0.125);
+      // 7-day window holds the last two days and today
+      expect(bar.movingAverage7).toBe(6.583);
+      expect(bar.movingAverage30).toBe(6.625);
+      expect(bar.volatility30).toBe(0.063);
+    });
+
+    it('leaves changes empty for the first bar of a series', () => {
+      const bar = rateHistoryService.withIndicators({ date: day, close: 6.5 }, []);
+
+      expect(bar).toMatchObject({ changeDay: null, changeWeek: null, movingAverage7: 6.5, volatility30: null });
+    });
+  });
+
+  describe('describeTrend', () => {
+    it('summarizes the weekly move', () => {
+      const series = { productType: 'conventional', loanTerm: 30 };
+
+      expect(rateHistoryService.describeTrend(series, { close: 6.5, changeWeek: -0.125 }))
+        .toBe('CONVENTIONAL 30-year rates dropped 0.125 this week to 6.5%.');
+      expect(rateHistoryService.describeTrend({ productType: 'conventional', loanTerm: 30, armType: '7/6' }, { close: 6, changeWeek: 0.25 }))
+        .toBe('CONVENTIONAL 7/6 ARM rates rose 0.25 this week to 6%.');
+      expect(rateHistoryService.describeTrend(series, { close: 6.5, changeWeek: null }))
+        .toBe('CONVENTIONAL 30-year rates are at 6.5%.');
+    });
+  });
+
+  describe('aggregateDay', () => {
+    it('writes one bar per product/term from our own pricing', async () => {
+      RateSnapshot.find.mockReturnValue(chain([
+        { productType: 'conventional', loanTerm: 30, rate: 6.5, apr: 6.6, points: 0 },
+        { productType: 'conventional', loanTerm: 15, rate: 5.75, apr: 5.9, points: 0 },
+        { productType: 'conventional', loanTerm: 30, rate: 6.25, apr: 6.45, points: 1 },
+      ]));
+      RateHistoryDaily.find.mockImplementation(({ loanTerm }) =>
+        chain(loanTerm === 30 ? [{ date: daysBefore(7), close: 6.625, changeDay: 0 }] : [])
+      );
+
+      const result = await rateHistoryService.aggregateDay(new Date('2026-03-20T15:30:00Z'));
+
+      expect(result.series).toBe(2);
+      expect(RateSnapshot.find).toHaveBeenCalledWith(expect.objectContaining({
+        effectiveDate: { $gte: day, $lt: daysBefore(-1) },
+        source: { $in: ['optimal_blue', 'manual'] },
+      }));
+      expect(RateHistoryDaily.findOneAndUpdate).toHaveBeenCalledWith(
+        { productType: 'conventional', loanTerm: 30, armType: null, date: day },
+        expect.objectContaining({ close: 6.5, samples: 1, changeDay: -0.125, changeWeek: -0.125 }),
+        { upsert: true, new: true }
+      );
+    });
+  });
+});
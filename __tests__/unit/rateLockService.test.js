@@ -0,0 +1,246 @@
+jest.mock('../../src/models/RateLock', () => {
+  const RateLock = jest.fn(function RateLock(doc) {
+    Object.assign(this, { _id: 'lock-2', ...doc });
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  RateLock.find = jest.fn();
+  RateLock.exists = jest.fn();
+  return RateLock;
+});
+jest.mock('../../src/models/RateSnapshot', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/models/Notification', () => ({ create: jest.fn() }));
+jest.mock('../../src/services/optimalBlueService', () => ({
+  getRateLockDetails: jest.fn(),
+  releaseRateLock: jest.fn(),
+}));
+jest.mock('../../src/utils/audit', () => ({ audit: jest.fn() }));
+jest.mock('../../src/services/lockDeskService', () => ({
+  reviewReasons: jest.fn(() => []),
+  queue: jest.requireActual('../../src/services/lockDeskService').queue,
+  notifyQueued: jest.fn(),
+}));
+
+const RateLock = require('../../src/models/RateLock');
+const RateSnapshot = require('../../src/models/RateSnapshot');
+const Notification = require('../../src/models/Notification');
+const optimalBlueService = require('../../src/services/optimalBlueService');
+const { audit } = require('../../src/utils/audit');
+const lockDeskService = require('../../src/services/lockDeskService');
+const rateLockService = require('../../src/services/rateLockService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-10T15:00:00Z');
+const officer = { _id: 'user-1', role: { slug: 'LO_RETAIL' } };
+
+function buildLock(overrides = {}) {
+  return {
+    _id: 'lock-1',
+    loan: { _id: 'loan-1', borrower: 'user-2', assignedOfficer: 'user-1' },
+    borrower: 'user-2',
+    lockedBy: 'user-1',
+    rateSnapshot: 'snapshot-1',
+    lockedRate: 6.5,
+    lockedAPR: 6.62,
+    points: 0,
+    lockPeriod: 30,
+    lockExpiresAt: new Date(now.getTime() + 10 * DAY_MS),
+    status: 'confirmed',
+    productType: 'conventional',
+    loanTerm: 30,
+    loanAmount: 400000,
+    pricing: { baseRate: 6.5 },
+    expiryWarnings: [],
+    floatDownHistory: [],
+    set: jest.fn(),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides,
+  };
+}
+
+function mockLockQuery(locks) {
+  RateLock.find.mockReturnValue({ populate: jest.fn().mockResolvedValue(locks) });
+}
+
+function mockMarketRate(snapshot) {
+  RateSnapshot.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(snapshot) });
+}
+
+describe('rateLockService', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  describe('sendExpiryWarnings', () => {
+    it('warns the LO and borrower once per threshold', async () => {
+      const lock = buildLock({ lockExpiresAt: new Date(now.getTime() + 2.5 * DAY_MS) });
+      mockLockQuery([lock]);
+
+      await expect(rateLockService.sendExpiryWarnings(now)).resolves.toBe(1);
+      expect(lock.expiryWarnings).toEqual([{ daysOut: 3, sentAt: now }]);
+      expect(Notification.create.mock.calls.map(([n]) => n.user)).toEqual(['user-1', 'user-2']);
+
+      await expect(rateLockService.sendExpiryWarnings(now)).resolves.toBe(0);
+    });
+
+    it('sends the next threshold after an earlier warning', async () => {
+      const lock = buildLock({
+        lockExpiresAt: new Date(now.getTime() + 0.5 * DAY_MS),
+        expiryWarnings: [{ daysOut: 7 }, { daysOut: 3 }],
+      });
+      mockLockQuery([lock]);
+
+      await expect(rateLockService.sendExpiryWarnings(now)).resolves.toBe(1);
+      expect(lock.expiryWarnings[2].daysOut).toBe(1);
+    });
+  });
+
+  describe('expireLocks', () => {
+    it('expires lapsed locks and audits them', async () => {
+      const lock = buildLock({ lockExpiresAt: new Date(now.getTime() - DAY_MS) });
+      mockLockQuery([lock]);
+
+      await expect(rateLockService.expireLocks(now)).resolves.toBe(1);
+      expect(lock.status).toBe('expired');
+      expect(lock.expiredAt).toBe(now);
+      expect(audit).toHaveBeenCalledWith(expect.objectContaining({ action: 'rateLock.expire', entityId: 'lock-1' }));
+      expect(Notification.create).toHaveBeenCalledTimes(2);
+    });
+
+    it('takes a later expiration from Optimal Blue instead of expiring', async () => {
+      const extendedTo = new Date(now.getTime() + 5 * DAY_MS);
+      const lock = buildLock({ optimalBlueLockId: 'ob-1', lockExpiresAt: new Date(now.getTime() - DAY_MS) });
+      mockLockQuery([lock]);
+      optimalBlueService.getRateLockDetails.mockResolvedValue({ status: 'confirmed', rate: 6.5, lockExpiresAt: extendedTo });
+
+      await expect(rateLockService.expireLocks(now)).resolves.toBe(0);
+      expect(lock.status).toBe('confirmed');
+      expect(lock.lockExpiresAt).toBe(extendedTo);
+      expect(lock.reconciliation.discrepancies).toHaveLength(1);
+    });
+  });
+
+  describe('release', () => {
+    it('releases in Optimal Blue and records reconciliation', async () => {
+      const lock = buildLock({ optimalBlueLockId: 'ob-1' });
+      optimalBlueService.getRateLockDetails.mockResolvedValue({ status: 'confirmed', rate: 6.5, lockExpiresAt: lock.lockExpiresAt });
+
+      await rateLockService.release(lock, { actor: officer, reason: 'Borrower withdrew' });
+
+      expect(optimalBlueService.releaseRateLock).toHaveBeenCalledWith('ob-1', 'Borrower withdrew');
+      expect(lock.status).toBe('released');
+      expect(lock.reconciliation.discrepancies).toEqual(['status: released locally, confirmed in Optimal Blue']);
+      expect(audit).toHaveBeenCalledWith(expect.objectContaining({ action: 'rateLock.release' }), undefined);
+    });
+
+    it('rejects locks that are not active', async () => {
+      await expect(rateLockService.release(buildLock({ status: 'expired' }), { actor: officer, reason: 'x' }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('relock', () => {
+    it('keeps the original rate when the market has improved', async () => {
+      RateLock.exists.mockResolvedValue(null);
+      mockMarketRate({ _id: 'snapshot-2', rate: 6.25, apr: 6.37, points: 0 });
+
+      const result = await rateLockService.relock(buildLock({ status: 'expired' }), { actor: officer });
+
+      expect(result.pricedFrom).toBe('original');
+      expect(result.lock.lockedRate).toBe(6.5);
+      expect(result.lock.relockOf).toBe('lock-1');
+      expect(result.lock.status).toBe('confirmed');
+      expect(lockDeskService.notifyQueued).not.toHaveBeenCalled();
+    });
+
+    it('queues the relock for the lock desk like a new submission', async () => {
+      RateLock.exists.mockResolvedValue(null);
+      lockDeskService.reviewReasons.mockReturnValueOnce(['exception_product']);
+      mockMarketRate({ _id: 'snapshot-2', rate: 6.25, apr: 6.37, points: 0 });
+
+      const result = await rateLockService.relock(buildLock({ status: 'expired', productType: 'jumbo' }), { actor: officer });
+
+      expect(lockDeskService.reviewReasons).toHaveBeenCalledWith({ productType: 'jumbo' }, expect.any(Date));
+      expect(result.lock.status).toBe('pending');
+      expect(result.lock.lockDesk).toMatchObject({ state: 'queued', request: 'relock', reasons: ['exception_product'] });
+      expect(lockDeskService.notifyQueued).toHaveBeenCalledWith(result.lock);
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ title: 'Rate relock submitted' }));
+    });
+
+    it('prices cash-out locks from cash-out snapshots', async () => {
+      RateLock.exists.mockResolvedValue(null);
+      mockMarketRate({ _id: 'snapshot-2', rate: 6.875, apr: 7.0, points: 0 });
+
+      const result = await rateLockService.relock(
+        buildLock({ status: 'expired', loanPurpose: 'cashout_refinance' }),
+        { actor: officer }
+      );
+
+      expect(RateSnapshot.findOne).toHaveBeenCalledWith(expect.objectContaining({ loanPurpose: 'cash_out_refinance' }));
+      expect(result.lock.lockedRate).toBe(6.875);
+    });
+
+    it('uses the market rate when it is worse', async () => {
+      RateLock.exists.mockResolvedValue(null);
+      mockMarketRate({ _id: 'snapshot-2', rate: 6.875, apr: 7.0, points: 0 });
+
+      const result = await rateLockService.relock(buildLock({ status: 'released' }), { actor: officer, lockPeriod: 45 });
+
+      expect(result.pricedFrom).toBe('market');
+      expect(result.lock.lockedRate).toBe(6.875);
+      expect(result.lock.rateSnapshot).toBe('snapshot-2');
+      expect(result.lock.lockPeriod).toBe(45);
+    });
+
+    it('rejects active or already relocked locks', async () => {
+      await expect(rateLockService.relock(buildLock(), { actor: officer })).rejects.toMatchObject({ status: 409 });
+
+      RateLock.exists.mockResolvedValue({ _id: 'lock-2' });
+      await expect(rateLockService.relock(buildLock({ status: 'expired' }), { actor: officer }))
+        .rejects.toMatchObject({ status: 409 });
+      // A relock the lock desk denied doesn't block another
+      expect(RateLock.exists).toHaveBeenCalledWith({ relockOf: 'lock-1', status: { $ne: 'cancelled' } });
+    });
+  });
+
+  describe('floatDown', () => {
+    // Float-downs check the expiration against the current time
+    const activeLock = () => buildLock({ lockExpiresAt: new Date(Date.now() + 10 * DAY_MS) });
+
+    it('moves the lock to the market rate once', async () => {
+      const lock = activeLock();
+      mockMarketRate({ _id: 'snapshot-2', rate: 6.125, apr: 6.24, points: 0 });
+
+      await rateLockService.floatDown(lock, { actor: officer });
+
+      expect(lock.lockedRate).toBe(6.125);
+      expect(lock.floatDownHistory[0]).toMatchObject({ previousRate: 6.5, newRate: 6.125 });
+      await expect(rateLockService.floatDown(lock, { actor: officer })).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('holds the float-down for the lock desk without repricing the lock', async () => {
+      const lock = activeLock();
+      lockDeskService.reviewReasons.mockReturnValueOnce(['outside_lock_hours']);
+      mockMarketRate({ _id: 'snapshot-2', rate: 6.125, apr: 6.24, points: 0 });
+
+      await rateLockService.floatDown(lock, { actor: officer });
+
+      expect(lock.status).toBe('confirmed');
+      expect(lock.lockedRate).toBe(6.5);
+      expect(lock.floatDownHistory).toHaveLength(0);
+      expect(lock.lockDesk).toMatchObject({
+        state: 'queued',
+        request: 'float_down',
+        floatDown: { rate: 6.125, apr: 6.24, rateSnapshot: 'snapshot-2', requestedBy: 'user-1' },
+      });
+      expect(lockDeskService.notifyQueued).toHaveBeenCalledWith(lock);
+      expect(audit).toHaveBeenCalledWith(expect.objectContaining({ action: 'rateLock.floatDown.queued' }), undefined);
+      await expect(rateLockService.floatDown(lock, { actor: officer }))
+        .rejects.toMatchObject({ status: 409, message: 'A float-down is already awaiting lock desk review' });
+    });
+
+    it('requires the minimum improvement', async () => {
+      mockMarketRate({ _id: 'snapshot-2', rate: 6.375, apr: 6.5, points: 0 });
+
+      await expect(rateLockService.floatDown(activeLock(), { actor: officer }))
+        .rejects.toMatchObject({ status: 409, message: expect.stringContaining('at least 0.25') });
+    });
+  });
+});
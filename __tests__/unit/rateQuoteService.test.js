@@ -0,0 +1,210 @@
+jest.mock('../../src/services/optimalBlueService', () => ({ getRateSheetCached: jest.fn() }));
+jest.mock('../../src/models/LoanApplication', () => ({ create: jest.fn() }));
+jest.mock('../../src/models/Notification', () => ({ create: jest.fn() }));
+jest.mock('../../src/models/ReferralSource', () => ({ findById: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../src/services/pdfGenerationService', () => ({ generateRateQuote: jest.fn() }));
+jest.mock('../../src/services/azureBlobService', () => ({
+  uploadFile: jest.fn(),
+  downloadFile: jest.fn(),
+  generateSasUrl: jest.fn(),
+}));
+jest.mock('../../src/services/emailService', () => ({ sendRateQuote: jest.fn() }));
+jest.mock('../../src/services/smsService', () => ({ sendRateQuoteLink: jest.fn() }));
+jest.mock('../../src/utils/audit', () => ({ audit: jest.fn() }));
+
+const optimalBlueService = require('../../src/services/optimalBlueService');
+const LoanApplication = require('../../src/models/LoanApplication');
+const Notification = require('../../src/models/Notification');
+const ReferralSource = require('../../src/models/ReferralSource');
+const User = require('../../src/models/User');
+const pdfGenerationService = require('../../src/services/pdfGenerationService');
+const azureBlobService = require('../../src/services/azureBlobService');
+const emailService = require('../../src/services/emailService');
+const smsService = require('../../src/services/smsService');
+const { audit } = require('../../src/utils/audit');
+const rateQuoteService = require('../../src/services/rateQuoteService');
+
+const mockUsers = (users) => {
+  User.findById.mockImplementation((id) => ({ select: jest.fn().mockResolvedValue(users[id] || null) }));
+};
+
+const rateSheet = [
+  { productType: 'conventional', loanTerm: 30, rate: 6.875, apr: 6.9, points: -0.5, lockPeriod: 30, optimalBlueRateId: 'r1' },
+  { productType: 'conventional', loanTerm: 30, rate: 6.5, apr: 6.6, points: 0, lockPeriod: 30, optimalBlueRateId: 'r2' },
+  { productType: 'conventional', loanTerm: 30, rate: 6.25, apr: 6.45, points: 1, lockPeriod: 30, optimalBlueRateId: 'r3' },
+  { productType: 'conventional', loanTerm: 15, rate: 5.75, apr: 5.9, points: 0, lockPeriod: 30, optimalBlueRateId: 'r4' },
+  { productType: 'conventional', loanTerm: 30, armType: '7/6', rate: 6, apr: 6.8, points: 0, lockPeriod: 30, optimalBlueRateId: 'r5' },
+];
+
+const input = {
+  loanAmount: 320000,
+  propertyValue: 400000,
+  loanPurpose: 'purchase',
+  creditScore: 740,
+  state: 'TX',
+  taxesAnnual: 4800,
+  insuranceAnnual: 1200,
+};
+
+function buildQuote(overrides = {}) {
+  const scenario = { _id: 'scenario-1', label: 'CONVENTIONAL 30-year, 0 pts', productType: 'conventional', loanTerm: 30, rate: 6.5 };
+  return {
+    _id: 'quote-1',
+    quoteNumber: 'RQ-2026-000001',
+    loanOfficer: 'lo-1',
+    borrower: 'borrower-1',
+    ...input,
+    propertyType: 'single_family',
+    occupancy: 'primary',
+    status: 'shared',
+    scenarios: Object.assign([scenario], { id: (id) => (id === scenario._id ? scenario : null) }),
+    isExpired: () => false,
+    toObject() { return { ...this }; },
+    markSent: jest.fn().mockResolvedValue(),
+    save: jest.fn().mockResolvedValue(),
+    ...overrides,
+  };
+}
+
+describe('rateQuoteService', () => {
+  afterEach(() => jest.clearAllMocks());
+
+  describe('selectRate', () => {
+    it('takes the rate with the closest points for the product', () => {
+      expect(rateQuoteService.selectRate(rateSheet, { productType: 'conventional', loanTerm: 30, points: 1 }).rate).toBe(6.25);
+      expect(rateQuoteService.selectRate(rateSheet, { productType: 'conventional', loanTerm: 30, points: -1 }).rate).toBe(6.875);
+      expect(rateQuoteService.selectRate(rateSheet, { productType: 'conventional', loanTerm: 30, armType: '7/6' }).rate).toBe(6);
+      expect(rateQuoteService.selectRate(rateSheet, { productType: 'fha', loanTerm: 30 })).toBeNull();
+    });
+  });
+
+  describe('priceScenarios', () => {
+    it('prices payment, APR and cash to close for each scenario', async () => {
+      optimalBlueService.getRateSheetCached.mockResolvedValue(rateSheet);
+
+      const [thirty, fifteen] = await rateQuoteService.priceScenarios(input, [
+        { productType: 'conventional', loanTerm: 30, points: 1 },
+        { productType: 'conventional', loanTerm: 15 },
+      ]);
+
+      expect(optimalBlueService.getRateSheetCached).toHaveBeenCalledWith(
+        expect.objectContaining({ loanAmount: 320000, ltv: 80, creditScore: 740, loanTerm: 30 })
+      );
+      expect(thirty).toMatchObject({ label: 'CONVENTIONAL 30-year, 1 pts', rate: 6.25, points: 1, optimalBlueRateId: 'r3' });
+      expect(thirty.payment).toMatchObject({ principalAndInterest: 1970.3, taxes: 400, insurance: 100 });
+      expect(thirty.payment.total).toBe(2470.3);
+      expect(thirty.apr).toBeGreaterThan(6.25);
+      // Down payment plus closing costs, which include the 1% discount points
+      expect(thirty.cashToClose).toBeCloseTo(80000 + thirty.closingCosts, 2);
+      expect(thirty.closingCosts).toBeGreaterThan(3200);
+      expect(fifteen.payment.principalAndInterest).toBeGreaterThan(thirty.payment.principalAndInterest);
+    });
+
+    it('rejects an empty or oversized scenario list', async () => {
+      const scenarios = Array(rateQuoteService.MAX_SCENARIOS + 1).fill({ productType: 'conventional', loanTerm: 30 });
+
+      await expect(rateQuoteService.priceScenarios(input, scenarios)).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('reports products with no rate and an unavailable Optimal Blue', async () => {
+      optimalBlueService.getRateSheetCached.mockResolvedValueOnce(rateSheet);
+      await expect(rateQuoteService.priceScenarios(input, [{ productType: 'fha', loanTerm: 30 }]))
+        .rejects.toMatchObject({ status: 422, message: 'No pricing available for FHA 30-year, 0 pts' });
+
+      optimalBlueService.getRateSheetCached.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+      await expect(rateQuoteService.priceScenarios(input, [{ productType: 'conventional', loanTerm: 30 }]))
+        .rejects.toMatchObject({ status: 502 });
+    });
+  });
+
+  describe('share', () => {
+    it('notifies the borrower in the app', async () => {
+      const quote = buildQuote({ status: 'draft', borrower: undefined });
+
+      await rateQuoteService.share(quote, { actor: { _id: 'lo-1' }, borrower: 'borrower-2' });
+
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ user: 'borrower-2', type: 'info' }));
+      expect(quote.markSent).toHaveBeenCalledWith('app', 'borrower-2', 'lo-1');
+      expect(audit).toHaveBeenCalledWith(expect.objectContaining({ action: 'rateQuote.share' }), undefined);
+    });
+
+    it('emails a co-branded PDF to the borrower', async () => {
+      mockUsers({
+        'borrower-1': { name: 'Pat Buyer', email: 'pat@example.com' },
+        'lo-1': { name: 'Lee Officer', nmls: '123456' },
+      });
+      ReferralSource.findById.mockResolvedValue({
+        status: 'active',
+        isCoBrandingEnabled: (feature) => feature === 'rate_quote',
+        getBrandingConfig: () => ({ name: 'Jo Agent', companyName: 'Acme Realty', logo: 'acme.png', primaryColor: '#111111' }),
+        coBrandingSettings: { customDisclaimer: 'Acme Realty is not a lender.' },
+      });
+      pdfGenerationService.generateRateQuote.mockResolvedValue(Buffer.from('pdf'));
+      azureBlobService.uploadFile.mockResolvedValue('https://blob/rq.pdf');
+      const quote = buildQuote({ referralSource: 'partner-1' });
+
+      await rateQuoteService.share(quote, { actor: { _id: 'lo-1' }, method: 'email' });
+
+      expect(quote.branding).toMatchObject({ partnerLogo: 'acme.png', partnerName: 'Acme Realty', primaryColor: '#111111' });
+      expect(quote.disclaimers).toEqual([{ text: 'Acme Realty is not a lender.', order: 1 }]);
+      expect(pdfGenerationService.generateRateQuote).toHaveBeenCalledWith(expect.objectContaining({
+        borrowerName: 'Pat Buyer',
+        loanOfficer: expect.objectContaining({ name: 'Lee Officer', nmls: '123456' }),
+      }));
+      expect(azureBlobService.uploadFile).toHaveBeenCalledWith('rate-quotes/quote-1/RQ-2026-000001.pdf', expect.any(Buffer), 'application/pdf');
+      expect(emailService.sendRateQuote).toHaveBeenCalledWith('pat@example.com', expect.any(Object), Buffer.from('pdf'));
+      expect(quote.markSent).toHaveBeenCalledWith('email', 'pat@example.com', 'lo-1');
+    });
+
+    it('texts a read-only download link for the stored PDF', async () => {
+      mockUsers({ 'borrower-1': { name: 'Pat Buyer', phone: '+15555550100' } });
+      azureBlobService.generateSasUrl.mockResolvedValue('https://blob/rq.pdf?sas');
+      const quote = buildQuote({ pdfBlobName: 'rate-quotes/quote-1/RQ-2026-000001.pdf' });
+
+      await rateQuoteService.share(quote, { actor: { _id: 'lo-1' }, method: 'sms' });
+
+      expect(pdfGenerationService.generateRateQuote).not.toHaveBeenCalled();
+      expect(azureBlobService.generateSasUrl).toHaveBeenCalledWith('rate-quotes/quote-1/RQ-2026-000001.pdf', 24 * 60, 'r');
+      expect(smsService.sendRateQuoteLink).toHaveBeenCalledWith('+15555550100', expect.any(Object), 'https://blob/rq.pdf?sas');
+    });
+
+    it('refuses expired and applied quotes', async () => {
+      await expect(rateQuoteService.share(buildQuote({ isExpired: () => true }), { actor: { _id: 'lo-1' } }))
+        .rejects.toMatchObject({ status: 410 });
+      await expect(rateQuoteService.share(buildQuote({ status: 'applied' }), { actor: { _id: 'lo-1' } }))
+        .rejects.toMatchObject({ status: 409 });
+      expect(Notification.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('startApplication', () => {
+    it('creates a loan application from the chosen scenario', async () => {
+      LoanApplication.create.mockResolvedValue({ _id: 'loan-1' });
+      const quote = buildQuote();
+
+      await rateQuoteService.startApplication(quote, { actor: { _id: 'borrower-1' }, scenarioId: 'scenario-1' });
+
+      expect(LoanApplication.create).toHaveBeenCalledWith(expect.objectContaining({
+        borrower: 'borrower-1',
+        assignedOfficer: 'lo-1',
+        amount: 320000,
+        productType: 'conventional',
+        loanTerm: 30,
+        interestRate: 6.5,
+        downPayment: 80000,
+        property: { propertyType: 'single_family', purchasePrice: 400000 },
+      }));
+      expect(quote).toMatchObject({ status: 'applied', loan: 'loan-1', selectedScenario: 'scenario-1' });
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ user: 'lo-1' }));
+    });
+
+    it('allows one application per quote and none once expired', async () => {
+      await expect(rateQuoteService.startApplication(buildQuote({ status: 'applied' }), { actor: {}, scenarioId: 'scenario-1' }))
+        .rejects.toMatchObject({ status: 409 });
+      await expect(rateQuoteService.startApplication(buildQuote({ isExpired: () => true }), { actor: {}, scenarioId: 'scenario-1' }))
+        .rejects.toMatchObject({ status: 409 });
+      expect(LoanApplication.create).not.toHaveBeenCalled();
+    });
+  });
+});
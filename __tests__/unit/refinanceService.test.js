@@ -0,0 +1,65 @@
+const refinanceService = require('../../src/services/refinanceService');
+
+const scenario = {
+  currentBalance: 300000,
+  currentRate: 7.5,
+  remainingMonths: 336,
+  newRate: 6.25,
+  newTermYears: 30,
+  closingCosts: 6000,
+  propertyValue: 450000,
+};
+
+describe('refinanceService.analyze', () => {
+  it('computes monthly savings and the break-even month', () => {
+    const result = refinanceService.analyze(scenario);
+
+    expect(result.current.monthlyPayment).toBeGreaterThan(result.proposed.monthlyPayment);
+    expect(result.monthlySavings).toBeCloseTo(result.current.monthlyPayment - result.proposed.monthlyPayment, 1);
+    expect(result.breakEvenMonth).toBe(Math.ceil(6000 / result.monthlySavings));
+    expect(result.closingCosts).toMatchObject({ amount: 6000, estimated: false, paidAtClosing: 6000 });
+  });
+
+  it('has no break-even when the payment does not drop', () => {
+    const result = refinanceService.analyze({ ...scenario, newRate: 7.5, newTermYears: 15 });
+
+    expect(result.monthlySavings).toBeLessThan(0);
+    expect(result.breakEvenMonth).toBeNull();
+    expect(result.lifetimeInterestDifference).toBeGreaterThan(0);
+  });
+
+  it('finances rolled closing costs into the new loan', () => {
+    const result = refinanceService.analyze({ ...scenario, rollClosingCosts: true });
+
+    expect(result.proposed.loanAmount).toBe(306000);
+    expect(result.closingCosts.paidAtClosing).toBe(0);
+    expect(result.comparison[0].cumulativeSavings).toBeCloseTo(
+      result.comparison[0].current.payments - result.comparison[0].proposed.payments,
+      2
+    );
+  });
+
+  it('limits cash-out by the program maximum LTV', () => {
+    const result = refinanceService.analyze({ ...scenario, cashOut: 100000 });
+
+    expect(result.cashOut.option).toMatchObject({ maxLtv: 80, maxCashOut: 60000, loanAmount: 360000 });
+    expect(result.cashOut.withinLimit).toBe(false);
+    expect(refinanceService.analyze({ ...scenario, productType: 'usda' }).cashOut.option.available).toBe(false);
+  });
+
+  it('compares both loans year by year until the longer one is paid off', () => {
+    const { comparison } = refinanceService.analyze(scenario);
+
+    expect(comparison).toHaveLength(30);
+    expect(comparison[27].current.endingBalance).toBe(0);
+    expect(comparison[28].current.payments).toBe(0);
+    expect(comparison[29].proposed.endingBalance).toBe(0);
+  });
+
+  it('estimates refinance closing costs from the fee templates when omitted', () => {
+    const { closingCosts } = refinanceService.analyze({ ...scenario, closingCosts: undefined, state: 'TX' });
+
+    expect(closingCosts.estimated).toBe(true);
+    expect(closingCosts.amount).toBeGreaterThan(0);
+  });
+});
@@ -37,6 +37,15 @@ describe('uploadMiddleware fileFilter', () => {
     const file = { mimetype: ALLOWED_MIME_TYPES[0], originalname: 'script.exe' };
     fileFilter({}, file, cb);
   });
+
+  it('rejects a declared type that disagrees with the extension', (done) => {
+    const cb = (err) => {
+      expect(err.message).toBe('File type image/png does not match extension .pdf');
+      done();
+    };
+    const file = { mimetype: 'image/png', originalname: 'statement.pdf' };
+    fileFilter({}, file, cb);
+  });
 });
 
 describe('uploadMiddleware handleMulterError', () => {
@@ -26,6 +26,7 @@ const ALL_CAPABILITIES = [
   // ── Rates ─────────────────────────────────────────────────────────────
   { name: 'rates:view', slug: 'rates-view', description: 'View mortgage rates and product pricing', category: 'rates' },
   { name: 'rates:lock', slug: 'rates-lock', description: 'Submit and manage rate lock requests', category: 'rates' },
+  { name: 'rates:lockdesk', slug: 'rates-lockdesk', description: 'Review, approve, deny and counter queued rate lock requests', category: 'rates' },
 
   // ── Alerts ────────────────────────────────────────────────────────────
   { name: 'alerts:manage', slug: 'alerts-manage', description: 'Create, update, and delete rate alerts', category: 'alerts' },
@@ -176,6 +176,7 @@ const ROLES_WITH_CAPABILITIES = [
       // Rates & Alerts
       'rates:view',
       'rates:lock',
+      'rates:lockdesk',
       'alerts:manage',
       // Dashboard & Analytics
       'dashboard:view',
@@ -246,6 +247,7 @@ const ROLES_WITH_CAPABILITIES = [
       // Rates & Alerts
       'rates:view',
       'rates:lock',
+      'rates:lockdesk',
       'alerts:manage',
       // Dashboard & Analytics
       'dashboard:view',
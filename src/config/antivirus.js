@@ -0,0 +1,32 @@
+// Uploaded files are quarantined (avStatus `pending`) until the scanner reports them `clean`.
+// `infected` files are never served or sent to a POS. A scan that fails (scanner down, file
+// not readable yet) is marked `error` and retried by avScanJob up to MAX_SCAN_ATTEMPTS times.
+//
+// AV_SCANNER picks the adapter; `clamd` streams files to a clamd daemon over TCP (INSTREAM).
+
+const AV_STATUSES = ['pending', 'clean', 'infected', 'error'];
+
+const SCANNER = process.env.AV_SCANNER || 'clamd';
+
+const CLAMD = {
+  host: process.env.CLAMD_HOST || '127.0.0.1',
+  port: Number(process.env.CLAMD_PORT || 3310),
+  timeoutMs: Number(process.env.CLAMD_TIMEOUT_MS || 30000),
+};
+
+const MAX_SCAN_ATTEMPTS = 5;
+
+// Files scanned per model on each avScanJob run
+const RESCAN_BATCH_SIZE = 50;
+
+// Give direct-to-blob uploads time to land before the first rescan
+const RESCAN_DELAY_MINUTES = 2;
+
+module.exports = {
+  AV_STATUSES,
+  SCANNER,
+  CLAMD,
+  MAX_SCAN_ATTEMPTS,
+  RESCAN_BATCH_SIZE,
+  RESCAN_DELAY_MINUTES,
+};
@@ -0,0 +1,57 @@
+// Adjustable-rate mortgage products used by rate snapshots, rate alerts and the calculator.
+//
+// ARM types are "<fixed years>/<adjustment months>": a 5/6 ARM is fixed for five years,
+// then adjusts every six months over the rest of a 30-year amortization. Caps are rate
+// percentage points: `initial` limits the first adjustment, `periodic` each later one and
+// `lifetime` the rate over the start rate. The rate never falls below the margin.
+//
+// Adjusted rates are index + margin rounded to the nearest 1/8 point.
+
+const ARM_TYPES = {
+  '5/6': {
+    label: '5/6 ARM',
+    fixedMonths: 60,
+    adjustmentMonths: 6,
+    caps: { initial: 2, periodic: 1, lifetime: 5 },
+  },
+  '7/6': {
+    label: '7/6 ARM',
+    fixedMonths: 84,
+    adjustmentMonths: 6,
+    caps: { initial: 5, periodic: 1, lifetime: 5 },
+  },
+  '10/6': {
+    label: '10/6 ARM',
+    fixedMonths: 120,
+    adjustmentMonths: 6,
+    caps: { initial: 5, periodic: 1, lifetime: 5 },
+  },
+};
+
+const ARM_INDEXES = {
+  sofr_30day_avg: {
+    label: '30-day Average SOFR',
+    // Used when no rate snapshot carries a current index value
+    fallbackValue: 4.3,
+  },
+};
+
+const DEFAULT_ARM_INDEX = 'sofr_30day_avg';
+const DEFAULT_ARM_MARGIN = 2.75;
+const ARM_RATE_ROUNDING = 0.125;
+
+/**
+ * "30-year" for fixed-rate products, "5/6 ARM" for ARMs.
+ */
+function termLabel(loanTerm, armType) {
+  return armType ? ARM_TYPES[armType]?.label || `${armType} ARM` : `${loanTerm}-year`;
+}
+
+module.exports = {
+  ARM_TYPES,
+  ARM_INDEXES,
+  DEFAULT_ARM_INDEX,
+  DEFAULT_ARM_MARGIN,
+  ARM_RATE_ROUNDING,
+  termLabel,
+};
@@ -0,0 +1,23 @@
+// Borrowers often photograph each page of a paystub or statement. Those uploads can be merged
+// into one ordered PDF so the POS receives a single attachment instead of one per page.
+// Parts uploaded with `holdForMerge` stay in `processing` and are never synced on their own;
+// once merged they point at the combined upload through `mergedInto`.
+//
+// Grayscale mode re-encodes photos as grayscale JPEG at GRAYSCALE_JPEG_QUALITY, shrunk so the
+// long edge is at most GRAYSCALE_MAX_EDGE pixels (about 200 dpi on a letter page).
+
+const MAX_MERGE_PARTS = 20;
+
+const GRAYSCALE_JPEG_QUALITY = 60;
+
+const GRAYSCALE_MAX_EDGE = 2200;
+
+// Page size for photos, in points (US Letter); PDF parts keep their own page sizes
+const LETTER_PAGE = [612, 792];
+
+module.exports = {
+  MAX_MERGE_PARTS,
+  GRAYSCALE_JPEG_QUALITY,
+  GRAYSCALE_MAX_EDGE,
+  LETTER_PAGE,
+};
@@ -0,0 +1,74 @@
+// Uploads are classified on the server from their own text, so a misfiled document is caught
+// without trusting the `documentType` the client sent. Text comes from the PDF text layer or,
+// for photos, local OCR (tesseract.js with bundled English data; nothing leaves the server).
+//
+// Each suggestible type has weighted keyword rules. A type's score is the sum of the weights of
+// the rules that match; the best type is suggested when it scores at least MIN_SCORE, with its
+// share of all scores as the confidence. LOs accept or correct suggestions before they are used.
+
+const CLASSIFIABLE_TYPES = ['w2', 'paystub', 'bank_statement', 'id', 'tax_return'];
+
+const CLASSIFICATION_STATUSES = ['suggested', 'unclassified', 'failed', 'accepted', 'corrected'];
+
+const KEYWORD_RULES = {
+  w2: [
+    [/\bform\s*w-?2\b/, 5],
+    [/wage and tax statement/, 5],
+    [/employer identification number|employer'?s (?:fed(?:eral)? )?id/, 2],
+    [/social security wages/, 2],
+    [/medicare wages/, 2],
+    [/federal income tax withheld/, 1],
+  ],
+  paystub: [
+    [/earnings statement/, 3],
+    [/pay ?stub|pay statement/, 3],
+    [/pay period|period (?:beginning|ending)/, 3],
+    [/pay date|check date/, 2],
+    [/gross pay/, 2],
+    [/net pay/, 2],
+    [/\bytd\b|year to date/, 1],
+    [/deductions/, 1],
+  ],
+  bank_statement: [
+    [/account statement|bank statement|statement period/, 3],
+    [/beginning balance|opening balance|previous balance/, 3],
+    [/ending balance|closing balance|new balance/, 3],
+    [/deposits (?:and|&) (?:other )?(?:credits|additions)|total deposits/, 2],
+    [/withdrawals|debits/, 1],
+    [/routing number|account number/, 1],
+  ],
+  id: [
+    [/driver'?s? licen[cs]e/, 5],
+    [/passport/, 4],
+    [/identification card/, 4],
+    [/date of birth|\bdob\b/, 2],
+    [/\bexp(?:ires|iration)?\b/, 1],
+    [/\bsex\b|\bhgt\b|height|eyes/, 1],
+  ],
+  tax_return: [
+    [/form\s*1040/, 5],
+    [/individual income tax return/, 5],
+    [/adjusted gross income/, 3],
+    [/filing status/, 2],
+    [/taxable income/, 2],
+    [/schedule [a-e]\b/, 1],
+  ],
+};
+
+// Least score a type needs to be suggested
+const MIN_SCORE = 4;
+
+// Pages of a PDF read for classification; the first pages identify a document
+const MAX_PDF_PAGES = 3;
+
+// Largest image sent to OCR; bigger photos are left unclassified rather than tie up the CPU
+const MAX_OCR_BYTES = 8 * 1024 * 1024;
+
+module.exports = {
+  CLASSIFIABLE_TYPES,
+  CLASSIFICATION_STATUSES,
+  KEYWORD_RULES,
+  MIN_SCORE,
+  MAX_PDF_PAGES,
+  MAX_OCR_BYTES,
+};
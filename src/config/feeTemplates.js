@@ -0,0 +1,120 @@
+// Closing cost templates used by the Loan Estimate fee engine (src/services/feeEngineService.js).
+//
+// Each fee is placed in a TRID section and priced as a flat `amount`, a `percentOfLoan` or a
+// `percentOfPrice`. `financeCharge` marks fees that count toward the Regulation Z finance charge
+// (12 CFR 1026.4); title, appraisal, credit report, recording and escrow items are excluded.
+// `purposes` limits a fee to the listed loan purposes.
+//
+// Loan-type and state templates are layered on top of the default, in that order. Overrides are
+// keyed by fee code: an object merges into the existing fee (or adds a new one), null removes it.
+
+const SECTIONS = {
+  A: 'Origination Charges',
+  B: 'Services You Cannot Shop For',
+  C: 'Services You Can Shop For',
+  E: 'Taxes and Other Government Fees',
+  F: 'Prepaids',
+  G: 'Initial Escrow Payment at Closing',
+  H: 'Other',
+};
+
+const DEFAULT_TEMPLATE = {
+  settings: {
+    prepaidInterestDays: 15, // used when no closing date is given
+    insurancePremiumMonths: 12,
+    prepaidTaxMonths: 0,
+    escrowInsuranceMonths: 2,
+    escrowTaxMonths: 3,
+  },
+  fees: {
+    origination: { name: 'Origination Fee', section: 'A', percentOfLoan: 0.5, financeCharge: true },
+    underwriting: { name: 'Underwriting Fee', section: 'A', amount: 995, financeCharge: true },
+    appraisal: { name: 'Appraisal Fee', section: 'B', amount: 600, financeCharge: false },
+    credit_report: { name: 'Credit Report Fee', section: 'B', amount: 65, financeCharge: false },
+    flood_certification: { name: 'Flood Determination Fee', section: 'B', amount: 12, financeCharge: true },
+    tax_service: { name: 'Tax Service Fee', section: 'B', amount: 85, financeCharge: true },
+    title_settlement: { name: 'Title - Settlement Agent Fee', section: 'C', amount: 650, financeCharge: true },
+    title_lenders_policy: { name: "Title - Lender's Title Insurance", section: 'C', percentOfLoan: 0.5, financeCharge: false },
+    title_endorsements: { name: 'Title - Endorsements', section: 'C', amount: 150, financeCharge: false },
+    survey: { name: 'Survey Fee', section: 'C', amount: 450, financeCharge: false, purposes: ['purchase'] },
+    pest_inspection: { name: 'Pest Inspection Fee', section: 'C', amount: 125, financeCharge: false, purposes: ['purchase'] },
+    recording: { name: 'Recording Fees', section: 'E', amount: 150, financeCharge: false },
+    owners_title_policy: {
+      name: "Title - Owner's Title Insurance (optional)",
+      section: 'H',
+      percentOfPrice: 0.4,
+      financeCharge: false,
+      purposes: ['purchase'],
+    },
+  },
+};
+
+const LOAN_TYPE_TEMPLATES = {
+  fha: {
+    fees: {
+      appraisal: { amount: 700 },
+    },
+  },
+  va: {
+    // VA caps lender charges at a flat 1% in lieu of itemized origination and underwriting fees
+    fees: {
+      origination: { percentOfLoan: 1 },
+      underwriting: null,
+      tax_service: null,
+      appraisal: { amount: 650 },
+    },
+  },
+  usda: {
+    fees: {
+      appraisal: { amount: 650 },
+    },
+  },
+  jumbo: {
+    fees: {
+      appraisal: { amount: 950 },
+    },
+  },
+};
+
+const STATE_TEMPLATES = {
+  CA: {
+    settings: { escrowTaxMonths: 4 },
+    fees: {
+      county_transfer_tax: {
+        name: 'County Transfer Tax',
+        section: 'E',
+        percentOfPrice: 0.11,
+        financeCharge: false,
+        purposes: ['purchase'],
+      },
+    },
+  },
+  FL: {
+    fees: {
+      doc_stamps_note: { name: 'Documentary Stamp Tax on Note', section: 'E', percentOfLoan: 0.35, financeCharge: false },
+      intangible_tax: { name: 'Intangible Tax on Mortgage', section: 'E', percentOfLoan: 0.2, financeCharge: false },
+    },
+  },
+  NY: {
+    settings: { escrowTaxMonths: 6 },
+    fees: {
+      attorney: { name: 'Attorney Fee', section: 'C', amount: 1250, financeCharge: true },
+      mortgage_recording_tax: { name: 'Mortgage Recording Tax', section: 'E', percentOfLoan: 1.8, financeCharge: false },
+      survey: { amount: 650 },
+    },
+  },
+  TX: {
+    settings: { escrowTaxMonths: 6 },
+    fees: {
+      survey: { amount: 550 },
+      pest_inspection: null,
+    },
+  },
+};
+
+module.exports = {
+  SECTIONS,
+  DEFAULT_TEMPLATE,
+  LOAN_TYPE_TEMPLATES,
+  STATE_TEMPLATES,
+};
@@ -0,0 +1,131 @@
+// Loan-level price adjustment (LLPA) grids by product type. Values are points (percent of
+// the loan amount) charged to the borrower, so they come off the product's base price.
+//
+// Grid shapes:
+// - FICO × LTV matrix (`ficoLtv`, `cashOut`): `ltvBands` are the upper LTV bound of each
+//   column; each row applies from `minScore` up. Scores or LTVs outside the grid, and
+//   missing cells, are ineligible.
+// - LTV grid (`occupancy`, `propertyType`, `units` entries): `points` per `ltvBands` column.
+// - Loan amount tiers (`loanAmount`): the first tier whose `min`/`max` bounds contain the amount.
+//
+// Investor products can replace any grid by storing one of the same shape under the same key
+// in ProductPricing.adjustments.
+
+const STANDARD_LTV_BANDS = [60, 70, 75, 80, 85, 90, 95, 97];
+
+const LLPA_GRIDS = {
+  conventional: {
+    ficoLtv: {
+      ltvBands: STANDARD_LTV_BANDS,
+      rows: [
+        { minScore: 780, points: [0, 0, 0, 0.375, 0.375, 0.25, 0.25, 0.125] },
+        { minScore: 760, points: [0, 0, 0.25, 0.625, 0.625, 0.5, 0.5, 0.25] },
+        { minScore: 740, points: [0, 0.125, 0.375, 0.875, 1, 0.75, 0.625, 0.5] },
+        { minScore: 720, points: [0, 0.25, 0.75, 1.25, 1.25, 1, 0.875, 0.75] },
+        { minScore: 700, points: [0, 0.375, 0.875, 1.375, 1.5, 1.25, 1.125, 0.875] },
+        { minScore: 680, points: [0, 0.625, 1.125, 1.75, 1.875, 1.5, 1.375, 1.125] },
+        { minScore: 660, points: [0, 0.75, 1.375, 1.875, 2.125, 1.75, 1.625, 1.25] },
+        { minScore: 640, points: [0, 1.125, 1.5, 2.25, 2.5, 2, 1.875, 1.5] },
+        { minScore: 620, points: [0, 1.25, 1.5, 2.75, 2.75, 2.25, 2.125, 1.75] },
+      ],
+    },
+    cashOut: {
+      ltvBands: [60, 70, 75, 80],
+      rows: [
+        { minScore: 780, points: [0.375, 0.625, 0.625, 0.875] },
+        { minScore: 740, points: [0.375, 0.75, 0.875, 1.25] },
+        { minScore: 700, points: [0.375, 1, 1.25, 2.25] },
+        { minScore: 660, points: [0.375, 1.75, 2.25, 3.125] },
+        { minScore: 620, points: [0.375, 2.125, 2.75, 3.75] },
+      ],
+    },
+    occupancy: {
+      second_home: { ltvBands: [60, 70, 75, 80, 85, 90], points: [1.125, 1.625, 2.125, 3.375, 4.125, 4.125] },
+      investment: { ltvBands: [60, 70, 75, 80], points: [1.125, 1.625, 2.125, 3.375] },
+    },
+    propertyType: {
+      condo: { ltvBands: [75, 97], points: [0, 0.75] },
+      manufactured: { ltvBands: [97], points: [0.5] },
+    },
+    units: {
+      2: { ltvBands: [80, 85, 90, 95], points: [0.625, 0.625, 0.625, 0.625] },
+      3: { ltvBands: [75, 80], points: [0.625, 0.625] },
+      4: { ltvBands: [75, 80], points: [0.625, 0.625] },
+    },
+    loanAmount: [
+      { max: 100000, points: 0.5 },
+      { min: 766551, max: 1149825, points: 0.5 },
+    ],
+  },
+  fha: {
+    ficoLtv: {
+      ltvBands: [96.5],
+      rows: [
+        { minScore: 680, points: [0] },
+        { minScore: 640, points: [0.5] },
+        { minScore: 600, points: [1.25] },
+        { minScore: 580, points: [2] },
+      ],
+    },
+    loanAmount: [{ max: 100000, points: 0.5 }],
+  },
+  va: {
+    ficoLtv: {
+      ltvBands: [100],
+      rows: [
+        { minScore: 680, points: [0] },
+        { minScore: 640, points: [0.5] },
+        { minScore: 600, points: [1.25] },
+        { minScore: 580, points: [2] },
+      ],
+    },
+    cashOut: {
+      ltvBands: [90, 100],
+      rows: [{ minScore: 580, points: [0.25, 0.5] }],
+    },
+    loanAmount: [{ max: 100000, points: 0.5 }],
+  },
+  usda: {
+    ficoLtv: {
+      ltvBands: [100],
+      rows: [
+        { minScore: 680, points: [0] },
+        { minScore: 640, points: [0.75] },
+      ],
+    },
+  },
+  jumbo: {
+    ficoLtv: {
+      ltvBands: [60, 70, 75, 80, 85, 90],
+      rows: [
+        { minScore: 760, points: [0, 0, 0.125, 0.25, 0.5, 0.75] },
+        { minScore: 740, points: [0, 0.125, 0.25, 0.5, 0.75, 1] },
+        { minScore: 720, points: [0.125, 0.25, 0.5, 0.75, 1.125, 1.5] },
+        { minScore: 700, points: [0.25, 0.5, 0.75, 1.125, 1.5] },
+      ],
+    },
+    cashOut: {
+      ltvBands: [60, 70],
+      rows: [{ minScore: 700, points: [0.5, 0.875] }],
+    },
+    occupancy: {
+      second_home: { ltvBands: [70, 80], points: [0.5, 1] },
+      investment: { ltvBands: [60, 70], points: [1.25, 1.75] },
+    },
+    propertyType: {
+      condo: { ltvBands: [80], points: [0.25] },
+    },
+    loanAmount: [
+      { max: 1500000, points: 0 },
+      { min: 1500001, max: 2000000, points: 0.25 },
+      { min: 2000001, max: 3000000, points: 0.5 },
+    ],
+  },
+};
+
+const LLPA_GRID_KEYS = ['ficoLtv', 'cashOut', 'occupancy', 'propertyType', 'units', 'loanAmount'];
+
+module.exports = {
+  LLPA_GRIDS,
+  LLPA_GRID_KEYS,
+};
@@ -0,0 +1,136 @@
+// Loan program limits used by the affordability calculator and mortgage insurance math.
+//
+// DTI limits are percentages of gross monthly income (null = no front-end limit).
+// Loan limits are the baseline one-unit limits; high-cost counties are higher.
+// maxCashOutLtv is the highest LTV allowed on a cash-out refinance (null = no cash-out).
+// Mortgage insurance rates are annual percentages of the base loan amount; upfront fees
+// are percentages of the base loan amount and are financed into the loan. Monthly
+// premiums run for the life of the loan unless `autoCancelLtv` or `durationYears` ends them.
+
+const LOAN_PROGRAMS = {
+  conventional: {
+    label: 'Conventional',
+    minDownPaymentPercent: 3,
+    maxFrontEndDti: 28,
+    maxBackEndDti: 45,
+    loanLimit: 806500,
+    defaultRate: 6.5,
+    maxCashOutLtv: 80,
+    mortgageInsurance: {
+      type: 'pmi',
+      // Borrower-paid monthly PMI by LTV band and credit score; none at or below 80% LTV.
+      // The band `annualRate` applies when no credit score is given.
+      monthlyRates: [
+        {
+          maxLtv: 85,
+          annualRate: 0.19,
+          creditTiers: [
+            { minScore: 760, annualRate: 0.12 },
+            { minScore: 740, annualRate: 0.15 },
+            { minScore: 720, annualRate: 0.19 },
+            { minScore: 700, annualRate: 0.26 },
+            { minScore: 680, annualRate: 0.34 },
+            { minScore: 0, annualRate: 0.52 },
+          ],
+        },
+        {
+          maxLtv: 90,
+          annualRate: 0.38,
+          creditTiers: [
+            { minScore: 760, annualRate: 0.25 },
+            { minScore: 740, annualRate: 0.31 },
+            { minScore: 720, annualRate: 0.38 },
+            { minScore: 700, annualRate: 0.51 },
+            { minScore: 680, annualRate: 0.67 },
+            { minScore: 0, annualRate: 0.94 },
+          ],
+        },
+        {
+          maxLtv: 95,
+          annualRate: 0.53,
+          creditTiers: [
+            { minScore: 760, annualRate: 0.37 },
+            { minScore: 740, annualRate: 0.44 },
+            { minScore: 720, annualRate: 0.53 },
+            { minScore: 700, annualRate: 0.71 },
+            { minScore: 680, annualRate: 0.92 },
+            { minScore: 0, annualRate: 1.31 },
+          ],
+        },
+        {
+          maxLtv: 97,
+          annualRate: 0.69,
+          creditTiers: [
+            { minScore: 760, annualRate: 0.49 },
+            { minScore: 740, annualRate: 0.58 },
+            { minScore: 720, annualRate: 0.69 },
+            { minScore: 700, annualRate: 0.92 },
+            { minScore: 680, annualRate: 1.18 },
+            { minScore: 0, annualRate: 1.62 },
+          ],
+        },
+      ],
+      noMiMaxLtv: 80,
+      // Automatic termination (Homeowners Protection Act) at 78% of the original value
+      autoCancelLtv: 78,
+    },
+  },
+  fha: {
+    label: 'FHA',
+    minDownPaymentPercent: 3.5,
+    maxFrontEndDti: 31,
+    maxBackEndDti: 43,
+    loanLimit: 524225,
+    defaultRate: 6.25,
+    maxCashOutLtv: 80,
+    mortgageInsurance: {
+      type: 'mip',
+      upfrontPercent: 1.75,
+      monthlyRates: [
+        { maxLtv: 95, annualRate: 0.5 },
+        { maxLtv: 100, annualRate: 0.55 },
+      ],
+      // Annual MIP runs 11 years at or below 90% LTV, otherwise for the life of the loan
+      durationYears: [
+        { maxLtv: 90, years: 11 },
+        { maxLtv: 100, years: null },
+      ],
+    },
+  },
+  va: {
+    label: 'VA',
+    minDownPaymentPercent: 0,
+    maxFrontEndDti: null,
+    maxBackEndDti: 41,
+    loanLimit: null, // no limit with full entitlement
+    defaultRate: 6.0,
+    maxCashOutLtv: 90,
+    mortgageInsurance: {
+      type: 'funding_fee',
+      // First-use funding fee by down payment percentage
+      upfrontRates: [
+        { minDownPaymentPercent: 10, percent: 1.25 },
+        { minDownPaymentPercent: 5, percent: 1.5 },
+        { minDownPaymentPercent: 0, percent: 2.15 },
+      ],
+    },
+  },
+  usda: {
+    label: 'USDA',
+    minDownPaymentPercent: 0,
+    maxFrontEndDti: 29,
+    maxBackEndDti: 41,
+    loanLimit: null, // limited by household income instead
+    defaultRate: 6.125,
+    maxCashOutLtv: null, // streamlined refinances only
+    mortgageInsurance: {
+      type: 'guarantee_fee',
+      upfrontPercent: 1,
+      monthlyRates: [{ maxLtv: 100, annualRate: 0.35 }],
+    },
+  },
+};
+
+module.exports = {
+  LOAN_PROGRAMS,
+};
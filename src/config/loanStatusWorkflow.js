@@ -0,0 +1,50 @@
+// Declarative loan status workflow.
+//
+// Each transition lists the roles allowed to perform it, the named guards that must pass
+// (implemented in src/services/loanStatusService.js) and whether a reason is mandatory.
+// Any from → to pair not listed here is rejected.
+
+const roles = require('./roles');
+
+const LOAN_STATUSES = ['application', 'processing', 'underwriting', 'closing', 'funded'];
+
+const PIPELINE_ROLES = [roles.ADMIN, roles.LO_RETAIL, roles.LO_TPO];
+
+const transitions = [
+  // Forward progression
+  {
+    from: 'application',
+    to: 'processing',
+    roles: PIPELINE_ROLES,
+    guards: ['loanTermsComplete'],
+  },
+  {
+    from: 'processing',
+    to: 'underwriting',
+    roles: PIPELINE_ROLES,
+    guards: ['propertyIdentified', 'creditReportOnFile'],
+  },
+  {
+    from: 'underwriting',
+    to: 'closing',
+    roles: PIPELINE_ROLES,
+    guards: ['creditReportOnFile', 'activeRateLock'],
+  },
+  {
+    from: 'closing',
+    to: 'funded',
+    roles: PIPELINE_ROLES,
+    guards: ['activeRateLock'],
+  },
+
+  // Step-backs (e.g. suspended file, re-disclosure) always require a reason
+  { from: 'processing', to: 'application', roles: PIPELINE_ROLES, requiresReason: true },
+  { from: 'underwriting', to: 'processing', roles: PIPELINE_ROLES, requiresReason: true },
+  { from: 'closing', to: 'underwriting', roles: PIPELINE_ROLES, requiresReason: true },
+  { from: 'funded', to: 'closing', roles: [roles.ADMIN], requiresReason: true },
+];
+
+module.exports = {
+  LOAN_STATUSES,
+  transitions,
+};
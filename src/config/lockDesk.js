@@ -0,0 +1,35 @@
+// Lock desk rules: which rate lock requests are queued for secondary marketing review
+// instead of being confirmed on submission.
+//
+// A request is queued when it is submitted outside lock hours, asks for a price
+// concession above MAX_AUTO_PRICE_CONCESSION (points), or is for an exception product.
+// The lock desk reviews queued requests within REVIEW_SLA_MINUTES of submission, or of
+// the next opening when submitted after hours.
+
+const LOCK_HOURS = {
+  timezone: 'America/New_York',
+  // 0 = Sunday
+  days: [1, 2, 3, 4, 5],
+  openHour: 9,
+  closeHour: 17,
+};
+
+const MAX_AUTO_PRICE_CONCESSION = 0.125;
+
+const EXCEPTION_PRODUCT_TYPES = ['jumbo'];
+
+const REVIEW_SLA_MINUTES = 60;
+
+// Capability granting access to the lock desk queue and decisions
+const LOCK_DESK_CAPABILITY = 'rates:lockdesk';
+
+const REVIEW_REASONS = ['outside_lock_hours', 'price_concession', 'exception_product'];
+
+module.exports = {
+  LOCK_HOURS,
+  MAX_AUTO_PRICE_CONCESSION,
+  EXCEPTION_PRODUCT_TYPES,
+  REVIEW_SLA_MINUTES,
+  LOCK_DESK_CAPABILITY,
+  REVIEW_REASONS,
+};
@@ -0,0 +1,50 @@
+// Rate lock extension policies by product type. Costs are in points (percent of the loan
+// amount) and come off the lock's final price.
+//
+// `increments` are the extension lengths an LO may pick and `maxCumulativeDays` caps all
+// extensions on one lock. Pricing is `per_day` (pointsPerDay × days) or `tiered` (the
+// first tier whose `maxDays` covers the extension). An investor product can override its
+// product type's policy through ProductPricing.extensionPolicy.
+
+const EXTENSION_POLICIES = {
+  conventional: {
+    increments: [5, 10, 15, 30],
+    maxCumulativeDays: 30,
+    pricing: { type: 'per_day', pointsPerDay: 0.02 },
+  },
+  fha: {
+    increments: [5, 10, 15, 30],
+    maxCumulativeDays: 30,
+    pricing: { type: 'per_day', pointsPerDay: 0.025 },
+  },
+  va: {
+    increments: [5, 10, 15, 30],
+    maxCumulativeDays: 30,
+    pricing: { type: 'per_day', pointsPerDay: 0.025 },
+  },
+  usda: {
+    increments: [5, 10, 15],
+    maxCumulativeDays: 30,
+    pricing: { type: 'per_day', pointsPerDay: 0.025 },
+  },
+  jumbo: {
+    increments: [5, 10, 15],
+    maxCumulativeDays: 15,
+    pricing: {
+      type: 'tiered',
+      tiers: [
+        { maxDays: 5, points: 0.125 },
+        { maxDays: 10, points: 0.25 },
+        { maxDays: 15, points: 0.375 },
+      ],
+    },
+  },
+};
+
+// Price of a lock with no investor product on file
+const PAR_PRICE = 100;
+
+module.exports = {
+  EXTENSION_POLICIES,
+  PAR_PRICE,
+};
@@ -0,0 +1,26 @@
+// Competitor and market-index rates are imported into RateSnapshot for benchmarking only.
+// Anything that prices, locks or alerts must read PRICING_SOURCES so benchmark rows never
+// stand in for our own rates.
+//
+// Benchmarks are usually weekly surveys, so an imported rate stays current for
+// BENCHMARK_VALIDITY_DAYS. Our par rate is out of market when it sits more than
+// OUT_OF_MARKET_SPREAD (percentage points) above or below the market average.
+
+const PRICING_SOURCES = ['optimal_blue', 'manual'];
+
+const BENCHMARK_SOURCES = ['competitor', 'market_index'];
+
+const BENCHMARK_VALIDITY_DAYS = 14;
+
+const OUT_OF_MARKET_SPREAD = 0.125;
+
+// Largest import accepted in one request
+const MAX_IMPORT_ROWS = 500;
+
+module.exports = {
+  PRICING_SOURCES,
+  BENCHMARK_SOURCES,
+  BENCHMARK_VALIDITY_DAYS,
+  OUT_OF_MARKET_SPREAD,
+  MAX_IMPORT_ROWS,
+};
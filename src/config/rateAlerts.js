@@ -0,0 +1,40 @@
+// Rate alert trigger types. Rate triggers compare the note rate and are also checked by
+// the legacy rate-only checkers; payment and APR triggers need the alert's scenario priced
+// and are evaluated by rateAlertService only.
+
+const RATE_TRIGGER_TYPES = ['below', 'above', 'drops_by'];
+
+const TRIGGER_TYPES = [...RATE_TRIGGER_TYPES, 'payment_below', 'apr_below'];
+
+// How a borrower hears about triggered alerts. Digests summarize all of the user's alerts in
+// one email at digestHour (and on digestDay for weekly) in the user's own timezone.
+const DELIVERY_MODES = ['instant', 'daily_digest', 'weekly_digest'];
+
+const DIGEST_MODES = ['daily_digest', 'weekly_digest'];
+
+// What a triggered alert does once the user's cooldown has passed:
+// never - stays triggered until the user resumes it
+// cooldown - watches again straight away (drops_by measures from the triggered rate)
+// reset - watches again once the condition is no longer met, so it can't fire twice on one move
+const REARM_MODES = ['never', 'cooldown', 'reset'];
+
+// Used for users who haven't set preferences. Quiet hours hold instant alerts until they end;
+// an equal start and end turns them off. Hours are 0-23 and days 0 = Sunday.
+const DEFAULT_ALERT_PREFERENCES = {
+  delivery: 'instant',
+  timezone: 'America/New_York',
+  quietHoursStart: 21,
+  quietHoursEnd: 8,
+  digestHour: 8,
+  digestDay: 1,
+  cooldownHours: 24,
+};
+
+module.exports = {
+  RATE_TRIGGER_TYPES,
+  TRIGGER_TYPES,
+  DELIVERY_MODES,
+  DIGEST_MODES,
+  REARM_MODES,
+  DEFAULT_ALERT_PREFERENCES,
+};
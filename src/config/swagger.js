@@ -83,6 +83,86 @@ const options = {
             updatedAt: { type: 'string', format: 'date-time' },
           },
         },
+        LoanCondition: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            loan: { type: 'string' },
+            title: { type: 'string', example: 'Provide most recent 30 days of paystubs' },
+            description: { type: 'string' },
+            category: {
+              type: 'string',
+              enum: ['prior_to_approval', 'prior_to_doc', 'prior_to_funding', 'post_closing'],
+              example: 'prior_to_doc',
+            },
+            ownerRole: {
+              type: 'string',
+              enum: ['borrower', 'loan_officer', 'processor', 'underwriter', 'closer', 'title', 'other'],
+              example: 'borrower',
+            },
+            owner: { type: 'string' },
+            dueDate: { type: 'string', format: 'date-time' },
+            status: { type: 'string', enum: ['open', 'submitted', 'cleared', 'waived', 'rejected'], example: 'open' },
+            borrowerVisible: { type: 'boolean', example: true },
+            documents: { type: 'array', items: { type: 'string' }, description: 'DocumentUpload IDs' },
+            notes: { type: 'string' },
+            resolvedBy: { type: 'string' },
+            resolvedAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        DocumentRequest: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            loan: { type: 'string' },
+            documentType: {
+              type: 'string',
+              enum: [
+                'paystub',
+                'w2',
+                'tax_return',
+                'bank_statement',
+                'id',
+                'proof_of_employment',
+                'appraisal',
+                'purchase_agreement',
+                'insurance',
+                'credit_report',
+                'other',
+              ],
+              example: 'bank_statement',
+            },
+            description: { type: 'string', example: 'Two most recent months, all pages' },
+            dueDate: { type: 'string', format: 'date-time' },
+            requestedBy: { type: 'string' },
+            status: { type: 'string', enum: ['outstanding', 'fulfilled', 'cancelled'], example: 'outstanding' },
+            fulfilledAt: { type: 'string', format: 'date-time' },
+            fulfilledBy: { type: 'string', description: 'DocumentUpload that satisfied the request' },
+            reminders: {
+              type: 'object',
+              properties: {
+                count: { type: 'integer' },
+                lastSentAt: { type: 'string', format: 'date-time' },
+              },
+            },
+            escalatedAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        LoanStatusChange: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', example: 'processing' },
+            to: { type: 'string', example: 'underwriting' },
+            changedBy: { type: 'string', description: 'User ID; populated on the status-history endpoint' },
+            reason: { type: 'string' },
+            source: { type: 'string', enum: ['app', 'encompass', 'pos', 'system'], example: 'app' },
+            outOfWorkflow: { type: 'boolean', description: 'Applied by a system of record outside the configured transitions' },
+            changedAt: { type: 'string', format: 'date-time' },
+          },
+        },
         LoanApplication: {
           type: 'object',
           properties: {
@@ -97,14 +177,123 @@ const options = {
               example: 'processing',
             },
             source: { type: 'string', enum: ['retail', 'tpo'], example: 'retail' },
+            statusHistory: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/LoanStatusChange' },
+            },
             milestones: {
               type: 'array',
               items: { $ref: '#/components/schemas/Milestone' },
             },
+            borrowerInfo: { $ref: '#/components/schemas/LoanParty' },
+            coBorrowerInfo: { $ref: '#/components/schemas/LoanParty' },
+            property: { $ref: '#/components/schemas/LoanProperty' },
+            loanPurpose: { type: 'string', enum: ['purchase', 'refinance', 'cash_out_refinance'], example: 'purchase' },
+            occupancy: { type: 'string', enum: ['primary', 'second_home', 'investment'], example: 'primary' },
+            productType: { type: 'string', enum: ['conventional', 'fha', 'va', 'usda', 'jumbo'], example: 'conventional' },
+            loanTerm: { type: 'integer', example: 30, description: 'Term in years' },
+            interestRate: { type: 'number', example: 6.5 },
+            downPayment: { type: 'number', example: 62500 },
+            ltv: { type: 'number', example: 80, description: 'Derived from amount and property value when not supplied' },
+            dti: {
+              type: 'object',
+              properties: {
+                frontEnd: { type: 'number', example: 28 },
+                backEnd: { type: 'number', example: 36 },
+              },
+            },
+            assets: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/LoanAsset' },
+            },
+            estimatedClosingDate: { type: 'string', format: 'date' },
             createdAt: { type: 'string', format: 'date-time' },
             updatedAt: { type: 'string', format: 'date-time' },
           },
         },
+        Address: {
+          type: 'object',
+          properties: {
+            street: { type: 'string', example: '123 Main St' },
+            unit: { type: 'string', example: 'Apt 4' },
+            city: { type: 'string', example: 'Austin' },
+            state: { type: 'string', example: 'TX' },
+            zip: { type: 'string', example: '78701' },
+            county: { type: 'string', example: 'Travis' },
+          },
+        },
+        LoanParty: {
+          type: 'object',
+          properties: {
+            firstName: { type: 'string', example: 'Jane' },
+            middleName: { type: 'string' },
+            lastName: { type: 'string', example: 'Doe' },
+            email: { type: 'string', format: 'email' },
+            phone: { type: 'string' },
+            dateOfBirth: { type: 'string', format: 'date' },
+            maritalStatus: { type: 'string', enum: ['married', 'separated', 'unmarried'] },
+            dependents: { type: 'integer' },
+            citizenship: { type: 'string', enum: ['us_citizen', 'permanent_resident', 'non_permanent_resident'] },
+            currentAddress: { $ref: '#/components/schemas/Address' },
+            yearsAtCurrentAddress: { type: 'number' },
+            housingStatus: { type: 'string', enum: ['own', 'rent', 'no_expense'] },
+            firstTimeHomebuyer: { type: 'boolean' },
+            creditScore: { type: 'integer', example: 740 },
+            employment: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  employerName: { type: 'string', example: 'Acme Corp' },
+                  position: { type: 'string', example: 'Engineer' },
+                  startDate: { type: 'string', format: 'date' },
+                  endDate: { type: 'string', format: 'date' },
+                  isCurrent: { type: 'boolean' },
+                  isSelfEmployed: { type: 'boolean' },
+                  yearsInLineOfWork: { type: 'number' },
+                },
+              },
+            },
+            income: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  type: {
+                    type: 'string',
+                    enum: ['base', 'overtime', 'bonus', 'commission', 'military', 'self_employment', 'rental', 'social_security', 'pension', 'alimony_child_support', 'other'],
+                  },
+                  monthlyAmount: { type: 'number', example: 8500 },
+                  source: { type: 'string', example: 'Acme Corp' },
+                },
+              },
+            },
+          },
+        },
+        LoanProperty: {
+          type: 'object',
+          properties: {
+            address: { $ref: '#/components/schemas/Address' },
+            propertyType: { type: 'string', enum: ['single_family', 'condo', 'townhouse', 'multi_family', 'manufactured'] },
+            numberOfUnits: { type: 'integer', example: 1 },
+            purchasePrice: { type: 'number', example: 312500 },
+            estimatedValue: { type: 'number' },
+            appraisedValue: { type: 'number' },
+          },
+        },
+        LoanAsset: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['checking', 'savings', 'money_market', 'certificate_of_deposit', 'retirement', 'brokerage', 'gift', 'earnest_money', 'other'],
+            },
+            institution: { type: 'string', example: 'First Bank' },
+            accountLast4: { type: 'string', example: '1234' },
+            balance: { type: 'number', example: 45000 },
+            owner: { type: 'string', enum: ['borrower', 'co_borrower', 'joint'] },
+          },
+        },
         Document: {
           type: 'object',
           properties: {
@@ -125,6 +314,12 @@ const options = {
               enum: ['pending', 'synced'],
               example: 'pending',
             },
+            avStatus: {
+              type: 'string',
+              enum: ['pending', 'clean', 'infected', 'error'],
+              example: 'clean',
+            },
+            avSignature: { type: 'string', example: 'Eicar-Test-Signature' },
             scanned: { type: 'boolean', example: true },
             scannedAt: { type: 'string', format: 'date-time' },
             tempBlobExpiresAt: { type: 'string', format: 'date-time' },
@@ -150,6 +345,29 @@ const options = {
             updatedAt: { type: 'string', format: 'date-time' },
           },
         },
+        ArmPaymentPath: {
+          type: 'object',
+          properties: {
+            periods: {
+              type: 'array',
+              description: 'Rate periods; the payment is recast over the remaining term when the rate changes',
+              items: {
+                type: 'object',
+                properties: {
+                  startMonth: { type: 'integer', example: 61 },
+                  endMonth: { type: 'integer', example: 66 },
+                  rate: { type: 'number', example: 8.5 },
+                  payment: { type: 'number', example: 2398.2 },
+                  startingBalance: { type: 'number', example: 299532.12 },
+                },
+              },
+            },
+            maxRate: { type: 'number', example: 11.5 },
+            maxPayment: { type: 'number', example: 2976.4 },
+            totalInterest: { type: 'number' },
+            totalPayments: { type: 'number' },
+          },
+        },
         Error: {
           type: 'object',
           properties: {
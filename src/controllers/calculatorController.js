@@ -2,84 +2,16 @@ const createError = require('http-errors');
 const { validationResult } = require('express-validator');
 const RateSnapshot = require('../models/RateSnapshot');
 const optimalBlueService = require('../services/optimalBlueService');
+const feeEngineService = require('../services/feeEngineService');
+const affordabilityService = require('../services/affordabilityService');
+const refinanceService = require('../services/refinanceService');
+const amortizationService = require('../services/amortizationService');
+const paymentService = require('../services/paymentService');
+const armService = require('../services/armService');
+const { LOAN_PROGRAMS } = require('../config/loanPrograms');
+const { PRICING_SOURCES } = require('../config/marketRates');
 const logger = require('../utils/logger');
-
-/**
- * Calculate monthly payment (P&I)
- */
-function calcMonthlyPayment(principal, annualRate, termYears) {
-  const r = annualRate / 100 / 12;
-  const n = termYears * 12;
-  if (r === 0) return principal / n;
-  return (principal * r) / (1 - Math.pow(1 + r, -n));
-}
-
-/**
- * Calculate APR including fees
- */
-function calculateAPR(principal, monthlyPayment, termYears, totalFees) {
-  const netLoanAmount = principal - totalFees;
-  const n = termYears * 12;
-  
-  // Newton-Raphson method to solve for APR
-  let apr = 0.06; // Initial guess
-  const tolerance = 0.0001;
-  let iterations = 0;
-  const maxIterations = 100;
-  
-  while (iterations < maxIterations) {
-    const r = apr / 12;
-    const pv = monthlyPayment * ((1 - Math.pow(1 + r, -n)) / r);
-    const derivative = monthlyPayment * n * Math.pow(1 + r, -n - 1) / r - 
-                       monthlyPayment * (1 - Math.pow(1 + r, -n)) / (r * r);
-    
-    const diff = pv - netLoanAmount;
-    if (Math.abs(diff) < tolerance) break;
-    
-    apr = apr - diff / derivative;
-    iterations++;
-  }
-  
-  return apr * 100; // Return as percentage
-}
-
-/**
- * Generate amortization schedule
- */
-function generateAmortizationSchedule(principal, annualRate, termYears, startingMonth = 1, monthsToGenerate = 12) {
-  const monthlyRate = annualRate / 100 / 12;
-  const totalMonths = termYears * 12;
-  const monthlyPayment = calcMonthlyPayment(principal, annualRate, termYears);
-  
-  let balance = principal;
-  const schedule = [];
-  
-  // Fast forward to starting month
-  for (let i = 1; i < startingMonth; i++) {
-    const interest = balance * monthlyRate;
-    const principalPayment = monthlyPayment - interest;
-    balance -= principalPayment;
-  }
-  
-  // Generate requested months
-  const endMonth = Math.min(startingMonth + monthsToGenerate - 1, totalMonths);
-  
-  for (let month = startingMonth; month <= endMonth; month++) {
-    const interest = balance * monthlyRate;
-    const principalPayment = monthlyPayment - interest;
-    balance -= principalPayment;
-    
-    schedule.push({
-      month,
-      payment: Number(monthlyPayment.toFixed(2)),
-      principal: Number(principalPayment.toFixed(2)),
-      interest: Number(interest.toFixed(2)),
-      balance: Number(Math.max(0, balance).toFixed(2))
-    });
-  }
-  
-  return schedule;
-}
+const { calculateAPR } = require('../utils/mortgageMath');
 
 /**
  * Calculate mortgage payment with all inputs
@@ -101,6 +33,12 @@ exports.calculate = async (req, res, next) => {
       hoaMonthly = 0,
       downPayment = 0,
       closingCosts = 0,
+      productType = 'conventional',
+      creditScore,
+      escrowCushionMonths,
+      armType,
+      margin,
+      indexValue,
       includeAmortization = false
     } = req.body;
 
@@ -112,37 +50,69 @@ exports.calculate = async (req, res, next) => {
       return next(createError(400, 'amount, rate, and termYears must be positive'));
     }
 
-    const loanAmount = Number(amount) - Number(downPayment);
-    const pAndI = calcMonthlyPayment(loanAmount, Number(rate), Number(termYears));
-    const monthlyTaxes = Number(taxesAnnual) / 12;
-    const monthlyInsurance = Number(insuranceAnnual) / 12;
-    const totalMonthly = pAndI + monthlyTaxes + monthlyInsurance + Number(hoaMonthly);
+    const payment = paymentService.calculatePayment({
+      baseLoanAmount: Number(amount) - Number(downPayment),
+      propertyValue: Number(req.body.propertyValue || amount),
+      rate: Number(rate),
+      termYears: Number(termYears),
+      productType,
+      creditScore: creditScore != null ? Number(creditScore) : undefined,
+      taxesAnnual: Number(taxesAnnual),
+      insuranceAnnual: Number(insuranceAnnual),
+      hoaMonthly: Number(hoaMonthly),
+      escrowCushionMonths: escrowCushionMonths != null ? Number(escrowCushionMonths) : undefined
+    });
+    const { loanAmount, mortgageInsurance } = payment;
 
-    // Calculate real APR including closing costs
-    const totalFees = Number(closingCosts);
-    const apr = calculateAPR(loanAmount, pAndI, Number(termYears), totalFees);
+    // Calculate real APR including closing costs and any financed upfront mortgage insurance
+    const totalFees = Number(closingCosts) + mortgageInsurance.upfrontFee;
+    const apr = calculateAPR(loanAmount, payment.principalAndInterest, Number(termYears), totalFees);
 
     const result = {
-      loanAmount: Number(loanAmount.toFixed(2)),
+      productType,
+      baseLoanAmount: payment.baseLoanAmount,
+      loanAmount,
       downPayment: Number(downPayment),
-      monthlyPrincipalAndInterest: Number(pAndI.toFixed(2)),
-      monthlyTaxes: Number(monthlyTaxes.toFixed(2)),
-      monthlyInsurance: Number(monthlyInsurance.toFixed(2)),
+      ltv: payment.ltv,
+      monthlyPrincipalAndInterest: payment.principalAndInterest,
+      monthlyMortgageInsurance: mortgageInsurance.monthlyPremium,
+      monthlyTaxes: payment.escrow.monthlyTaxes,
+      monthlyInsurance: payment.escrow.monthlyInsurance,
       monthlyHoa: Number(hoaMonthly),
-      totalMonthly: Number(totalMonthly.toFixed(2)),
+      totalMonthly: payment.totalMonthly,
+      mortgageInsurance,
+      escrow: payment.escrow,
       rate: Number(rate),
       apr: Number(apr.toFixed(3)),
       termYears: Number(termYears),
-      totalInterest: Number((pAndI * termYears * 12 - loanAmount).toFixed(2)),
-      totalPayments: Number((totalMonthly * termYears * 12).toFixed(2))
+      totalInterest: payment.totalInterest,
+      totalPayments: payment.totalPayments
     };
 
     // Generate amortization schedule if requested
     if (includeAmortization) {
-      result.amortizationSchedule = generateAmortizationSchedule(loanAmount, Number(rate), Number(termYears), 1, 12);
+      result.amortizationSchedule = payment.amortization.schedule.slice(0, 12);
       result.totalMonths = termYears * 12;
     }
 
+    // ARMs: project principal and interest after the fixed period
+    if (armType) {
+      const index = indexValue != null
+        ? { value: Number(indexValue), source: 'input' }
+        : await armService.getIndexValue();
+      result.arm = {
+        ...armService.project({
+          loanAmount,
+          initialRate: Number(rate),
+          armType,
+          termYears: Number(termYears),
+          indexValue: index.value,
+          margin: margin != null ? Number(margin) : undefined
+        }),
+        indexSource: index.source
+      };
+    }
+
     logger.info('Mortgage calculation performed', {
       userId: req.user._id,
       loanAmount: result.loanAmount,
@@ -159,6 +129,132 @@ exports.calculate = async (req, res, next) => {
   }
 };
 
+/**
+ * Itemized Loan Estimate: TRID sections A–H, Regulation Z APR and cash to close
+ * POST /api/v1/calculator/loan-estimate
+ */
+exports.loanEstimate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const estimate = feeEngineService.buildLoanEstimate(req.body);
+
+    logger.info('Loan estimate calculated', {
+      userId: req.user._id,
+      loanAmount: req.body.loanAmount,
+      state: estimate.template.state,
+      productType: estimate.template.productType
+    });
+
+    return res.json({
+      success: true,
+      data: estimate
+    });
+  } catch (err) {
+    logger.error('Error calculating loan estimate:', err);
+    return next(err);
+  }
+};
+
+/**
+ * Reverse calculator: maximum purchase price and loan amount per program
+ * POST /api/v1/calculator/affordability
+ */
+exports.affordability = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const { programs = Object.keys(LOAN_PROGRAMS), termYears = 30, rate } = req.body;
+
+    // A borrower-supplied rate applies to every program; otherwise use current rate snapshots
+    const rates = rate
+      ? programs.reduce((acc, productType) => ({ ...acc, [productType]: { rate: Number(rate), source: 'input' } }), {})
+      : await affordabilityService.getCurrentRates(programs, Number(termYears));
+
+    const results = affordabilityService.calculate({ ...req.body, termYears: Number(termYears) }, rates);
+
+    logger.info('Affordability calculation performed', {
+      userId: req.user._id,
+      programs,
+      maxPurchasePrice: results[0]?.maxPurchasePrice
+    });
+
+    return res.json({
+      success: true,
+      data: {
+        termYears: Number(termYears),
+        programs: results
+      }
+    });
+  } catch (err) {
+    logger.error('Error in affordability calculation:', err);
+    return next(err);
+  }
+};
+
+/**
+ * Refinance analysis: monthly savings, break-even, lifetime interest and cash-out
+ * POST /api/v1/calculator/refinance
+ */
+exports.refinance = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const analysis = refinanceService.analyze(req.body);
+
+    logger.info('Refinance analysis performed', {
+      userId: req.user._id,
+      currentBalance: req.body.currentBalance,
+      monthlySavings: analysis.monthlySavings,
+      breakEvenMonth: analysis.breakEvenMonth
+    });
+
+    return res.json({
+      success: true,
+      data: analysis
+    });
+  } catch (err) {
+    logger.error('Error in refinance analysis:', err);
+    return next(err);
+  }
+};
+
+/**
+ * Resolved fee template for a state and loan type
+ * GET /api/v1/calculator/fee-templates
+ */
+exports.getFeeTemplate = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const { state, productType = 'conventional' } = req.query;
+    const template = feeEngineService.resolveTemplate({ state, productType });
+
+    return res.json({
+      success: true,
+      data: {
+        state: state ? state.toUpperCase() : null,
+        productType,
+        ...template
+      }
+    });
+  } catch (err) {
+    return next(err);
+  }
+};
+
 /**
  * Get current rates from Optimal Blue for calculator
  * GET /api/v1/calculator/rates
@@ -169,6 +265,7 @@ exports.getCurrentRates = async (req, res, next) => {
       loanAmount = 300000,
       productType = 'conventional',
       loanTerm = 30,
+      armType,
       creditScore = 740,
       ltv = 80
     } = req.query;
@@ -177,6 +274,8 @@ exports.getCurrentRates = async (req, res, next) => {
     const recentRates = await RateSnapshot.find({
       productType,
       loanTerm: parseInt(loanTerm),
+      armType: armType || null,
+      source: { $in: PRICING_SOURCES },
       isActive: true,
       effectiveDate: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
     })
@@ -198,6 +297,8 @@ exports.getCurrentRates = async (req, res, next) => {
           lockPeriod: r.lockPeriod,
           productType: r.productType,
           loanTerm: r.loanTerm,
+          armType: r.armType,
+          arm: r.arm,
           effectiveDate: r.effectiveDate
         }))
       });
@@ -209,6 +310,7 @@ exports.getCurrentRates = async (req, res, next) => {
         loanAmount: parseFloat(loanAmount),
         productType,
         loanTerm: parseInt(loanTerm),
+        armType,
         creditScore: parseInt(creditScore),
         ltv: parseFloat(ltv)
       });
@@ -232,7 +334,9 @@ exports.getCurrentRates = async (req, res, next) => {
           points: r.points,
           lockPeriod: r.lockPeriod,
           productType: r.productType,
-          loanTerm: r.loanTerm
+          loanTerm: r.loanTerm,
+          armType: r.armType,
+          arm: r.arm
         }))
       });
     } catch (obError) {
@@ -253,7 +357,8 @@ exports.getCurrentRates = async (req, res, next) => {
 };
 
 /**
- * Get amortization schedule for specific range
+ * Get amortization schedule for a month range, in full or as yearly rollups,
+ * with optional extra principal, lump sums and biweekly payments
  * POST /api/v1/calculator/amortization
  */
 exports.getAmortization = async (req, res, next) => {
@@ -263,45 +368,32 @@ exports.getAmortization = async (req, res, next) => {
       return next(createError(400, { errors: errors.array() }));
     }
 
-    const {
-      amount,
-      rate,
-      termYears,
-      startMonth = 1,
-      monthsToGenerate = 12
-    } = req.body;
+    const { amount, rate, termYears } = req.body;
 
     if (!amount || !rate || !termYears) {
       return next(createError(400, 'amount, rate, and termYears are required'));
     }
 
-    const schedule = generateAmortizationSchedule(
-      Number(amount),
-      Number(rate),
-      Number(termYears),
-      Number(startMonth),
-      Number(monthsToGenerate)
-    );
-
-    const totalMonths = termYears * 12;
-    const monthlyPayment = calcMonthlyPayment(Number(amount), Number(rate), Number(termYears));
+    const data = amortizationService.buildSchedule({
+      ...req.body,
+      amount: Number(amount),
+      rate: Number(rate),
+      termYears: Number(termYears),
+      startMonth: Number(req.body.startMonth || 1),
+      monthsToGenerate: Number(req.body.monthsToGenerate || 12)
+    });
 
     logger.info('Generated amortization schedule', {
       userId: req.user._id,
       loanAmount: amount,
-      months: schedule.length
+      frequency: data.frequency,
+      view: data.view,
+      interestSaved: data.summary.interestSaved
     });
 
     return res.json({
       success: true,
-      data: {
-        schedule,
-        totalMonths,
-        monthlyPayment: Number(monthlyPayment.toFixed(2)),
-        loanAmount: Number(amount),
-        rate: Number(rate),
-        termYears: Number(termYears)
-      }
+      data
     });
   } catch (error) {
     logger.error('Error generating amortization:', error);
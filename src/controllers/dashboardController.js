@@ -4,6 +4,7 @@ const DashboardMetric = require('../models/DashboardMetric');
 const BranchPerformance = require('../models/BranchPerformance');
 const LoanApplication = require('../models/LoanApplication');
 const powerBIService = require('../services/powerBIService');
+const marketRateService = require('../services/marketRateService');
 const logger = require('../utils/logger');
 const roles = require('../config/roles');
 
@@ -251,6 +252,30 @@ exports.getBranchPerformance = async (req, res, next) => {
   }
 };
 
+/**
+ * Get where our current pricing sits against competitor and market-index rates
+ * GET /api/v1/dashboard/market-position
+ */
+exports.getMarketPosition = async (req, res, next) => {
+  try {
+    const position = await marketRateService.getMarketPosition();
+
+    logger.info('Retrieved market position', {
+      userId: req.user._id,
+      compared: position.comparisons.length,
+      outOfMarket: position.outOfMarket.length
+    });
+
+    res.json({
+      success: true,
+      data: position
+    });
+  } catch (error) {
+    logger.error('Error retrieving market position:', error);
+    next(error);
+  }
+};
+
 /**
  * Get user's personal KPI summary
  * GET /api/v1/dashboard/my-kpis
@@ -2,6 +2,7 @@ const { validationResult } = require('express-validator');
 const createError = require('http-errors');
 const Document = require('../models/Document');
 const defaults = require('../config/defaults');
+const antivirusService = require('../services/antivirusService');
 const { audit } = require('../utils/audit');
 
 exports.listForLoan = async (req, res, next) => {
@@ -49,8 +50,6 @@ exports.upload = async (req, res, next) => {
       return res.status(200).json(existing);
     }
 
-    const scannedAt = new Date();
-    const scanned = true; // Placeholder until AV scanner is integrated.
     const tempBlobExpiresAt = new Date(Date.now() + defaults.upload.tempBlobRetentionHours * 60 * 60 * 1000);
 
     const doc = await Document.create({
@@ -62,8 +61,6 @@ exports.upload = async (req, res, next) => {
       size,
       hash,
       status: 'pending',
-      scanned,
-      scannedAt,
       tempBlobExpiresAt,
     });
 
@@ -77,6 +74,9 @@ exports.upload = async (req, res, next) => {
       req
     );
 
+    // Quarantined until clean; files we can't read yet are retried by avScanJob
+    await antivirusService.scanDocument(doc, undefined, req);
+
     return res.status(201).json(doc);
   } catch (err) {
     await audit(
@@ -96,6 +96,8 @@ exports.markSynced = async (req, res, next) => {
   try {
     const doc = await Document.findById(req.params.id);
     if (!doc) return next(createError(404, 'Document not found'));
+    // Infected or still-quarantined files must not reach the LOS/POS
+    antivirusService.assertClean(doc);
     doc.status = 'synced';
     await doc.save();
     await audit(
@@ -0,0 +1,112 @@
+const { validationResult } = require('express-validator');
+const createError = require('http-errors');
+const LoanApplication = require('../models/LoanApplication');
+const DocumentRequest = require('../models/DocumentRequest');
+const documentRequestService = require('../services/documentRequestService');
+const { audit } = require('../utils/audit');
+const { loadAccessibleLoan } = require('../utils/loanAccess');
+
+const populateRequest = (query) =>
+  query.populate('requestedBy', 'name email').populate('fulfilledBy', 'originalFileName documentType status createdAt');
+
+exports.listForLoan = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+    const { loanId } = req.params;
+    await loadAccessibleLoan(loanId, req.user);
+
+    const filter = { loan: loanId };
+    if (req.query.status) filter.status = req.query.status;
+
+    const requests = await populateRequest(DocumentRequest.find(filter)).sort({ status: 1, dueDate: 1, createdAt: -1 });
+    return res.json(requests);
+  } catch (err) {
+    return next(err);
+  }
+};
+
+exports.listMine = async (req, res, next) => {
+  try {
+    const loans = await LoanApplication.find({ borrower: req.user._id }).select('_id propertyAddress status');
+    const requests = await DocumentRequest.find({
+      loan: { $in: loans.map((loan) => loan._id) },
+      status: 'outstanding',
+    })
+      .populate('loan', 'propertyAddress status')
+      .populate('requestedBy', 'name email')
+      .sort({ dueDate: 1, createdAt: 1 });
+
+    return res.json({ total: requests.length, requests });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+exports.create = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+    const { loanId } = req.params;
+    await loadAccessibleLoan(loanId, req.user);
+
+    const { documentType, description, dueDate } = req.body;
+    const request = await documentRequestService.createRequest(loanId, { documentType, description, dueDate }, req.user);
+
+    await audit(
+      {
+        action: 'documentRequest.create',
+        entityType: 'DocumentRequest',
+        entityId: request._id.toString(),
+        metadata: { loanId, documentType, dueDate },
+      },
+      req
+    );
+    return res.status(201).json(request);
+  } catch (err) {
+    return next(err);
+  }
+};
+
+exports.update = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+    const request = await DocumentRequest.findById(req.params.id);
+    if (!request) return next(createError(404, 'Document request not found'));
+    await loadAccessibleLoan(request.loan, req.user);
+
+    const { description, dueDate, status } = req.body;
+    if (description !== undefined) request.description = description;
+    if (dueDate !== undefined) {
+      request.dueDate = dueDate;
+      // A new due date restarts the reminder and escalation cycle
+      request.reminders.lastSentAt = undefined;
+      request.escalatedAt = undefined;
+    }
+    if (status && status !== request.status) {
+      request.status = status;
+      request.fulfilledAt = status === 'fulfilled' ? new Date() : undefined;
+    }
+    await request.save();
+
+    await audit(
+      {
+        action: 'documentRequest.update',
+        entityType: 'DocumentRequest',
+        entityId: request._id.toString(),
+        metadata: { loanId: request.loan.toString(), status: request.status, dueDate: request.dueDate },
+      },
+      req
+    );
+    return res.json(await populateRequest(DocumentRequest.findById(request._id)));
+  } catch (err) {
+    return next(err);
+  }
+};
@@ -8,6 +8,12 @@ const LoanApplication = require('../models/LoanApplication');
 const Notification = require('../models/Notification');
 const azureBlobService = require('../services/azureBlobService');
 const posUploadService = require('../services/posUploadService');
+const antivirusService = require('../services/antivirusService');
+const fileContentService = require('../services/fileContentService');
+const documentAssemblyService = require('../services/documentAssemblyService');
+const documentClassificationService = require('../services/documentClassificationService');
+const documentRequestService = require('../services/documentRequestService');
+const documentVersionService = require('../services/documentVersionService');
 const logger = require('../utils/logger');
 const { storage } = require('../config/env');
 
@@ -62,6 +68,7 @@ exports.createPresignedUpload = async (req, res, next) => {
       type: mimeType?.includes('png') ? 'png' : mimeType?.includes('jpeg') || mimeType?.includes('jpg') ? 'jpg' : 'pdf',
       size: fileSize,
       url: sasUrl,
+      storageKey: uniqueFileName,
       status: 'pending',
       tempBlobExpiresAt: expiresAt,
     });
@@ -98,7 +105,7 @@ exports.uploadDocument = async (req, res, next) => {
       return next(createError(400, { errors: errors.array() }));
     }
 
-    const { loanId, documentType, description, posSystem = 'blend' } = req.body;
+    const { loanId, documentType, description, posSystem = 'blend', holdForMerge = false } = req.body;
     const uploadedBy = req.user._id;
 
     // Validate loan exists and user has access
@@ -126,6 +133,24 @@ exports.uploadDocument = async (req, res, next) => {
 
     // Process each file
     for (const file of req.files) {
+      // Content must match the declared type; images come back without EXIF/GPS metadata
+      let content;
+      try {
+        content = fileContentService.verifyUpload(file);
+      } catch (validationError) {
+        logger.warn('Rejected document upload content', {
+          userId: uploadedBy,
+          loanId,
+          fileName: file.originalname,
+          reason: validationError.message
+        });
+        failedUploads.push({
+          fileName: file.originalname,
+          error: validationError.message
+        });
+        continue;
+      }
+
       try {
         // Generate unique filename
         const fileExt = path.extname(file.originalname);
@@ -134,8 +159,8 @@ exports.uploadDocument = async (req, res, next) => {
         // Upload to Azure Blob Storage
         const blobResult = await azureBlobService.uploadFile(
           uniqueFileName,
-          file.buffer,
-          file.mimetype,
+          content.buffer,
+          content.mimetype,
           {
             loanId,
             documentType,
@@ -150,14 +175,16 @@ exports.uploadDocument = async (req, res, next) => {
           uploadedBy,
           fileName: uniqueFileName,
           originalFileName: file.originalname,
-          fileSize: file.size,
-          mimeType: file.mimetype,
+          fileSize: content.size,
+          mimeType: content.mimetype,
           documentType,
           description,
           blobUrl: blobResult.blobUrl,
           blobContainer: blobResult.blobContainer,
           blobName: blobResult.blobName,
-          status: 'uploaded',
+          // Pages held for merging wait for the combined PDF instead of syncing one by one
+          status: holdForMerge ? 'processing' : 'uploaded',
+          posSystem,
           metadata: {
             uploadSource: 'mobile_app',
             ipAddress: req.ip,
@@ -167,58 +194,48 @@ exports.uploadDocument = async (req, res, next) => {
 
         await documentUpload.save();
 
-        // Push to POS system in background
-        setImmediate(async () => {
+        // Quarantined until the scan comes back clean; a failed scan is retried by avScanJob
+        await antivirusService.scanDocument(documentUpload, content.buffer, req);
+
+        if (documentUpload.avStatus === 'infected') {
+          failedUploads.push({
+            fileName: file.originalname,
+            error: 'File failed virus scan'
+          });
+          continue;
+        }
+
+        // Suggest a type from the file's own text in background; OCR can take a few seconds
+        if (documentUpload.avStatus === 'clean') {
+          setImmediate(() => documentClassificationService.classifyDocument(documentUpload, content.buffer));
+        }
+
+        if (documentUpload.avStatus === 'clean' && !holdForMerge) {
+          // Close out any needs-list requests this upload satisfies
           try {
-            const fileBuffer = await azureBlobService.downloadFile(blobResult.blobName);
-            
-            let posResult;
-            if (posSystem === 'blend') {
-              posResult = await posUploadService.uploadToBlend(
-                loanId,
-                fileBuffer,
-                file.originalname,
-                documentType,
-                { description }
-              );
-            } else if (posSystem === 'big_pos') {
-              posResult = await posUploadService.uploadToBigPOS(
-                loanId,
-                fileBuffer,
-                file.originalname,
-                documentType,
-                { description }
-              );
-            } else if (posSystem === 'encompass') {
-              posResult = await posUploadService.uploadToEncompass(
-                loanId,
-                fileBuffer,
-                file.originalname,
-                documentType,
-                { description }
-              );
-            }
+            await documentRequestService.fulfillMatchingRequests(loanId, documentType, documentUpload._id);
+          } catch (requestError) {
+            logger.error('Failed to fulfill document requests:', requestError);
+          }
 
-            if (posResult.success) {
-              if (posResult.posDocumentId) {
-                await documentUpload.markSyncedToPOS(posResult.posSystem, posResult.posDocumentId);
-              } else if (posResult.encompassDocId) {
-                await documentUpload.markSyncedToEncompass(posResult.encompassDocId);
-              }
+          // Push to POS system in background
+          setImmediate(async () => {
+            try {
+              const posResult = await posUploadService.syncToPOS(documentUpload, posSystem);
               logger.info('Document synced to POS', {
                 documentId: documentUpload._id,
                 posSystem,
                 posDocumentId: posResult.posDocumentId || posResult.encompassDocId
               });
+            } catch (posError) {
+              logger.error('Failed to sync document to POS:', posError);
+              await documentUpload.markFailed([{
+                field: 'posSync',
+                message: posError.message
+              }]);
             }
-          } catch (posError) {
-            logger.error('Failed to sync document to POS:', posError);
-            await documentUpload.markFailed([{
-              field: 'posSync',
-              message: posError.message
-            }]);
-          }
-        });
+          });
+        }
 
         // Notify LO and processor
         setImmediate(async () => {
@@ -248,6 +265,7 @@ exports.uploadDocument = async (req, res, next) => {
           fileName: file.originalname,
           documentType,
           status: documentUpload.status,
+          avStatus: documentUpload.avStatus,
           uploadedAt: documentUpload.createdAt
         });
 
@@ -280,6 +298,328 @@ exports.uploadDocument = async (req, res, next) => {
   }
 };
 
+/**
+ * Merge uploads (page photos or PDFs) into one PDF and sync only the combined file
+ * POST /api/v1/documents/merge
+ */
+exports.mergeDocuments = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const { loanId, documentType } = req.body;
+
+    const loan = await LoanApplication.findById(loanId);
+    if (!loan) {
+      return next(createError(404, 'Loan not found'));
+    }
+
+    const isBorrower = loan.borrower.toString() === req.user._id.toString();
+    const isOfficer = loan.assignedOfficer?.toString() === req.user._id.toString();
+    const isAdmin = req.user.role?.slug === 'admin';
+
+    if (!isBorrower && !isOfficer && !isAdmin) {
+      return next(createError(403, 'You do not have permission to merge documents for this loan'));
+    }
+
+    const combined = await documentAssemblyService.mergeUploads(loan, req.body, req.user, req);
+
+    if (combined.avStatus === 'clean') {
+      setImmediate(() => documentClassificationService.classifyDocument(combined));
+
+      try {
+        await documentRequestService.fulfillMatchingRequests(loanId, documentType, combined._id);
+      } catch (requestError) {
+        logger.error('Failed to fulfill document requests:', requestError);
+      }
+
+      // Push to POS system in background
+      setImmediate(async () => {
+        try {
+          await posUploadService.syncToPOS(combined);
+        } catch (posError) {
+          logger.error('Failed to sync merged document to POS:', posError);
+          await combined.markFailed([{
+            field: 'posSync',
+            message: posError.message
+          }]);
+        }
+      });
+    }
+
+    logger.info('Documents merged', {
+      userId: req.user._id,
+      loanId,
+      documentId: combined._id,
+      parts: combined.mergedFrom.length
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        id: combined._id,
+        fileName: combined.originalFileName,
+        documentType: combined.documentType,
+        pageCount: combined.metadata.pageCount,
+        mergedFrom: combined.mergedFrom,
+        status: combined.status,
+        avStatus: combined.avStatus,
+        uploadedAt: combined.createdAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error merging documents:', error);
+    next(error);
+  }
+};
+
+/**
+ * Upload a new version of a document; the current one is kept read-only
+ * POST /api/v1/documents/:id/replace
+ */
+exports.replaceDocument = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const { id } = req.params;
+
+    const document = await DocumentUpload.findById(id)
+      .populate('loan', 'loanNumber borrower assignedOfficer');
+
+    if (!document || document.status === 'deleted') {
+      return next(createError(404, 'Document not found'));
+    }
+
+    const isBorrower = document.loan.borrower.toString() === req.user._id.toString();
+    const isOfficer = document.loan.assignedOfficer?.toString() === req.user._id.toString();
+    const isAdmin = req.user.role?.slug === 'admin';
+
+    if (!isBorrower && !isOfficer && !isAdmin) {
+      return next(createError(403, 'You do not have permission to replace this document'));
+    }
+
+    if (!req.file) {
+      return next(createError(400, 'No file uploaded'));
+    }
+
+    const replacement = await documentVersionService.replaceDocument(
+      document,
+      req.file,
+      { description: req.body.description },
+      req.user,
+      req
+    );
+    const loanId = document.loan._id;
+
+    if (replacement.avStatus === 'clean') {
+      setImmediate(() => documentClassificationService.classifyDocument(replacement));
+    }
+
+    if (replacement.avStatus === 'clean' && replacement.status === 'uploaded') {
+      try {
+        await documentRequestService.fulfillMatchingRequests(loanId, replacement.documentType, replacement._id);
+      } catch (requestError) {
+        logger.error('Failed to fulfill document requests:', requestError);
+      }
+
+      // Push to POS system in background; earlier versions are never sent again
+      setImmediate(async () => {
+        try {
+          await posUploadService.syncToPOS(replacement);
+        } catch (posError) {
+          logger.error('Failed to sync replacement document to POS:', posError);
+          await replacement.markFailed([{
+            field: 'posSync',
+            message: posError.message
+          }]);
+        }
+      });
+    }
+
+    if (document.loan.assignedOfficer) {
+      setImmediate(async () => {
+        try {
+          await Notification.create({
+            user: document.loan.assignedOfficer,
+            type: 'status',
+            title: 'Document Replaced',
+            body: `${req.user.name} uploaded version ${replacement.version} of ${replacement.documentType} for loan ${document.loan.loanNumber || loanId}`,
+            metadata: {
+              loanId,
+              documentId: replacement._id,
+              replaces: document._id,
+              documentType: replacement.documentType
+            }
+          });
+        } catch (notifError) {
+          logger.error('Failed to send notification:', notifError);
+        }
+      });
+    }
+
+    logger.info('Document replaced', {
+      userId: req.user._id,
+      loanId,
+      documentId: replacement._id,
+      replaces: document._id,
+      version: replacement.version
+    });
+
+    return res.status(201).json({
+      success: true,
+      data: {
+        id: replacement._id,
+        fileName: replacement.originalFileName,
+        documentType: replacement.documentType,
+        version: replacement.version,
+        versionGroup: replacement.versionGroup,
+        replaces: replacement.replaces,
+        status: replacement.status,
+        avStatus: replacement.avStatus,
+        uploadedAt: replacement.createdAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error replacing document:', error);
+    next(error);
+  }
+};
+
+/**
+ * Version history of a document
+ * GET /api/v1/documents/:id/versions
+ */
+exports.getDocumentVersions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const document = await DocumentUpload.findById(id)
+      .populate('loan', 'borrower assignedOfficer');
+
+    if (!document) {
+      return next(createError(404, 'Document not found'));
+    }
+
+    const isBorrower = document.loan.borrower.toString() === req.user._id.toString();
+    const isOfficer = document.loan.assignedOfficer?.toString() === req.user._id.toString();
+    const isAdmin = req.user.role?.slug === 'admin';
+
+    if (!isBorrower && !isOfficer && !isAdmin) {
+      return next(createError(403, 'You do not have permission to view this document'));
+    }
+
+    // Who downloaded which version is for the loan team, not the borrower
+    const versions = await documentVersionService.listVersions(document, {
+      includeDownloads: isOfficer || isAdmin
+    });
+
+    return res.json({
+      success: true,
+      data: {
+        versionGroup: documentVersionService.versionGroupOf(document),
+        latest: versions.find((v) => v.latest)?.id,
+        versions
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching document versions:', error);
+    next(error);
+  }
+};
+
+/**
+ * Re-run classification on a document (LO/Admin only)
+ * POST /api/v1/documents/:id/classify
+ */
+exports.classifyDocument = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const document = await DocumentUpload.findById(id)
+      .populate('loan', 'borrower assignedOfficer');
+
+    if (!document || document.status === 'deleted') {
+      return next(createError(404, 'Document not found'));
+    }
+
+    const isOfficer = document.loan.assignedOfficer?.toString() === req.user._id.toString();
+    const isAdmin = req.user.role?.slug === 'admin';
+
+    if (!isOfficer && !isAdmin) {
+      return next(createError(403, 'You do not have permission to classify this document'));
+    }
+
+    documentVersionService.assertLatest(document);
+    // Quarantined and infected files are never read
+    antivirusService.assertClean(document);
+
+    await documentClassificationService.classifyDocument(document);
+
+    return res.json({
+      success: true,
+      data: {
+        documentType: document.documentType,
+        classification: document.classification,
+        extracted: document.metadata?.extracted || {}
+      }
+    });
+  } catch (error) {
+    logger.error('Error classifying document:', error);
+    next(error);
+  }
+};
+
+/**
+ * Accept or correct a document's suggested type and extracted fields (LO/Admin only)
+ * PUT /api/v1/documents/:id/classification
+ */
+exports.reviewClassification = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const { id } = req.params;
+
+    const document = await DocumentUpload.findById(id)
+      .populate('loan', 'borrower assignedOfficer');
+
+    if (!document || document.status === 'deleted') {
+      return next(createError(404, 'Document not found'));
+    }
+
+    const isOfficer = document.loan.assignedOfficer?.toString() === req.user._id.toString();
+    const isAdmin = req.user.role?.slug === 'admin';
+
+    if (!isOfficer && !isAdmin) {
+      return next(createError(403, 'You do not have permission to review this document'));
+    }
+
+    documentVersionService.assertLatest(document);
+
+    const { documentType, fields } = req.body;
+    await documentClassificationService.reviewClassification(document, { documentType, fields }, req.user, req);
+
+    return res.json({
+      success: true,
+      data: {
+        documentType: document.documentType,
+        classification: document.classification,
+        extracted: document.metadata?.extracted || {}
+      }
+    });
+  } catch (error) {
+    logger.error('Error reviewing document classification:', error);
+    next(error);
+  }
+};
+
 /**
  * Get documents for a loan
  * GET /api/v1/documents/loan/:loanId
@@ -287,7 +627,7 @@ exports.uploadDocument = async (req, res, next) => {
 exports.getDocumentsByLoan = async (req, res, next) => {
   try {
     const { loanId } = req.params;
-    const { status, documentType } = req.query;
+    const { status, documentType, classificationStatus, includeVersions } = req.query;
 
     // Validate loan exists and user has access
     const loan = await LoanApplication.findById(loanId);
@@ -306,6 +646,9 @@ exports.getDocumentsByLoan = async (req, res, next) => {
     const filter = { loan: loanId };
     if (status) filter.status = status;
     if (documentType) filter.documentType = documentType;
+    if (classificationStatus) filter['classification.status'] = classificationStatus;
+    // Earlier versions are listed through /:id/versions unless asked for
+    if (includeVersions !== 'true') filter.supersededBy = null;
 
     const documents = await DocumentUpload.find(filter)
       .populate('uploadedBy', 'name email')
@@ -395,8 +738,12 @@ exports.downloadDocument = async (req, res, next) => {
       return next(createError(403, 'You do not have permission to download this document'));
     }
 
+    // Quarantined and infected files are never served
+    antivirusService.assertClean(document);
+
     // Download from Azure Blob
     const fileBuffer = await azureBlobService.downloadFile(document.blobName);
+    await documentVersionService.recordDownload(document, req);
 
     // Set headers
     res.setHeader('Content-Type', document.mimeType);
@@ -405,7 +752,8 @@ exports.downloadDocument = async (req, res, next) => {
 
     logger.info('Document downloaded', {
       userId: req.user._id,
-      documentId: id
+      documentId: id,
+      version: document.version
     });
 
     return res.send(fileBuffer);
@@ -439,6 +787,9 @@ exports.deleteDocument = async (req, res, next) => {
       return next(createError(403, 'You do not have permission to delete this document'));
     }
 
+    // Every version of a replaced document is kept for the audit trail
+    documentVersionService.assertDeletable(document);
+
     // Delete from Azure Blob
     await azureBlobService.deleteFile(document.blobName);
 
@@ -486,62 +837,24 @@ exports.retrySyncToPOS = async (req, res, next) => {
       return next(createError(403, 'You do not have permission to retry sync'));
     }
 
-    // Download from Azure Blob
-    const fileBuffer = await azureBlobService.downloadFile(document.blobName);
+    // Refuses files that haven't scanned clean
+    const posResult = await posUploadService.syncToPOS(document, posSystem);
 
-    // Retry upload to POS
-    let posResult;
-    if (posSystem === 'blend') {
-      posResult = await posUploadService.uploadToBlend(
-        document.loan._id,
-        fileBuffer,
-        document.originalFileName,
-        document.documentType,
-        { description: document.description }
-      );
-    } else if (posSystem === 'big_pos') {
-      posResult = await posUploadService.uploadToBigPOS(
-        document.loan._id,
-        fileBuffer,
-        document.originalFileName,
-        document.documentType,
-        { description: document.description }
-      );
-    } else if (posSystem === 'encompass') {
-      posResult = await posUploadService.uploadToEncompass(
-        document.loan._id,
-        fileBuffer,
-        document.originalFileName,
-        document.documentType,
-        { description: document.description }
-      );
-    }
-
-    if (posResult.success) {
-      if (posResult.posDocumentId) {
-        await document.markSyncedToPOS(posResult.posSystem, posResult.posDocumentId);
-      } else if (posResult.encompassDocId) {
-        await document.markSyncedToEncompass(posResult.encompassDocId);
-      }
-
-      logger.info('Document sync retried successfully', {
-        userId: req.user._id,
-        documentId: id,
-        posSystem
-      });
+    logger.info('Document sync retried successfully', {
+      userId: req.user._id,
+      documentId: id,
+      posSystem
+    });
 
-      return res.json({
-        success: true,
-        message: 'Document synced successfully',
-        data: {
-          posSystem,
-          posDocumentId: posResult.posDocumentId || posResult.encompassDocId,
-          status: document.status
-        }
-      });
-    } else {
-      throw new Error('POS sync failed');
-    }
+    return res.json({
+      success: true,
+      message: 'Document synced successfully',
+      data: {
+        posSystem,
+        posDocumentId: posResult.posDocumentId || posResult.encompassDocId,
+        status: document.status
+      }
+    });
   } catch (error) {
     logger.error('Error retrying POS sync:', error);
     next(error);
@@ -8,6 +8,9 @@ const Message = require('../models/Message');
 const Document = require('../models/Document');
 const EncompassSyncLog = require('../models/EncompassSyncLog');
 const User = require('../models/User');
+const encompassService = require('../services/encompassService');
+const loanStatusService = require('../services/loanStatusService');
+const antivirusService = require('../services/antivirusService');
 const logger = require('../utils/logger');
 const escapeRegex = require('../utils/escapeRegex');
 const { integrations } = require('../config/env');
@@ -18,7 +21,7 @@ const BORROWER_ROLE = 'borrower';
 /**
  * Valid loan statuses matching the LoanApplication model enum.
  */
-const VALID_STATUSES = ['application', 'processing', 'underwriting', 'closing', 'funded'];
+const { LOAN_STATUSES: VALID_STATUSES } = require('../config/loanStatusWorkflow');
 
 /**
  * Test local database connection
@@ -379,7 +382,7 @@ exports.updateStatus = async (req, res, next) => {
     }
 
     const { id } = req.params;
-    const { status, milestones } = req.body;
+    const { status, milestones, reason } = req.body;
 
     const loan = await LoanApplication.findById(id);
     if (!loan) return next(createError(404, 'Loan not found'));
@@ -389,7 +392,7 @@ exports.updateStatus = async (req, res, next) => {
     }
 
     if (status) {
-      loan.status = status;
+      await loanStatusService.transition(loan, status, { actor: req.user, reason });
     }
     if (milestones) {
       loan.milestones = milestones;
@@ -448,6 +451,8 @@ exports.uploadDocument = async (req, res, next) => {
       status: 'uploaded',
     });
 
+    await antivirusService.scanDocument(document, Buffer.from(base64Content || '', 'base64'), req);
+
     return res.status(201).json({
       message: 'Document uploaded successfully',
       document: {
@@ -456,6 +461,7 @@ exports.uploadDocument = async (req, res, next) => {
         type: document.type,
         size: document.size,
         status: document.status,
+        avStatus: document.avStatus,
         createdAt: document.createdAt,
       },
     });
@@ -492,6 +498,7 @@ exports.getDocuments = async (req, res, next) => {
       type: doc.type,
       size: doc.size,
       status: doc.status,
+      avStatus: doc.avStatus,
       createdAt: doc.createdAt,
       createdBy: doc.uploadedBy?.name || 'Unknown',
     })));
@@ -521,6 +528,9 @@ exports.downloadDocument = async (req, res, next) => {
     const document = await Document.findOne({ _id: documentId, loan: id });
     if (!document) return next(createError(404, 'Document not found'));
 
+    // Quarantined and infected files are never served
+    antivirusService.assertClean(document);
+
     // If URL is a data URI, extract and send the content
     if (document.url && document.url.startsWith('data:')) {
       const matches = document.url.match(/^data:(.+);base64,(.+)$/);
@@ -747,11 +757,17 @@ exports.webhook = async (req, res, next) => {
           break;
 
         case 'loan.status.changed':
-          if (data?.status) {
-            loan.status = data.status;
+          // Encompass is the system of record: apply its status even outside the local workflow
+          if (data?.status && VALID_STATUSES.includes(data.status)) {
+            await loanStatusService.transition(loan, data.status, {
+              source: 'encompass',
+              enforceRules: false,
+              reason: 'Encompass webhook',
+            });
           }
           if (data?.encompassData) {
             loan.encompassData = data.encompassData;
+            loan.set(encompassService.transformLoanDetails(data.encompassData), undefined, { merge: true });
           }
           await loan.save();
           break;
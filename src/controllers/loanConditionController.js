@@ -0,0 +1,173 @@
+const { validationResult } = require('express-validator');
+const createError = require('http-errors');
+const LoanCondition = require('../models/LoanCondition');
+const DocumentUpload = require('../models/DocumentUpload');
+const roles = require('../config/roles');
+const loanConditionService = require('../services/loanConditionService');
+const { audit } = require('../utils/audit');
+const { loadAccessibleLoan } = require('../utils/loanAccess');
+
+const EDITABLE_FIELDS = ['title', 'description', 'category', 'ownerRole', 'owner', 'dueDate', 'borrowerVisible', 'notes'];
+
+const isBorrower = (user) => user.role?.slug === roles.BORROWER;
+
+const populateCondition = (query) =>
+  query
+    .populate('owner', 'name email')
+    .populate('documents', 'originalFileName documentType status createdAt')
+    .populate('resolvedBy', 'name email');
+
+exports.listForLoan = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+    const { loanId } = req.params;
+    await loadAccessibleLoan(loanId, req.user);
+
+    const filter = { loan: loanId };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.category) filter.category = req.query.category;
+    if (isBorrower(req.user)) filter.borrowerVisible = true;
+
+    const conditions = await populateCondition(LoanCondition.find(filter)).sort({ category: 1, dueDate: 1, createdAt: 1 });
+    return res.json(conditions);
+  } catch (err) {
+    return next(err);
+  }
+};
+
+exports.listOutstanding = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+    const { loanId } = req.params;
+    await loadAccessibleLoan(loanId, req.user);
+
+    const conditions = await LoanCondition.findOutstanding(loanId)
+      .where({ borrowerVisible: true })
+      .select('title description category ownerRole dueDate status documents')
+      .populate('documents', 'originalFileName documentType status createdAt')
+      .sort({ dueDate: 1, createdAt: 1 });
+
+    return res.json({ loanId, total: conditions.length, conditions });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+exports.create = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+    const { loanId } = req.params;
+    await loadAccessibleLoan(loanId, req.user);
+
+    const fields = EDITABLE_FIELDS.reduce((acc, field) => {
+      if (req.body[field] !== undefined) acc[field] = req.body[field];
+      return acc;
+    }, {});
+    const condition = await LoanCondition.create({ ...fields, loan: loanId, createdBy: req.user._id });
+
+    await audit(
+      {
+        action: 'condition.create',
+        entityType: 'LoanCondition',
+        entityId: condition._id.toString(),
+        metadata: { loanId, category: condition.category },
+      },
+      req
+    );
+    return res.status(201).json(condition);
+  } catch (err) {
+    return next(err);
+  }
+};
+
+exports.update = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+    const condition = await LoanCondition.findById(req.params.id);
+    if (!condition) return next(createError(404, 'Condition not found'));
+    await loadAccessibleLoan(condition.loan, req.user);
+
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) condition[field] = req.body[field];
+    });
+
+    const previousStatus = condition.status;
+    let milestone = null;
+    if (req.body.status && req.body.status !== previousStatus) {
+      ({ milestone } = await loanConditionService.setStatus(condition, req.body.status, req.user));
+    } else {
+      await condition.save();
+    }
+
+    await audit(
+      {
+        action: 'condition.update',
+        entityType: 'LoanCondition',
+        entityId: condition._id.toString(),
+        metadata: { loanId: condition.loan.toString(), from: previousStatus, status: condition.status, milestone },
+      },
+      req
+    );
+    const updated = await populateCondition(LoanCondition.findById(condition._id));
+    return res.json({ condition: updated, milestoneAdvanced: milestone });
+  } catch (err) {
+    return next(err);
+  }
+};
+
+exports.attachDocuments = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+    const condition = await LoanCondition.findById(req.params.id);
+    if (!condition) return next(createError(404, 'Condition not found'));
+    await loadAccessibleLoan(condition.loan, req.user);
+    if (isBorrower(req.user) && !condition.borrowerVisible) {
+      return next(createError(404, 'Condition not found'));
+    }
+
+    const { documentIds } = req.body;
+    const documents = await DocumentUpload.find({
+      _id: { $in: documentIds },
+      loan: condition.loan,
+      status: { $ne: 'deleted' },
+    }).select('_id');
+    if (documents.length !== documentIds.length) {
+      return next(createError(400, 'One or more documents were not found on this loan'));
+    }
+
+    documents.forEach((doc) => {
+      if (!condition.documents.some((id) => id.equals(doc._id))) condition.documents.push(doc._id);
+    });
+    // New evidence puts the condition back in front of the underwriter
+    if (['open', 'rejected'].includes(condition.status)) condition.status = 'submitted';
+    await condition.save();
+
+    await audit(
+      {
+        action: 'condition.attachDocuments',
+        entityType: 'LoanCondition',
+        entityId: condition._id.toString(),
+        metadata: { loanId: condition.loan.toString(), documentIds },
+      },
+      req
+    );
+    return res.json(await populateCondition(LoanCondition.findById(condition._id)));
+  } catch (err) {
+    return next(err);
+  }
+};
@@ -5,6 +5,30 @@ const User = require('../models/User');
 const roles = require('../config/roles');
 const { audit } = require('../utils/audit');
 const escapeRegex = require('../utils/escapeRegex');
+const loanStatusService = require('../services/loanStatusService');
+
+// Application data fields that can be written through create/update
+const APPLICATION_FIELDS = [
+  'borrowerInfo',
+  'coBorrowerInfo',
+  'property',
+  'loanPurpose',
+  'occupancy',
+  'productType',
+  'loanTerm',
+  'interestRate',
+  'downPayment',
+  'ltv',
+  'dti',
+  'assets',
+  'estimatedClosingDate',
+];
+
+const pickApplicationFields = (body) =>
+  APPLICATION_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
 
 exports.list = async (req, res, next) => {
   try {
@@ -13,7 +37,7 @@ exports.list = async (req, res, next) => {
       return next(createError(400, { errors: errors.array() }));
     }
 
-    const { status, source, assignedOfficer, q, dateFrom, dateTo } = req.query;
+    const { status, source, assignedOfficer, q, dateFrom, dateTo, loanPurpose, productType, occupancy, propertyState } = req.query;
     const page = req.query.page || 1;
     const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
     const sort = req.query.sort || '-createdAt';
@@ -45,6 +69,12 @@ exports.list = async (req, res, next) => {
       filter.assignedOfficer = assignedOfficer;
     }
 
+    // Filter by application data
+    if (loanPurpose) filter.loanPurpose = loanPurpose;
+    if (productType) filter.productType = productType;
+    if (occupancy) filter.occupancy = occupancy;
+    if (propertyState) filter['property.address.state'] = propertyState.toUpperCase();
+
     // Date range filter on createdAt
     if (dateFrom || dateTo) {
       filter.createdAt = {};
@@ -65,6 +95,8 @@ exports.list = async (req, res, next) => {
 
       const searchConditions = [
         { propertyAddress: { $regex: safeQ, $options: 'i' } },
+        { 'borrowerInfo.lastName': { $regex: safeQ, $options: 'i' } },
+        { 'coBorrowerInfo.lastName': { $regex: safeQ, $options: 'i' } },
       ];
       if (userIds.length > 0) {
         searchConditions.push({ borrower: { $in: userIds } });
@@ -101,21 +133,25 @@ exports.create = async (req, res, next) => {
     if (!errors.isEmpty()) {
       return next(createError(400, { errors: errors.array() }));
     }
+    // Only admins may open a loan mid-pipeline (e.g. migrating an existing file)
+    const initialStatus = req.user.role?.slug === roles.ADMIN && req.body.status ? req.body.status : 'application';
     const loan = await LoanApplication.create({
       borrower: req.body.borrower || req.user._id,
       assignedOfficer: req.body.assignedOfficer,
       amount: req.body.amount,
       propertyAddress: req.body.propertyAddress,
-      status: req.body.status,
+      status: initialStatus,
+      statusHistory: [{ to: initialStatus, changedBy: req.user._id, source: 'app', reason: 'Loan created' }],
       source: req.body.source,
       milestones: req.body.milestones || [],
+      ...pickApplicationFields(req.body),
     });
     await audit(
       {
         action: 'loan.create',
         entityType: 'LoanApplication',
         entityId: loan._id.toString(),
-        metadata: { borrower: loan.borrower, amount: loan.amount },
+        metadata: { borrower: loan.borrower, amount: loan.amount, loanPurpose: loan.loanPurpose, productType: loan.productType },
       },
       req
     );
@@ -125,13 +161,53 @@ exports.create = async (req, res, next) => {
   }
 };
 
+exports.update = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+    const loan = await LoanApplication.findById(req.params.id);
+    if (!loan) return next(createError(404, 'Loan not found'));
+    if (req.user.role?.slug === roles.BORROWER && loan.borrower.toString() !== req.user._id.toString()) {
+      return next(createError(403, 'Forbidden'));
+    }
+
+    const updates = pickApplicationFields(req.body);
+    if (req.body.amount !== undefined) updates.amount = req.body.amount;
+    if (req.body.propertyAddress !== undefined) updates.propertyAddress = req.body.propertyAddress;
+    loan.set(updates, undefined, { merge: true });
+    await loan.save();
+
+    await audit(
+      {
+        action: 'loan.update',
+        entityType: 'LoanApplication',
+        entityId: loan._id.toString(),
+        metadata: { fields: Object.keys(updates) },
+      },
+      req
+    );
+    return res.json(loan);
+  } catch (err) {
+    return next(err);
+  }
+};
+
 exports.updateStatus = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
     const { id } = req.params;
-    const { status, milestones } = req.body;
+    const { status, milestones, reason } = req.body;
     const loan = await LoanApplication.findById(id);
     if (!loan) return next(createError(404, 'Loan not found'));
-    if (status) loan.status = status;
+    const previousStatus = loan.status;
+    if (status) {
+      await loanStatusService.transition(loan, status, { actor: req.user, reason });
+    }
     if (milestones) loan.milestones = milestones;
     await loan.save();
     await audit(
@@ -139,11 +215,47 @@ exports.updateStatus = async (req, res, next) => {
         action: 'loan.updateStatus',
         entityType: 'LoanApplication',
         entityId: loan._id.toString(),
-        metadata: { status, milestonesCount: milestones ? milestones.length : loan.milestones.length },
+        metadata: { from: previousStatus, status, reason, milestonesCount: milestones ? milestones.length : loan.milestones.length },
       },
       req
     );
     return res.json(loan);
+  } catch (err) {
+    if (err.status === 409 || err.status === 403) {
+      await audit(
+        {
+          action: 'loan.updateStatus',
+          entityType: 'LoanApplication',
+          entityId: req.params.id,
+          status: 'error',
+          metadata: { status: req.body.status, message: err.message },
+        },
+        req
+      );
+    }
+    return next(err);
+  }
+};
+
+exports.getStatusHistory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+    const loan = await LoanApplication.findById(req.params.id)
+      .select('borrower status statusHistory')
+      .populate('statusHistory.changedBy', 'name email');
+    if (!loan) return next(createError(404, 'Loan not found'));
+    if (req.user.role?.slug === roles.BORROWER && loan.borrower.toString() !== req.user._id.toString()) {
+      return next(createError(403, 'Forbidden'));
+    }
+    return res.json({
+      loanId: loan._id,
+      status: loan.status,
+      history: [...loan.statusHistory].sort((a, b) => b.changedAt - a.changedAt),
+      availableTransitions: loanStatusService.getAvailableTransitions(loan, req.user.role?.slug),
+    });
   } catch (err) {
     return next(err);
   }
@@ -155,6 +267,9 @@ exports.getById = async (req, res, next) => {
       .populate('borrower', 'name email')
       .populate('assignedOfficer', 'name email role');
     if (!loan) return next(createError(404, 'Loan not found'));
+    if (req.user.role?.slug === roles.BORROWER && loan.borrower?._id?.toString() !== req.user._id.toString()) {
+      return next(createError(403, 'Forbidden'));
+    }
     await audit(
       { action: 'loan.get', entityType: 'LoanApplication', entityId: loan._id.toString() },
       req
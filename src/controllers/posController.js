@@ -26,6 +26,35 @@ function withinRateLimit(userId) {
   return recent.length <= defaults.pos.maxMintsPerMinute;
 }
 
+const POS_LOAN_PURPOSES = {
+  purchase: 'purchase',
+  refinance: 'refinance',
+  rate_term_refinance: 'refinance',
+  cash_out_refinance: 'cash_out_refinance',
+  cashout_refinance: 'cash_out_refinance',
+};
+const POS_PRODUCT_TYPES = ['conventional', 'fha', 'va', 'usda', 'jumbo'];
+
+// Normalize a Blend/Big POS loan section into LoanApplication fields, skipping unknown values
+function mapPOSLoanFields(posSystem, posLoan) {
+  if (!posLoan) return {};
+  const fields = {};
+  const amount = parseFloat(posLoan.loanAmount);
+  if (Number.isFinite(amount) && amount > 0) fields.amount = amount;
+  if (posLoan.propertyAddress) fields.propertyAddress = posLoan.propertyAddress;
+
+  const propertyValue = parseFloat(posSystem === 'blend' ? posLoan.propertyValue : posLoan.estimatedPropertyValue);
+  if (Number.isFinite(propertyValue) && propertyValue > 0) fields.property = { estimatedValue: propertyValue };
+
+  const purpose = POS_LOAN_PURPOSES[String(posLoan.loanPurpose || '').toLowerCase().replace(/[\s-]/g, '_')];
+  if (purpose) fields.loanPurpose = purpose;
+
+  const productType = String((posSystem === 'blend' ? posLoan.productType : posLoan.loanType) || '').toLowerCase();
+  if (POS_PRODUCT_TYPES.includes(productType)) fields.productType = productType;
+
+  return fields;
+}
+
 exports.createHandoff = async (req, res, next) => {
   try {
     if (!withinRateLimit(req.user._id.toString())) {
@@ -95,20 +124,21 @@ exports.initiateApplication = async (req, res, next) => {
       return next(createError(403, 'Not authorized to access this loan'));
     }
 
-    // Prepare borrower data
+    // Prepare borrower data (typed application data wins over the account profile)
+    const borrowerInfo = loan.borrowerInfo || {};
     const borrowerData = {
-      email: loan.borrower.email,
-      firstName: loan.borrower.name.split(' ')[0],
-      lastName: loan.borrower.name.split(' ').slice(1).join(' ') || loan.borrower.name.split(' ')[0],
-      phone: loan.borrower.phone,
+      email: borrowerInfo.email || loan.borrower.email,
+      firstName: borrowerInfo.firstName || loan.borrower.name.split(' ')[0],
+      lastName: borrowerInfo.lastName || loan.borrower.name.split(' ').slice(1).join(' ') || loan.borrower.name.split(' ')[0],
+      phone: borrowerInfo.phone || loan.borrower.phone,
       ssn: loan.borrower.ssn
     };
 
     // Prepare loan data
     const loanData = {
-      loanAmount: loan.loanAmount,
+      loanAmount: loan.amount,
       propertyAddress: loan.propertyAddress,
-      propertyValue: loan.purchasePrice || loan.loanAmount / 0.8,
+      propertyValue: loan.getPropertyValue() || loan.amount / 0.8,
       loanPurpose: loan.loanPurpose || 'purchase',
       productType: loan.productType,
       fahmLoanId: loan._id.toString(),
@@ -183,6 +213,15 @@ exports.getApplicationStatus = async (req, res, next) => {
       result = await bigPOSService.getApplicationStatus(applicationId);
     }
 
+    // Write the POS-captured loan details back to the linked application
+    const loan = await LoanApplication.findOne({ posSystem, posApplicationId: applicationId });
+    if (loan) {
+      const posLoan = posSystem === 'blend' ? result.application?.loan : result.application?.loanDetails;
+      loan.set(mapPOSLoanFields(posSystem, posLoan), undefined, { merge: true });
+      loan.lastPOSSync = new Date();
+      await loan.save();
+    }
+
     res.json(result);
   } catch (error) {
     logger.error('Get POS application status error:', error);
@@ -91,15 +91,15 @@ exports.generate = async (req, res, next) => {
         coBorrower: encompassData.coBorrower || {}
       },
       loanData: {
-        loanAmount: loan.loanAmount,
-        purchasePrice: loan.purchasePrice || 0,
+        loanAmount: loan.amount,
+        purchasePrice: loan.property?.purchasePrice || 0,
         downPayment: loan.downPayment || 0,
-        propertyAddress: loan.propertyAddress,
-        propertyCity: '',
-        propertyState: '',
-        propertyZip: '',
-        propertyType: loan.propertyType || 'single_family',
-        loanType: loan.loanType || 'conventional',
+        propertyAddress: loan.property?.address?.street || loan.propertyAddress,
+        propertyCity: loan.property?.address?.city || '',
+        propertyState: loan.property?.address?.state || '',
+        propertyZip: loan.property?.address?.zip || '',
+        propertyType: loan.property?.propertyType || 'single_family',
+        loanType: loan.productType || 'conventional',
         interestRate: loan.interestRate,
         loanTerm: loan.loanTerm || 30,
         monthlyPayment: 0,
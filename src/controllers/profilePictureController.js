@@ -4,6 +4,7 @@ const { v4: uuidv4 } = require('uuid');
 const azureBlobService = require('../services/azureBlobService');
 const User = require('../models/User');
 const logger = require('../utils/logger');
+const fileContentService = require('../services/fileContentService');
 const { MAX_FILE_SIZE } = require('../middleware/uploadMiddleware');
 // Removed unused variables: validationResult and ALLOWED_MIME_TYPES
 
@@ -16,7 +17,7 @@ exports.uploadProfilePicture = async (req, res, next) => {
     if (!req.file) {
       return next(createError(400, 'No file uploaded'));
     }
-    const { mimetype, originalname, buffer, size } = req.file;
+    const { originalname, size } = req.file;
     if (size > MAX_FILE_SIZE) {
       return next(createError(400, 'File exceeds 10MB limit'));
     }
@@ -25,6 +26,8 @@ exports.uploadProfilePicture = async (req, res, next) => {
     if (!allowedExtensions.includes(ext)) {
       return next(createError(400, 'Only PNG and JPG images are allowed'));
     }
+    // Verifies the content really is the declared image and strips EXIF/GPS metadata
+    const { buffer, mimetype } = fileContentService.verifyUpload(req.file, ['image/png', 'image/jpeg']);
     const uniqueFileName = `profile-pictures/${req.user._id}/${uuidv4()}${ext}`;
     const uploadResult = await azureBlobService.uploadFile(uniqueFileName, buffer, mimetype, {
       userId: req.user._id.toString(),
@@ -1,9 +1,11 @@
 const { validationResult } = require('express-validator');
 const createError = require('http-errors');
 const RateAlert = require('../models/RateAlert');
+const User = require('../models/User');
 const rateAlertService = require('../services/rateAlertService');
 const optimalBlueService = require('../services/optimalBlueService');
 const logger = require('../utils/logger');
+const { DEFAULT_ALERT_PREFERENCES } = require('../config/rateAlerts');
 
 /**
  * Create rate alert
@@ -20,15 +22,22 @@ exports.createAlert = async (req, res, next) => {
     const {
       productType,
       loanTerm,
+      armType,
       loanAmount,
       creditScore,
       ltv,
       propertyType,
+      taxesAnnual,
+      insuranceAnnual,
+      hoaMonthly,
       triggerType,
       targetRate,
+      targetPayment,
+      targetApr,
       dropAmount,
       baselineRate,
       notificationMethod,
+      rearm,
       expiresAt
     } = req.body;
 
@@ -39,21 +48,34 @@ exports.createAlert = async (req, res, next) => {
     if ((triggerType === 'below' || triggerType === 'above') && !targetRate) {
       return next(createError(400, 'targetRate is required for below/above trigger types'));
     }
+    if (triggerType === 'payment_below' && !targetPayment) {
+      return next(createError(400, 'targetPayment is required for payment_below trigger type'));
+    }
+    if (triggerType === 'apr_below' && !targetApr) {
+      return next(createError(400, 'targetApr is required for apr_below trigger type'));
+    }
 
     // Create alert
     const alert = new RateAlert({
       user: req.user.userId,
       productType,
       loanTerm,
+      armType,
       loanAmount: loanAmount || 300000,
       creditScore: creditScore || 740,
       ltv: ltv || 80,
       propertyType: propertyType || 'single_family',
+      taxesAnnual,
+      insuranceAnnual,
+      hoaMonthly,
       triggerType,
       targetRate,
+      targetPayment,
+      targetApr,
       dropAmount: dropAmount || 0.125,
       baselineRate,
       notificationMethod: notificationMethod || 'push',
+      rearm,
       expiresAt: expiresAt || new Date(Date.now() + 90 * 24 * 60 * 60 * 1000)
     });
 
@@ -84,12 +106,13 @@ exports.createAlert = async (req, res, next) => {
  */
 exports.getAlerts = async (req, res, next) => {
   try {
-    const { status, productType, loanTerm, page = 1, limit = 50 } = req.query;
+    const { status, productType, loanTerm, armType, page = 1, limit = 50 } = req.query;
 
     const query = { user: req.user.userId };
     if (status) query.status = status;
     if (productType) query.productType = productType;
     if (loanTerm) query.loanTerm = parseInt(loanTerm);
+    if (armType) query.armType = armType === 'fixed' ? null : armType;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -155,7 +178,7 @@ exports.getAlert = async (req, res, next) => {
 exports.updateAlert = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { targetRate, dropAmount, baselineRate, notificationMethod, status } = req.body;
+    const { targetRate, targetPayment, targetApr, dropAmount, baselineRate, notificationMethod, rearm, status } = req.body;
 
     const alert = await RateAlert.findById(id);
     if (!alert) {
@@ -169,9 +192,12 @@ exports.updateAlert = async (req, res, next) => {
 
     // Update allowed fields
     if (targetRate !== undefined) alert.targetRate = targetRate;
+    if (targetPayment !== undefined) alert.targetPayment = targetPayment;
+    if (targetApr !== undefined) alert.targetApr = targetApr;
     if (dropAmount !== undefined) alert.dropAmount = dropAmount;
     if (baselineRate !== undefined) alert.baselineRate = baselineRate;
     if (notificationMethod) alert.notificationMethod = notificationMethod;
+    if (rearm) alert.rearm = rearm;
     if (status && ['active', 'paused', 'cancelled'].includes(status)) {
       alert.status = status;
     }
@@ -252,6 +278,7 @@ exports.checkRate = async (req, res, next) => {
     const rateData = await optimalBlueService.getRateSheet({
       productType: alert.productType,
       loanTerm: alert.loanTerm,
+      armType: alert.armType,
       loanAmount: alert.loanAmount,
       creditScore: alert.creditScore,
       ltv: alert.ltv,
@@ -259,13 +286,19 @@ exports.checkRate = async (req, res, next) => {
     });
 
     const currentRate = rateData.rate;
-    const shouldTrigger = alert.shouldTrigger(currentRate);
+    const payment = rateAlertService.estimatePayment(alert, currentRate);
+    const pricing = { apr: rateData.apr, payment: payment?.totalMonthly };
+    const shouldTrigger = alert.shouldTrigger(currentRate, pricing);
 
     res.json({
       success: true,
       data: {
         currentRate,
+        currentApr: pricing.apr,
+        monthlyPayment: pricing.payment,
         targetRate: alert.targetRate || alert.baselineRate,
+        targetPayment: alert.targetPayment,
+        targetApr: alert.targetApr,
         shouldTrigger,
         triggerType: alert.triggerType,
         rateData
@@ -286,7 +319,7 @@ exports.triggerCheck = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const alert = await RateAlert.findById(id).populate('user', 'name email phone');
+    const alert = await RateAlert.findById(id).populate('user', 'name email phone expoPushToken rateAlertPreferences');
     if (!alert) {
       return next(createError(404, 'Rate alert not found'));
     }
@@ -340,6 +373,7 @@ exports.getStats = async (req, res, next) => {
       alertId: alert._id,
       productType: alert.productType,
       loanTerm: alert.loanTerm,
+      armType: alert.armType,
       triggeredAt: alert.triggeredAt,
       triggeredRate: alert.triggeredRate,
       targetRate: alert.targetRate
@@ -438,3 +472,66 @@ exports.resumeAlert = async (req, res, next) => {
     next(err);
   }
 };
+
+/**
+ * Get rate alert delivery preferences
+ * GET /api/v1/rate-alerts/preferences
+ * Access: Authenticated users
+ */
+exports.getPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select('rateAlertPreferences').lean();
+    if (!user) {
+      return next(createError(404, 'User not found'));
+    }
+
+    res.json({
+      success: true,
+      data: rateAlertService.getPreferences(user)
+    });
+  } catch (err) {
+    logger.error(`Error fetching rate alert preferences: ${err.message}`);
+    next(err);
+  }
+};
+
+/**
+ * Update rate alert delivery preferences
+ * PUT /api/v1/rate-alerts/preferences
+ * Access: Authenticated users
+ */
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const update = {};
+    Object.keys(DEFAULT_ALERT_PREFERENCES).forEach((key) => {
+      if (req.body[key] !== undefined) update[`rateAlertPreferences.${key}`] = req.body[key];
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: update },
+      { new: true, runValidators: true }
+    ).select('rateAlertPreferences');
+    if (!user) {
+      return next(createError(404, 'User not found'));
+    }
+
+    logger.info('Rate alert preferences updated', {
+      userId: req.user._id,
+      fields: Object.keys(update)
+    });
+
+    res.json({
+      success: true,
+      data: rateAlertService.getPreferences(user)
+    });
+  } catch (err) {
+    logger.error(`Error updating rate alert preferences: ${err.message}`);
+    next(err);
+  }
+};
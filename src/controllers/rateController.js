@@ -6,7 +6,17 @@ const ProductPricing = require('../models/ProductPricing');
 const RateLock = require('../models/RateLock');
 const LoanApplication = require('../models/LoanApplication');
 const Notification = require('../models/Notification');
+const rateLockService = require('../services/rateLockService');
+const lockDeskService = require('../services/lockDeskService');
+const lockExtensionService = require('../services/lockExtensionService');
+const llpaService = require('../services/llpaService');
+const rateHistoryService = require('../services/rateHistoryService');
+const marketRateService = require('../services/marketRateService');
+const rateAlertService = require('../services/rateAlertService');
 const logger = require('../utils/logger');
+const roles = require('../config/roles');
+const { PRICING_SOURCES } = require('../config/marketRates');
+const { RATE_TRIGGER_TYPES } = require('../config/rateAlerts');
 
 /**
  * Get current rates from local database
@@ -17,10 +27,11 @@ exports.getCurrentRates = async (req, res, next) => {
     const {
       productType,
       loanTerm,
+      armType,
       loanPurpose,
     } = req.query;
 
-    const query = { isActive: true };
+    const query = { isActive: true, source: { $in: PRICING_SOURCES } };
 
     if (productType) {
       query.productType = productType;
@@ -30,6 +41,10 @@ exports.getCurrentRates = async (req, res, next) => {
       query.loanTerm = parseInt(loanTerm);
     }
 
+    if (armType) {
+      query.armType = armType === 'fixed' ? null : armType;
+    }
+
     if (loanPurpose) {
       query.loanPurpose = loanPurpose;
     }
@@ -41,6 +56,11 @@ exports.getCurrentRates = async (req, res, next) => {
       .sort({ effectiveDate: -1 })
       .limit(50);
 
+    // Spread of our par rate against imported competitor and market-index rates
+    const purpose = loanPurpose || 'purchase';
+    const benchmarks = await marketRateService.getBenchmarks({ productType, loanTerm, armType, loanPurpose: purpose });
+    const market = marketRateService.compareToMarket(rates.filter((r) => r.loanPurpose === purpose), benchmarks);
+
     logger.info('Fetched current rates from local data', {
       userId: req.user._id,
       count: rates.length
@@ -48,7 +68,8 @@ exports.getCurrentRates = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: rates
+      data: rates,
+      market
     });
   } catch (error) {
     logger.error('Error fetching current rates:', error);
@@ -62,9 +83,9 @@ exports.getCurrentRates = async (req, res, next) => {
  */
 exports.getRateHistory = async (req, res, next) => {
   try {
-    const { productType, loanTerm, startDate, endDate, limit = 100 } = req.query;
+    const { productType, loanTerm, armType, startDate, endDate, limit = 100 } = req.query;
 
-    const query = { isActive: true };
+    const query = { isActive: true, source: { $in: PRICING_SOURCES } };
 
     if (productType) {
       query.productType = productType;
@@ -74,6 +95,10 @@ exports.getRateHistory = async (req, res, next) => {
       query.loanTerm = parseInt(loanTerm);
     }
 
+    if (armType) {
+      query.armType = armType === 'fixed' ? null : armType;
+    }
+
     if (startDate || endDate) {
       query.effectiveDate = {};
       if (startDate) {
@@ -103,6 +128,59 @@ exports.getRateHistory = async (req, res, next) => {
   }
 };
 
+/**
+ * Get daily rate history series with trend and volatility
+ * GET /api/v1/rates/history/analytics
+ */
+exports.getRateAnalytics = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const { productType, loanTerm, armType, days = 30 } = req.query;
+    const series = await rateHistoryService.getAnalytics({ productType, loanTerm, armType }, parseInt(days));
+
+    res.json({
+      success: true,
+      data: series
+    });
+  } catch (error) {
+    logger.error('Error retrieving rate analytics:', error);
+    next(error);
+  }
+};
+
+/**
+ * Import competitor and market-index rates from JSON rows or CSV
+ * POST /api/v1/rates/market/import
+ */
+exports.importMarketRates = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const { rows, csv } = req.body;
+    const result = await marketRateService.importRates({ rows, csv }, { actor: req.user }, req);
+
+    logger.info('Imported market rates', {
+      userId: req.user._id,
+      ...result
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error importing market rates:', error);
+    next(error);
+  }
+};
+
 /**
  * Create rate alert for user
  * POST /api/v1/rates/alerts
@@ -117,6 +195,7 @@ exports.createRateAlert = async (req, res, next) => {
     const {
       productType,
       loanTerm,
+      armType,
       targetRate,
       triggerType,
       dropAmount,
@@ -128,6 +207,7 @@ exports.createRateAlert = async (req, res, next) => {
       user: req.user._id,
       productType,
       loanTerm,
+      armType,
       targetRate,
       triggerType,
       notificationMethod,
@@ -284,8 +364,13 @@ exports.deleteRateAlert = async (req, res, next) => {
  */
 exports.checkRateAlerts = async (req, res, next) => {
   try {
-    const activeAlerts = await RateAlert.find({ status: 'active' })
-      .populate('user', 'name email phone')
+    // Payment and APR alerts are priced per scenario by rateAlertService
+    const activeAlerts = await RateAlert.find({
+      status: 'active',
+      triggerType: { $in: RATE_TRIGGER_TYPES },
+      awaitingReset: { $ne: true }
+    })
+      .populate('user', 'name email phone expoPushToken rateAlertPreferences')
       .populate('loan', 'loanAmount');
 
     const triggeredAlerts = [];
@@ -295,6 +380,8 @@ exports.checkRateAlerts = async (req, res, next) => {
       const currentRates = await RateSnapshot.find({
         productType: alert.productType,
         loanTerm: alert.loanTerm,
+        armType: alert.armType || null,
+        source: { $in: PRICING_SOURCES },
         isActive: true,
         effectiveDate: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
       })
@@ -325,13 +412,8 @@ exports.checkRateAlerts = async (req, res, next) => {
       }
 
       if (shouldTrigger) {
-        alert.status = 'triggered';
-        alert.triggeredAt = new Date();
-        alert.triggeredRate = currentRate;
-        await alert.save();
-
-        // Send notification based on preference
-        await sendRateAlertNotification(alert, currentRate);
+        // Sends now or holds for quiet hours / the user's digest
+        await rateAlertService.fireAlert(alert, currentRate, currentRates[0]);
 
         triggeredAlerts.push(alert);
       }
@@ -371,6 +453,7 @@ exports.submitRateLock = async (req, res, next) => {
     }
 
     const { loanId, rateSnapshotId, lockPeriod, notes } = req.body;
+    const priceConcession = Number(req.body.priceConcession) || 0;
 
     // Verify loan exists and user has access
     const loan = await LoanApplication.findById(loanId);
@@ -386,12 +469,13 @@ exports.submitRateLock = async (req, res, next) => {
 
     // Get rate snapshot
     const snapshot = await RateSnapshot.findById(rateSnapshotId);
-    if (!snapshot || !snapshot.isActive) {
+    if (!snapshot || !snapshot.isActive || !PRICING_SOURCES.includes(snapshot.source)) {
       return next(createError(404, 'Rate snapshot not found or expired'));
     }
 
     // Calculate lock expiration
-    const lockExpiresAt = new Date(Date.now() + lockPeriod * 24 * 60 * 60 * 1000);
+    const submittedAt = new Date();
+    const lockExpiresAt = new Date(submittedAt.getTime() + lockPeriod * 24 * 60 * 60 * 1000);
 
     // Create rate lock record locally
     const rateLock = new RateLock({
@@ -401,14 +485,16 @@ exports.submitRateLock = async (req, res, next) => {
       rateSnapshot: rateSnapshotId,
       lockedRate: snapshot.rate,
       lockedAPR: snapshot.apr,
-      points: snapshot.points,
+      // A price concession lowers the points the borrower pays
+      points: Math.round(((snapshot.points || 0) - priceConcession) * 1000) / 1000,
       lockPeriod,
       lockExpiresAt,
       status: 'confirmed',
-      confirmedAt: new Date(),
+      confirmedAt: submittedAt,
       loanAmount: loan.amount,
       productType: snapshot.productType,
       loanTerm: snapshot.loanTerm,
+      armType: snapshot.armType,
       loanPurpose: snapshot.loanPurpose,
       pricing: {
         baseRate: snapshot.rate,
@@ -418,23 +504,45 @@ exports.submitRateLock = async (req, res, next) => {
       notes
     });
 
+    // Requests outside lock hours, with a large concession or for exception products wait for the lock desk
+    const reviewReasons = lockDeskService.reviewReasons(
+      { productType: snapshot.productType, priceConcession },
+      submittedAt
+    );
+    if (reviewReasons.length > 0) {
+      lockDeskService.queue(rateLock, reviewReasons, { priceConcession, submittedAt });
+    }
+
     await rateLock.save();
 
     // Notify borrower
-    await Notification.create({
-      user: loan.borrower,
-      type: 'rate_lock_confirmed',
-      title: 'Rate Lock Confirmed',
-      message: `Your rate of ${snapshot.rate}% has been locked for ${lockPeriod} days`,
-      relatedLoan: loanId
-    });
+    if (rateLock.status === 'pending') {
+      await lockDeskService.notifyQueued(rateLock);
+      await Notification.create({
+        user: loan.borrower,
+        type: 'status',
+        title: 'Rate Lock Submitted',
+        body: `Your rate lock request at ${snapshot.rate}% for ${lockPeriod} days is being reviewed by our lock desk`,
+        metadata: { loanId, rateLockId: rateLock._id }
+      });
+    } else {
+      await Notification.create({
+        user: loan.borrower,
+        type: 'status',
+        title: 'Rate Lock Confirmed',
+        body: `Your rate of ${snapshot.rate}% has been locked for ${lockPeriod} days`,
+        metadata: { loanId, rateLockId: rateLock._id }
+      });
+    }
 
     logger.info('Rate lock submitted', {
       userId: req.user._id,
       loanId,
       rateLockId: rateLock._id,
       rate: snapshot.rate,
-      lockPeriod
+      lockPeriod,
+      status: rateLock.status,
+      reviewReasons
     });
 
     res.status(201).json({
@@ -486,8 +594,14 @@ exports.getLoanRateLocks = async (req, res, next) => {
  */
 exports.extendRateLock = async (req, res, next) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
     const { lockId } = req.params;
-    const { extensionDays, reason } = req.body;
+    const { reason } = req.body;
+    const extensionDays = parseInt(req.body.extensionDays);
 
     const rateLock = await RateLock.findById(lockId).populate('loan');
     if (!rateLock) {
@@ -499,32 +613,154 @@ exports.extendRateLock = async (req, res, next) => {
       return next(createError(403, 'Only assigned loan officer can extend rate lock'));
     }
 
-    if (rateLock.status === 'expired' || rateLock.status === 'released') {
-      return next(createError(400, 'Cannot extend expired or released rate lock'));
+    if (rateLock.status !== 'confirmed' && rateLock.status !== 'extended') {
+      return next(createError(400, `Cannot extend ${rateLock.status} rate lock`));
     }
 
-    // Calculate new expiration locally
-    const originalExpiration = rateLock.lockExpiresAt;
-    const newExpiration = new Date(originalExpiration.getTime() + extensionDays * 24 * 60 * 60 * 1000);
+    // Calculate new expiration and cost locally under the product's extension policy
+    const cost = await lockExtensionService.extend(rateLock, { actor: req.user, extensionDays, reason }, req);
 
-    rateLock.lockExpiresAt = newExpiration;
-    rateLock.status = 'extended';
-    rateLock.extensionHistory.push({
-      extendedBy: req.user._id,
-      extendedAt: new Date(),
-      originalExpiration,
-      newExpiration,
+    logger.info('Rate lock extended', {
+      userId: req.user._id,
+      lockId: rateLock._id,
       extensionDays,
-      extensionFee: 0,
-      reason
+      extensionCost: cost.points
     });
 
-    await rateLock.save();
+    res.json({
+      success: true,
+      data: rateLock,
+      cost
+    });
+  } catch (error) {
+    logger.error('Error extending rate lock:', error);
+    next(error);
+  }
+};
 
-    logger.info('Rate lock extended', {
+/**
+ * Preview rate lock extension costs
+ * GET /api/v1/rates/locks/:lockId/extension-quote
+ */
+exports.getExtensionQuote = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const rateLock = await findOfficerRateLock(req.params.lockId, req.user);
+    const extensionDays = req.query.extensionDays ? parseInt(req.query.extensionDays) : undefined;
+    const quotes = await lockExtensionService.getQuotes(rateLock, extensionDays);
+
+    res.json({
+      success: true,
+      data: quotes
+    });
+  } catch (error) {
+    logger.error('Error quoting rate lock extension:', error);
+    next(error);
+  }
+};
+
+/**
+ * Load a rate lock for a lifecycle action; only the assigned LO or management may act on it.
+ */
+async function findOfficerRateLock(lockId, user) {
+  const rateLock = await RateLock.findById(lockId).populate('loan');
+  if (!rateLock) {
+    throw createError(404, 'Rate lock not found');
+  }
+  if (
+    !roles.MANAGEMENT_ROLES.includes(user.role?.slug) &&
+    rateLock.loan.assignedOfficer?.toString() !== user._id.toString()
+  ) {
+    throw createError(403, 'Only assigned loan officer can manage this rate lock');
+  }
+  return rateLock;
+}
+
+/**
+ * Release rate lock
+ * POST /api/v1/rates/locks/:lockId/release
+ */
+exports.releaseRateLock = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const rateLock = await findOfficerRateLock(req.params.lockId, req.user);
+    await rateLockService.release(rateLock, { actor: req.user, reason: req.body.reason }, req);
+
+    logger.info('Rate lock released', { userId: req.user._id, lockId: rateLock._id });
+
+    res.json({
+      success: true,
+      data: rateLock
+    });
+  } catch (error) {
+    logger.error('Error releasing rate lock:', error);
+    next(error);
+  }
+};
+
+/**
+ * Relock an expired or released rate lock at worst-case pricing
+ * POST /api/v1/rates/locks/:lockId/relock
+ */
+exports.relockRateLock = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const rateLock = await findOfficerRateLock(req.params.lockId, req.user);
+    const { lockPeriod, notes } = req.body;
+    const result = await rateLockService.relock(rateLock, { actor: req.user, lockPeriod, notes }, req);
+
+    logger.info('Rate relocked', {
       userId: req.user._id,
       lockId: rateLock._id,
-      extensionDays
+      newLockId: result.lock._id,
+      pricedFrom: result.pricedFrom,
+      status: result.lock.status,
+      reviewReasons: result.reviewReasons
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result.lock,
+      pricedFrom: result.pricedFrom,
+      marketRate: result.marketRate
+    });
+  } catch (error) {
+    logger.error('Error relocking rate:', error);
+    next(error);
+  }
+};
+
+/**
+ * Float a rate lock down to the current market rate
+ * POST /api/v1/rates/locks/:lockId/float-down
+ */
+exports.floatDownRateLock = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const rateLock = await findOfficerRateLock(req.params.lockId, req.user);
+    await rateLockService.floatDown(rateLock, { actor: req.user }, req);
+
+    const queued = rateLock.lockDesk?.request === 'float_down' && rateLock.lockDesk.state === 'queued';
+    logger.info(queued ? 'Rate lock float-down queued for lock desk' : 'Rate lock floated down', {
+      userId: req.user._id,
+      lockId: rateLock._id,
+      lockedRate: rateLock.lockedRate
     });
 
     res.json({
@@ -532,7 +768,95 @@ exports.extendRateLock = async (req, res, next) => {
       data: rateLock
     });
   } catch (error) {
-    logger.error('Error extending rate lock:', error);
+    logger.error('Error floating down rate lock:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get lock desk queue
+ * GET /api/v1/rates/lock-desk/queue
+ */
+exports.getLockDeskQueue = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const queue = await lockDeskService.getQueue({ state: req.query.state });
+
+    res.json({
+      success: true,
+      data: queue,
+      count: queue.length
+    });
+  } catch (error) {
+    logger.error('Error retrieving lock desk queue:', error);
+    next(error);
+  }
+};
+
+/**
+ * Approve, deny or counter a queued rate lock
+ * POST /api/v1/rates/lock-desk/:lockId/approve|deny|counter
+ */
+const lockDeskDecision = (decide, label) => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const rateLock = await RateLock.findById(req.params.lockId).populate('loan', 'borrower assignedOfficer');
+    if (!rateLock) {
+      return next(createError(404, 'Rate lock not found'));
+    }
+
+    await decide(rateLock, { ...req.body, actor: req.user }, req);
+
+    logger.info(`Lock desk ${label}`, { userId: req.user._id, lockId: rateLock._id });
+
+    res.json({
+      success: true,
+      data: rateLock
+    });
+  } catch (error) {
+    logger.error(`Error on lock desk ${label}:`, error);
+    next(error);
+  }
+};
+
+exports.approveRateLock = lockDeskDecision(lockDeskService.approve, 'approval');
+exports.denyRateLock = lockDeskDecision(lockDeskService.deny, 'denial');
+exports.counterRateLock = lockDeskDecision(lockDeskService.counter, 'counter');
+
+/**
+ * Accept the lock desk's counter on a rate lock
+ * POST /api/v1/rates/locks/:lockId/counter/accept
+ */
+exports.acceptRateLockCounter = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const rateLock = await findOfficerRateLock(req.params.lockId, req.user);
+    await lockDeskService.acceptCounter(rateLock, { actor: req.user }, req);
+
+    logger.info('Rate lock counter accepted', {
+      userId: req.user._id,
+      lockId: rateLock._id,
+      lockedRate: rateLock.lockedRate
+    });
+
+    res.json({
+      success: true,
+      data: rateLock
+    });
+  } catch (error) {
+    logger.error('Error accepting rate lock counter:', error);
     next(error);
   }
 };
@@ -543,7 +867,18 @@ exports.extendRateLock = async (req, res, next) => {
  */
 exports.getProductPricing = async (req, res, next) => {
   try {
-    const { productType, loanTerm, investorName } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const { productType, loanTerm, investorName, creditScore, ltv, loanAmount } = req.query;
+
+    // A partial scenario would come back priced without adjustments
+    const scenarioParams = [creditScore, ltv, loanAmount].filter((value) => value !== undefined);
+    if (scenarioParams.length > 0 && scenarioParams.length < 3) {
+      return next(createError(400, 'creditScore, ltv and loanAmount must be given together'));
+    }
 
     const query = { isActive: true };
 
@@ -567,6 +902,23 @@ exports.getProductPricing = async (req, res, next) => {
       count: products.length
     });
 
+    // With a borrower scenario, apply LLPAs to the stored base prices
+    if (creditScore && ltv && loanAmount) {
+      const scenario = {
+        creditScore: parseInt(creditScore),
+        ltv: parseFloat(ltv),
+        loanAmount: parseFloat(loanAmount),
+        occupancy: req.query.occupancy,
+        propertyType: req.query.propertyType,
+        units: req.query.units ? parseInt(req.query.units) : undefined,
+        cashOut: req.query.cashOut === 'true',
+      };
+      return res.json({
+        success: true,
+        data: llpaService.priceProducts(products, scenario)
+      });
+    }
+
     res.json({
       success: true,
       data: products
@@ -577,34 +929,4 @@ exports.getProductPricing = async (req, res, next) => {
   }
 };
 
-/**
- * Helper: Send rate alert notification
- */
-async function sendRateAlertNotification(alert, currentRate) {
-  const user = alert.user;
-  const methods = alert.notificationMethod === 'all'
-    ? ['push', 'sms', 'email']
-    : [alert.notificationMethod];
-
-  const message = `Rate Alert: ${alert.productType.toUpperCase()} ${alert.loanTerm}-year rate is now ${currentRate}% (your target: ${alert.targetRate}%)`;
-
-  for (const method of methods) {
-    if (method === 'push') {
-      await Notification.create({
-        user: user._id,
-        type: 'rate_alert',
-        title: 'Rate Alert Triggered',
-        message,
-        relatedLoan: alert.loan
-      });
-    }
-
-    logger.info(`Rate alert ${method} notification sent`, {
-      userId: user._id,
-      alertId: alert._id,
-      method
-    });
-  }
-}
-
 module.exports = exports;
@@ -0,0 +1,250 @@
+const createError = require('http-errors');
+const { validationResult } = require('express-validator');
+const RateQuote = require('../models/RateQuote');
+const rateQuoteService = require('../services/rateQuoteService');
+const roles = require('../config/roles');
+const logger = require('../utils/logger');
+
+// Borrower inputs shared by every scenario on a quote
+const QUOTE_INPUT_FIELDS = [
+  'loanAmount',
+  'propertyValue',
+  'loanPurpose',
+  'propertyType',
+  'occupancy',
+  'creditScore',
+  'state',
+  'taxesAnnual',
+  'insuranceAnnual',
+  'hoaMonthly',
+  'payoffAmount',
+];
+
+const pickQuoteInput = (body) =>
+  QUOTE_INPUT_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+
+const isBorrower = (user) => user.role?.slug === roles.BORROWER;
+
+/**
+ * Helper: Load a quote the user may see. Borrowers only see quotes shared with them;
+ * LOs see their own; branch managers and admins see all.
+ */
+async function findVisibleQuote(quoteId, user) {
+  const quote = await RateQuote.findById(quoteId);
+  if (!quote) {
+    throw createError(404, 'Rate quote not found');
+  }
+
+  const userId = user._id.toString();
+  const allowed = isBorrower(user)
+    ? quote.borrower?.toString() === userId && quote.status !== 'draft'
+    : roles.MANAGEMENT_ROLES.includes(user.role?.slug) || quote.loanOfficer.toString() === userId;
+  if (!allowed) {
+    throw createError(403, 'Not authorized to access this quote');
+  }
+  return quote;
+}
+
+/**
+ * @desc    Price up to six scenarios and save them as a quote
+ * @route   POST /api/v1/rate-quotes
+ * @access  Private (Loan Officers, Branch Managers, Admins)
+ */
+exports.createQuote = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const { scenarios, borrower, referralSource, notes } = req.body;
+    const input = pickQuoteInput(req.body);
+    const priced = await rateQuoteService.priceScenarios(input, scenarios);
+
+    const quote = await RateQuote.create({
+      ...input,
+      quoteNumber: await RateQuote.generateQuoteNumber(),
+      loanOfficer: req.user._id,
+      borrower,
+      referralSource,
+      notes,
+      scenarios: priced,
+      expiresAt: rateQuoteService.quoteExpiration(),
+    });
+
+    logger.info('Rate quote created', {
+      userId: req.user._id,
+      quoteId: quote._id,
+      scenarios: priced.length
+    });
+
+    res.status(201).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    logger.error('Error creating rate quote:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    List quotes: the borrower's shared quotes, or the LO's own
+ * @route   GET /api/v1/rate-quotes
+ * @access  Private
+ */
+exports.getQuotes = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const { status, limit = 50 } = req.query;
+    let query = { loanOfficer: req.user._id };
+    if (isBorrower(req.user)) {
+      // Drafts stay with the LO until shared
+      query = { borrower: req.user._id, status: status && status !== 'draft' ? status : { $ne: 'draft' } };
+    } else if (status) {
+      query.status = status;
+    }
+
+    const quotes = await RateQuote.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .populate('borrower', 'name email')
+      .populate('loanOfficer', 'name email phone nmls');
+
+    res.json({
+      success: true,
+      data: quotes
+    });
+  } catch (error) {
+    logger.error('Error retrieving rate quotes:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a quote; the borrower's first view is recorded
+ * @route   GET /api/v1/rate-quotes/:quoteId
+ * @access  Private
+ */
+exports.getQuote = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    let quote = await findVisibleQuote(req.params.quoteId, req.user);
+    if (isBorrower(req.user)) {
+      quote = await rateQuoteService.recordView(quote, { viewedBy: req.user._id.toString(), ipAddress: req.ip });
+    }
+
+    res.json({
+      success: true,
+      data: quote,
+      expired: quote.isExpired()
+    });
+  } catch (error) {
+    logger.error('Error retrieving rate quote:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Share a quote in the app, by email, by SMS or as a download link
+ * @route   POST /api/v1/rate-quotes/:quoteId/share
+ * @access  Private (Loan Officers, Branch Managers, Admins)
+ */
+exports.shareQuote = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const { method = 'app', borrower, recipient } = req.body;
+    const quote = await findVisibleQuote(req.params.quoteId, req.user);
+    const result = await rateQuoteService.share(quote, { actor: req.user, method, borrower, recipient }, req);
+
+    logger.info('Rate quote shared', {
+      userId: req.user._id,
+      quoteId: quote._id,
+      method
+    });
+
+    res.json({
+      success: true,
+      data: {
+        quote,
+        ...(result?.downloadUrl && { downloadUrl: result.downloadUrl })
+      }
+    });
+  } catch (error) {
+    logger.error('Error sharing rate quote:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download the branded quote PDF; borrower downloads count as views
+ * @route   GET /api/v1/rate-quotes/:quoteId/download
+ * @access  Private
+ */
+exports.downloadQuote = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const quote = await findVisibleQuote(req.params.quoteId, req.user);
+    const pdfBuffer = await rateQuoteService.getPdf(quote);
+    if (isBorrower(req.user)) {
+      await rateQuoteService.recordView(quote, { viewedBy: req.user._id.toString(), ipAddress: req.ip });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${quote.quoteNumber || quote._id}.pdf"`);
+    res.send(pdfBuffer);
+  } catch (error) {
+    logger.error('Error downloading rate quote:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start a loan application from one of the quote's scenarios
+ * @route   POST /api/v1/rate-quotes/:quoteId/apply
+ * @access  Private (Borrower the quote was shared with)
+ */
+exports.applyFromQuote = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, { errors: errors.array() }));
+    }
+
+    const quote = await findVisibleQuote(req.params.quoteId, req.user);
+    const loan = await rateQuoteService.startApplication(quote, { actor: req.user, scenarioId: req.body.scenarioId }, req);
+
+    logger.info('Loan application started from rate quote', {
+      userId: req.user._id,
+      quoteId: quote._id,
+      loanId: loan._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { quote, loan }
+    });
+  } catch (error) {
+    logger.error('Error starting application from rate quote:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,69 @@
+const cron = require('node-cron');
+const antivirusService = require('../services/antivirusService');
+const documentRequestService = require('../services/documentRequestService');
+const documentClassificationService = require('../services/documentClassificationService');
+const posUploadService = require('../services/posUploadService');
+const logger = require('../utils/logger');
+
+/**
+ * Release an upload that has now scanned clean: classify it, close out needs-list requests
+ * it satisfies and send it to the POS it was uploaded for
+ */
+async function releaseUpload(documentUpload) {
+  await documentClassificationService.classifyDocument(documentUpload);
+
+  // Parts held for merging are released with the combined file; replaced versions not at all
+  if (documentUpload.status === 'processing' || documentUpload.mergedInto || documentUpload.supersededBy) return;
+
+  try {
+    await documentRequestService.fulfillMatchingRequests(
+      documentUpload.loan,
+      documentUpload.documentType,
+      documentUpload._id
+    );
+  } catch (error) {
+    logger.error('Failed to fulfill document requests after scan', { documentId: documentUpload._id, error: error.message });
+  }
+
+  if (documentUpload.status !== 'uploaded') return;
+  try {
+    await posUploadService.syncToPOS(documentUpload);
+  } catch (error) {
+    logger.error('Failed to sync document to POS after scan', { documentId: documentUpload._id, error: error.message });
+    await documentUpload.markFailed([{ field: 'posSync', message: error.message }]);
+  }
+}
+
+/**
+ * Rescan quarantined files whose scan failed or never ran
+ */
+async function processQuarantine() {
+  const result = await antivirusService.rescanQuarantined({ onClean: releaseUpload });
+
+  if (result.scanned > 0) {
+    logger.info('Quarantined documents rescanned', result);
+  }
+  return result;
+}
+
+/**
+ * Start virus scan retry scheduler
+ * Runs every 5 minutes
+ */
+function startAvScanScheduler() {
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await processQuarantine();
+    } catch (error) {
+      logger.error('Virus scan scheduler error', { error: error.message });
+    }
+  });
+
+  logger.info('Virus scan scheduler started (every 5 minutes)');
+}
+
+module.exports = {
+  startAvScanScheduler,
+  processQuarantine,
+  releaseUpload,
+};
@@ -0,0 +1,36 @@
+const cron = require('node-cron');
+const documentRequestService = require('../services/documentRequestService');
+const logger = require('../utils/logger');
+
+/**
+ * Send due-date reminders to borrowers and escalate overdue requests to the LO
+ */
+async function processDocumentRequests() {
+  const now = new Date();
+  const reminded = await documentRequestService.sendDueReminders(now);
+  const escalated = await documentRequestService.escalateOverdue(now);
+
+  logger.info('Document request reminders processed', { reminded, escalated });
+  return { reminded, escalated };
+}
+
+/**
+ * Start document request scheduler
+ * Runs daily at 10 AM so borrowers are texted during business hours
+ */
+function startDocumentRequestScheduler() {
+  cron.schedule('0 10 * * *', async () => {
+    try {
+      await processDocumentRequests();
+    } catch (error) {
+      logger.error('Document request scheduler error', { error: error.message });
+    }
+  });
+
+  logger.info('Document request scheduler started (daily 10AM)');
+}
+
+module.exports = {
+  startDocumentRequestScheduler,
+  processDocumentRequests,
+};
@@ -64,6 +64,7 @@ async function syncSingleLoan(loan) {
     ]);
 
     // Update loan details
+    loan.set(encompassService.transformLoanDetails(loanDetails), undefined, { merge: true });
     loan.milestones = milestones;
     loan.lastEncompassSync = new Date();
     loan.encompassData = loanDetails;
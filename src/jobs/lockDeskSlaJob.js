@@ -0,0 +1,36 @@
+const cron = require('node-cron');
+const lockDeskService = require('../services/lockDeskService');
+const logger = require('../utils/logger');
+
+/**
+ * Flag queued lock requests past their review SLA and notify the lock desk
+ */
+async function processLockDeskSla() {
+  const breached = await lockDeskService.flagSlaBreaches(new Date());
+
+  if (breached > 0) {
+    logger.warn('Lock desk review SLA missed', { breached });
+  }
+  return { breached };
+}
+
+/**
+ * Start lock desk SLA scheduler
+ * Runs every 5 minutes since review SLAs are measured in minutes
+ */
+function startLockDeskSlaScheduler() {
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      await processLockDeskSla();
+    } catch (error) {
+      logger.error('Lock desk SLA scheduler error', { error: error.message });
+    }
+  });
+
+  logger.info('Lock desk SLA scheduler started (every 5 minutes)');
+}
+
+module.exports = {
+  startLockDeskSlaScheduler,
+  processLockDeskSla,
+};
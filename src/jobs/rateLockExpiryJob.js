@@ -0,0 +1,36 @@
+const cron = require('node-cron');
+const rateLockService = require('../services/rateLockService');
+const logger = require('../utils/logger');
+
+/**
+ * Expire lapsed rate locks, then warn the LO and borrower about locks expiring in 7, 3 or 1 days
+ */
+async function processRateLocks() {
+  const now = new Date();
+  const expired = await rateLockService.expireLocks(now);
+  const warned = await rateLockService.sendExpiryWarnings(now);
+
+  logger.info('Rate lock expirations processed', { expired, warned });
+  return { expired, warned };
+}
+
+/**
+ * Start rate lock expiry scheduler
+ * Runs hourly so locks are marked expired soon after they lapse
+ */
+function startRateLockExpiryScheduler() {
+  cron.schedule('15 * * * *', async () => {
+    try {
+      await processRateLocks();
+    } catch (error) {
+      logger.error('Rate lock expiry scheduler error', { error: error.message });
+    }
+  });
+
+  logger.info('Rate lock expiry scheduler started (hourly)');
+}
+
+module.exports = {
+  startRateLockExpiryScheduler,
+  processRateLocks,
+};
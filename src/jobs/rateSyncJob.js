@@ -4,8 +4,12 @@ const RateAlert = require('../models/RateAlert');
 const ProductPricing = require('../models/ProductPricing');
 const optimalBlueService = require('../services/optimalBlueService');
 const totalExpertService = require('../services/totalExpertService');
-const Notification = require('../models/Notification');
+const rateHistoryService = require('../services/rateHistoryService');
+const rateAlertService = require('../services/rateAlertService');
 const logger = require('../utils/logger');
+const { termLabel } = require('../config/armProducts');
+const { PRICING_SOURCES } = require('../config/marketRates');
+const { RATE_TRIGGER_TYPES } = require('../config/rateAlerts');
 
 /**
  * Fetch daily rate sheets from Optimal Blue
@@ -32,7 +36,13 @@ async function fetchDailyRates() {
     
     // Jumbo rates
     { productType: 'jumbo', loanTerm: 30, loanAmount: 800000, creditScore: 760, ltv: 80 },
-    { productType: 'jumbo', loanTerm: 15, loanAmount: 800000, creditScore: 760, ltv: 80 }
+    { productType: 'jumbo', loanTerm: 15, loanAmount: 800000, creditScore: 760, ltv: 80 },
+
+    // ARM rates (30-year amortization)
+    { productType: 'conventional', loanTerm: 30, armType: '5/6', loanAmount: 300000, creditScore: 740, ltv: 80 },
+    { productType: 'conventional', loanTerm: 30, armType: '7/6', loanAmount: 300000, creditScore: 740, ltv: 80 },
+    { productType: 'conventional', loanTerm: 30, armType: '10/6', loanAmount: 300000, creditScore: 740, ltv: 80 },
+    { productType: 'jumbo', loanTerm: 30, armType: '7/6', loanAmount: 800000, creditScore: 760, ltv: 80 }
   ];
 
   let totalFetched = 0;
@@ -49,7 +59,7 @@ async function fetchDailyRates() {
         totalSaved++;
       }
 
-      logger.info(`Fetched and saved rates for ${scenario.productType} ${scenario.loanTerm}yr`, {
+      logger.info(`Fetched and saved rates for ${scenario.productType} ${termLabel(scenario.loanTerm, scenario.armType)}`, {
         count: rates.length
       });
     } catch (error) {
@@ -66,6 +76,22 @@ async function fetchDailyRates() {
   return { totalFetched, totalSaved };
 }
 
+/**
+ * Roll today's snapshots into the daily rate history series
+ */
+async function aggregateRateHistory() {
+  logger.info('Aggregating daily rate history');
+
+  try {
+    const result = await rateHistoryService.aggregateDay();
+    logger.info('Daily rate history aggregated', { series: result.series });
+    return result;
+  } catch (error) {
+    logger.error('Error aggregating rate history:', error);
+    throw error;
+  }
+}
+
 /**
  * Fetch product pricing from Optimal Blue
  */
@@ -104,8 +130,13 @@ async function checkRateAlerts() {
   logger.info('Starting rate alert check');
 
   try {
-    const activeAlerts = await RateAlert.find({ status: 'active' })
-      .populate('user', 'name email phone')
+    // Payment and APR alerts are priced per scenario by rateAlertService
+    const activeAlerts = await RateAlert.find({
+      status: 'active',
+      triggerType: { $in: RATE_TRIGGER_TYPES },
+      awaitingReset: { $ne: true }
+    })
+      .populate('user', 'name email phone expoPushToken rateAlertPreferences')
       .populate('loan', 'loanAmount');
 
     let checkedCount = 0;
@@ -117,6 +148,8 @@ async function checkRateAlerts() {
         const currentRates = await RateSnapshot.find({
           productType: alert.productType,
           loanTerm: alert.loanTerm,
+          armType: alert.armType || null,
+          source: { $in: PRICING_SOURCES },
           isActive: true,
           effectiveDate: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
         })
@@ -155,24 +188,20 @@ async function checkRateAlerts() {
         }
 
         if (shouldTrigger) {
-          alert.status = 'triggered';
-          alert.triggeredAt = new Date();
-          alert.triggeredRate = currentRate;
-          await alert.save();
-
-          // Send notification
-          await sendRateAlertNotification(alert, currentRate);
+          // Sends now or holds for quiet hours / the user's digest
+          await rateAlertService.fireAlert(alert, currentRate, currentRates[0]);
 
           // Log to CRM
           try {
             await totalExpertService.logActivity(alert.user._id, {
               type: 'rate_alert_triggered',
-              subject: `Rate Alert Triggered: ${alert.productType} ${alert.loanTerm}yr`,
+              subject: `Rate Alert Triggered: ${alert.productType} ${termLabel(alert.loanTerm, alert.armType)}`,
               description: `Rate ${alert.triggerType === 'below' ? 'dropped below' : alert.triggerType === 'above' ? 'went above' : 'dropped by'} target (${alert.targetRate}%). Current rate: ${currentRate}%`,
               metadata: {
                 alertId: alert._id,
                 productType: alert.productType,
                 loanTerm: alert.loanTerm,
+                armType: alert.armType,
                 targetRate: alert.targetRate,
                 currentRate,
                 triggerType: alert.triggerType
@@ -223,51 +252,6 @@ async function checkRateAlerts() {
   }
 }
 
-/**
- * Send rate alert notification
- */
-async function sendRateAlertNotification(alert, currentRate) {
-  const user = alert.user;
-  const methods = alert.notificationMethod === 'all' 
-    ? ['push', 'sms', 'email'] 
-    : [alert.notificationMethod];
-
-  const message = `Rate Alert: ${alert.productType.toUpperCase()} ${alert.loanTerm}-year rate is now ${currentRate}% (your target: ${alert.targetRate}%)`;
-
-  for (const method of methods) {
-    try {
-      if (method === 'push') {
-        await Notification.create({
-          user: user._id,
-          type: 'rate_alert',
-          title: 'Rate Alert Triggered',
-          message,
-          relatedLoan: alert.loan
-        });
-        logger.info('Push notification sent for rate alert', {
-          userId: user._id,
-          alertId: alert._id
-        });
-      }
-      
-      // SMS and email would integrate with external services (e.g., Twilio, SendGrid)
-      // Placeholder for now
-      if (method === 'sms' || method === 'email') {
-        logger.info(`Rate alert ${method} notification queued`, {
-          userId: user._id,
-          alertId: alert._id,
-          method
-        });
-      }
-    } catch (error) {
-      logger.error(`Failed to send ${method} notification for rate alert:`, {
-        alertId: alert._id,
-        error: error.message
-      });
-    }
-  }
-}
-
 /**
  * Deactivate expired rate snapshots
  */
@@ -298,7 +282,7 @@ async function deactivateExpiredSnapshots() {
 
 /**
  * Start rate sync scheduler
- * - Daily rate fetch at 7 AM
+ * - Daily rate fetch at 7 AM, then rate history aggregation
  * - Product pricing fetch daily at 7:15 AM
  * - Rate alert checks every 30 minutes
  * - Expired snapshot cleanup daily at 8 AM
@@ -311,6 +295,7 @@ function startRateSyncScheduler() {
     logger.info('Running scheduled daily rate fetch');
     try {
       await fetchDailyRates();
+      await aggregateRateHistory();
     } catch (error) {
       logger.error('Scheduled rate fetch failed:', error);
     }
@@ -326,8 +311,8 @@ function startRateSyncScheduler() {
     }
   });
 
-  // Rate alert checks every 30 minutes during business hours (6 AM - 8 PM)
-  cron.schedule('*/30 6-20 * * *', async () => {
+  // Rate alert checks every 30 minutes; delivery honors each user's quiet hours
+  cron.schedule('*/30 * * * *', async () => {
     logger.info('Running scheduled rate alert check');
     try {
       await checkRateAlerts();
@@ -351,6 +336,8 @@ function startRateSyncScheduler() {
     logger.info('Running initial rate sync after startup');
     try {
       await fetchDailyRates();
+      // Rebuild the lookback window so days missed while the server was down get their bars
+      await rateHistoryService.rebuildHistory();
       await checkRateAlerts();
     } catch (error) {
       logger.error('Initial rate sync failed:', error);
@@ -364,6 +351,7 @@ module.exports = {
   startRateSyncScheduler,
   fetchDailyRates,
   fetchProductPricing,
+  aggregateRateHistory,
   checkRateAlerts,
   deactivateExpiredSnapshots
 };
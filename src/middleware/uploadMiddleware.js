@@ -1,5 +1,6 @@
 const multer = require('multer');
 const path = require('path');
+const { EXTENSION_TYPES, normalizeMimeType } = require('../services/fileContentService');
 // ...existing code...
 
 // Allowed MIME types
@@ -41,6 +42,15 @@ const fileFilter = (req, file, cb) => {
     );
   }
 
+  // The declared type must agree with the extension; content is verified once the file is buffered
+  const declared = normalizeMimeType(file.mimetype);
+  if (declared && declared !== EXTENSION_TYPES[ext]) {
+    return cb(
+      new Error(`File type ${file.mimetype} does not match extension ${ext}`),
+      false
+    );
+  }
+
   cb(null, true);
 };
 
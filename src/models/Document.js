@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { AV_STATUSES } = require('../config/antivirus');
 
 const documentSchema = new mongoose.Schema(
   {
@@ -12,9 +13,14 @@ const documentSchema = new mongoose.Schema(
     url: { type: String, required: true },
     storageKey: { type: String },
     status: { type: String, enum: ['pending', 'uploaded', 'synced', 'failed', 'deleted'], default: 'pending' },
-    avStatus: { type: String, enum: ['pending', 'clean', 'infected'], default: 'pending' },
+    // Quarantined until `clean`; see src/config/antivirus.js
+    avStatus: { type: String, enum: AV_STATUSES, default: 'pending' },
+    avSignature: { type: String },
+    avScanner: { type: String },
     scanned: { type: Boolean, default: false },
     scannedAt: { type: Date },
+    scanAttempts: { type: Number, default: 0 },
+    lastScanError: { type: String },
     tempBlobExpiresAt: { type: Date },
     versions: [
       {
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const documentRequestSchema = new mongoose.Schema(
+  {
+    loan: { type: mongoose.Schema.Types.ObjectId, ref: 'LoanApplication', required: true, index: true },
+    // Matched against DocumentUpload.documentType to fulfill the request automatically
+    documentType: {
+      type: String,
+      required: true,
+      enum: [
+        'paystub',
+        'w2',
+        'tax_return',
+        'bank_statement',
+        'id',
+        'proof_of_employment',
+        'appraisal',
+        'purchase_agreement',
+        'insurance',
+        'credit_report',
+        'other',
+      ],
+    },
+    description: { type: String, trim: true },
+    dueDate: { type: Date },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: { type: String, enum: ['outstanding', 'fulfilled', 'cancelled'], default: 'outstanding' },
+    fulfilledAt: { type: Date },
+    fulfilledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'DocumentUpload' },
+    reminders: {
+      count: { type: Number, default: 0 },
+      lastSentAt: { type: Date },
+    },
+    escalatedAt: { type: Date }, // LO notified that the request is overdue
+  },
+  { timestamps: true }
+);
+
+documentRequestSchema.methods.isOverdue = function (now = new Date()) {
+  return this.status === 'outstanding' && Boolean(this.dueDate) && this.dueDate < now;
+};
+
+documentRequestSchema.index({ loan: 1, status: 1, documentType: 1 });
+documentRequestSchema.index({ status: 1, dueDate: 1 });
+
+module.exports = mongoose.model('DocumentRequest', documentRequestSchema);
@@ -1,4 +1,20 @@
 const mongoose = require('mongoose');
+const { AV_STATUSES } = require('../config/antivirus');
+const { CLASSIFICATION_STATUSES } = require('../config/documentClassification');
+
+const DOCUMENT_TYPES = [
+  'paystub',
+  'w2',
+  'tax_return',
+  'bank_statement',
+  'id',
+  'proof_of_employment',
+  'appraisal',
+  'purchase_agreement',
+  'insurance',
+  'credit_report',
+  'other'
+];
 
 const documentUploadSchema = new mongoose.Schema(
   {
@@ -35,19 +51,32 @@ const documentUploadSchema = new mongoose.Schema(
     documentType: {
       type: String,
       required: true,
-      enum: [
-        'paystub',
-        'w2',
-        'tax_return',
-        'bank_statement',
-        'id',
-        'proof_of_employment',
-        'appraisal',
-        'purchase_agreement',
-        'insurance',
-        'credit_report',
-        'other'
-      ]
+      enum: DOCUMENT_TYPES
+    },
+    // Type suggested from the file's own text; an LO accepts or corrects it
+    classification: {
+      status: {
+        type: String,
+        enum: CLASSIFICATION_STATUSES
+      },
+      suggestedType: {
+        type: String,
+        enum: DOCUMENT_TYPES
+      },
+      confidence: Number,
+      // Type the client declared on upload
+      declaredType: String,
+      textSource: {
+        type: String,
+        enum: ['pdf_text', 'ocr', 'none']
+      },
+      error: String,
+      classifiedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date
     },
     description: {
       type: String,
@@ -66,12 +95,28 @@ const documentUploadSchema = new mongoose.Schema(
       type: String,
       required: true
     },
+    // `processing` uploads are held for merging and never sent to the POS on their own
     status: {
       type: String,
       enum: ['uploaded', 'processing', 'synced', 'failed', 'deleted'],
       default: 'uploaded',
       index: true
     },
+    // Quarantined (no download or POS sync) until the virus scan comes back `clean`
+    avStatus: {
+      type: String,
+      enum: AV_STATUSES,
+      default: 'pending'
+    },
+    avSignature: String,
+    avScanner: String,
+    scannedAt: Date,
+    scanAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastScanError: String,
+    // POS the file is sent to once it scans clean
     posSystem: {
       type: String,
       enum: ['blend', 'big_pos', 'encompass'],
@@ -93,6 +138,38 @@ const documentUploadSchema = new mongoose.Schema(
       type: Date,
       required: false
     },
+    // Every version of a document shares the first version's id as its versionGroup
+    version: {
+      type: Number,
+      default: 1
+    },
+    versionGroup: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DocumentUpload'
+    },
+    replaces: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DocumentUpload'
+    },
+    // Set once a newer version is uploaded; earlier versions are read-only and never synced
+    supersededBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DocumentUpload'
+    },
+    supersededAt: {
+      type: Date,
+      required: false
+    },
+    // Uploads combined into this PDF, in page order
+    mergedFrom: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DocumentUpload'
+    }],
+    // Combined PDF this upload became part of; only that file is synced
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DocumentUpload'
+    },
     validationErrors: [{
       field: String,
       message: String
@@ -106,6 +183,8 @@ const documentUploadSchema = new mongoose.Schema(
       ipAddress: String,
       userAgent: String,
       pageCount: Number,
+      // Key fields read by classification (employer, pay period, gross pay, statement balance, ...)
+      extracted: mongoose.Schema.Types.Mixed,
       isComplete: {
         type: Boolean,
         default: false
@@ -142,6 +221,9 @@ const documentUploadSchema = new mongoose.Schema(
 documentUploadSchema.index({ loan: 1, status: 1 });
 documentUploadSchema.index({ uploadedBy: 1, createdAt: -1 });
 documentUploadSchema.index({ status: 1, createdAt: -1 });
+documentUploadSchema.index({ avStatus: 1, createdAt: 1 });
+documentUploadSchema.index({ loan: 1, 'classification.status': 1 });
+documentUploadSchema.index({ versionGroup: 1, version: 1 });
 documentUploadSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Mark document as synced to POS
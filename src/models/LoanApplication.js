@@ -9,19 +9,154 @@ const milestoneSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String },
+    to: { type: String, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String, trim: true },
+    source: { type: String, enum: ['app', 'encompass', 'pos', 'system'], default: 'app' },
+    outOfWorkflow: { type: Boolean, default: false }, // applied by a system of record outside the configured transitions
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const addressSchema = new mongoose.Schema(
+  {
+    street: { type: String, trim: true },
+    unit: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true, uppercase: true, maxlength: 2 },
+    zip: { type: String, trim: true, match: /^\d{5}(-\d{4})?$/ },
+    county: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const employmentSchema = new mongoose.Schema(
+  {
+    employerName: { type: String, required: true, trim: true },
+    position: { type: String, trim: true },
+    employerPhone: { type: String, trim: true },
+    employerAddress: addressSchema,
+    startDate: { type: Date },
+    endDate: { type: Date },
+    isCurrent: { type: Boolean, default: true },
+    isSelfEmployed: { type: Boolean, default: false },
+    yearsInLineOfWork: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
+const incomeSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        'base',
+        'overtime',
+        'bonus',
+        'commission',
+        'military',
+        'self_employment',
+        'rental',
+        'social_security',
+        'pension',
+        'alimony_child_support',
+        'other',
+      ],
+      required: true,
+    },
+    monthlyAmount: { type: Number, required: true, min: 0 },
+    source: { type: String, trim: true }, // employer or payer name
+  },
+  { _id: false }
+);
+
+const assetSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['checking', 'savings', 'money_market', 'certificate_of_deposit', 'retirement', 'brokerage', 'gift', 'earnest_money', 'other'],
+      required: true,
+    },
+    institution: { type: String, trim: true },
+    accountLast4: { type: String, match: /^\d{4}$/ },
+    balance: { type: Number, required: true, min: 0 },
+    owner: { type: String, enum: ['borrower', 'co_borrower', 'joint'], default: 'borrower' },
+  },
+  { _id: false }
+);
+
+// Borrower / co-borrower party details (SSN is never stored here; it stays with the credit pull)
+const partySchema = new mongoose.Schema(
+  {
+    firstName: { type: String, trim: true },
+    middleName: { type: String, trim: true },
+    lastName: { type: String, trim: true },
+    suffix: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true },
+    dateOfBirth: { type: Date },
+    maritalStatus: { type: String, enum: ['married', 'separated', 'unmarried'] },
+    dependents: { type: Number, min: 0 },
+    citizenship: { type: String, enum: ['us_citizen', 'permanent_resident', 'non_permanent_resident'] },
+    currentAddress: addressSchema,
+    yearsAtCurrentAddress: { type: Number, min: 0 },
+    housingStatus: { type: String, enum: ['own', 'rent', 'no_expense'] },
+    firstTimeHomebuyer: { type: Boolean },
+    creditScore: { type: Number, min: 300, max: 850 },
+    employment: [employmentSchema],
+    income: [incomeSchema],
+  },
+  { _id: false }
+);
+
+const propertySchema = new mongoose.Schema(
+  {
+    address: addressSchema,
+    propertyType: { type: String, enum: ['single_family', 'condo', 'townhouse', 'multi_family', 'manufactured'] },
+    numberOfUnits: { type: Number, min: 1, max: 4, default: 1 },
+    purchasePrice: { type: Number, min: 0 },
+    estimatedValue: { type: Number, min: 0 },
+    appraisedValue: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
 const loanApplicationSchema = new mongoose.Schema(
   {
     borrower: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     assignedOfficer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     amount: { type: Number, required: true },
+    // Single-line address kept for search and display; derived from property.address when present
     propertyAddress: { type: String },
     status: {
       type: String,
       enum: ['application', 'processing', 'underwriting', 'closing', 'funded'],
       default: 'application',
     },
+    statusHistory: [statusHistorySchema],
     milestones: [milestoneSchema],
     source: { type: String, enum: ['retail', 'tpo'], default: 'retail' },
+    // Application data
+    borrowerInfo: partySchema,
+    coBorrowerInfo: partySchema,
+    property: propertySchema,
+    loanPurpose: { type: String, enum: ['purchase', 'refinance', 'cash_out_refinance'] },
+    occupancy: { type: String, enum: ['primary', 'second_home', 'investment'] },
+    productType: { type: String, enum: ['conventional', 'fha', 'va', 'usda', 'jumbo'] },
+    loanTerm: { type: Number, min: 1, max: 40 }, // years
+    interestRate: { type: Number, min: 0 },
+    downPayment: { type: Number, min: 0 },
+    ltv: { type: Number, min: 0 },
+    dti: {
+      frontEnd: { type: Number, min: 0 },
+      backEnd: { type: Number, min: 0 },
+    },
+    assets: [assetSchema],
+    estimatedClosingDate: { type: Date },
     // Referral source for co-branding
     referralSource: { type: mongoose.Schema.Types.ObjectId, ref: 'ReferralSource' },
     // Encompass integration fields
@@ -36,12 +171,47 @@ const loanApplicationSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+/**
+ * Format a structured address as a single display line.
+ */
+loanApplicationSchema.statics.formatAddress = function (address) {
+  if (!address) return '';
+  const street = [address.street, address.unit].filter(Boolean).join(' ');
+  const stateZip = [address.state, address.zip].filter(Boolean).join(' ');
+  return [street, address.city, stateZip].filter(Boolean).join(', ');
+};
+
+/**
+ * Value used as the LTV denominator: lesser of purchase price and appraised/estimated value.
+ */
+loanApplicationSchema.methods.getPropertyValue = function () {
+  const property = this.property || {};
+  const values = [property.purchasePrice, property.appraisedValue || property.estimatedValue]
+    .filter((v) => typeof v === 'number' && v > 0);
+  return values.length > 0 ? Math.min(...values) : null;
+};
+
+// Keep the derived propertyAddress and LTV in step with the structured fields
+loanApplicationSchema.pre('validate', function (next) {
+  if (this.isModified('property.address') && this.property?.address) {
+    const formatted = this.constructor.formatAddress(this.property.address);
+    if (formatted) this.propertyAddress = formatted;
+  }
+
+  const propertyValue = this.getPropertyValue();
+  if (propertyValue && this.amount && !this.isModified('ltv')) {
+    this.ltv = Math.round((this.amount / propertyValue) * 10000) / 100;
+  }
+  next();
+});
+
 // Query indexes to speed up borrower/officer/referral lookups
 loanApplicationSchema.index({ borrower: 1, status: 1 });
 loanApplicationSchema.index({ assignedOfficer: 1, status: 1 });
 loanApplicationSchema.index({ referralSource: 1, status: 1 });
 loanApplicationSchema.index({ posSystem: 1, posApplicationId: 1 });
+loanApplicationSchema.index({ productType: 1, loanPurpose: 1, status: 1 });
+loanApplicationSchema.index({ 'property.address.state': 1, 'property.address.zip': 1 });
 loanApplicationSchema.index({ createdAt: -1 });
 
 module.exports = mongoose.model('LoanApplication', loanApplicationSchema);
-
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const loanConditionSchema = new mongoose.Schema(
+  {
+    loan: { type: mongoose.Schema.Types.ObjectId, ref: 'LoanApplication', required: true, index: true },
+    title: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    // When the condition must be cleared relative to the loan timeline
+    category: {
+      type: String,
+      enum: ['prior_to_approval', 'prior_to_doc', 'prior_to_funding', 'post_closing'],
+      required: true,
+    },
+    // Party responsible for satisfying the condition
+    ownerRole: {
+      type: String,
+      enum: ['borrower', 'loan_officer', 'processor', 'underwriter', 'closer', 'title', 'other'],
+      default: 'borrower',
+    },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    dueDate: { type: Date },
+    status: {
+      type: String,
+      enum: ['open', 'submitted', 'cleared', 'waived', 'rejected'],
+      default: 'open',
+    },
+    borrowerVisible: { type: Boolean, default: true },
+    // Uploads that satisfy the condition
+    documents: [{ type: mongoose.Schema.Types.ObjectId, ref: 'DocumentUpload' }],
+    notes: { type: String, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolvedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+/**
+ * Cleared or waived conditions no longer block the loan.
+ */
+loanConditionSchema.methods.isResolved = function () {
+  return ['cleared', 'waived'].includes(this.status);
+};
+
+/**
+ * Conditions still blocking the loan, optionally limited to one category.
+ */
+loanConditionSchema.statics.findOutstanding = function (loanId, category) {
+  const filter = { loan: loanId, status: { $nin: ['cleared', 'waived'] } };
+  if (category) filter.category = category;
+  return this.find(filter);
+};
+
+loanConditionSchema.index({ loan: 1, category: 1, status: 1 });
+loanConditionSchema.index({ owner: 1, status: 1, dueDate: 1 });
+
+module.exports = mongoose.model('LoanCondition', loanConditionSchema);
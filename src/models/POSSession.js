@@ -73,7 +73,7 @@ const posSessionSchema = new mongoose.Schema({
   },
   source: {
     type: String,
-    enum: ['mobile_app', 'web_app', 'business_card', 'calculator', 'preapproval_letter', 'email_link'],
+    enum: ['mobile_app', 'web_app', 'business_card', 'calculator', 'preapproval_letter', 'email_link', 'rate_alert'],
     default: 'mobile_app'
   },
   
@@ -70,6 +70,13 @@ const productPricingSchema = new mongoose.Schema(
     // Program features
     features: {
       armType: String,
+      armIndex: String,
+      armMargin: Number,
+      armCaps: {
+        initial: Number,
+        periodic: Number,
+        lifetime: Number
+      },
       buydown: Boolean,
       interestOnly: Boolean,
       balloonPayment: Boolean,
@@ -77,6 +84,25 @@ const productPricingSchema = new mongoose.Schema(
     },
     // Pricing adjustments matrix
     adjustments: mongoose.Schema.Types.Mixed,
+    // Overrides the product type's lock extension policy (src/config/lockExtensions.js)
+    extensionPolicy: {
+      increments: [Number],
+      maxCumulativeDays: Number,
+      pricing: {
+        type: {
+          type: String,
+          enum: ['per_day', 'tiered']
+        },
+        pointsPerDay: Number,
+        tiers: [
+          {
+            _id: false,
+            maxDays: Number,
+            points: Number
+          }
+        ]
+      }
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -96,6 +122,13 @@ const productPricingSchema = new mongoose.Schema(
   }
 );
 
+/**
+ * Price after loan-level price adjustments and lock costs such as extension fees (all in points)
+ */
+productPricingSchema.methods.finalPrice = function({ adjustments = 0, extensionCost = 0 } = {}) {
+  return Math.round((this.basePrice - adjustments - extensionCost) * 1000) / 1000;
+};
+
 // Indexes for product searches
 productPricingSchema.index({ productType: 1, loanTerm: 1, isActive: 1 });
 productPricingSchema.index({ investorName: 1, isActive: 1 });
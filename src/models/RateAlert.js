@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { ARM_TYPES } = require('../config/armProducts');
+const { TRIGGER_TYPES, REARM_MODES } = require('../config/rateAlerts');
 
 const rateAlertSchema = new mongoose.Schema(
   {
@@ -18,6 +20,11 @@ const rateAlertSchema = new mongoose.Schema(
       enum: [10, 15, 20, 25, 30],
       required: true
     },
+    // Watch an ARM's initial rate instead of the fixed rate for this term
+    armType: {
+      type: String,
+      enum: Object.keys(ARM_TYPES)
+    },
     
     // Loan scenario for rate matching
     loanAmount: {
@@ -42,16 +49,46 @@ const rateAlertSchema = new mongoose.Schema(
       enum: ['single_family', 'condo', 'townhouse', 'multi_family', 'manufactured'],
       default: 'single_family'
     },
+    // Escrow and dues for the monthly payment estimate
+    taxesAnnual: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    insuranceAnnual: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    hoaMonthly: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
     
     targetRate: {
       type: Number,
       required: function() {
-        return this.triggerType !== 'drops_by';
+        return this.triggerType === 'below' || this.triggerType === 'above';
+      }
+    },
+    // Total monthly payment (P&I, MI, escrow, HOA) for payment_below
+    targetPayment: {
+      type: Number,
+      min: 0,
+      required: function() {
+        return this.triggerType === 'payment_below';
+      }
+    },
+    targetApr: {
+      type: Number,
+      required: function() {
+        return this.triggerType === 'apr_below';
       }
     },
     triggerType: {
       type: String,
-      enum: ['below', 'above', 'drops_by'],
+      enum: TRIGGER_TYPES,
       default: 'below'
     },
     dropAmount: {
@@ -72,17 +109,40 @@ const rateAlertSchema = new mongoose.Schema(
       default: 'active',
       index: true
     },
+    // Re-arming after a trigger; rearmAt is the end of the owner's cooldown
+    rearm: {
+      type: String,
+      enum: REARM_MODES,
+      default: 'never'
+    },
+    rearmAt: Date,
+    // Re-armed with `reset`: holds off until the condition is no longer met
+    awaitingReset: {
+      type: Boolean,
+      default: false
+    },
     loan: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'LoanApplication'
     },
     lastCheckedAt: Date,
+    // Pricing at the last check, for digests
+    lastCheckedRate: Number,
+    lastCheckedApr: Number,
+    lastCheckedPayment: Number,
     triggeredAt: Date,
     triggeredRate: Number,
+    triggeredApr: Number,
+    triggeredPayment: Number,
     notificationSent: {
       type: Boolean,
       default: false
     },
+    // Triggered but held for quiet hours or the owner's next digest
+    deliveryPending: {
+      type: Boolean,
+      default: false
+    },
     expiresAt: {
       type: Date,
       default: function() {
@@ -95,6 +155,10 @@ const rateAlertSchema = new mongoose.Schema(
       triggeredAt: Date,
       currentRate: Number,
       targetRate: Number,
+      currentApr: Number,
+      currentPayment: Number,
+      targetPayment: Number,
+      targetApr: Number,
       notificationSent: Boolean,
       notificationMethod: String,
       crmLoggedAt: Date
@@ -112,13 +176,16 @@ const rateAlertSchema = new mongoose.Schema(
 // Indexes for efficient alert processing
 rateAlertSchema.index({ user: 1, status: 1 });
 rateAlertSchema.index({ status: 1, lastCheckedAt: 1 });
-rateAlertSchema.index({ productType: 1, loanTerm: 1, status: 1 });
+rateAlertSchema.index({ productType: 1, loanTerm: 1, armType: 1, status: 1 });
+rateAlertSchema.index({ status: 1, rearmAt: 1 });
+rateAlertSchema.index({ deliveryPending: 1 });
 rateAlertSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL
 
 /**
- * Check if alert should trigger based on current rate
+ * Check if alert should trigger based on current rate, or the APR and monthly
+ * payment for the alert's scenario
  */
-rateAlertSchema.methods.shouldTrigger = function(currentRate) {
+rateAlertSchema.methods.shouldTrigger = function(currentRate, { apr, payment } = {}) {
   if (this.status !== 'active') return false;
   
   switch (this.triggerType) {
@@ -128,6 +195,10 @@ rateAlertSchema.methods.shouldTrigger = function(currentRate) {
       return currentRate >= this.targetRate;
     case 'drops_by':
       return this.baselineRate && (this.baselineRate - currentRate) >= this.dropAmount;
+    case 'payment_below':
+      return payment != null && payment <= this.targetPayment;
+    case 'apr_below':
+      return apr != null && apr < this.targetApr;
     default:
       return false;
   }
@@ -136,15 +207,21 @@ rateAlertSchema.methods.shouldTrigger = function(currentRate) {
 /**
  * Trigger alert
  */
-rateAlertSchema.methods.trigger = async function(currentRate, notificationMethod) {
+rateAlertSchema.methods.trigger = async function(currentRate, notificationMethod, { apr, payment } = {}) {
   this.status = 'triggered';
   this.triggeredAt = new Date();
   this.triggeredRate = currentRate;
+  this.triggeredApr = apr;
+  this.triggeredPayment = payment;
   
   this.triggerHistory.push({
     triggeredAt: new Date(),
     currentRate,
     targetRate: this.targetRate || this.baselineRate,
+    currentApr: apr,
+    currentPayment: payment,
+    targetPayment: this.targetPayment,
+    targetApr: this.targetApr,
     notificationSent: false,
     notificationMethod
   });
@@ -157,12 +234,27 @@ rateAlertSchema.methods.trigger = async function(currentRate, notificationMethod
  */
 rateAlertSchema.methods.markNotificationSent = async function() {
   this.notificationSent = true;
+  this.deliveryPending = false;
   if (this.triggerHistory.length > 0) {
     this.triggerHistory[this.triggerHistory.length - 1].notificationSent = true;
   }
   await this.save();
 };
 
+/**
+ * Watch again after a trigger. drops_by measures the next drop from the triggered rate.
+ */
+rateAlertSchema.methods.rearmAlert = async function() {
+  this.status = 'active';
+  this.rearmAt = undefined;
+  this.notificationSent = false;
+  this.awaitingReset = this.rearm === 'reset';
+  if (this.triggerType === 'drops_by' && this.triggeredRate) {
+    this.baselineRate = this.triggeredRate;
+  }
+  await this.save();
+};
+
 /**
  * Mark CRM logged
  */
@@ -186,7 +278,19 @@ rateAlertSchema.statics.findAlertsToCheck = function(minutesAgo = 30) {
       { lastCheckedAt: { $exists: false } }
     ],
     expiresAt: { $gt: new Date() }
-  }).populate('user', 'name email phone');
+  }).populate('user', 'name email phone expoPushToken rateAlertPreferences');
+};
+
+/**
+ * Static: Find triggered alerts whose cooldown has ended
+ */
+rateAlertSchema.statics.findAlertsToRearm = function(now = new Date()) {
+  return this.find({
+    status: 'triggered',
+    rearm: { $ne: 'never' },
+    rearmAt: { $lte: now },
+    expiresAt: { $gt: now }
+  });
 };
 
 /**
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { ARM_TYPES } = require('../config/armProducts');
+
+// One day of par pricing for a product/term, aggregated from RateSnapshot by rateSyncJob
+const rateHistoryDailySchema = new mongoose.Schema(
+  {
+    productType: {
+      type: String,
+      enum: ['conventional', 'fha', 'va', 'usda', 'jumbo'],
+      required: true
+    },
+    loanTerm: {
+      type: Number,
+      enum: [15, 20, 30],
+      required: true
+    },
+    // Fixed-rate series leave this null
+    armType: {
+      type: String,
+      enum: [...Object.keys(ARM_TYPES), null],
+      default: null
+    },
+    // Start of the UTC day
+    date: {
+      type: Date,
+      required: true
+    },
+    open: { type: Number, required: true },
+    high: { type: Number, required: true },
+    low: { type: Number, required: true },
+    close: { type: Number, required: true },
+    apr: Number,
+    // Points of the par rate the bar tracks
+    points: Number,
+    samples: {
+      type: Number,
+      default: 0
+    },
+    // Close minus the previous day's and the close a week earlier
+    changeDay: Number,
+    changeWeek: Number,
+    movingAverage7: Number,
+    movingAverage30: Number,
+    // Standard deviation of day-over-day changes over the last 30 days
+    volatility30: Number
+  },
+  {
+    timestamps: true
+  }
+);
+
+rateHistoryDailySchema.index({ productType: 1, loanTerm: 1, armType: 1, date: -1 }, { unique: true });
+rateHistoryDailySchema.index({ date: -1 });
+
+module.exports = mongoose.model('RateHistoryDaily', rateHistoryDailySchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { ARM_TYPES } = require('../config/armProducts');
+const { REVIEW_REASONS } = require('../config/lockDesk');
 
 const rateLockSchema = new mongoose.Schema(
   {
@@ -59,6 +61,75 @@ const rateLockSchema = new mongoose.Schema(
     confirmedAt: {
       type: Date
     },
+    expiredAt: Date,
+    releasedAt: Date,
+    releasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    releaseReason: String,
+    // Set on a lock created by relocking an expired or released one
+    relockOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RateLock',
+      index: true
+    },
+    // Lock desk review for requests queued as `pending` instead of confirmed on submission.
+    // A queued float-down leaves the lock confirmed at its current rate until approved.
+    lockDesk: {
+      state: {
+        type: String,
+        enum: ['queued', 'countered', 'approved', 'denied']
+      },
+      request: {
+        type: String,
+        enum: ['lock', 'relock', 'float_down'],
+        default: 'lock'
+      },
+      reasons: [
+        {
+          type: String,
+          enum: REVIEW_REASONS
+        }
+      ],
+      priceConcession: Number,
+      submittedAt: Date,
+      reviewDueAt: Date,
+      slaBreachedAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date,
+      notes: String,
+      counterOffer: {
+        rate: Number,
+        apr: Number,
+        points: Number,
+        lockPeriod: Number,
+        acceptedAt: Date
+      },
+      // Market pricing a queued float-down moves the lock to once approved
+      floatDown: {
+        rate: Number,
+        apr: Number,
+        rateSnapshot: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'RateSnapshot'
+        },
+        requestedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        }
+      }
+    },
+    // Expiry warnings already sent, by days before expiration (7, 3, 1)
+    expiryWarnings: [
+      {
+        daysOut: Number,
+        sentAt: Date
+      }
+    ],
     // Lock extension tracking
     extensionHistory: [
       {
@@ -70,10 +141,39 @@ const rateLockSchema = new mongoose.Schema(
         originalExpiration: Date,
         newExpiration: Date,
         extensionDays: Number,
+        // Cost in points and dollars
+        extensionCost: Number,
         extensionFee: Number,
+        pricingType: String,
         reason: String
       }
     ],
+    floatDownHistory: [
+      {
+        floatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        floatedAt: Date,
+        previousRate: Number,
+        previousAPR: Number,
+        newRate: Number,
+        newAPR: Number,
+        rateSnapshot: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'RateSnapshot'
+        }
+      }
+    ],
+    // Last comparison against the Optimal Blue lock
+    reconciliation: {
+      checkedAt: Date,
+      status: String,
+      rate: Number,
+      lockExpiresAt: Date,
+      discrepancies: [String],
+      error: String
+    },
     // Lock details
     loanAmount: {
       type: Number,
@@ -89,6 +189,10 @@ const rateLockSchema = new mongoose.Schema(
       enum: [15, 20, 30],
       required: true
     },
+    armType: {
+      type: String,
+      enum: Object.keys(ARM_TYPES)
+    },
     loanPurpose: {
       type: String,
       enum: ['purchase', 'refinance', 'cashout_refinance']
@@ -102,7 +206,11 @@ const rateLockSchema = new mongoose.Schema(
       baseRate: Number,
       adjustments: Number,
       totalAdjustment: Number,
-      priceAsPercent: Number
+      priceAsPercent: Number,
+      // Investor base price, cumulative extension cost (points) and the price after it
+      basePrice: Number,
+      extensionCost: Number,
+      finalPrice: Number
     },
     // Investor information
     investorName: String,
@@ -120,5 +228,6 @@ const rateLockSchema = new mongoose.Schema(
 rateLockSchema.index({ loan: 1, status: 1 });
 rateLockSchema.index({ lockExpiresAt: 1, status: 1 });
 rateLockSchema.index({ borrower: 1, createdAt: -1 });
+rateLockSchema.index({ 'lockDesk.state': 1, 'lockDesk.reviewDueAt': 1 });
 
 module.exports = mongoose.model('RateLock', rateLockSchema);
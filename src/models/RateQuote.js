@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const { ARM_TYPES } = require('../config/armProducts');
+
+// One priced option on a quote, e.g. "30-year, 0 points"
+const quoteScenarioSchema = new mongoose.Schema({
+  label: { type: String, trim: true },
+  productType: {
+    type: String,
+    enum: ['conventional', 'fha', 'va', 'usda', 'jumbo'],
+    required: true
+  },
+  loanTerm: { type: Number, required: true },
+  armType: {
+    type: String,
+    enum: Object.keys(ARM_TYPES)
+  },
+  // Points asked for; `points` is what the closest rate on the sheet costs
+  requestedPoints: { type: Number, default: 0 },
+  rate: { type: Number, required: true },
+  apr: Number,
+  points: { type: Number, default: 0 },
+  lockPeriod: Number,
+  optimalBlueRateId: String,
+  // Base loan amount plus any financed upfront MIP, funding fee or guarantee fee
+  loanAmount: Number,
+  ltv: Number,
+  payment: {
+    principalAndInterest: Number,
+    mortgageInsurance: Number,
+    taxes: Number,
+    insurance: Number,
+    hoa: Number,
+    total: Number
+  },
+  fees: {
+    loanCosts: Number,
+    otherCosts: Number,
+    lenderCredits: Number
+  },
+  closingCosts: Number,
+  cashToClose: Number
+});
+
+const rateQuoteSchema = new mongoose.Schema(
+  {
+    quoteNumber: {
+      type: String,
+      unique: true,
+      sparse: true
+    },
+    loanOfficer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    borrower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    },
+    // Borrower inputs shared by every scenario
+    loanAmount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    propertyValue: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    loanPurpose: {
+      type: String,
+      enum: ['purchase', 'refinance', 'cash_out_refinance'],
+      default: 'purchase'
+    },
+    propertyType: {
+      type: String,
+      enum: ['single_family', 'condo', 'townhouse', 'multi_family', 'manufactured'],
+      default: 'single_family'
+    },
+    occupancy: {
+      type: String,
+      enum: ['primary', 'second_home', 'investment'],
+      default: 'primary'
+    },
+    creditScore: {
+      type: Number,
+      min: 300,
+      max: 850,
+      required: true
+    },
+    state: {
+      type: String,
+      uppercase: true,
+      maxlength: 2
+    },
+    taxesAnnual: { type: Number, default: 0 },
+    insuranceAnnual: { type: Number, default: 0 },
+    hoaMonthly: { type: Number, default: 0 },
+    payoffAmount: { type: Number, default: 0 },
+    scenarios: [quoteScenarioSchema],
+    notes: String,
+    referralSource: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReferralSource'
+    },
+    branding: {
+      logo: {
+        type: String,
+        default: 'https://fahm.com/logo.png'
+      },
+      partnerLogo: String,
+      partnerName: String,
+      primaryColor: {
+        type: String,
+        default: '#003B5C'
+      },
+      secondaryColor: {
+        type: String,
+        default: '#FF6B35'
+      }
+    },
+    // Printed after the standard quote disclaimers, e.g. the referral partner's
+    disclaimers: [{
+      text: String,
+      order: Number
+    }],
+    pdfUrl: String,
+    pdfBlobName: String,
+    status: {
+      type: String,
+      enum: ['draft', 'shared', 'viewed', 'applied'],
+      default: 'draft',
+      index: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    sharedAt: Date,
+    viewedAt: Date,
+    // Application the borrower started from this quote
+    loan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LoanApplication'
+    },
+    selectedScenario: mongoose.Schema.Types.ObjectId,
+    appliedAt: Date,
+    sharing: {
+      sharedViaEmail: {
+        type: Boolean,
+        default: false
+      },
+      sharedViaSMS: {
+        type: Boolean,
+        default: false
+      },
+      sharedInApp: {
+        type: Boolean,
+        default: false
+      },
+      shareHistory: [{
+        method: {
+          type: String,
+          enum: ['app', 'email', 'sms', 'link']
+        },
+        recipient: String,
+        sharedAt: Date,
+        sharedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        }
+      }]
+    },
+    viewHistory: [{
+      viewedBy: String,
+      viewedAt: Date,
+      ipAddress: String
+    }]
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Generate unique quote number
+rateQuoteSchema.statics.generateQuoteNumber = async function() {
+  const year = new Date().getFullYear();
+  const count = await this.countDocuments({
+    createdAt: { $gte: new Date(year, 0, 1) }
+  });
+  return `RQ-${year}-${String(count + 1).padStart(6, '0')}`;
+};
+
+// Record a share; drafts become shared
+rateQuoteSchema.methods.markSent = async function(method, recipient, sharedBy) {
+  if (this.status === 'draft') {
+    this.status = 'shared';
+  }
+  this.sharedAt = new Date();
+
+  if (method === 'email') {
+    this.sharing.sharedViaEmail = true;
+  } else if (method === 'sms') {
+    this.sharing.sharedViaSMS = true;
+  } else if (method === 'app') {
+    this.sharing.sharedInApp = true;
+  }
+
+  this.sharing.shareHistory.push({
+    method,
+    recipient,
+    sharedAt: this.sharedAt,
+    sharedBy
+  });
+
+  await this.save();
+};
+
+// Track a borrower view; the first one marks the quote viewed
+rateQuoteSchema.methods.trackView = async function(viewedBy, ipAddress) {
+  if (this.status === 'shared') {
+    this.status = 'viewed';
+    this.viewedAt = new Date();
+  }
+
+  this.viewHistory.push({
+    viewedBy,
+    viewedAt: new Date(),
+    ipAddress
+  });
+
+  await this.save();
+};
+
+// Check if the quoted pricing has lapsed
+rateQuoteSchema.methods.isExpired = function() {
+  return new Date() > this.expiresAt;
+};
+
+const RateQuote = mongoose.model('RateQuote', rateQuoteSchema);
+
+module.exports = RateQuote;
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { ARM_TYPES, ARM_INDEXES } = require('../config/armProducts');
+const { BENCHMARK_SOURCES } = require('../config/marketRates');
 
 const rateSnapshotSchema = new mongoose.Schema(
   {
@@ -13,6 +15,25 @@ const rateSnapshotSchema = new mongoose.Schema(
       enum: [15, 20, 30],
       required: true
     },
+    // Adjustable-rate product; fixed-rate snapshots leave this unset
+    armType: {
+      type: String,
+      enum: Object.keys(ARM_TYPES)
+    },
+    // ARM terms: rate is the initial (start) rate
+    arm: {
+      index: {
+        type: String,
+        enum: Object.keys(ARM_INDEXES)
+      },
+      indexValue: Number,
+      margin: Number,
+      caps: {
+        initial: Number,
+        periodic: Number,
+        lifetime: Number
+      }
+    },
     loanPurpose: {
       type: String,
       enum: ['purchase', 'refinance', 'cash_out_refinance'],
@@ -22,9 +43,12 @@ const rateSnapshotSchema = new mongoose.Schema(
       type: Number,
       required: true
     },
+    // Surveys often publish no APR, so benchmark rates may omit it
     apr: {
       type: Number,
-      required: true
+      required: function() {
+        return !BENCHMARK_SOURCES.includes(this.source);
+      }
     },
     points: {
       type: Number,
@@ -48,9 +72,14 @@ const rateSnapshotSchema = new mongoose.Schema(
     investorName: String,
     source: {
       type: String,
-      enum: ['optimal_blue', 'manual', 'competitor'],
+      enum: ['optimal_blue', 'manual', 'competitor', 'market_index'],
       default: 'optimal_blue'
     },
+    // Competitor lender or market index/survey name for benchmark rates
+    benchmarkName: {
+      type: String,
+      trim: true
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -72,8 +101,9 @@ const rateSnapshotSchema = new mongoose.Schema(
 );
 
 // Compound indexes for efficient rate queries
-rateSnapshotSchema.index({ productType: 1, loanTerm: 1, isActive: 1, effectiveDate: -1 });
+rateSnapshotSchema.index({ productType: 1, loanTerm: 1, armType: 1, isActive: 1, effectiveDate: -1 });
 rateSnapshotSchema.index({ effectiveDate: -1, isActive: 1 });
 rateSnapshotSchema.index({ expiresAt: 1 });
+rateSnapshotSchema.index({ source: 1, isActive: 1, productType: 1, loanTerm: 1, effectiveDate: -1 });
 
 module.exports = mongoose.model('RateSnapshot', rateSnapshotSchema);
@@ -131,6 +131,10 @@ const referralSourceSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    enableRateQuotes: {
+      type: Boolean,
+      default: true
+    },
     customDisclaimer: {
       type: String,
       trim: true,
@@ -253,7 +257,8 @@ referralSourceSchema.methods.isCoBrandingEnabled = function(feature) {
     'preapproval': 'enablePreapprovalLetters',
     'business_card': 'enableBusinessCards',
     'email': 'enableEmailCommunications',
-    'borrower_view': 'enableBorrowerView'
+    'borrower_view': 'enableBorrowerView',
+    'rate_quote': 'enableRateQuotes'
   };
   
   const setting = featureMap[feature];
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { DELIVERY_MODES } = require('../config/rateAlerts');
 
 const userSchema = new mongoose.Schema(
   {
@@ -27,6 +28,17 @@ const userSchema = new mongoose.Schema(
       phone: String
     },
     expoPushToken: { type: String, trim: true },
+    // Rate alert delivery; unset fields fall back to DEFAULT_ALERT_PREFERENCES
+    rateAlertPreferences: {
+      delivery: { type: String, enum: DELIVERY_MODES },
+      timezone: { type: String, trim: true },
+      quietHoursStart: { type: Number, min: 0, max: 23 },
+      quietHoursEnd: { type: Number, min: 0, max: 23 },
+      digestHour: { type: Number, min: 0, max: 23 },
+      digestDay: { type: Number, min: 0, max: 6 },
+      cooldownHours: { type: Number, min: 0 },
+      lastDigestAt: Date,
+    },
   },
   { timestamps: true }
 );
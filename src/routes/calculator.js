@@ -1,7 +1,8 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const calculatorController = require('../controllers/calculatorController');
 const { authenticate } = require('../middleware/auth');
+const { ARM_TYPES } = require('../config/armProducts');
 
 const router = express.Router();
 
@@ -13,7 +14,11 @@ router.use(authenticate);
  *   post:
  *     summary: Calculate monthly mortgage payment with APR and optional amortization
  *     tags: [Calculator]
- *     description: Calculate principal & interest, taxes, insurance, HOA, and total monthly payment with true APR including closing costs. Optionally include first 12 months amortization schedule.
+ *     description: >
+ *       Calculate principal & interest, mortgage insurance, taxes, insurance, HOA, and total monthly payment with true
+ *       APR including closing costs. Mortgage insurance follows the loan type: conventional PMI by LTV and credit score
+ *       (dropped automatically at 78% LTV), FHA upfront and annual MIP, the VA funding fee, or the USDA guarantee fee.
+ *       Upfront fees are financed into the loan amount. Optionally include first 12 months amortization schedule.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -67,6 +72,32 @@ router.use(authenticate);
  *                 description: Total closing costs for APR calculation
  *                 example: 8000
  *                 default: 0
+ *               productType:
+ *                 type: string
+ *                 enum: [conventional, fha, va, usda]
+ *                 default: conventional
+ *               propertyValue:
+ *                 type: number
+ *                 description: Appraised value for LTV, if different from amount
+ *               creditScore:
+ *                 type: integer
+ *                 description: Prices conventional PMI by credit tier
+ *                 example: 740
+ *               escrowCushionMonths:
+ *                 type: integer
+ *                 description: Escrow cushion held by the servicer (RESPA maximum is 2 months)
+ *                 default: 2
+ *               armType:
+ *                 type: string
+ *                 enum: [5/6, 7/6, 10/6]
+ *                 description: Treat the loan as an ARM; `rate` is the initial rate
+ *               margin:
+ *                 type: number
+ *                 description: ARM margin (%)
+ *                 default: 2.75
+ *               indexValue:
+ *                 type: number
+ *                 description: Current index value (%); defaults to the latest 30-day average SOFR from rate snapshots
  *               includeAmortization:
  *                 type: boolean
  *                 description: Include first 12 months amortization schedule
@@ -85,10 +116,17 @@ router.use(authenticate);
  *                 data:
  *                   type: object
  *                   properties:
- *                     loanAmount:
+ *                     baseLoanAmount:
  *                       type: number
  *                       description: Net loan amount after down payment
  *                       example: 320000
+ *                     loanAmount:
+ *                       type: number
+ *                       description: Base loan amount plus any financed upfront MIP, funding fee or guarantee fee
+ *                       example: 320000
+ *                     ltv:
+ *                       type: number
+ *                       example: 80
  *                     downPayment:
  *                       type: number
  *                       example: 80000
@@ -96,6 +134,10 @@ router.use(authenticate);
  *                       type: number
  *                       description: Monthly P&I payment
  *                       example: 2024.89
+ *                     monthlyMortgageInsurance:
+ *                       type: number
+ *                       description: Monthly PMI, MIP or guarantee fee
+ *                       example: 0
  *                     monthlyTaxes:
  *                       type: number
  *                       description: Monthly property tax portion
@@ -110,8 +152,49 @@ router.use(authenticate);
  *                       example: 150
  *                     totalMonthly:
  *                       type: number
- *                       description: Total monthly payment (PITI + HOA)
+ *                       description: Total monthly payment (PITI + mortgage insurance + HOA)
  *                       example: 2674.89
+ *                     mortgageInsurance:
+ *                       type: object
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                           enum: [pmi, mip, funding_fee, guarantee_fee]
+ *                         upfrontPercent:
+ *                           type: number
+ *                         upfrontFee:
+ *                           type: number
+ *                         annualRate:
+ *                           type: number
+ *                         monthlyPremium:
+ *                           type: number
+ *                         cancelAtLtv:
+ *                           type: number
+ *                           nullable: true
+ *                         durationMonths:
+ *                           type: integer
+ *                           nullable: true
+ *                           description: Fixed premium term (FHA at or below 90% LTV); null when it runs to cancellation or payoff
+ *                         endMonth:
+ *                           type: integer
+ *                           nullable: true
+ *                           description: Last month the monthly premium is charged
+ *                         totalPremiums:
+ *                           type: number
+ *                     escrow:
+ *                       type: object
+ *                       properties:
+ *                         monthlyTaxes:
+ *                           type: number
+ *                         monthlyInsurance:
+ *                           type: number
+ *                         monthly:
+ *                           type: number
+ *                         cushionMonths:
+ *                           type: integer
+ *                         cushion:
+ *                           type: number
+ *                           description: Cushion funded at closing with the initial escrow deposit
  *                     rate:
  *                       type: number
  *                       description: Nominal interest rate
@@ -129,7 +212,7 @@ router.use(authenticate);
  *                       example: 408960.40
  *                     totalPayments:
  *                       type: number
- *                       description: Total of all payments over life of loan
+ *                       description: Total of all payments over life of loan, including mortgage insurance until it drops
  *                       example: 962960.40
  *                     amortizationSchedule:
  *                       type: array
@@ -145,11 +228,52 @@ router.use(authenticate);
  *                             type: number
  *                           interest:
  *                             type: number
+ *                           mortgageInsurance:
+ *                             type: number
  *                           balance:
  *                             type: number
  *                     totalMonths:
  *                       type: number
  *                       example: 360
+ *                     arm:
+ *                       type: object
+ *                       description: >
+ *                         ARM payment projection (principal and interest) when armType is given. `worstCase` raises the
+ *                         rate by the full cap at every adjustment; `indexBased` moves toward index + margin within the
+ *                         caps, holding the index at its current value. Totals above assume the initial rate.
+ *                       properties:
+ *                         armType:
+ *                           type: string
+ *                         fixedMonths:
+ *                           type: integer
+ *                         adjustmentMonths:
+ *                           type: integer
+ *                         caps:
+ *                           type: object
+ *                           properties:
+ *                             initial:
+ *                               type: number
+ *                             periodic:
+ *                               type: number
+ *                             lifetime:
+ *                               type: number
+ *                         index:
+ *                           type: string
+ *                         indexValue:
+ *                           type: number
+ *                         indexSource:
+ *                           type: string
+ *                           enum: [input, rate_snapshot, default]
+ *                         margin:
+ *                           type: number
+ *                         fullyIndexedRate:
+ *                           type: number
+ *                         initialPayment:
+ *                           type: number
+ *                         worstCase:
+ *                           $ref: '#/components/schemas/ArmPaymentPath'
+ *                         indexBased:
+ *                           $ref: '#/components/schemas/ArmPaymentPath'
  *       400:
  *         description: Validation errors or invalid parameters
  *       401:
@@ -166,11 +290,493 @@ router.post(
     body('insuranceAnnual').optional().isNumeric(),
     body('hoaMonthly').optional().isNumeric(),
     body('closingCosts').optional().isNumeric(),
+    body('propertyValue').optional().isFloat({ gt: 0 }),
+    body('productType').optional().isIn(['conventional', 'fha', 'va', 'usda']),
+    body('creditScore').optional().isInt({ min: 300, max: 850 }),
+    body('escrowCushionMonths').optional().isInt({ min: 0, max: 2 }),
+    body('armType').optional().isIn(Object.keys(ARM_TYPES)),
+    body('margin').optional().isFloat({ min: 0, max: 10 }),
+    body('indexValue').optional().isFloat({ min: 0, max: 20 }),
     body('includeAmortization').optional().isBoolean(),
   ],
   calculatorController.calculate
 );
 
+/**
+ * @swagger
+ * /calculator/loan-estimate:
+ *   post:
+ *     summary: Itemized Loan Estimate with Regulation Z APR and cash to close
+ *     tags: [Calculator]
+ *     description: >
+ *       Prices closing costs from the fee template for the property state and loan type, groups them into
+ *       TRID sections A–H, and returns the APR built from the prepaid finance charges plus a cash-to-close
+ *       breakdown. Templates live in src/config/feeTemplates.js.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - loanAmount
+ *               - rate
+ *               - termYears
+ *             properties:
+ *               loanAmount:
+ *                 type: number
+ *                 example: 320000
+ *               rate:
+ *                 type: number
+ *                 example: 6.5
+ *               termYears:
+ *                 type: number
+ *                 example: 30
+ *               purchasePrice:
+ *                 type: number
+ *                 description: Purchase price, or estimated value for refinances
+ *                 example: 400000
+ *               loanPurpose:
+ *                 type: string
+ *                 enum: [purchase, refinance, cash_out_refinance]
+ *                 default: purchase
+ *               productType:
+ *                 type: string
+ *                 enum: [conventional, fha, va, usda, jumbo]
+ *                 default: conventional
+ *               state:
+ *                 type: string
+ *                 example: TX
+ *               discountPoints:
+ *                 type: number
+ *                 description: Points as a percent of the loan amount
+ *                 example: 0.5
+ *               lenderCredits:
+ *                 type: number
+ *                 example: 500
+ *               taxesAnnual:
+ *                 type: number
+ *                 example: 7200
+ *               insuranceAnnual:
+ *                 type: number
+ *                 example: 2400
+ *               closingDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Drives prepaid interest days
+ *               deposit:
+ *                 type: number
+ *                 description: Earnest money already paid
+ *               sellerCredits:
+ *                 type: number
+ *               payoffAmount:
+ *                 type: number
+ *                 description: Existing liens paid off (refinance)
+ *               additionalFees:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [name, section, amount]
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     section:
+ *                       type: string
+ *                       enum: [A, B, C, E, F, G, H]
+ *                     amount:
+ *                       type: number
+ *                     financeCharge:
+ *                       type: boolean
+ *     responses:
+ *       200:
+ *         description: Loan Estimate breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sections:
+ *                       type: object
+ *                       description: Keyed A–H, each with label, items and total
+ *                     totals:
+ *                       type: object
+ *                       properties:
+ *                         loanCosts:
+ *                           type: number
+ *                           description: D (A+B+C)
+ *                         otherCosts:
+ *                           type: number
+ *                           description: I (E+F+G+H)
+ *                         lenderCredits:
+ *                           type: number
+ *                         closingCosts:
+ *                           type: number
+ *                           description: J (D+I less lender credits)
+ *                     monthlyPrincipalAndInterest:
+ *                       type: number
+ *                     comparisons:
+ *                       type: object
+ *                       properties:
+ *                         apr:
+ *                           type: number
+ *                         amountFinanced:
+ *                           type: number
+ *                         prepaidFinanceCharges:
+ *                           type: number
+ *                         financeCharge:
+ *                           type: number
+ *                         totalOfPayments:
+ *                           type: number
+ *                         totalInterestPercentage:
+ *                           type: number
+ *                     cashToClose:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: number
+ *       400:
+ *         description: Validation errors
+ */
+router.post(
+  '/loan-estimate',
+  [
+    body('loanAmount').isFloat({ gt: 0 }).toFloat(),
+    body('rate').isFloat({ gt: 0 }).toFloat(),
+    body('termYears').isInt({ min: 1, max: 40 }).toInt(),
+    body('purchasePrice').optional().isFloat({ gt: 0 }).toFloat(),
+    body('loanPurpose').optional().isIn(['purchase', 'refinance', 'cash_out_refinance']),
+    body('productType').optional().isIn(['conventional', 'fha', 'va', 'usda', 'jumbo']),
+    body('state').optional().isLength({ min: 2, max: 2 }).isAlpha(),
+    body('discountPoints').optional().isFloat({ min: 0, max: 10 }).toFloat(),
+    body(['lenderCredits', 'taxesAnnual', 'insuranceAnnual', 'deposit', 'sellerCredits', 'payoffAmount'])
+      .optional()
+      .isFloat({ min: 0 })
+      .toFloat(),
+    body('closingDate').optional().isISO8601(),
+    body('additionalFees').optional().isArray({ max: 25 }),
+    body('additionalFees.*.name').isString().trim().notEmpty(),
+    body('additionalFees.*.section').isIn(['A', 'B', 'C', 'E', 'F', 'G', 'H']),
+    body('additionalFees.*.amount').isFloat({ min: 0 }).toFloat(),
+    body('additionalFees.*.financeCharge').optional().isBoolean().toBoolean(),
+  ],
+  calculatorController.loanEstimate
+);
+
+/**
+ * @swagger
+ * /calculator/affordability:
+ *   post:
+ *     summary: How much house can I afford
+ *     tags: [Calculator]
+ *     description: >
+ *       Returns the maximum purchase price and loan amount for each program (conventional PMI, FHA MIP,
+ *       VA funding fee, USDA guarantee fee) using the latest RateSnapshot rates. The price is capped by the
+ *       DTI limits, the down payment against the program minimum, and the program loan limit; `limitingFactor`
+ *       says which applied. DTI targets can only tighten program limits.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - monthlyIncome
+ *             properties:
+ *               monthlyIncome:
+ *                 type: number
+ *                 description: Gross monthly income
+ *                 example: 10000
+ *               monthlyDebts:
+ *                 type: number
+ *                 description: Monthly non-housing debt payments
+ *                 example: 500
+ *               downPayment:
+ *                 type: number
+ *                 description: Cash available for the down payment
+ *                 example: 40000
+ *               frontEndDti:
+ *                 type: number
+ *                 description: Target housing ratio (%)
+ *               backEndDti:
+ *                 type: number
+ *                 description: Target total debt ratio (%)
+ *               termYears:
+ *                 type: integer
+ *                 enum: [15, 20, 30]
+ *                 default: 30
+ *               rate:
+ *                 type: number
+ *                 description: Override the current rate for every program
+ *               creditScore:
+ *                 type: integer
+ *                 description: Prices conventional PMI by credit tier
+ *               taxesAnnual:
+ *                 type: number
+ *                 description: Fixed annual property tax estimate
+ *               propertyTaxRate:
+ *                 type: number
+ *                 description: Annual tax as % of price when taxesAnnual is not given
+ *                 default: 1.1
+ *               insuranceAnnual:
+ *                 type: number
+ *               insuranceRate:
+ *                 type: number
+ *                 description: Annual insurance as % of price when insuranceAnnual is not given
+ *                 default: 0.35
+ *               hoaMonthly:
+ *                 type: number
+ *               programs:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [conventional, fha, va, usda]
+ *     responses:
+ *       200:
+ *         description: Results per program, highest purchase price first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     termYears:
+ *                       type: integer
+ *                     programs:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           productType:
+ *                             type: string
+ *                           rate:
+ *                             type: number
+ *                           rateSource:
+ *                             type: string
+ *                             enum: [rate_snapshot, default, input]
+ *                           eligible:
+ *                             type: boolean
+ *                           limitingFactor:
+ *                             type: string
+ *                             enum: [front_end_dti, back_end_dti, down_payment, loan_limit]
+ *                           maxPurchasePrice:
+ *                             type: number
+ *                           maxLoanAmount:
+ *                             type: number
+ *                             description: Includes any financed upfront MIP, funding fee or guarantee fee
+ *                           ltv:
+ *                             type: number
+ *                           monthlyPayment:
+ *                             type: object
+ *                           dti:
+ *                             type: object
+ *       400:
+ *         description: Validation errors
+ */
+router.post(
+  '/affordability',
+  [
+    body('monthlyIncome').isFloat({ gt: 0 }).toFloat(),
+    body(['monthlyDebts', 'downPayment', 'taxesAnnual', 'insuranceAnnual', 'hoaMonthly'])
+      .optional()
+      .isFloat({ min: 0 })
+      .toFloat(),
+    body(['frontEndDti', 'backEndDti']).optional().isFloat({ gt: 0, max: 100 }).toFloat(),
+    body(['propertyTaxRate', 'insuranceRate']).optional().isFloat({ min: 0, max: 10 }).toFloat(),
+    body('termYears').optional().isIn([15, 20, 30]).toInt(),
+    body('rate').optional().isFloat({ gt: 0 }).toFloat(),
+    body('creditScore').optional().isInt({ min: 300, max: 850 }).toInt(),
+    body('programs').optional().isArray({ min: 1 }),
+    body('programs.*').isIn(['conventional', 'fha', 'va', 'usda']),
+  ],
+  calculatorController.affordability
+);
+
+/**
+ * @swagger
+ * /calculator/refinance:
+ *   post:
+ *     summary: Refinance break-even and cash-out analysis
+ *     tags: [Calculator]
+ *     description: >
+ *       Compares keeping the current loan against a refinance. Returns monthly savings, the break-even month,
+ *       the lifetime interest difference, the largest cash-out the program allows (conventional and FHA 80% LTV,
+ *       VA 90%, no USDA cash-out) and a yearly side-by-side amortization comparison. Closing costs are estimated
+ *       from the fee templates when not supplied.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentBalance
+ *               - currentRate
+ *               - remainingMonths
+ *               - newRate
+ *             properties:
+ *               currentBalance:
+ *                 type: number
+ *                 example: 300000
+ *               currentRate:
+ *                 type: number
+ *                 example: 7.5
+ *               remainingMonths:
+ *                 type: integer
+ *                 example: 336
+ *               newRate:
+ *                 type: number
+ *                 example: 6.25
+ *               newTermYears:
+ *                 type: integer
+ *                 enum: [10, 15, 20, 25, 30]
+ *                 default: 30
+ *               closingCosts:
+ *                 type: number
+ *                 description: Total refinance closing costs; estimated from the fee templates when omitted
+ *               rollClosingCosts:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Finance the closing costs into the new loan
+ *               cashOut:
+ *                 type: number
+ *                 default: 0
+ *                 description: Cash taken out at closing (requires propertyValue)
+ *               propertyValue:
+ *                 type: number
+ *                 example: 450000
+ *               productType:
+ *                 type: string
+ *                 enum: [conventional, fha, va, usda]
+ *                 default: conventional
+ *               state:
+ *                 type: string
+ *                 example: TX
+ *     responses:
+ *       200:
+ *         description: Refinance analysis
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     current:
+ *                       type: object
+ *                     proposed:
+ *                       type: object
+ *                     closingCosts:
+ *                       type: object
+ *                     monthlySavings:
+ *                       type: number
+ *                     breakEvenMonth:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Months to recover closing costs; null when the payment does not drop
+ *                     lifetimeInterestDifference:
+ *                       type: number
+ *                       description: Remaining interest on the current loan minus total interest on the new loan
+ *                     lifetimeCostDifference:
+ *                       type: number
+ *                       description: Remaining payments on the current loan minus new loan payments and cash closing costs
+ *                     cashOut:
+ *                       type: object
+ *                       properties:
+ *                         requested:
+ *                           type: number
+ *                         withinLimit:
+ *                           type: boolean
+ *                         option:
+ *                           type: object
+ *                           description: Maximum cash-out scenario for the program
+ *                     comparison:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           year:
+ *                             type: integer
+ *                           current:
+ *                             type: object
+ *                           proposed:
+ *                             type: object
+ *                           cumulativeSavings:
+ *                             type: number
+ *       400:
+ *         description: Validation errors
+ */
+router.post(
+  '/refinance',
+  [
+    body(['currentBalance', 'newRate']).isFloat({ gt: 0 }).toFloat(),
+    body('currentRate').isFloat({ min: 0 }).toFloat(),
+    body('remainingMonths').isInt({ min: 1, max: 480 }).toInt(),
+    body('newTermYears').optional().isIn([10, 15, 20, 25, 30]).toInt(),
+    body('closingCosts').optional().isFloat({ min: 0 }).toFloat(),
+    body('cashOut')
+      .optional()
+      .isFloat({ min: 0 })
+      .toFloat()
+      .custom((value, { req }) => value === 0 || req.body.propertyValue != null)
+      .withMessage('propertyValue is required for a cash-out refinance'),
+    body('rollClosingCosts').optional().isBoolean().toBoolean(),
+    body('propertyValue').optional().isFloat({ gt: 0 }).toFloat(),
+    body('productType').optional().isIn(['conventional', 'fha', 'va', 'usda']),
+    body('state').optional().isLength({ min: 2, max: 2 }).isAlpha(),
+  ],
+  calculatorController.refinance
+);
+
+/**
+ * @swagger
+ * /calculator/fee-templates:
+ *   get:
+ *     summary: Resolved closing cost template for a state and loan type
+ *     tags: [Calculator]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         example: NY
+ *       - in: query
+ *         name: productType
+ *         schema:
+ *           type: string
+ *           enum: [conventional, fha, va, usda, jumbo]
+ *     responses:
+ *       200:
+ *         description: Template settings and fees keyed by code
+ */
+router.get(
+  '/fee-templates',
+  [
+    query('state').optional().isLength({ min: 2, max: 2 }).isAlpha(),
+    query('productType').optional().isIn(['conventional', 'fha', 'va', 'usda', 'jumbo']),
+  ],
+  calculatorController.getFeeTemplate
+);
+
 /**
  * @swagger
  * /calculator/rates:
@@ -201,6 +807,12 @@ router.post(
  *         description: Loan term in years
  *         example: 30
  *       - in: query
+ *         name: armType
+ *         schema:
+ *           type: string
+ *           enum: [fixed, '5/6', '7/6', '10/6']
+ *         description: ARM type; omit or `fixed` for fixed-rate products
+ *       - in: query
  *         name: creditScore
  *         schema:
  *           type: number
@@ -263,7 +875,11 @@ router.get('/rates', calculatorController.getCurrentRates);
  *   post:
  *     summary: Generate detailed amortization schedule for any month range
  *     tags: [Calculator]
- *     description: Generate month-by-month breakdown of principal, interest, and remaining balance for specified loan parameters. Supports generating any range of months.
+ *     description: >
+ *       Generate a payment-by-payment breakdown of principal, interest, and remaining balance. Supports recurring
+ *       extra principal, one-time lump sums and biweekly payments (half the monthly payment every two weeks).
+ *       The summary compares against the standard monthly schedule to report interest saved and the new payoff date.
+ *       Use `view` to return a month range (default), every payment, or yearly rollups.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -299,6 +915,45 @@ router.get('/rates', calculatorController.getCurrentRates);
  *                 description: Number of months to include in schedule
  *                 example: 12
  *                 default: 12
+ *               view:
+ *                 type: string
+ *                 enum: [range, full, yearly]
+ *                 default: range
+ *                 description: "`range` returns monthsToGenerate months from startMonth, `full` every payment, `yearly` rollups by loan year"
+ *               frequency:
+ *                 type: string
+ *                 enum: [monthly, biweekly]
+ *                 default: monthly
+ *               extraMonthly:
+ *                 type: number
+ *                 description: Recurring extra principal per month (spread across biweekly payments)
+ *                 example: 200
+ *               lumpSums:
+ *                 type: array
+ *                 description: One-time extra principal payments
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     month:
+ *                       type: integer
+ *                       description: Loan month the payment is made in
+ *                       example: 24
+ *                     amount:
+ *                       type: number
+ *                       example: 10000
+ *               firstPaymentDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to the first of next month
+ *               propertyValue:
+ *                 type: number
+ *                 description: Adds monthly mortgage insurance to each payment; PMI drops at 78% LTV
+ *               productType:
+ *                 type: string
+ *                 enum: [conventional, fha, va, usda]
+ *                 default: conventional
+ *               creditScore:
+ *                 type: integer
  *     responses:
  *       200:
  *         description: Amortization schedule generated successfully
@@ -314,17 +969,31 @@ router.get('/rates', calculatorController.getCurrentRates);
  *                   properties:
  *                     schedule:
  *                       type: array
+ *                       description: Returned for the range and full views
  *                       items:
  *                         type: object
  *                         properties:
- *                           month:
+ *                           period:
  *                             type: number
  *                             description: Payment number
  *                             example: 1
+ *                           month:
+ *                             type: number
+ *                             description: Loan month the payment falls in
+ *                             example: 1
+ *                           date:
+ *                             type: string
+ *                             format: date
  *                           payment:
  *                             type: number
- *                             description: Total payment amount
+ *                             description: Scheduled principal and interest
  *                             example: 2024.89
+ *                           extraPrincipal:
+ *                             type: number
+ *                             example: 0
+ *                           mortgageInsurance:
+ *                             type: number
+ *                             example: 0
  *                           principal:
  *                             type: number
  *                             description: Principal portion
@@ -337,10 +1006,58 @@ router.get('/rates', calculatorController.getCurrentRates);
  *                             type: number
  *                             description: Remaining loan balance
  *                             example: 319708.44
+ *                     yearly:
+ *                       type: array
+ *                       description: Returned for the yearly view
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           year:
+ *                             type: integer
+ *                           payments:
+ *                             type: number
+ *                           principal:
+ *                             type: number
+ *                           extraPrincipal:
+ *                             type: number
+ *                           interest:
+ *                             type: number
+ *                           endingBalance:
+ *                             type: number
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         totalInterest:
+ *                           type: number
+ *                         baselineInterest:
+ *                           type: number
+ *                           description: Interest on the standard monthly schedule
+ *                         interestSaved:
+ *                           type: number
+ *                         totalPaid:
+ *                           type: number
+ *                         numberOfPayments:
+ *                           type: integer
+ *                         payoffMonth:
+ *                           type: integer
+ *                         payoffDate:
+ *                           type: string
+ *                           format: date
+ *                         baselinePayoffDate:
+ *                           type: string
+ *                           format: date
+ *                         monthsSaved:
+ *                           type: integer
+ *                         mortgageInsurance:
+ *                           type: object
+ *                           description: Present when propertyValue is given and the loan carries a monthly premium
  *                     totalMonths:
  *                       type: number
- *                       description: Total number of payments
+ *                       description: Scheduled number of monthly payments for the term
  *                       example: 360
+ *                     payment:
+ *                       type: number
+ *                       description: Payment per period (half the monthly payment when biweekly)
  *                     monthlyPayment:
  *                       type: number
  *                       example: 2024.89
@@ -366,6 +1083,16 @@ router.post(
     body('termYears').isNumeric(),
     body('startMonth').optional().isNumeric(),
     body('monthsToGenerate').optional().isNumeric(),
+    body('view').optional().isIn(['range', 'full', 'yearly']),
+    body('frequency').optional().isIn(['monthly', 'biweekly']),
+    body('extraMonthly').optional().isFloat({ min: 0 }).toFloat(),
+    body('lumpSums').optional().isArray({ max: 480 }),
+    body('lumpSums.*.month').isInt({ min: 1 }).toInt(),
+    body('lumpSums.*.amount').isFloat({ gt: 0 }).toFloat(),
+    body('firstPaymentDate').optional().isISO8601(),
+    body('propertyValue').optional().isFloat({ gt: 0 }).toFloat(),
+    body('productType').optional().isIn(['conventional', 'fha', 'va', 'usda']),
+    body('creditScore').optional().isInt({ min: 300, max: 850 }).toInt(),
   ],
   calculatorController.getAmortization
 );
@@ -0,0 +1,291 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticate, authorize } = require('../middleware/auth');
+const loanConditionController = require('../controllers/loanConditionController');
+const roles = require('../config/roles');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const CATEGORIES = ['prior_to_approval', 'prior_to_doc', 'prior_to_funding', 'post_closing'];
+const OWNER_ROLES = ['borrower', 'loan_officer', 'processor', 'underwriter', 'closer', 'title', 'other'];
+const STATUSES = ['open', 'submitted', 'cleared', 'waived', 'rejected'];
+
+const validateConditionFields = [
+  body('description').optional().isString().trim(),
+  body('ownerRole').optional().isIn(OWNER_ROLES),
+  body('owner').optional().isMongoId(),
+  body('dueDate').optional().isISO8601(),
+  body('borrowerVisible').optional().isBoolean().toBoolean(),
+  body('notes').optional().isString().trim(),
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Loan Conditions
+ *   description: Underwriting conditions and borrower needs list
+ */
+
+/**
+ * @swagger
+ * /conditions/loans/{loanId}:
+ *   get:
+ *     summary: List conditions for a loan
+ *     tags: [Loan Conditions]
+ *     description: Borrowers only see conditions marked borrowerVisible.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: loanId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, submitted, cleared, waived, rejected]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [prior_to_approval, prior_to_doc, prior_to_funding, post_closing]
+ *     responses:
+ *       200:
+ *         description: Conditions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LoanCondition'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Loan not found
+ */
+router.get(
+  '/loans/:loanId',
+  [param('loanId').isMongoId(), query('status').optional().isIn(STATUSES), query('category').optional().isIn(CATEGORIES)],
+  loanConditionController.listForLoan
+);
+
+/**
+ * @swagger
+ * /conditions/loans/{loanId}/outstanding:
+ *   get:
+ *     summary: Borrower-facing list of outstanding conditions
+ *     tags: [Loan Conditions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: loanId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Conditions not yet cleared or waived, earliest due first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 loanId:
+ *                   type: string
+ *                 total:
+ *                   type: integer
+ *                 conditions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoanCondition'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Loan not found
+ */
+router.get('/loans/:loanId/outstanding', [param('loanId').isMongoId()], loanConditionController.listOutstanding);
+
+/**
+ * @swagger
+ * /conditions/loans/{loanId}:
+ *   post:
+ *     summary: Add a condition to a loan
+ *     tags: [Loan Conditions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: loanId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title, category]
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [prior_to_approval, prior_to_doc, prior_to_funding, post_closing]
+ *               ownerRole:
+ *                 type: string
+ *                 enum: [borrower, loan_officer, processor, underwriter, closer, title, other]
+ *               owner:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               borrowerVisible:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Condition created
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Loan not found
+ */
+router.post(
+  '/loans/:loanId',
+  authorize({ roles: roles.STAFF_ROLES }),
+  [
+    param('loanId').isMongoId(),
+    body('title').isString().trim().notEmpty(),
+    body('category').isIn(CATEGORIES),
+    ...validateConditionFields,
+  ],
+  loanConditionController.create
+);
+
+/**
+ * @swagger
+ * /conditions/{id}:
+ *   patch:
+ *     summary: Update a condition
+ *     tags: [Loan Conditions]
+ *     description: >
+ *       Setting status to cleared or waived on the last outstanding condition in a category marks the
+ *       matching milestone completed (Approved, Clear to Close, Clear to Fund, Post-Closing Complete)
+ *       and texts the borrower.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [prior_to_approval, prior_to_doc, prior_to_funding, post_closing]
+ *               status:
+ *                 type: string
+ *                 enum: [open, submitted, cleared, waived, rejected]
+ *               ownerRole:
+ *                 type: string
+ *               owner:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               borrowerVisible:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated condition and the milestone advanced, if any
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 condition:
+ *                   $ref: '#/components/schemas/LoanCondition'
+ *                 milestoneAdvanced:
+ *                   type: string
+ *                   nullable: true
+ *       404:
+ *         description: Condition not found
+ */
+router.patch(
+  '/:id',
+  authorize({ roles: roles.STAFF_ROLES }),
+  [
+    param('id').isMongoId(),
+    body('title').optional().isString().trim().notEmpty(),
+    body('category').optional().isIn(CATEGORIES),
+    body('status').optional().isIn(STATUSES),
+    ...validateConditionFields,
+  ],
+  loanConditionController.update
+);
+
+/**
+ * @swagger
+ * /conditions/{id}/documents:
+ *   post:
+ *     summary: Link uploaded documents that satisfy a condition
+ *     tags: [Loan Conditions]
+ *     description: Documents must belong to the same loan. An open or rejected condition moves to submitted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [documentIds]
+ *             properties:
+ *               documentIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Updated condition
+ *       400:
+ *         description: Document not found on this loan
+ *       404:
+ *         description: Condition not found
+ */
+router.post(
+  '/:id/documents',
+  authorize({ roles: [roles.ADMIN, roles.LO_RETAIL, roles.LO_TPO, roles.BROKER, roles.BORROWER] }),
+  [param('id').isMongoId(), body('documentIds').isArray({ min: 1 }), body('documentIds.*').isMongoId()],
+  loanConditionController.attachDocuments
+);
+
+module.exports = router;
@@ -186,6 +186,31 @@ router.get(
   dashboardController.getBranchPerformance
 );
 
+/**
+ * @swagger
+ * /api/v1/dashboard/market-position:
+ *   get:
+ *     summary: Get our pricing against the market (Branch Manager/Admin)
+ *     description: >
+ *       Compares today's par rate (points closest to zero) for each product and term with the average of current
+ *       competitor and market-index rates. Products more than 0.125 above or below the market average are listed
+ *       in `outOfMarket` as `above_market` or `below_market`.
+ *     tags: [Performance Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Market position retrieved successfully
+ *       403:
+ *         description: Access denied
+ */
+router.get(
+  '/market-position',
+  authenticate,
+  authorize({ roles: ['branch_manager', 'admin'] }),
+  dashboardController.getMarketPosition
+);
+
 /**
  * @swagger
  * /api/v1/dashboard/regional-performance:
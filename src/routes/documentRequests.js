@@ -0,0 +1,198 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticate, authorize } = require('../middleware/auth');
+const documentRequestController = require('../controllers/documentRequestController');
+const roles = require('../config/roles');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const DOCUMENT_TYPES = [
+  'paystub',
+  'w2',
+  'tax_return',
+  'bank_statement',
+  'id',
+  'proof_of_employment',
+  'appraisal',
+  'purchase_agreement',
+  'insurance',
+  'credit_report',
+  'other',
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Document Requests
+ *   description: Borrower needs list with automatic fulfillment, reminders and LO escalation
+ */
+
+/**
+ * @swagger
+ * /document-requests/mine:
+ *   get:
+ *     summary: Outstanding document requests across the current borrower's loans
+ *     tags: [Document Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Outstanding requests, earliest due first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 requests:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DocumentRequest'
+ */
+router.get('/mine', documentRequestController.listMine);
+
+/**
+ * @swagger
+ * /document-requests/loans/{loanId}:
+ *   get:
+ *     summary: List document requests for a loan
+ *     tags: [Document Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: loanId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [outstanding, fulfilled, cancelled]
+ *     responses:
+ *       200:
+ *         description: Document requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DocumentRequest'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Loan not found
+ */
+router.get(
+  '/loans/:loanId',
+  [param('loanId').isMongoId(), query('status').optional().isIn(['outstanding', 'fulfilled', 'cancelled'])],
+  documentRequestController.listForLoan
+);
+
+/**
+ * @swagger
+ * /document-requests/loans/{loanId}:
+ *   post:
+ *     summary: Request a document from the borrower
+ *     tags: [Document Requests]
+ *     description: >
+ *       Notifies the borrower in-app and by SMS. The request is fulfilled automatically when a document
+ *       of the same type is uploaded to the loan.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: loanId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [documentType]
+ *             properties:
+ *               documentType:
+ *                 type: string
+ *                 enum: [paystub, w2, tax_return, bank_statement, id, proof_of_employment, appraisal, purchase_agreement, insurance, credit_report, other]
+ *               description:
+ *                 type: string
+ *                 example: Two most recent months, all pages
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Request created
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Loan not found
+ */
+router.post(
+  '/loans/:loanId',
+  authorize({ roles: roles.STAFF_ROLES }),
+  [
+    param('loanId').isMongoId(),
+    body('documentType').isIn(DOCUMENT_TYPES),
+    body('description').optional().isString().trim(),
+    body('dueDate').optional().isISO8601(),
+  ],
+  documentRequestController.create
+);
+
+/**
+ * @swagger
+ * /document-requests/{id}:
+ *   patch:
+ *     summary: Update or cancel a document request
+ *     tags: [Document Requests]
+ *     description: Changing the due date restarts reminders and escalation.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               status:
+ *                 type: string
+ *                 enum: [outstanding, fulfilled, cancelled]
+ *     responses:
+ *       200:
+ *         description: Updated request
+ *       404:
+ *         description: Document request not found
+ */
+router.patch(
+  '/:id',
+  authorize({ roles: roles.STAFF_ROLES }),
+  [
+    param('id').isMongoId(),
+    body('description').optional().isString().trim(),
+    body('dueDate').optional().isISO8601(),
+    body('status').optional().isIn(['outstanding', 'fulfilled', 'cancelled']),
+  ],
+  documentRequestController.update
+);
+
+module.exports = router;
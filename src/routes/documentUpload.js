@@ -4,6 +4,7 @@ const documentUploadController = require('../controllers/documentUploadControlle
 const { authenticate, authorize } = require('../middleware/auth');
 const { upload, handleMulterError } = require('../middleware/uploadMiddleware');
 const roles = require('../config/roles');
+const { MAX_MERGE_PARTS } = require('../config/documentAssembly');
 
 const router = express.Router();
 
@@ -48,6 +49,10 @@ const router = express.Router();
  *                 enum: [blend, big_pos, encompass]
  *                 description: POS system to sync to
  *                 default: blend
+ *               holdForMerge:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Hold the files (status `processing`) for merging instead of syncing each to the POS
  *               files:
  *                 type: array
  *                 items:
@@ -138,11 +143,105 @@ router.post(
       'other'
     ]).withMessage('Invalid document type'),
     body('description').optional().isString(),
-    body('posSystem').optional().isIn(['blend', 'big_pos', 'encompass'])
+    body('posSystem').optional().isIn(['blend', 'big_pos', 'encompass']),
+    body('holdForMerge').optional().isBoolean().toBoolean()
   ],
   documentUploadController.uploadDocument
 );
 
+/**
+ * @swagger
+ * /documents/merge:
+ *   post:
+ *     summary: Merge uploaded page photos or PDFs into one PDF
+ *     description: |
+ *       Builds a single PDF from the given uploads in order. Photos are turned upright from their
+ *       EXIF orientation and can be re-encoded as compressed grayscale. The combined file is stored
+ *       as a new upload and is the only one sent to the POS; the parts are linked to it via `mergedInto`.
+ *       Upload the parts with `holdForMerge` to keep them from syncing on their own.
+ *     tags: [Document Upload]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - loanId
+ *               - documentIds
+ *               - documentType
+ *             properties:
+ *               loanId:
+ *                 type: string
+ *               documentIds:
+ *                 type: array
+ *                 minItems: 2
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                 description: Uploads to merge, in page order
+ *               documentType:
+ *                 type: string
+ *                 enum: [paystub, w2, tax_return, bank_statement, id, proof_of_employment, appraisal, purchase_agreement, insurance, credit_report, other]
+ *               fileName:
+ *                 type: string
+ *                 description: Name for the combined file (saved as .pdf)
+ *               description:
+ *                 type: string
+ *               grayscale:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Re-encode photos as compressed grayscale
+ *               posSystem:
+ *                 type: string
+ *                 enum: [blend, big_pos, encompass]
+ *                 default: blend
+ *     responses:
+ *       201:
+ *         description: Combined PDF created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden, or a part failed its virus scan
+ *       404:
+ *         description: Loan or document not found
+ *       409:
+ *         description: A part was already synced to the POS, merged into another document, or replaced
+ *       422:
+ *         description: A PDF part could not be read
+ *       423:
+ *         description: A part is still quarantined awaiting its virus scan
+ */
+router.post(
+  '/merge',
+  authenticate,
+  [
+    body('loanId').isMongoId().withMessage('Invalid loan ID'),
+    body('documentIds').isArray({ min: 2, max: MAX_MERGE_PARTS }).withMessage(`Select between 2 and ${MAX_MERGE_PARTS} documents`),
+    body('documentIds.*').isMongoId().withMessage('Invalid document ID'),
+    body('documentType').isIn([
+      'paystub',
+      'w2',
+      'tax_return',
+      'bank_statement',
+      'id',
+      'proof_of_employment',
+      'appraisal',
+      'purchase_agreement',
+      'insurance',
+      'credit_report',
+      'other'
+    ]).withMessage('Invalid document type'),
+    body('fileName').optional().isString().isLength({ max: 200 }),
+    body('description').optional().isString(),
+    body('grayscale').optional().isBoolean().toBoolean(),
+    body('posSystem').optional().isIn(['blend', 'big_pos', 'encompass'])
+  ],
+  documentUploadController.mergeDocuments
+);
+
 /**
  * @swagger
  * /documents/loan/{loanId}:
@@ -169,6 +268,18 @@ router.post(
  *         schema:
  *           type: string
  *         description: Filter by document type
+ *       - in: query
+ *         name: classificationStatus
+ *         schema:
+ *           type: string
+ *           enum: [suggested, unclassified, failed, accepted, corrected]
+ *         description: Filter by classification status (e.g. `suggested` for the LO review queue)
+ *       - in: query
+ *         name: includeVersions
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include earlier versions of replaced documents
  *     responses:
  *       200:
  *         description: List of documents
@@ -248,6 +359,135 @@ router.get('/:id', authenticate, documentUploadController.getDocument);
  */
 router.get('/:id/download', authenticate, documentUploadController.downloadDocument);
 
+/**
+ * @swagger
+ * /documents/{id}/replace:
+ *   post:
+ *     summary: Upload a new version of a document
+ *     description: |
+ *       Stores the file as the next version of the document, with the same type and POS. The
+ *       current version is kept read-only: it can still be downloaded but is never synced to the
+ *       POS again, deleted, merged or reclassified. Only the latest version can be replaced.
+ *     tags: [Document Upload]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Latest version of the document
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               description:
+ *                 type: string
+ *                 description: Defaults to the current version's description
+ *     responses:
+ *       201:
+ *         description: New version created
+ *       400:
+ *         description: Missing file, or the file failed content checks
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Document not found
+ *       409:
+ *         description: The document has already been replaced, or was merged into another document
+ */
+router.post(
+  '/:id/replace',
+  authenticate,
+  upload.single('file'),
+  handleMulterError,
+  [body('description').optional().isString()],
+  documentUploadController.replaceDocument
+);
+
+/**
+ * @swagger
+ * /documents/{id}/versions:
+ *   get:
+ *     summary: Version history of a document
+ *     description: |
+ *       Lists every version, oldest first, from any version's id. For the LO and admins each
+ *       version also lists who downloaded it and when.
+ *     tags: [Document Upload]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Versions of the document
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     versionGroup:
+ *                       type: string
+ *                     latest:
+ *                       type: string
+ *                     versions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           version:
+ *                             type: integer
+ *                           latest:
+ *                             type: boolean
+ *                           status:
+ *                             type: string
+ *                           avStatus:
+ *                             type: string
+ *                           uploadedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           supersededAt:
+ *                             type: string
+ *                             format: date-time
+ *                           posDocumentId:
+ *                             type: string
+ *                           downloads:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 user:
+ *                                   type: object
+ *                                 at:
+ *                                   type: string
+ *                                   format: date-time
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Document not found
+ */
+router.get('/:id/versions', authenticate, documentUploadController.getDocumentVersions);
+
 /**
  * @swagger
  * /documents/{id}:
@@ -272,6 +512,8 @@ router.get('/:id/download', authenticate, documentUploadController.downloadDocum
  *         description: Forbidden
  *       404:
  *         description: Document not found
+ *       409:
+ *         description: The document has been replaced or replaces an earlier version
  */
 router.delete('/:id', authenticate, documentUploadController.deleteDocument);
 
@@ -319,4 +561,104 @@ router.post(
   documentUploadController.retrySyncToPOS
 );
 
+/**
+ * @swagger
+ * /documents/{id}/classify:
+ *   post:
+ *     summary: Re-run automatic classification on a document (LO/Admin only)
+ *     description: |
+ *       Reads the file's text (PDF text layer, or local OCR for photos), suggests w2, paystub,
+ *       bank_statement, id or tax_return, and stores key fields in `metadata.extracted`.
+ *       The document type is not changed until the suggestion is accepted or corrected.
+ *     tags: [Document Upload]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Classification and extracted fields
+ *       403:
+ *         description: Forbidden, or the file failed its virus scan
+ *       404:
+ *         description: Document not found
+ *       423:
+ *         description: File is quarantined awaiting its virus scan
+ */
+router.post(
+  '/:id/classify',
+  authenticate,
+  authorize({ roles: [roles.LO_RETAIL, roles.LO_TPO, roles.ADMIN] }),
+  documentUploadController.classifyDocument
+);
+
+/**
+ * @swagger
+ * /documents/{id}/classification:
+ *   put:
+ *     summary: Accept or correct a suggested document type (LO/Admin only)
+ *     description: |
+ *       Without `documentType` the suggestion is accepted. With it, the document is filed under
+ *       that type, and open needs-list requests for a new type are fulfilled once the document has
+ *       scanned clean. `fields` replace extracted values that were read wrong; only the fields
+ *       read for the final type are accepted.
+ *     tags: [Document Upload]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               documentType:
+ *                 type: string
+ *                 enum: [paystub, w2, tax_return, bank_statement, id, proof_of_employment, appraisal, purchase_agreement, insurance, credit_report, other]
+ *               fields:
+ *                 type: object
+ *                 example: { employer: 'Acme Corp', grossPay: 4250.00 }
+ *     responses:
+ *       200:
+ *         description: Classification reviewed
+ *       400:
+ *         description: Validation error, no suggestion to accept, or fields the type doesn't have
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Document not found
+ */
+router.put(
+  '/:id/classification',
+  authenticate,
+  authorize({ roles: [roles.LO_RETAIL, roles.LO_TPO, roles.ADMIN] }),
+  [
+    body('documentType').optional().isIn([
+      'paystub',
+      'w2',
+      'tax_return',
+      'bank_statement',
+      'id',
+      'proof_of_employment',
+      'appraisal',
+      'purchase_agreement',
+      'insurance',
+      'credit_report',
+      'other'
+    ]).withMessage('Invalid document type'),
+    body('fields').optional().isObject().withMessage('fields must be an object')
+  ],
+  documentUploadController.reviewClassification
+);
+
 module.exports = router;
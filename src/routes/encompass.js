@@ -546,6 +546,9 @@ router.post(
  *               status:
  *                 type: string
  *                 enum: [application, processing, underwriting, closing, funded]
+ *               reason:
+ *                 type: string
+ *                 description: Required when moving a loan backwards
  *               milestones:
  *                 type: array
  *                 items:
@@ -559,6 +562,10 @@ router.post(
  *     responses:
  *       200:
  *         description: Status updated
+ *       400:
+ *         description: Missing reason for a step-back
+ *       409:
+ *         description: Transition not allowed or guard failed
  *       403:
  *         description: Forbidden
  *       404:
@@ -566,6 +573,11 @@ router.post(
  */
 router.patch(
   '/loans/:id/status',
+  [
+    body('status').optional().isIn(VALID_STATUSES),
+    body('reason').optional().isString().trim().isLength({ max: 500 }),
+    body('milestones').optional().isArray(),
+  ],
   authorize({ roles: ['loan_officer_tpo', 'loan_officer_retail', 'admin'] }),
   encompassController.updateStatus
 );
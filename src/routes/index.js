@@ -2,8 +2,10 @@ const express = require('express');
 
 const authRoutes = require('./auth');
 const loanRoutes = require('./loans');
+const conditionRoutes = require('./conditions');
 const documentRoutes = require('./documents');
 const documentUploadRoutes = require('./documentUpload');
+const documentRequestRoutes = require('./documentRequests');
 const notificationRoutes = require('./notifications');
 const userRoutes = require('./users');
 const posRoutes = require('./pos');
@@ -21,6 +23,7 @@ const personaViewRoutes = require('./personaViews');
 const referralSourceRoutes = require('./referralSources');
 const smsRoutes = require('./sms');
 const rateAlertRoutes = require('./rateAlerts');
+const rateQuoteRoutes = require('./rateQuotes');
 const cmsRoutes = require('./cms');
 const menuRoutes = require('./menu');
 const messagesRoutes = require('./messages');
@@ -32,8 +35,10 @@ const router = express.Router();
 
 router.use('/auth', authRoutes);
 router.use('/loans', loanRoutes);
+router.use('/conditions', conditionRoutes);
 router.use('/documents', documentRoutes);
 router.use('/document-uploads', documentUploadRoutes);
+router.use('/document-requests', documentRequestRoutes);
 router.use('/notifications', notificationRoutes);
 router.use('/users', userRoutes);
 router.use('/pos', posRoutes);
@@ -52,6 +57,7 @@ router.use('/persona-views', personaViewRoutes);
 router.use('/referral-sources', referralSourceRoutes);
 router.use('/sms', smsRoutes);
 router.use('/rate-alerts', rateAlertRoutes);
+router.use('/rate-quotes', rateQuoteRoutes);
 router.use('/chatbot', chatbotRoutes);
 router.use('/menus', menuRoutes);
 router.use('/menu-config', require('./menuConfig'));
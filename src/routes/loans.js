@@ -1,9 +1,10 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { authenticate, authorize } = require('../middleware/auth');
 const loanController = require('../controllers/loanController');
 const preapprovalController = require('../controllers/preapprovalController');
 const roles = require('../config/roles');
+const { LOAN_STATUSES } = require('../config/loanStatusWorkflow');
 
 const router = express.Router();
 
@@ -19,6 +20,64 @@ const validateListLoans = [
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
   query('sort').optional().isString().trim(),
+  query('loanPurpose').optional().isIn(['purchase', 'refinance', 'cash_out_refinance']),
+  query('productType').optional().isIn(['conventional', 'fha', 'va', 'usda', 'jumbo']),
+  query('occupancy').optional().isIn(['primary', 'second_home', 'investment']),
+  query('propertyState').optional().isLength({ min: 2, max: 2 }).isAlpha(),
+];
+
+const validateParty = (prefix) => [
+  body(`${prefix}`).optional().isObject(),
+  body(`${prefix}.email`).optional().isEmail(),
+  body(`${prefix}.dateOfBirth`).optional().isISO8601(),
+  body(`${prefix}.maritalStatus`).optional().isIn(['married', 'separated', 'unmarried']),
+  body(`${prefix}.citizenship`).optional().isIn(['us_citizen', 'permanent_resident', 'non_permanent_resident']),
+  body(`${prefix}.housingStatus`).optional().isIn(['own', 'rent', 'no_expense']),
+  body(`${prefix}.creditScore`).optional().isInt({ min: 300, max: 850 }),
+  body(`${prefix}.currentAddress.state`).optional().isLength({ min: 2, max: 2 }),
+  body(`${prefix}.currentAddress.zip`).optional().matches(/^\d{5}(-\d{4})?$/),
+  body(`${prefix}.employment`).optional().isArray(),
+  body(`${prefix}.employment.*.employerName`).isString().notEmpty(),
+  body(`${prefix}.employment.*.startDate`).optional().isISO8601(),
+  body(`${prefix}.employment.*.endDate`).optional().isISO8601(),
+  body(`${prefix}.income`).optional().isArray(),
+  body(`${prefix}.income.*.type`).isIn([
+    'base', 'overtime', 'bonus', 'commission', 'military', 'self_employment',
+    'rental', 'social_security', 'pension', 'alimony_child_support', 'other',
+  ]),
+  body(`${prefix}.income.*.monthlyAmount`).isFloat({ min: 0 }),
+];
+
+// Structured application data shared by create and update
+const validateApplicationData = [
+  ...validateParty('borrowerInfo'),
+  ...validateParty('coBorrowerInfo'),
+  body('property').optional().isObject(),
+  body('property.address.state').optional().isLength({ min: 2, max: 2 }),
+  body('property.address.zip').optional().matches(/^\d{5}(-\d{4})?$/),
+  body('property.propertyType').optional().isIn(['single_family', 'condo', 'townhouse', 'multi_family', 'manufactured']),
+  body('property.numberOfUnits').optional().isInt({ min: 1, max: 4 }),
+  body('property.purchasePrice').optional().isFloat({ min: 0 }),
+  body('property.estimatedValue').optional().isFloat({ min: 0 }),
+  body('property.appraisedValue').optional().isFloat({ min: 0 }),
+  body('loanPurpose').optional().isIn(['purchase', 'refinance', 'cash_out_refinance']),
+  body('occupancy').optional().isIn(['primary', 'second_home', 'investment']),
+  body('productType').optional().isIn(['conventional', 'fha', 'va', 'usda', 'jumbo']),
+  body('loanTerm').optional().isInt({ min: 1, max: 40 }),
+  body('interestRate').optional().isFloat({ min: 0, max: 25 }),
+  body('downPayment').optional().isFloat({ min: 0 }),
+  body('ltv').optional().isFloat({ min: 0 }),
+  body('dti.frontEnd').optional().isFloat({ min: 0 }),
+  body('dti.backEnd').optional().isFloat({ min: 0 }),
+  body('assets').optional().isArray(),
+  body('assets.*.type').isIn([
+    'checking', 'savings', 'money_market', 'certificate_of_deposit', 'retirement',
+    'brokerage', 'gift', 'earnest_money', 'other',
+  ]),
+  body('assets.*.balance').isFloat({ min: 0 }),
+  body('assets.*.accountLast4').optional().matches(/^\d{4}$/),
+  body('assets.*.owner').optional().isIn(['borrower', 'co_borrower', 'joint']),
+  body('estimatedClosingDate').optional().isISO8601(),
 ];
 
 /**
@@ -82,6 +141,26 @@ const validateListLoans = [
  *           type: string
  *           default: "-createdAt"
  *         description: Sort field with optional "-" prefix for descending (e.g. "-amount", "createdAt")
+ *       - in: query
+ *         name: loanPurpose
+ *         schema:
+ *           type: string
+ *           enum: [purchase, refinance, cash_out_refinance]
+ *       - in: query
+ *         name: productType
+ *         schema:
+ *           type: string
+ *           enum: [conventional, fha, va, usda, jumbo]
+ *       - in: query
+ *         name: occupancy
+ *         schema:
+ *           type: string
+ *           enum: [primary, second_home, investment]
+ *       - in: query
+ *         name: propertyState
+ *         schema:
+ *           type: string
+ *         description: Two-letter state code of the subject property
  *     responses:
  *       200:
  *         description: Paginated list of loans
@@ -140,6 +219,7 @@ router.get('/', validateListLoans, loanController.list);
  *               status:
  *                 type: string
  *                 enum: [application, processing, underwriting, closing, funded]
+ *                 description: Initial status (admins only; others always start at application)
  *               source:
  *                 type: string
  *                 enum: [retail, tpo]
@@ -147,6 +227,41 @@ router.get('/', validateListLoans, loanController.list);
  *                 type: array
  *                 items:
  *                   $ref: '#/components/schemas/Milestone'
+ *               borrowerInfo:
+ *                 $ref: '#/components/schemas/LoanParty'
+ *               coBorrowerInfo:
+ *                 $ref: '#/components/schemas/LoanParty'
+ *               property:
+ *                 $ref: '#/components/schemas/LoanProperty'
+ *               loanPurpose:
+ *                 type: string
+ *                 enum: [purchase, refinance, cash_out_refinance]
+ *               occupancy:
+ *                 type: string
+ *                 enum: [primary, second_home, investment]
+ *               productType:
+ *                 type: string
+ *                 enum: [conventional, fha, va, usda, jumbo]
+ *               loanTerm:
+ *                 type: integer
+ *                 example: 30
+ *               interestRate:
+ *                 type: number
+ *                 example: 6.5
+ *               downPayment:
+ *                 type: number
+ *                 example: 50000
+ *               dti:
+ *                 type: object
+ *                 properties:
+ *                   frontEnd:
+ *                     type: number
+ *                   backEnd:
+ *                     type: number
+ *               assets:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/LoanAsset'
  *     responses:
  *       201:
  *         description: Loan created successfully
@@ -166,6 +281,7 @@ router.post(
     body('borrower').optional().isMongoId(),
     body('assignedOfficer').optional().isMongoId(),
     body('status').optional().isString(),
+    ...validateApplicationData,
   ],
   authorize({ roles: [roles.ADMIN, roles.LO_TPO, roles.LO_RETAIL, roles.BROKER, roles.BORROWER] }),
   loanController.create
@@ -198,12 +314,61 @@ router.post(
  */
 router.get('/:id', loanController.getById);
 
+/**
+ * @swagger
+ * /loans/{id}:
+ *   patch:
+ *     summary: Update loan application data
+ *     tags: [Loans]
+ *     description: >
+ *       Updates borrower, co-borrower, property and loan terms. Borrowers may only update their own loans.
+ *       LTV is recalculated from the loan amount and property value when not supplied.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoanApplication'
+ *     responses:
+ *       200:
+ *         description: Loan updated
+ *       400:
+ *         description: Validation errors
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Loan not found
+ */
+router.patch(
+  '/:id',
+  [
+    param('id').isMongoId(),
+    body('amount').optional().isNumeric(),
+    body('propertyAddress').optional().isString(),
+    ...validateApplicationData,
+  ],
+  authorize({ roles: [roles.ADMIN, roles.LO_TPO, roles.LO_RETAIL, roles.BROKER, roles.BORROWER] }),
+  loanController.update
+);
+
 /**
  * @swagger
  * /loans/{id}/status:
  *   patch:
  *     summary: Update loan status and milestones
  *     tags: [Loans]
+ *     description: >
+ *       Status changes follow the configured workflow (src/config/loanStatusWorkflow.js). Returns 409 when the
+ *       transition is not allowed or a guard fails (e.g. no credit report on file before underwriting), and 400
+ *       when a step-back is requested without a reason.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -222,6 +387,9 @@ router.get('/:id', loanController.getById);
  *               status:
  *                 type: string
  *                 enum: [application, processing, underwriting, closing, funded]
+ *               reason:
+ *                 type: string
+ *                 description: Required when moving a loan backwards
  *               milestones:
  *                 type: array
  *                 items:
@@ -229,12 +397,79 @@ router.get('/:id', loanController.getById);
  *     responses:
  *       200:
  *         description: Loan updated successfully
+ *       400:
+ *         description: Missing reason for a step-back
+ *       409:
+ *         description: Transition not allowed or guard failed
  *       403:
  *         description: Forbidden - Only loan officers and admins
  *       404:
  *         description: Loan not found
  */
-router.patch('/:id/status', authorize({ roles: [roles.ADMIN, roles.LO_TPO, roles.LO_RETAIL] }), loanController.updateStatus);
+router.patch(
+  '/:id/status',
+  [
+    param('id').isMongoId(),
+    body('status').optional().isIn(LOAN_STATUSES),
+    body('reason').optional().isString().trim().isLength({ max: 500 }),
+    body('milestones').optional().isArray(),
+  ],
+  authorize({ roles: [roles.ADMIN, roles.LO_TPO, roles.LO_RETAIL] }),
+  loanController.updateStatus
+);
+
+/**
+ * @swagger
+ * /loans/{id}/status-history:
+ *   get:
+ *     summary: Get loan status history
+ *     tags: [Loans]
+ *     description: >
+ *       Returns every status change with the actor, reason and source (app, encompass, pos, system),
+ *       newest first, plus the transitions the current user may perform next.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Status history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 loanId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoanStatusChange'
+ *                 availableTransitions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       to:
+ *                         type: string
+ *                       guards:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       requiresReason:
+ *                         type: boolean
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Loan not found
+ */
+router.get('/:id/status-history', [param('id').isMongoId()], loanController.getStatusHistory);
 
 /**
  * @swagger
@@ -3,8 +3,19 @@ const { body, param, query } = require('express-validator');
 const router = express.Router();
 
 const rateAlertController = require('../controllers/rateAlertController');
+const { ARM_TYPES } = require('../config/armProducts');
+const { TRIGGER_TYPES, DELIVERY_MODES, REARM_MODES } = require('../config/rateAlerts');
 const { authenticate } = require('../middleware/auth');
 
+const isTimezone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (_err) {
+    throw new Error('Timezone must be an IANA name such as America/Chicago');
+  }
+};
+
 /**
  * @swagger
  * tags:
@@ -38,6 +49,10 @@ const { authenticate } = require('../middleware/auth');
  *               loanTerm:
  *                 type: integer
  *                 enum: [10, 15, 20, 25, 30]
+ *               armType:
+ *                 type: string
+ *                 enum: ['5/6', '7/6', '10/6']
+ *                 description: Watch the ARM start rate; omit for fixed-rate
  *               loanAmount:
  *                 type: number
  *                 default: 300000
@@ -50,12 +65,29 @@ const { authenticate } = require('../middleware/auth');
  *               propertyType:
  *                 type: string
  *                 enum: [single_family, condo, townhouse, multi_family, manufactured]
+ *               taxesAnnual:
+ *                 type: number
+ *                 description: Annual property taxes for the payment estimate
+ *               insuranceAnnual:
+ *                 type: number
+ *                 description: Annual homeowners insurance for the payment estimate
+ *               hoaMonthly:
+ *                 type: number
  *               triggerType:
  *                 type: string
- *                 enum: [below, above, drops_by]
+ *                 enum: [below, above, drops_by, payment_below, apr_below]
+ *                 description: >
+ *                   payment_below fires when the total monthly payment (P&I, MI, escrow, HOA) for the alert's
+ *                   scenario is at or below targetPayment; apr_below fires when the APR is below targetApr
  *               targetRate:
  *                 type: number
  *                 description: Required for below/above trigger types
+ *               targetPayment:
+ *                 type: number
+ *                 description: Required for payment_below trigger type
+ *               targetApr:
+ *                 type: number
+ *                 description: Required for apr_below trigger type
  *               dropAmount:
  *                 type: number
  *                 description: Required for drops_by trigger type
@@ -66,6 +98,13 @@ const { authenticate } = require('../middleware/auth');
  *                 type: string
  *                 enum: [push, sms, email, all]
  *                 default: push
+ *               rearm:
+ *                 type: string
+ *                 enum: [never, cooldown, reset]
+ *                 default: never
+ *                 description: >
+ *                   What happens after the alert triggers and the user's cooldown passes: never stays triggered,
+ *                   cooldown watches again, reset watches again once the condition is no longer met
  *     responses:
  *       201:
  *         description: Rate alert created
@@ -82,6 +121,10 @@ router.post(
     body('loanTerm')
       .isInt({ min: 10, max: 30 })
       .withMessage('Loan term must be 10, 15, 20, 25, or 30 years'),
+    body('armType')
+      .optional()
+      .isIn(Object.keys(ARM_TYPES))
+      .withMessage('Invalid ARM type'),
     body('loanAmount')
       .optional()
       .isInt({ min: 0 })
@@ -94,13 +137,25 @@ router.post(
       .optional()
       .isFloat({ min: 0, max: 100 })
       .withMessage('LTV must be between 0 and 100'),
+    body(['taxesAnnual', 'insuranceAnnual', 'hoaMonthly'])
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Taxes, insurance and HOA must be positive'),
     body('triggerType')
-      .isIn(['below', 'above', 'drops_by'])
+      .isIn(TRIGGER_TYPES)
       .withMessage('Invalid trigger type'),
     body('targetRate')
       .optional()
       .isFloat({ min: 0, max: 20 })
       .withMessage('Target rate must be between 0 and 20'),
+    body('targetPayment')
+      .optional()
+      .isFloat({ min: 1 })
+      .withMessage('Target payment must be positive'),
+    body('targetApr')
+      .optional()
+      .isFloat({ min: 0, max: 20 })
+      .withMessage('Target APR must be between 0 and 20'),
     body('dropAmount')
       .optional()
       .isFloat({ min: 0, max: 5 })
@@ -108,7 +163,11 @@ router.post(
     body('notificationMethod')
       .optional()
       .isIn(['push', 'sms', 'email', 'all'])
-      .withMessage('Invalid notification method')
+      .withMessage('Invalid notification method'),
+    body('rearm')
+      .optional()
+      .isIn(REARM_MODES)
+      .withMessage('Invalid re-arm rule')
   ],
   rateAlertController.createAlert
 );
@@ -137,6 +196,11 @@ router.post(
  *         schema:
  *           type: integer
  *       - in: query
+ *         name: armType
+ *         schema:
+ *           type: string
+ *           enum: [fixed, '5/6', '7/6', '10/6']
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -185,6 +249,87 @@ router.get(
  */
 router.get('/stats', authenticate, rateAlertController.getStats);
 
+/**
+ * @swagger
+ * /api/v1/rate-alerts/preferences:
+ *   get:
+ *     summary: Get alert delivery preferences
+ *     description: Delivery mode, quiet hours, digest schedule and cooldown, with defaults filled in
+ *     tags: [Rate Alerts]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences retrieved
+ *   put:
+ *     summary: Update alert delivery preferences
+ *     description: >
+ *       Instant alerts are held during quiet hours and sent when they end. Digest users get one email
+ *       summarizing all of their alerts at digestHour (on digestDay for weekly). Hours are in the user's timezone.
+ *     tags: [Rate Alerts]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               delivery:
+ *                 type: string
+ *                 enum: [instant, daily_digest, weekly_digest]
+ *               timezone:
+ *                 type: string
+ *                 example: America/Chicago
+ *               quietHoursStart:
+ *                 type: integer
+ *                 description: Hour 0-23; equal start and end turns quiet hours off
+ *               quietHoursEnd:
+ *                 type: integer
+ *               digestHour:
+ *                 type: integer
+ *               digestDay:
+ *                 type: integer
+ *                 description: Weekly digest day, 0 = Sunday
+ *               cooldownHours:
+ *                 type: number
+ *                 description: Wait before a triggered alert re-arms
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *       400:
+ *         description: Validation error
+ */
+router.get('/preferences', authenticate, rateAlertController.getPreferences);
+
+router.put(
+  '/preferences',
+  authenticate,
+  [
+    body('delivery')
+      .optional()
+      .isIn(DELIVERY_MODES)
+      .withMessage('Invalid delivery mode'),
+    body('timezone')
+      .optional()
+      .isString()
+      .custom(isTimezone),
+    body(['quietHoursStart', 'quietHoursEnd', 'digestHour'])
+      .optional()
+      .isInt({ min: 0, max: 23 })
+      .withMessage('Hours must be between 0 and 23'),
+    body('digestDay')
+      .optional()
+      .isInt({ min: 0, max: 6 })
+      .withMessage('Digest day must be between 0 (Sunday) and 6'),
+    body('cooldownHours')
+      .optional()
+      .isFloat({ min: 0, max: 720 })
+      .withMessage('Cooldown must be between 0 and 720 hours')
+  ],
+  rateAlertController.updatePreferences
+);
+
 /**
  * @swagger
  * /api/v1/rate-alerts/{id}:
@@ -236,12 +381,19 @@ router.get(
  *             properties:
  *               targetRate:
  *                 type: number
+ *               targetPayment:
+ *                 type: number
+ *               targetApr:
+ *                 type: number
  *               dropAmount:
  *                 type: number
  *               baselineRate:
  *                 type: number
  *               notificationMethod:
  *                 type: string
+ *               rearm:
+ *                 type: string
+ *                 enum: [never, cooldown, reset]
  *               status:
  *                 type: string
  *     responses:
@@ -257,10 +409,22 @@ router.patch(
       .optional()
       .isFloat({ min: 0, max: 20 })
       .withMessage('Invalid target rate'),
+    body('targetPayment')
+      .optional()
+      .isFloat({ min: 1 })
+      .withMessage('Invalid target payment'),
+    body('targetApr')
+      .optional()
+      .isFloat({ min: 0, max: 20 })
+      .withMessage('Invalid target APR'),
     body('notificationMethod')
       .optional()
       .isIn(['push', 'sms', 'email', 'all'])
-      .withMessage('Invalid notification method')
+      .withMessage('Invalid notification method'),
+    body('rearm')
+      .optional()
+      .isIn(REARM_MODES)
+      .withMessage('Invalid re-arm rule')
   ],
   rateAlertController.updateAlert
 );
@@ -0,0 +1,346 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+const rateQuoteController = require('../controllers/rateQuoteController');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/auth');
+const roles = require('../config/roles');
+const { ARM_TYPES } = require('../config/armProducts');
+const { MAX_SCENARIOS } = require('../services/rateQuoteService');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Rate Quotes
+ *   description: Side-by-side rate quotes for borrowers
+ */
+
+/**
+ * @swagger
+ * /api/v1/rate-quotes:
+ *   post:
+ *     summary: Price and save a multi-scenario rate quote
+ *     description: >
+ *       Prices up to six scenarios (for example 15 vs 30 years, 0 vs 1 point) through Optimal Blue and works out
+ *       the monthly payment, APR, closing costs and cash to close for each. Each scenario gets the rate whose points
+ *       are closest to those requested. Quotes are valid for 7 days.
+ *     tags: [Rate Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - loanAmount
+ *               - propertyValue
+ *               - creditScore
+ *               - scenarios
+ *             properties:
+ *               borrower:
+ *                 type: string
+ *                 description: Borrower user ID (can also be set when sharing)
+ *               referralSource:
+ *                 type: string
+ *                 description: Referral partner whose co-branding the quote PDF carries
+ *               loanAmount:
+ *                 type: number
+ *                 example: 320000
+ *               propertyValue:
+ *                 type: number
+ *                 description: Purchase price, or estimated value for refinances
+ *                 example: 400000
+ *               loanPurpose:
+ *                 type: string
+ *                 enum: [purchase, refinance, cash_out_refinance]
+ *                 default: purchase
+ *               propertyType:
+ *                 type: string
+ *                 enum: [single_family, condo, townhouse, multi_family, manufactured]
+ *                 default: single_family
+ *               occupancy:
+ *                 type: string
+ *                 enum: [primary, second_home, investment]
+ *                 default: primary
+ *               creditScore:
+ *                 type: integer
+ *                 example: 740
+ *               state:
+ *                 type: string
+ *                 description: Two-letter property state for the fee template
+ *               taxesAnnual:
+ *                 type: number
+ *               insuranceAnnual:
+ *                 type: number
+ *               hoaMonthly:
+ *                 type: number
+ *               payoffAmount:
+ *                 type: number
+ *                 description: Existing liens paid off (refinance)
+ *               notes:
+ *                 type: string
+ *               scenarios:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 6
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - productType
+ *                     - loanTerm
+ *                   properties:
+ *                     label:
+ *                       type: string
+ *                     productType:
+ *                       type: string
+ *                       enum: [conventional, fha, va, usda, jumbo]
+ *                     loanTerm:
+ *                       type: integer
+ *                       enum: [15, 20, 30]
+ *                     armType:
+ *                       type: string
+ *                       enum: ['5/6', '7/6', '10/6']
+ *                     points:
+ *                       type: number
+ *                       description: Points wanted; negative for a lender credit
+ *                       default: 0
+ *     responses:
+ *       201:
+ *         description: Quote priced and saved
+ *       400:
+ *         description: Validation error
+ *       422:
+ *         description: Optimal Blue has no rate for one of the scenarios
+ *       502:
+ *         description: Optimal Blue pricing is unavailable
+ */
+router.post(
+  '/',
+  authenticate,
+  authorize({ roles: roles.INTERNAL_ROLES }),
+  [
+    body('borrower').optional().isMongoId(),
+    body('referralSource').optional().isMongoId(),
+    body('loanAmount').isFloat({ min: 1 }),
+    body('propertyValue').isFloat({ min: 1 }),
+    body('loanPurpose').optional().isIn(['purchase', 'refinance', 'cash_out_refinance']),
+    body('propertyType').optional().isIn(['single_family', 'condo', 'townhouse', 'multi_family', 'manufactured']),
+    body('occupancy').optional().isIn(['primary', 'second_home', 'investment']),
+    body('creditScore').isInt({ min: 300, max: 850 }),
+    body('state').optional().isLength({ min: 2, max: 2 }),
+    body(['taxesAnnual', 'insuranceAnnual', 'hoaMonthly', 'payoffAmount']).optional().isFloat({ min: 0 }),
+    body('notes').optional().isString(),
+    body('scenarios').isArray({ min: 1, max: MAX_SCENARIOS }),
+    body('scenarios.*.label').optional().isString(),
+    body('scenarios.*.productType').isIn(['conventional', 'fha', 'va', 'usda', 'jumbo']),
+    body('scenarios.*.loanTerm').isIn([15, 20, 30]).toInt(),
+    body('scenarios.*.armType').optional().isIn(Object.keys(ARM_TYPES)),
+    body('scenarios.*.points').optional().isFloat({ min: -5, max: 5 })
+  ],
+  rateQuoteController.createQuote
+);
+
+/**
+ * @swagger
+ * /api/v1/rate-quotes:
+ *   get:
+ *     summary: List rate quotes
+ *     description: Borrowers see quotes shared with them; loan officers see the quotes they created.
+ *     tags: [Rate Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, shared, viewed, applied]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Quotes retrieved
+ */
+router.get(
+  '/',
+  authenticate,
+  [
+    query('status').optional().isIn(['draft', 'shared', 'viewed', 'applied']),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  rateQuoteController.getQuotes
+);
+
+/**
+ * @swagger
+ * /api/v1/rate-quotes/{quoteId}:
+ *   get:
+ *     summary: Get a rate quote
+ *     description: The borrower's first view marks a shared quote as viewed. `expired` is true once the pricing has lapsed.
+ *     tags: [Rate Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quote retrieved
+ *       403:
+ *         description: Not the quote's borrower or loan officer
+ *       404:
+ *         description: Quote not found
+ */
+router.get(
+  '/:quoteId',
+  authenticate,
+  [param('quoteId').isMongoId()],
+  rateQuoteController.getQuote
+);
+
+/**
+ * @swagger
+ * /api/v1/rate-quotes/{quoteId}/share:
+ *   post:
+ *     summary: Share a rate quote
+ *     description: >
+ *       Shares the quote in the app, emails the branded PDF, texts a download link, or returns a download link
+ *       valid for 24 hours. Email and SMS go to the borrower on file unless a recipient is given.
+ *     tags: [Rate Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [app, email, sms, link]
+ *                 default: app
+ *               borrower:
+ *                 type: string
+ *                 description: Borrower user ID; required for in-app sharing if the quote has none
+ *               recipient:
+ *                 type: string
+ *                 description: Email address or phone number to send to instead of the borrower's
+ *     responses:
+ *       200:
+ *         description: Quote shared; `downloadUrl` is included for links
+ *       409:
+ *         description: An application was already started from the quote
+ *       410:
+ *         description: Quote has expired
+ */
+router.post(
+  '/:quoteId/share',
+  authenticate,
+  authorize({ roles: roles.INTERNAL_ROLES }),
+  [
+    param('quoteId').isMongoId(),
+    body('method').optional().isIn(['app', 'email', 'sms', 'link']),
+    body('borrower').optional().isMongoId(),
+    body('recipient').optional().isString().trim().notEmpty()
+  ],
+  rateQuoteController.shareQuote
+);
+
+/**
+ * @swagger
+ * /api/v1/rate-quotes/{quoteId}/download:
+ *   get:
+ *     summary: Download the branded rate quote PDF
+ *     description: >
+ *       Rate, points, APR, payment breakdown, fees and required disclaimers for each scenario, co-branded with the
+ *       referral partner when enabled. Borrower downloads are tracked as views.
+ *     tags: [Rate Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Not the quote's borrower or loan officer
+ *       404:
+ *         description: Quote not found
+ */
+router.get(
+  '/:quoteId/download',
+  authenticate,
+  [param('quoteId').isMongoId()],
+  rateQuoteController.downloadQuote
+);
+
+/**
+ * @swagger
+ * /api/v1/rate-quotes/{quoteId}/apply:
+ *   post:
+ *     summary: Start a loan application from a quote scenario
+ *     description: >
+ *       Creates a loan application for the chosen scenario, assigned to the quoting loan officer.
+ *       Only one application can be started per quote.
+ *     tags: [Rate Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scenarioId
+ *             properties:
+ *               scenarioId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Application started
+ *       409:
+ *         description: Quote expired or already applied
+ */
+router.post(
+  '/:quoteId/apply',
+  authenticate,
+  authorize({ roles: [roles.BORROWER] }),
+  [
+    param('quoteId').isMongoId(),
+    body('scenarioId').isMongoId()
+  ],
+  rateQuoteController.applyFromQuote
+);
+
+module.exports = router;
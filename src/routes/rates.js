@@ -1,10 +1,12 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const router = express.Router();
 const rateController = require('../controllers/rateController');
 const { authenticate } = require('../middleware/auth');
 const { authorize } = require('../middleware/auth');
 const roles = require('../config/roles');
+const { ARM_TYPES } = require('../config/armProducts');
+const { LOCK_DESK_CAPABILITY } = require('../config/lockDesk');
 
 /**
  * @swagger
@@ -38,6 +40,12 @@ const roles = require('../config/roles');
  *           type: integer
  *           enum: [15, 20, 30]
  *       - in: query
+ *         name: armType
+ *         schema:
+ *           type: string
+ *           enum: [fixed, '5/6', '7/6', '10/6']
+ *         description: ARM type; omit or `fixed` for fixed-rate products
+ *       - in: query
  *         name: loanPurpose
  *         schema:
  *           type: string
@@ -86,6 +94,12 @@ router.get('/current', authenticate, rateController.getCurrentRates);
  *           type: integer
  *           enum: [15, 20, 30]
  *       - in: query
+ *         name: armType
+ *         schema:
+ *           type: string
+ *           enum: [fixed, '5/6', '7/6', '10/6']
+ *         description: ARM type; omit or `fixed` for fixed-rate products
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -106,6 +120,142 @@ router.get('/current', authenticate, rateController.getCurrentRates);
  */
 router.get('/history', authenticate, rateController.getRateHistory);
 
+/**
+ * @swagger
+ * /api/v1/rates/history/analytics:
+ *   get:
+ *     summary: Daily rate history with trend and volatility
+ *     description: >
+ *       Daily OHLC series of par pricing (the rate with points closest to zero) per product and term, aggregated
+ *       from rate snapshots after each rate sync. Each bar carries day-over-day and week-over-week change, 7- and
+ *       30-day moving averages and 30-day volatility (standard deviation of daily changes). Each series includes
+ *       a one-line summary such as "CONVENTIONAL 30-year rates dropped 0.125 this week to 6.5%."
+ *     tags: [Rate & Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: productType
+ *         schema:
+ *           type: string
+ *           enum: [conventional, fha, va, usda, jumbo]
+ *       - in: query
+ *         name: loanTerm
+ *         schema:
+ *           type: integer
+ *           enum: [15, 20, 30]
+ *       - in: query
+ *         name: armType
+ *         schema:
+ *           type: string
+ *           enum: [fixed, '5/6', '7/6', '10/6']
+ *         description: ARM type, or `fixed` for fixed-rate series only; omit for all
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 365
+ *     responses:
+ *       200:
+ *         description: Series retrieved
+ *       400:
+ *         description: Validation error
+ */
+router.get(
+  '/history/analytics',
+  authenticate,
+  [
+    query('productType').optional().isIn(['conventional', 'fha', 'va', 'usda', 'jumbo']),
+    query('loanTerm').optional().isIn(['15', '20', '30']),
+    query('armType').optional().isIn(['fixed', ...Object.keys(ARM_TYPES)]),
+    query('days').optional().isInt({ min: 1, max: 365 })
+  ],
+  rateController.getRateAnalytics
+);
+
+/**
+ * @swagger
+ * /api/v1/rates/market/import:
+ *   post:
+ *     summary: Import competitor and market-index rates
+ *     description: >
+ *       Imports benchmark rates, such as weekly survey figures, as JSON `rows` or as `csv` text with a header row
+ *       using the same field names. Rates stay current for 14 days from their effective date and are used only for
+ *       market comparisons, never for pricing, locks or alerts. Any invalid row rejects the whole import.
+ *     tags: [Rate & Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               csv:
+ *                 type: string
+ *                 example: "source,benchmarkName,productType,loanTerm,rate,points,effectiveDate\nmarket_index,Freddie Mac PMMS,conventional,30,6.72,0.7,2026-03-19"
+ *               rows:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - benchmarkName
+ *                     - productType
+ *                     - loanTerm
+ *                     - rate
+ *                   properties:
+ *                     source:
+ *                       type: string
+ *                       enum: [competitor, market_index]
+ *                       default: competitor
+ *                     benchmarkName:
+ *                       type: string
+ *                       description: Competitor lender or index/survey name
+ *                     productType:
+ *                       type: string
+ *                       enum: [conventional, fha, va, usda, jumbo]
+ *                     loanTerm:
+ *                       type: integer
+ *                       enum: [15, 20, 30]
+ *                     armType:
+ *                       type: string
+ *                       enum: [fixed, '5/6', '7/6', '10/6']
+ *                     loanPurpose:
+ *                       type: string
+ *                       enum: [purchase, refinance, cash_out_refinance]
+ *                       default: purchase
+ *                     rate:
+ *                       type: number
+ *                     apr:
+ *                       type: number
+ *                     points:
+ *                       type: number
+ *                       default: 0
+ *                     effectiveDate:
+ *                       type: string
+ *                       format: date
+ *     responses:
+ *       201:
+ *         description: Rates imported
+ *       400:
+ *         description: No rows, too many rows, or invalid rows (listed by row number)
+ *       403:
+ *         description: Admins only
+ */
+router.post(
+  '/market/import',
+  authenticate,
+  authorize({ roles: [roles.ADMIN] }),
+  [
+    body('csv').optional().isString(),
+    body('rows').optional().isArray()
+  ],
+  rateController.importMarketRates
+);
+
 /**
  * @swagger
  * /api/v1/rates/products:
@@ -129,11 +279,66 @@ router.get('/history', authenticate, rateController.getRateHistory);
  *         name: investorName
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: creditScore
+ *         schema:
+ *           type: integer
+ *         description: With ltv and loanAmount, prices each product for the scenario using the LLPA grids
+ *       - in: query
+ *         name: ltv
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: loanAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: occupancy
+ *         schema:
+ *           type: string
+ *           enum: [primary, second_home, investment]
+ *           default: primary
+ *       - in: query
+ *         name: propertyType
+ *         schema:
+ *           type: string
+ *           enum: [single_family, condo, townhouse, multi_family, manufactured]
+ *           default: single_family
+ *       - in: query
+ *         name: units
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 4
+ *           default: 1
+ *       - in: query
+ *         name: cashOut
+ *         schema:
+ *           type: boolean
+ *           default: false
  *     responses:
  *       200:
- *         description: Product pricing retrieved successfully
+ *         description: >
+ *           Product pricing retrieved successfully. With a scenario, each product includes
+ *           `scenarioPricing` (adjustment line items, total adjustment, final price and eligibility),
+ *           eligible products first.
+ *       400:
+ *         description: Validation error, or only some of creditScore, ltv and loanAmount given
  */
-router.get('/products', authenticate, rateController.getProductPricing);
+router.get(
+  '/products',
+  authenticate,
+  [
+    query('creditScore').optional().isInt({ min: 300, max: 850 }),
+    query('ltv').optional().isFloat({ min: 0, max: 105 }),
+    query('loanAmount').optional().isFloat({ min: 1 }),
+    query('occupancy').optional().isIn(['primary', 'second_home', 'investment']),
+    query('propertyType').optional().isIn(['single_family', 'condo', 'townhouse', 'multi_family', 'manufactured']),
+    query('units').optional().isInt({ min: 1, max: 4 }),
+    query('cashOut').optional().isBoolean()
+  ],
+  rateController.getProductPricing
+);
 
 /**
  * @swagger
@@ -162,6 +367,10 @@ router.get('/products', authenticate, rateController.getProductPricing);
  *               loanTerm:
  *                 type: integer
  *                 enum: [15, 20, 30]
+ *               armType:
+ *                 type: string
+ *                 enum: ['5/6', '7/6', '10/6']
+ *                 description: Watch the ARM start rate; omit for fixed-rate
  *               targetRate:
  *                 type: number
  *                 example: 6.5
@@ -190,6 +399,7 @@ router.post(
   [
     body('productType').isIn(['conventional', 'fha', 'va', 'usda', 'jumbo']),
     body('loanTerm').isIn([15, 20, 30]),
+    body('armType').optional().isIn(Object.keys(ARM_TYPES)),
     body('targetRate').isFloat({ min: 0, max: 20 }),
     body('triggerType').isIn(['below', 'above', 'drops_by']),
     body('notificationMethod').isIn(['push', 'sms', 'email', 'all']),
@@ -318,11 +528,18 @@ router.post(
  *               lockPeriod:
  *                 type: integer
  *                 enum: [30, 45, 60]
+ *               priceConcession:
+ *                 type: number
+ *                 example: 0.125
+ *                 description: Points of price concession; above 0.125 the request goes to the lock desk
  *               notes:
  *                 type: string
  *     responses:
  *       201:
- *         description: Rate lock submitted successfully
+ *         description: |
+ *           Rate lock submitted. It is `confirmed` immediately, or `pending` in the lock desk queue
+ *           when submitted outside lock hours (9–5 ET, Mon–Fri), above the concession limit or for an
+ *           exception product (jumbo).
  *       404:
  *         description: Loan or rate snapshot not found
  */
@@ -334,6 +551,7 @@ router.post(
     body('loanId').isMongoId(),
     body('rateSnapshotId').isMongoId(),
     body('lockPeriod').isIn([30, 45, 60]),
+    body('priceConcession').optional().isFloat({ min: 0, max: 5 }),
     body('notes').optional().isString()
   ],
   rateController.submitRateLock
@@ -369,6 +587,10 @@ router.get(
  * /api/v1/rates/locks/{lockId}/extend:
  *   post:
  *     summary: Extend rate lock period
+ *     description: |
+ *       Extends under the product's extension policy (allowed increments and maximum cumulative
+ *       days). The cost is recorded on the extension history and taken off `pricing.finalPrice`;
+ *       the response includes it as `cost`.
  *     tags: [Rate & Pricing]
  *     security:
  *       - bearerAuth: []
@@ -396,6 +618,8 @@ router.get(
  *     responses:
  *       200:
  *         description: Rate lock extended successfully
+ *       400:
+ *         description: Extension not allowed by the product's policy, or lock not confirmed
  */
 router.post(
   '/locks/:lockId/extend',
@@ -408,4 +632,380 @@ router.post(
   rateController.extendRateLock
 );
 
+/**
+ * @swagger
+ * /api/v1/rates/locks/{lockId}/extension-quote:
+ *   get:
+ *     summary: Preview rate lock extension costs
+ *     description: |
+ *       Returns the lock's extension policy, days used and remaining, and the cost of each allowed
+ *       extension (or only `extensionDays`) in points and dollars with the resulting final price.
+ *     tags: [Rate & Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lockId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: extensionDays
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Extension quotes
+ *       400:
+ *         description: Extension not allowed by the product's policy
+ */
+router.get(
+  '/locks/:lockId/extension-quote',
+  authenticate,
+  authorize({ roles: [roles.LO_RETAIL, roles.LO_TPO, roles.BRANCH_MANAGER, roles.ADMIN] }),
+  [
+    param('lockId').isMongoId(),
+    query('extensionDays').optional().isInt({ min: 1, max: 90 })
+  ],
+  rateController.getExtensionQuote
+);
+
+/**
+ * @swagger
+ * /api/v1/rates/locks/{lockId}/release:
+ *   post:
+ *     summary: Release an active rate lock
+ *     description: Releases the lock in Optimal Blue (when locked there), audits the release and reconciles against Optimal Blue's lock record.
+ *     tags: [Rate & Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lockId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rate lock released
+ *       403:
+ *         description: Not the assigned loan officer, a branch manager or an admin
+ *       409:
+ *         description: Rate lock is not active
+ */
+router.post(
+  '/locks/:lockId/release',
+  authenticate,
+  authorize({ roles: [roles.LO_RETAIL, roles.LO_TPO, roles.BRANCH_MANAGER, roles.ADMIN] }),
+  [
+    param('lockId').isMongoId(),
+    body('reason').notEmpty()
+  ],
+  rateController.releaseRateLock
+);
+
+/**
+ * @swagger
+ * /api/v1/rates/locks/{lockId}/relock:
+ *   post:
+ *     summary: Relock an expired or released rate lock
+ *     description: |
+ *       Creates a new lock at worst-case pricing: the original rate, or the current market rate
+ *       when it is higher. The new lock references the original through `relockOf`. Like a new
+ *       submission, it is queued as `pending` for the lock desk outside lock hours or for
+ *       exception products, and confirmed otherwise.
+ *     tags: [Rate & Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lockId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               lockPeriod:
+ *                 type: integer
+ *                 enum: [30, 45, 60]
+ *                 description: Defaults to the original lock period
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Rate relocked or queued for the lock desk; `pricedFrom` is `original` or `market`
+ *       409:
+ *         description: Lock is still active, was already relocked, or no market pricing is available
+ */
+router.post(
+  '/locks/:lockId/relock',
+  authenticate,
+  authorize({ roles: [roles.LO_RETAIL, roles.LO_TPO, roles.BRANCH_MANAGER, roles.ADMIN] }),
+  [
+    param('lockId').isMongoId(),
+    body('lockPeriod').optional().isIn([30, 45, 60]),
+    body('notes').optional().isString()
+  ],
+  rateController.relockRateLock
+);
+
+/**
+ * @swagger
+ * /api/v1/rates/locks/{lockId}/float-down:
+ *   post:
+ *     summary: Float an active rate lock down to the current market rate
+ *     description: |
+ *       Allowed once per lock when the market rate is at least 0.25 below the locked rate. The
+ *       expiration is unchanged. Outside lock hours or for exception products the float-down is
+ *       queued for the lock desk (`lockDesk.request: float_down`) and the lock keeps its current
+ *       rate until approved.
+ *     tags: [Rate & Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lockId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rate lock floated down, or the float-down queued for the lock desk
+ *       409:
+ *         description: Lock is not active, already floated down or awaiting review, or the market has not improved enough
+ */
+router.post(
+  '/locks/:lockId/float-down',
+  authenticate,
+  authorize({ roles: [roles.LO_RETAIL, roles.LO_TPO, roles.BRANCH_MANAGER, roles.ADMIN] }),
+  [
+    param('lockId').isMongoId()
+  ],
+  rateController.floatDownRateLock
+);
+
+/**
+ * @swagger
+ * /api/v1/rates/locks/{lockId}/counter/accept:
+ *   post:
+ *     summary: Accept the lock desk's counter on a rate lock
+ *     description: Confirms the lock at the counter terms. To decline a counter, release the lock.
+ *     tags: [Rate & Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lockId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Counter accepted and rate lock confirmed
+ *       409:
+ *         description: Rate lock has no open counter
+ */
+router.post(
+  '/locks/:lockId/counter/accept',
+  authenticate,
+  authorize({ roles: [roles.LO_RETAIL, roles.LO_TPO, roles.BRANCH_MANAGER, roles.ADMIN] }),
+  [
+    param('lockId').isMongoId()
+  ],
+  rateController.acceptRateLockCounter
+);
+
+/**
+ * @swagger
+ * /api/v1/rates/lock-desk/queue:
+ *   get:
+ *     summary: Get the lock desk queue
+ *     description: |
+ *       Pending rate locks awaiting lock desk review (`queued`) or the LO's response to a counter
+ *       (`countered`), soonest review deadline first. Each entry includes `sla`
+ *       (`reviewDueAt`, `minutesRemaining`, `breached`). Requires the `rates:lockdesk` capability.
+ *     tags: [Rate & Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [queued, countered]
+ *     responses:
+ *       200:
+ *         description: Lock desk queue retrieved
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get(
+  '/lock-desk/queue',
+  authenticate,
+  authorize({ capabilities: [LOCK_DESK_CAPABILITY] }),
+  [
+    query('state').optional().isIn(['queued', 'countered'])
+  ],
+  rateController.getLockDeskQueue
+);
+
+/**
+ * @swagger
+ * /api/v1/rates/lock-desk/{lockId}/approve:
+ *   post:
+ *     summary: Approve a queued rate lock
+ *     description: Confirms the lock as requested; the lock period runs from approval.
+ *     tags: [Rate & Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lockId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rate lock approved
+ *       409:
+ *         description: Rate lock is not queued for review
+ */
+router.post(
+  '/lock-desk/:lockId/approve',
+  authenticate,
+  authorize({ capabilities: [LOCK_DESK_CAPABILITY] }),
+  [
+    param('lockId').isMongoId(),
+    body('notes').optional().isString()
+  ],
+  rateController.approveRateLock
+);
+
+/**
+ * @swagger
+ * /api/v1/rates/lock-desk/{lockId}/deny:
+ *   post:
+ *     summary: Deny a queued rate lock
+ *     description: Cancels the lock request.
+ *     tags: [Rate & Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lockId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rate lock denied
+ *       409:
+ *         description: Rate lock is not queued for review
+ */
+router.post(
+  '/lock-desk/:lockId/deny',
+  authenticate,
+  authorize({ capabilities: [LOCK_DESK_CAPABILITY] }),
+  [
+    param('lockId').isMongoId(),
+    body('reason').notEmpty()
+  ],
+  rateController.denyRateLock
+);
+
+/**
+ * @swagger
+ * /api/v1/rates/lock-desk/{lockId}/counter:
+ *   post:
+ *     summary: Counter a queued rate lock with different terms
+ *     description: The lock stays pending until the LO accepts the counter or releases the lock.
+ *     tags: [Rate & Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lockId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rate
+ *               - apr
+ *               - points
+ *             properties:
+ *               rate:
+ *                 type: number
+ *                 example: 6.625
+ *               apr:
+ *                 type: number
+ *                 example: 6.74
+ *               points:
+ *                 type: number
+ *                 example: 0.25
+ *               lockPeriod:
+ *                 type: integer
+ *                 enum: [30, 45, 60]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Counter offered
+ *       409:
+ *         description: Rate lock is not queued for review
+ */
+router.post(
+  '/lock-desk/:lockId/counter',
+  authenticate,
+  authorize({ capabilities: [LOCK_DESK_CAPABILITY] }),
+  [
+    param('lockId').isMongoId(),
+    body('rate').isFloat({ min: 0, max: 20 }),
+    body('apr').isFloat({ min: 0, max: 25 }),
+    body('points').isFloat({ min: -5, max: 5 }),
+    body('lockPeriod').optional().isIn([30, 45, 60]),
+    body('notes').optional().isString()
+  ],
+  rateController.counterRateLock
+);
+
 module.exports = router;
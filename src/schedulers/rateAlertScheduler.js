@@ -4,11 +4,13 @@ const logger = require('../utils/logger');
 
 /**
  * Rate Alert Scheduler
- * Checks alerts every 30 minutes during business hours (6 AM - 8 PM)
+ * Checks alerts every 30 minutes around the clock; quiet hours and digests are applied per
+ * user, in the user's own timezone, when alerts are delivered
  */
 class RateAlertScheduler {
   constructor() {
     this.checkAlertsJob = null;
+    this.deliveryJob = null;
     this.expireAlertsJob = null;
   }
 
@@ -16,9 +18,8 @@ class RateAlertScheduler {
    * Start scheduler
    */
   start() {
-    // Check alerts every 30 minutes during business hours (6 AM - 8 PM)
-    // Cron: */30 6-20 * * * = Every 30 minutes between 6:00 and 20:59
-    this.checkAlertsJob = cron.schedule('*/30 6-20 * * *', async () => {
+    // Check alerts every 30 minutes
+    this.checkAlertsJob = cron.schedule('*/30 * * * *', async () => {
       try {
         logger.info('Running scheduled rate alert check');
         const result = await rateAlertService.checkAllAlerts();
@@ -31,6 +32,19 @@ class RateAlertScheduler {
       timezone: 'America/New_York'
     });
 
+    // Send alerts held for quiet hours and due digests every 15 minutes
+    this.deliveryJob = cron.schedule('*/15 * * * *', async () => {
+      try {
+        const result = await rateAlertService.deliverPending();
+        logger.info('Scheduled rate alert delivery completed', result);
+      } catch (error) {
+        logger.error(`Error in scheduled rate alert delivery: ${error.message}`);
+      }
+    }, {
+      scheduled: true,
+      timezone: 'America/New_York'
+    });
+
     // Expire old alerts daily at 2 AM
     this.expireAlertsJob = cron.schedule('0 2 * * *', async () => {
       try {
@@ -46,7 +60,8 @@ class RateAlertScheduler {
     });
 
     logger.info('Rate alert scheduler started');
-    logger.info('Alert checks: Every 30 minutes (6 AM - 8 PM ET)');
+    logger.info('Alert checks: Every 30 minutes');
+    logger.info('Held alerts and digests: Every 15 minutes');
     logger.info('Alert expiration: Daily at 2 AM ET');
   }
 
@@ -58,6 +73,10 @@ class RateAlertScheduler {
       this.checkAlertsJob.stop();
       logger.info('Rate alert check job stopped');
     }
+    if (this.deliveryJob) {
+      this.deliveryJob.stop();
+      logger.info('Rate alert delivery job stopped');
+    }
     if (this.expireAlertsJob) {
       this.expireAlertsJob.stop();
       logger.info('Rate alert expiration job stopped');
@@ -68,7 +87,7 @@ class RateAlertScheduler {
    * Check if scheduler is running
    */
   isRunning() {
-    return this.checkAlertsJob && this.expireAlertsJob;
+    return this.checkAlertsJob && this.deliveryJob && this.expireAlertsJob;
   }
 }
 
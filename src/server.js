@@ -8,6 +8,10 @@ const { startCRMSyncScheduler } = require('./jobs/crmSyncJob');
 const { startFCRARetentionScheduler } = require('./jobs/fcraRetentionJob');
 const { startRateSyncScheduler } = require('./jobs/rateSyncJob');
 const { startMetricsAggregationScheduler } = require('./jobs/metricsAggregationJob');
+const { startDocumentRequestScheduler } = require('./jobs/documentRequestReminderJob');
+const { startRateLockExpiryScheduler } = require('./jobs/rateLockExpiryJob');
+const { startLockDeskSlaScheduler } = require('./jobs/lockDeskSlaJob');
+const { startAvScanScheduler } = require('./jobs/avScanJob');
 const rateAlertScheduler = require('./schedulers/rateAlertScheduler');
 const { contentBroadcaster } = require('./socket');
 
@@ -33,6 +37,18 @@ const start = async () => {
     // Start metrics aggregation scheduler
     startMetricsAggregationScheduler();
 
+    // Start document request reminder/escalation scheduler
+    startDocumentRequestScheduler();
+
+    // Start rate lock expiry/warning scheduler
+    startRateLockExpiryScheduler();
+
+    // Start lock desk review SLA scheduler
+    startLockDeskSlaScheduler();
+
+    // Start virus scan retry scheduler for quarantined documents
+    startAvScanScheduler();
+
     // Start rate alert scheduler
     rateAlertScheduler.start();
 
@@ -0,0 +1,184 @@
+const RateSnapshot = require('../models/RateSnapshot');
+const { LOAN_PROGRAMS } = require('../config/loanPrograms');
+const { PRICING_SOURCES } = require('../config/marketRates');
+const mortgageInsuranceService = require('./mortgageInsuranceService');
+const { calcMonthlyPayment, round2 } = require('../utils/mortgageMath');
+
+// Used when the borrower gives no tax/insurance estimate (annual % of property value)
+const DEFAULT_PROPERTY_TAX_RATE = 1.1;
+const DEFAULT_INSURANCE_RATE = 0.35;
+
+/**
+ * Latest active fixed purchase rate for each program, falling back to the program default.
+ *
+ * @returns {Promise<Object>} `{ [productType]: { rate, source, effectiveDate } }`
+ */
+async function getCurrentRates(productTypes, termYears) {
+  const rates = {};
+  for (const productType of productTypes) {
+    const snapshot = await RateSnapshot.findOne({
+      productType,
+      loanTerm: termYears,
+      armType: null,
+      loanPurpose: 'purchase',
+      source: { $in: PRICING_SOURCES },
+      isActive: true,
+    }).sort({ effectiveDate: -1 });
+
+    rates[productType] = snapshot
+      ? { rate: snapshot.rate, source: 'rate_snapshot', effectiveDate: snapshot.effectiveDate }
+      : { rate: LOAN_PROGRAMS[productType].defaultRate, source: 'default', effectiveDate: null };
+  }
+  return rates;
+}
+
+const capAt = (value, max) => {
+  if (value == null) return max;
+  return max == null ? value : Math.min(value, max);
+};
+
+/**
+ * Full monthly housing payment (PITI + MI + HOA) for a purchase price.
+ */
+function housingPayment(
+  price,
+  { productType, downPayment, rate, termYears, creditScore, taxesAnnual, taxRate, insuranceAnnual, insuranceRate, hoaMonthly }
+) {
+  const baseLoanAmount = Math.max(0, price - Math.min(downPayment, price));
+  const mi = mortgageInsuranceService.calculate(productType, { baseLoanAmount, propertyValue: price, creditScore });
+  const principalAndInterest = mi.totalLoanAmount > 0 ? calcMonthlyPayment(mi.totalLoanAmount, rate, termYears) : 0;
+  const taxes = (taxesAnnual ?? (price * taxRate) / 100) / 12;
+  const insurance = (insuranceAnnual ?? (price * insuranceRate) / 100) / 12;
+
+  return {
+    baseLoanAmount,
+    mi,
+    principalAndInterest,
+    taxes,
+    insurance,
+    total: principalAndInterest + mi.monthlyPremium + taxes + insurance + hoaMonthly,
+  };
+}
+
+/**
+ * Maximum purchase price for one program.
+ *
+ * The price is the lowest of three caps: what the DTI limits allow as a housing payment,
+ * what the cash down payment supports at the program minimum, and the program loan limit.
+ */
+function calculateProgram(productType, input) {
+  const program = LOAN_PROGRAMS[productType];
+  const {
+    monthlyIncome,
+    monthlyDebts = 0,
+    downPayment = 0,
+    rate,
+    termYears = 30,
+    creditScore,
+    hoaMonthly = 0,
+    taxesAnnual,
+    insuranceAnnual,
+    propertyTaxRate = DEFAULT_PROPERTY_TAX_RATE,
+    insuranceRate = DEFAULT_INSURANCE_RATE,
+  } = input;
+  // Borrower targets can tighten the program DTI limits but not loosen them
+  const frontEndDti = capAt(input.frontEndDti, program.maxFrontEndDti);
+  const backEndDti = capAt(input.backEndDti, program.maxBackEndDti);
+
+  const paymentParams = {
+    productType,
+    downPayment,
+    rate,
+    termYears,
+    creditScore,
+    taxesAnnual,
+    taxRate: propertyTaxRate,
+    insuranceAnnual,
+    insuranceRate,
+    hoaMonthly,
+  };
+
+  const frontEndCap = frontEndDti != null ? (monthlyIncome * frontEndDti) / 100 : Infinity;
+  const backEndCap = (monthlyIncome * backEndDti) / 100 - monthlyDebts;
+  const maxHousingPayment = Math.min(frontEndCap, backEndCap);
+
+  // Price the DTI-limited payment supports, by bisection (payment rises with price)
+  let paymentPrice = 0;
+  if (maxHousingPayment > housingPayment(0, paymentParams).total) {
+    let lo = 0;
+    let hi = downPayment + maxHousingPayment * termYears * 12;
+    for (let i = 0; i < 60; i++) {
+      const mid = (lo + hi) / 2;
+      if (housingPayment(mid, paymentParams).total <= maxHousingPayment) lo = mid;
+      else hi = mid;
+    }
+    paymentPrice = lo;
+  }
+
+  const caps = [
+    { factor: frontEndCap <= backEndCap ? 'front_end_dti' : 'back_end_dti', price: paymentPrice },
+    {
+      factor: 'down_payment',
+      price: program.minDownPaymentPercent > 0 ? downPayment / (program.minDownPaymentPercent / 100) : Infinity,
+    },
+    { factor: 'loan_limit', price: program.loanLimit ? program.loanLimit + downPayment : Infinity },
+  ];
+  const limiting = caps.reduce((min, cap) => (cap.price < min.price ? cap : min));
+  const maxPurchasePrice = Math.max(0, Math.floor(limiting.price));
+  const payment = housingPayment(maxPurchasePrice, paymentParams);
+  const loanAmount = payment.mi.totalLoanAmount;
+
+  return {
+    productType,
+    label: program.label,
+    rate,
+    eligible: maxPurchasePrice > 0 && loanAmount > 0,
+    limitingFactor: limiting.factor,
+    maxPurchasePrice,
+    baseLoanAmount: round2(payment.baseLoanAmount),
+    maxLoanAmount: loanAmount,
+    downPayment: round2(Math.min(downPayment, maxPurchasePrice)),
+    ltv: payment.mi.ltv,
+    mortgageInsurance: {
+      type: payment.mi.type,
+      upfrontFee: payment.mi.upfrontFee,
+      monthlyPremium: payment.mi.monthlyPremium,
+    },
+    monthlyPayment: {
+      principalAndInterest: round2(payment.principalAndInterest),
+      mortgageInsurance: payment.mi.monthlyPremium,
+      taxes: round2(payment.taxes),
+      insurance: round2(payment.insurance),
+      hoa: round2(hoaMonthly),
+      total: round2(payment.total),
+    },
+    dti: {
+      frontEnd: monthlyIncome > 0 ? round2((payment.total / monthlyIncome) * 100) : null,
+      backEnd: monthlyIncome > 0 ? round2(((payment.total + monthlyDebts) / monthlyIncome) * 100) : null,
+      maxFrontEnd: frontEndDti,
+      maxBackEnd: backEndDti,
+    },
+  };
+}
+
+/**
+ * Maximum purchase price and loan amount per program, most affordable first.
+ *
+ * @param {Object} input - Borrower inputs (see calculateProgram)
+ * @param {Object} rates - `{ [productType]: { rate, source } }`, e.g. from getCurrentRates
+ */
+function calculate(input, rates) {
+  const productTypes = Object.keys(rates);
+  return productTypes
+    .map((productType) => ({
+      ...calculateProgram(productType, { ...input, rate: rates[productType].rate }),
+      rateSource: rates[productType].source,
+    }))
+    .sort((a, b) => b.maxPurchasePrice - a.maxPurchasePrice);
+}
+
+module.exports = {
+  getCurrentRates,
+  calculateProgram,
+  calculate,
+};
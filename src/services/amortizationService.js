@@ -0,0 +1,103 @@
+const mortgageInsuranceService = require('./mortgageInsuranceService');
+const { calcMonthlyPayment, amortize, rollupByYear, round2 } = require('../utils/mortgageMath');
+
+/**
+ * Amortization schedule with extra payments, compared against the standard monthly schedule.
+ *
+ * @param {Object} input
+ * @param {number} input.amount
+ * @param {number} input.rate - Note rate (%)
+ * @param {number} input.termYears
+ * @param {'monthly'|'biweekly'} [input.frequency='monthly']
+ * @param {number} [input.extraMonthly=0]
+ * @param {Array<{month: number, amount: number}>} [input.lumpSums=[]]
+ * @param {string} [input.firstPaymentDate]
+ * @param {number} [input.propertyValue] - Adds monthly mortgage insurance, dropped at the program's cancellation LTV
+ * @param {string} [input.productType='conventional']
+ * @param {number} [input.creditScore]
+ * @param {'range'|'full'|'yearly'} [input.view='range'] - `range` returns monthsToGenerate
+ *   months from startMonth, `full` every payment, `yearly` rollups by loan year
+ * @param {number} [input.startMonth=1]
+ * @param {number} [input.monthsToGenerate=12]
+ */
+function buildSchedule(input) {
+  const {
+    amount,
+    rate,
+    termYears,
+    frequency = 'monthly',
+    extraMonthly = 0,
+    lumpSums = [],
+    firstPaymentDate,
+    view = 'range',
+    startMonth = 1,
+    monthsToGenerate = 12,
+    propertyValue,
+    productType = 'conventional',
+    creditScore,
+  } = input;
+
+  const mi = propertyValue
+    ? mortgageInsuranceService.calculate(productType, { baseLoanAmount: amount, propertyValue, creditScore })
+    : null;
+  const mortgageInsurance = mortgageInsuranceService.scheduleOptions(mi, propertyValue);
+  const baseline = amortize(amount, rate, termYears, { firstPaymentDate, mortgageInsurance });
+  const result = amortize(amount, rate, termYears, {
+    frequency,
+    extraMonthly,
+    lumpSums,
+    firstPaymentDate,
+    mortgageInsurance,
+  });
+  const payoffMonth = result.schedule.length ? result.schedule[result.schedule.length - 1].month : 0;
+  const baselinePayoffMonth = baseline.schedule.length;
+
+  const data = {
+    view,
+    frequency,
+    loanAmount: amount,
+    rate,
+    termYears,
+    totalMonths: termYears * 12,
+    monthlyPayment: round2(calcMonthlyPayment(amount, rate, termYears)),
+    payment: result.payment,
+    summary: {
+      totalInterest: result.totalInterest,
+      baselineInterest: baseline.totalInterest,
+      interestSaved: round2(baseline.totalInterest - result.totalInterest),
+      totalPaid: result.totalPaid,
+      numberOfPayments: result.schedule.length,
+      payoffMonth,
+      payoffDate: result.payoffDate,
+      baselinePayoffDate: baseline.payoffDate,
+      monthsSaved: baselinePayoffMonth - payoffMonth,
+    },
+  };
+
+  if (mortgageInsurance) {
+    data.summary.mortgageInsurance = {
+      type: mi.type,
+      monthlyPremium: mi.monthlyPremium,
+      cancelAtLtv: mi.cancelAtLtv,
+      endMonth: result.mortgageInsuranceEndMonth,
+      baselineEndMonth: baseline.mortgageInsuranceEndMonth,
+      totalPremiums: result.totalMortgageInsurance,
+      premiumsSaved: round2(baseline.totalMortgageInsurance - result.totalMortgageInsurance),
+    };
+  }
+
+  if (view === 'yearly') {
+    data.yearly = rollupByYear(result.schedule, result.periodsPerYear);
+  } else if (view === 'full') {
+    data.schedule = result.schedule;
+  } else {
+    const endMonth = startMonth + monthsToGenerate - 1;
+    data.schedule = result.schedule.filter((row) => row.month >= startMonth && row.month <= endMonth);
+  }
+
+  return data;
+}
+
+module.exports = {
+  buildSchedule,
+};
@@ -0,0 +1,194 @@
+const createError = require('http-errors');
+const Document = require('../models/Document');
+const DocumentUpload = require('../models/DocumentUpload');
+const azureBlobService = require('./azureBlobService');
+const { createClamdScanner } = require('./clamdScanner');
+const { audit } = require('../utils/audit');
+const logger = require('../utils/logger');
+const { storage } = require('../config/env');
+const {
+  SCANNER,
+  CLAMD,
+  MAX_SCAN_ATTEMPTS,
+  RESCAN_BATCH_SIZE,
+  RESCAN_DELAY_MINUTES,
+} = require('../config/antivirus');
+
+const SCANNERS = {
+  clamd: () => createClamdScanner(CLAMD),
+};
+
+let scanner = null;
+
+/**
+ * Replace the scanner adapter (another engine, or a stub in tests). A scanner is an object
+ * with a `name` and an async `scan(buffer)` resolving to `{ status, signature? }`.
+ */
+function setScanner(adapter) {
+  scanner = adapter;
+}
+
+/**
+ * The configured scanner, created on first use from AV_SCANNER.
+ */
+function getScanner() {
+  if (!scanner) {
+    const create = SCANNERS[SCANNER];
+    if (!create) {
+      throw new Error(`Unknown AV_SCANNER "${SCANNER}"`);
+    }
+    scanner = create();
+  }
+  return scanner;
+}
+
+/**
+ * Read a stored file for scanning: Document records keep base64 data URIs or a blob name in
+ * `storageKey` (URLs in our container are resolved to their blob); DocumentUpload records
+ * keep `blobName`. Files held elsewhere are never fetched.
+ *
+ * @returns {Promise<Buffer>}
+ * @throws When the file is not in our storage
+ */
+async function loadContent(doc) {
+  if (doc.blobName) {
+    return azureBlobService.downloadFile(doc.blobName);
+  }
+
+  const dataUri = doc.url?.match(/^data:.+;base64,(.+)$/);
+  if (dataUri) {
+    return Buffer.from(dataUri[1], 'base64');
+  }
+
+  const key = doc.storageKey || doc.url;
+  if (key && !/^[a-z]+:\/\//i.test(key)) {
+    return azureBlobService.downloadFile(key);
+  }
+
+  try {
+    const { pathname } = new URL(key);
+    const prefix = `/${storage.container}/`;
+    if (pathname.startsWith(prefix)) {
+      return azureBlobService.downloadFile(decodeURIComponent(pathname.slice(prefix.length)));
+    }
+  } catch (_err) {
+    // Falls through to the error below
+  }
+  throw new Error('File is not in document storage');
+}
+
+/**
+ * Scan a file and record the result on its Document or DocumentUpload (saved), auditing it.
+ * Pass the file's bytes when the caller has them; otherwise they are read from storage.
+ * A scanner failure leaves the file quarantined with avStatus `error` for avScanJob to retry.
+ *
+ * @param {Object} doc - Document or DocumentUpload
+ * @param {Buffer} [buffer]
+ * @param {Object} [req] - Express request, for the audit entry
+ * @returns {Promise<Object>} The updated document
+ */
+async function scanDocument(doc, buffer, req) {
+  const adapter = getScanner();
+  doc.scanAttempts = (doc.scanAttempts || 0) + 1;
+  doc.avScanner = adapter.name;
+
+  try {
+    const content = buffer || (await loadContent(doc));
+    const result = await adapter.scan(content);
+
+    doc.avStatus = result.status;
+    doc.avSignature = result.signature;
+    doc.scanned = true;
+    doc.scannedAt = new Date();
+    doc.lastScanError = undefined;
+
+    if (result.status === 'infected') {
+      logger.warn('Infected file quarantined', {
+        documentId: doc._id,
+        model: doc.constructor.modelName,
+        signature: result.signature,
+      });
+    }
+  } catch (error) {
+    doc.avStatus = 'error';
+    doc.lastScanError = error.message;
+    logger.error('Virus scan failed', { documentId: doc._id, attempt: doc.scanAttempts, error: error.message });
+  }
+
+  await doc.save();
+
+  await audit(
+    {
+      action: 'document.scan',
+      entityType: doc.constructor.modelName,
+      entityId: doc._id.toString(),
+      status: doc.avStatus === 'error' ? 'error' : 'success',
+      metadata: {
+        avStatus: doc.avStatus,
+        signature: doc.avSignature,
+        scanner: doc.avScanner,
+        attempt: doc.scanAttempts,
+        error: doc.lastScanError,
+      },
+    },
+    req
+  );
+
+  return doc;
+}
+
+/**
+ * Throw unless the file has scanned clean.
+ *
+ * @throws 403 when infected, 423 while quarantined awaiting a clean scan
+ */
+function assertClean(doc) {
+  if (doc.avStatus === 'clean') return;
+  if (doc.avStatus === 'infected') {
+    throw createError(403, 'This file failed its virus scan and is blocked');
+  }
+  throw createError(423, 'This file is quarantined until its virus scan completes');
+}
+
+/**
+ * Scan files still quarantined: never scanned (including records from before scanning
+ * existed) or whose last scan failed, up to MAX_SCAN_ATTEMPTS each.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.onClean] - Called with each DocumentUpload that comes back clean
+ */
+async function rescanQuarantined({ onClean } = {}) {
+  const query = {
+    avStatus: { $nin: ['clean', 'infected'] },
+    status: { $ne: 'deleted' },
+    scanAttempts: { $not: { $gte: MAX_SCAN_ATTEMPTS } },
+    createdAt: { $lt: new Date(Date.now() - RESCAN_DELAY_MINUTES * 60 * 1000) },
+  };
+  const results = { scanned: 0, clean: 0, infected: 0, failed: 0 };
+
+  for (const Model of [Document, DocumentUpload]) {
+    const docs = await Model.find(query).sort({ createdAt: 1 }).limit(RESCAN_BATCH_SIZE);
+    for (const doc of docs) {
+      await scanDocument(doc);
+      results.scanned++;
+      if (doc.avStatus === 'clean') results.clean++;
+      else if (doc.avStatus === 'infected') results.infected++;
+      else results.failed++;
+
+      if (doc.avStatus === 'clean' && Model === DocumentUpload && onClean) {
+        await onClean(doc);
+      }
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  setScanner,
+  getScanner,
+  loadContent,
+  scanDocument,
+  assertClean,
+  rescanQuarantined,
+};
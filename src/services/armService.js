@@ -0,0 +1,140 @@
+const RateSnapshot = require('../models/RateSnapshot');
+const {
+  ARM_TYPES,
+  ARM_INDEXES,
+  DEFAULT_ARM_INDEX,
+  DEFAULT_ARM_MARGIN,
+  ARM_RATE_ROUNDING,
+} = require('../config/armProducts');
+const { calcMonthlyPayment, round2 } = require('../utils/mortgageMath');
+
+/**
+ * Current value of an ARM index from the latest rate snapshot that carries it,
+ * falling back to the configured value.
+ *
+ * @returns {Promise<{ index, value, source, effectiveDate }>}
+ */
+async function getIndexValue(index = DEFAULT_ARM_INDEX) {
+  const snapshot = await RateSnapshot.findOne({
+    'arm.index': index,
+    'arm.indexValue': { $ne: null },
+    isActive: true,
+  }).sort({ effectiveDate: -1 });
+
+  return snapshot
+    ? { index, value: snapshot.arm.indexValue, source: 'rate_snapshot', effectiveDate: snapshot.effectiveDate }
+    : { index, value: ARM_INDEXES[index].fallbackValue, source: 'default', effectiveDate: null };
+}
+
+const roundRate = (rate) => Math.round(rate / ARM_RATE_ROUNDING) * ARM_RATE_ROUNDING;
+
+/**
+ * Rate for each month of the loan. `nextRate(rate, cap)` picks the uncapped rate at each
+ * adjustment; the result is then held within the adjustment cap, the lifetime cap and the floor.
+ */
+function monthlyRates({ fixedMonths, adjustmentMonths, caps }, { initialRate, termMonths, floor }, nextRate) {
+  const ceiling = initialRate + caps.lifetime;
+  const rates = [];
+  let rate = initialRate;
+  for (let month = 1; month <= termMonths; month++) {
+    const sinceFirstAdjustment = month - fixedMonths - 1;
+    if (sinceFirstAdjustment >= 0 && sinceFirstAdjustment % adjustmentMonths === 0) {
+      const cap = sinceFirstAdjustment === 0 ? caps.initial : caps.periodic;
+      const capped = Math.min(Math.max(nextRate(rate, cap), rate - cap), rate + cap);
+      rate = Math.min(Math.max(capped, floor), ceiling);
+    }
+    rates.push(rate);
+  }
+  return rates;
+}
+
+/**
+ * Amortize along a rate path, recasting the payment over the remaining term whenever the
+ * rate changes. Consecutive months at the same rate are collapsed into one period.
+ */
+function projectPath(loanAmount, rates) {
+  const termMonths = rates.length;
+  const periods = [];
+  let balance = loanAmount;
+  let payment = 0;
+  let totalInterest = 0;
+
+  rates.forEach((rate, i) => {
+    const month = i + 1;
+    const current = periods[periods.length - 1];
+    if (!current || current.rate !== rate) {
+      payment = calcMonthlyPayment(balance, rate, (termMonths - i) / 12);
+      periods.push({ startMonth: month, endMonth: month, rate, payment: round2(payment), startingBalance: round2(balance) });
+    } else {
+      current.endMonth = month;
+    }
+    const interest = (balance * rate) / 100 / 12;
+    totalInterest += interest;
+    balance = Math.max(0, balance - (payment - interest));
+  });
+
+  return {
+    periods,
+    maxRate: Math.max(...rates),
+    maxPayment: Math.max(...periods.map((period) => period.payment)),
+    totalInterest: round2(totalInterest),
+    totalPayments: round2(loanAmount + totalInterest),
+  };
+}
+
+/**
+ * Project ARM principal and interest payments after the fixed period.
+ *
+ * - `worstCase`: every adjustment rises by the full cap until the lifetime cap.
+ * - `indexBased`: the rate moves toward the fully indexed rate (index + margin, rounded to
+ *   1/8) within the caps, assuming the index stays at its current value.
+ *
+ * @param {Object} input
+ * @param {number} input.loanAmount
+ * @param {number} input.initialRate - Start rate (%) for the fixed period
+ * @param {string} input.armType - Key of ARM_TYPES
+ * @param {number} [input.termYears=30]
+ * @param {number} input.indexValue - Current index value (%)
+ * @param {string} [input.index]
+ * @param {number} [input.margin]
+ * @param {Object} [input.caps] - Overrides the product caps ({ initial, periodic, lifetime })
+ */
+function project(input) {
+  const {
+    loanAmount,
+    initialRate,
+    armType,
+    termYears = 30,
+    indexValue,
+    index = DEFAULT_ARM_INDEX,
+    margin = DEFAULT_ARM_MARGIN,
+  } = input;
+  const product = ARM_TYPES[armType];
+  const terms = { ...product, caps: { ...product.caps, ...input.caps } };
+  const fullyIndexedRate = roundRate(indexValue + margin);
+  const params = { initialRate, termMonths: termYears * 12, floor: margin };
+
+  const worstCase = projectPath(loanAmount, monthlyRates(terms, params, (rate, cap) => rate + cap));
+  const indexBased = projectPath(loanAmount, monthlyRates(terms, params, () => fullyIndexedRate));
+
+  return {
+    armType,
+    label: product.label,
+    fixedMonths: terms.fixedMonths,
+    adjustmentMonths: terms.adjustmentMonths,
+    caps: terms.caps,
+    index,
+    indexValue,
+    margin,
+    fullyIndexedRate,
+    initialRate,
+    initialPayment: round2(calcMonthlyPayment(loanAmount, initialRate, termYears)),
+    worstCase,
+    indexBased,
+  };
+}
+
+module.exports = {
+  getIndexValue,
+  project,
+};
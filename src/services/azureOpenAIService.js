@@ -120,7 +120,7 @@ ${context.preferredLanguage ? `- Language: ${context.preferredLanguage}` : ''}
 When using functions to fetch live data:
 - Use getLoanStatus for borrower loan inquiries
 - Use getCRMData for contact and engagement information
-- Use getRateData for current rates and pricing
+- Use getRateData for current rates, pricing and how rates have moved recently
 - Use searchFAQ for policy and guideline questions
 - Use calculateMortgage for payment calculations
 - Use escalateToHuman when the user requests help or the issue is beyond your capability`;
@@ -178,7 +178,7 @@ When using functions to fetch live data:
       },
       {
         name: 'getRateData',
-        description: 'Get current mortgage rates and pricing from Optimal Blue for specific loan scenario',
+        description: 'Get current mortgage rates and pricing from Optimal Blue for specific loan scenario, with the day-over-day and week-over-week rate trend',
         parameters: {
           type: 'object',
           properties: {
@@ -210,7 +210,7 @@ When using functions to fetch live data:
       },
       {
         name: 'calculateMortgage',
-        description: 'Calculate monthly mortgage payment including principal, interest, taxes, insurance, and HOA',
+        description: 'Calculate monthly mortgage payment including principal, interest, mortgage insurance (PMI/MIP), taxes, insurance, and HOA',
         parameters: {
           type: 'object',
           properties: {
@@ -226,6 +226,19 @@ When using functions to fetch live data:
               type: 'number',
               description: 'Loan term in years'
             },
+            propertyValue: {
+              type: 'number',
+              description: 'Purchase price or home value, needed to price mortgage insurance'
+            },
+            productType: {
+              type: 'string',
+              enum: ['conventional', 'fha', 'va', 'usda'],
+              description: 'Loan program (default conventional)'
+            },
+            creditScore: {
+              type: 'number',
+              description: 'Borrower credit score, used to price conventional PMI'
+            },
             propertyTax: {
               type: 'number',
               description: 'Monthly property tax'
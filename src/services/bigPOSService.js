@@ -147,6 +147,8 @@ class BigPOSService {
           loanDetails: {
             loanAmount: response.data.loanDetails.loanAmount,
             propertyAddress: response.data.loanDetails.propertyAddress,
+            estimatedPropertyValue: response.data.loanDetails.estimatedPropertyValue,
+            loanPurpose: response.data.loanDetails.loanPurpose,
             loanType: response.data.loanDetails.loanType
           },
           documents: response.data.documents || [],
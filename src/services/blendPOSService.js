@@ -131,7 +131,10 @@ class BlendPOSService {
           },
           loan: {
             loanAmount: response.data.loan.loan_amount,
-            propertyAddress: response.data.loan.property_address
+            propertyAddress: response.data.loan.property_address,
+            propertyValue: response.data.loan.property_value,
+            loanPurpose: response.data.loan.loan_purpose,
+            productType: response.data.loan.product_type
           },
           documents: response.data.documents || []
         }
@@ -2,6 +2,8 @@
 const encompassService = require('./encompassService');
 const totalExpertService = require('./totalExpertService');
 const optimalBlueService = require('./optimalBlueService');
+const paymentService = require('./paymentService');
+const rateHistoryService = require('./rateHistoryService');
 const logger = require('../utils/logger');
 const LoanApplication = require('../models/LoanApplication');
 const User = require('../models/User');
@@ -314,8 +316,18 @@ class ChatbotKnowledgeService {
       }
 
       const bestRate = rateData[0];
+
+      // Lets the assistant say how rates moved, e.g. "rates dropped 0.125 this week"
+      let trend = null;
+      try {
+        trend = await rateHistoryService.getLatestTrend(scenario);
+      } catch (trendError) {
+        logger.warn('Rate trend unavailable for chatbot:', trendError.message);
+      }
+
       return {
         success: true,
+        trend,
         rate: {
           productType: scenario.productType,
           loanTerm: scenario.loanTerm,
@@ -339,29 +351,50 @@ class ChatbotKnowledgeService {
    * @returns {Object} - Payment calculation
    */
   calculateMortgage(params) {
-    const { loanAmount, interestRate, loanTerm, propertyTax = 0, insurance = 0, hoa = 0 } = params;
-
-    // Calculate monthly payment (principal + interest)
-    const monthlyRate = interestRate / 100 / 12;
-    const numPayments = loanTerm * 12;
-    const principalInterest = loanAmount * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / 
-                              (Math.pow(1 + monthlyRate, numPayments) - 1);
+    const {
+      loanAmount,
+      interestRate,
+      loanTerm,
+      propertyValue,
+      productType = 'conventional',
+      creditScore,
+      propertyTax = 0,
+      insurance = 0,
+      hoa = 0
+    } = params;
 
-    // Total monthly payment
-    const totalPayment = principalInterest + propertyTax + insurance + hoa;
+    const payment = paymentService.calculatePayment({
+      baseLoanAmount: loanAmount,
+      rate: interestRate,
+      termYears: loanTerm,
+      propertyValue,
+      productType,
+      creditScore,
+      taxesAnnual: propertyTax * 12,
+      insuranceAnnual: insurance * 12,
+      hoaMonthly: hoa
+    });
+    const { mortgageInsurance } = payment;
 
     return {
       success: true,
       calculation: {
-        loanAmount,
+        loanAmount: payment.loanAmount,
+        baseLoanAmount: payment.baseLoanAmount,
+        productType,
         interestRate,
         loanTerm,
-        principalAndInterest: Math.round(principalInterest * 100) / 100,
+        principalAndInterest: payment.principalAndInterest,
+        // Mortgage insurance is only priced when the property value is known (for LTV)
+        mortgageInsurance: mortgageInsurance ? mortgageInsurance.monthlyPremium : null,
+        upfrontMortgageInsurance: mortgageInsurance ? mortgageInsurance.upfrontFee : null,
+        mortgageInsuranceEndsMonth: mortgageInsurance ? mortgageInsurance.endMonth : null,
         propertyTax,
         insurance,
         hoa,
-        totalMonthlyPayment: Math.round(totalPayment * 100) / 100,
-        totalInterestPaid: Math.round((principalInterest * numPayments - loanAmount) * 100) / 100
+        escrowCushion: payment.escrow.cushion,
+        totalMonthlyPayment: payment.totalMonthly,
+        totalInterestPaid: payment.totalInterest
       }
     };
   }
@@ -0,0 +1,71 @@
+const net = require('net');
+
+// clamd reads INSTREAM data in chunks prefixed with a 4-byte big-endian length
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Parse a clamd INSTREAM reply, e.g. "stream: OK" or "stream: Eicar-Signature FOUND".
+ *
+ * @returns {{ status: 'clean'|'infected', signature?: string }}
+ * @throws When clamd reports an error
+ */
+function parseReply(reply) {
+  const text = reply.replace(/\0/g, '').trim();
+  const found = text.match(/^stream: (.+) FOUND$/);
+  if (found) return { status: 'infected', signature: found[1] };
+  if (/^stream: OK$/.test(text)) return { status: 'clean' };
+  throw new Error(`clamd: ${text || 'empty reply'}`);
+}
+
+/**
+ * Scanner adapter for a clamd daemon over TCP. Any object with a `name` and an async
+ * `scan(buffer)` resolving to `{ status, signature? }` can stand in for it.
+ *
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {number} [options.timeoutMs=30000]
+ */
+function createClamdScanner({ host, port, timeoutMs = 30000 }) {
+  return {
+    name: 'clamd',
+
+    scan(buffer) {
+      return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        const replies = [];
+
+        socket.setTimeout(timeoutMs, () => {
+          socket.destroy(new Error(`clamd did not answer within ${timeoutMs}ms`));
+        });
+        socket.on('error', reject);
+        socket.on('data', (data) => replies.push(data));
+        socket.on('end', () => {
+          try {
+            resolve(parseReply(Buffer.concat(replies).toString()));
+          } catch (error) {
+            reject(error);
+          }
+        });
+
+        socket.on('connect', () => {
+          socket.write('zINSTREAM\0');
+          for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+            const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+            const size = Buffer.alloc(4);
+            size.writeUInt32BE(chunk.length);
+            socket.write(size);
+            socket.write(chunk);
+          }
+          // A zero-length chunk ends the stream
+          socket.end(Buffer.alloc(4));
+        });
+      });
+    },
+  };
+}
+
+module.exports = {
+  parseReply,
+  createClamdScanner,
+};
@@ -0,0 +1,207 @@
+const path = require('path');
+const createError = require('http-errors');
+const { PDFDocument, degrees } = require('pdf-lib');
+const { Worker } = require('worker_threads');
+const { v4: uuidv4 } = require('uuid');
+const DocumentUpload = require('../models/DocumentUpload');
+const azureBlobService = require('./azureBlobService');
+const antivirusService = require('./antivirusService');
+const documentVersionService = require('./documentVersionService');
+const { readJpegOrientation } = require('./fileContentService');
+const { audit } = require('../utils/audit');
+const { MAX_MERGE_PARTS, LETTER_PAGE } = require('../config/documentAssembly');
+
+const GRAYSCALE_WORKER = path.join(__dirname, '../workers/grayscaleWorker.js');
+
+// Re-encoding is CPU-bound, so photos are converted one at a time across all merges
+let grayscaleQueue = Promise.resolve();
+
+// Page rotation (clockwise) that shows a photo upright for its EXIF orientation.
+// Mirrored orientations (2, 4, 5, 7) don't come from phone cameras and are left as shot.
+const ORIENTATION_ROTATION = { 3: 180, 6: 90, 8: 270 };
+
+/**
+ * Re-encode an image as compressed grayscale JPEG (see workers/grayscaleWorker.js) on a worker
+ * thread, so large photos don't stall other requests. Images are re-encoded one at a time.
+ *
+ * @param {Buffer} buffer
+ * @param {string} mimeType - `image/png` or `image/jpeg`
+ * @returns {Promise<Buffer>}
+ */
+function toGrayscaleJpeg(buffer, mimeType) {
+  const run = grayscaleQueue.then(() => new Promise((resolve, reject) => {
+    const worker = new Worker(GRAYSCALE_WORKER, { workerData: { buffer: new Uint8Array(buffer), mimeType } });
+    worker.once('message', (data) => resolve(Buffer.from(data)));
+    worker.once('error', reject);
+    worker.once('exit', (code) => reject(new Error(`Grayscale worker exited with code ${code}`)));
+  }));
+  grayscaleQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Add a letter-size page with the image centred on it. The page follows the image's stored
+ * orientation and is then rotated so the photo reads upright.
+ */
+function addImagePage(pdf, image, rotation) {
+  const [short, long] = LETTER_PAGE;
+  const [pageWidth, pageHeight] = image.width > image.height ? [long, short] : [short, long];
+  const scale = Math.min(pageWidth / image.width, pageHeight / image.height);
+  const width = image.width * scale;
+  const height = image.height * scale;
+
+  const page = pdf.addPage([pageWidth, pageHeight]);
+  page.drawImage(image, { x: (pageWidth - width) / 2, y: (pageHeight - height) / 2, width, height });
+  if (rotation) {
+    page.setRotation(degrees(rotation));
+  }
+}
+
+/**
+ * Build one PDF from images and PDFs, in order. Photos get a page each and are turned upright
+ * from their EXIF orientation; PDF parts contribute all their pages unchanged.
+ *
+ * @param {Array<{ buffer: Buffer, mimeType: string, name?: string }>} parts
+ * @param {Object} [options]
+ * @param {boolean} [options.grayscale] - Re-encode photos as compressed grayscale
+ * @returns {Promise<{ buffer: Buffer, pageCount: number }>}
+ * @throws 422 when a PDF part can't be read
+ */
+async function assemblePdf(parts, { grayscale = false } = {}) {
+  const pdf = await PDFDocument.create();
+
+  for (const part of parts) {
+    // pdf-lib reads the underlying ArrayBuffer from its start, so pooled Buffer slices are copied out
+    const bytes = new Uint8Array(part.buffer);
+
+    if (part.mimeType === 'application/pdf') {
+      let pages;
+      try {
+        const source = await PDFDocument.load(bytes);
+        pages = await pdf.copyPages(source, source.getPageIndices());
+      } catch (_err) {
+        throw createError(422, `${part.name || 'A PDF'} could not be read for merging`);
+      }
+      pages.forEach((page) => pdf.addPage(page));
+      continue;
+    }
+
+    const isPng = part.mimeType === 'image/png';
+    const rotation = isPng ? 0 : ORIENTATION_ROTATION[readJpegOrientation(part.buffer)] || 0;
+    let image;
+    if (grayscale) {
+      image = await pdf.embedJpg(new Uint8Array(await toGrayscaleJpeg(part.buffer, part.mimeType)));
+    } else {
+      image = isPng ? await pdf.embedPng(bytes) : await pdf.embedJpg(bytes);
+    }
+    addImagePage(pdf, image, rotation);
+  }
+
+  return { buffer: Buffer.from(await pdf.save()), pageCount: pdf.getPageCount() };
+}
+
+/**
+ * Merge a loan's uploads into one PDF, stored as a new DocumentUpload that is scanned like any
+ * other upload. The parts are linked to it through `mergedInto` so only the combined file is
+ * sent to the POS.
+ *
+ * @param {Object} loan - LoanApplication
+ * @param {Object} input - `documentIds` (page order), `documentType`, optional `fileName`,
+ *   `description`, `grayscale`, `posSystem`
+ * @param {Object} user - Merging user
+ * @param {Object} [req] - Express request, for the audit entry
+ * @returns {Promise<Object>} The combined DocumentUpload
+ * @throws 400 for too few/many or repeated parts, 404 when a part isn't on the loan,
+ *   403/423 when a part hasn't scanned clean, 409 when a part has been replaced, synced or
+ *   already merged
+ */
+async function mergeUploads(loan, { documentIds, documentType, fileName, description, grayscale, posSystem = 'blend' }, user, req) {
+  const ids = documentIds.map(String);
+  if (ids.length < 2) {
+    throw createError(400, 'Select at least two documents to merge');
+  }
+  if (ids.length > MAX_MERGE_PARTS) {
+    throw createError(400, `Merge at most ${MAX_MERGE_PARTS} documents at a time`);
+  }
+  if (new Set(ids).size !== ids.length) {
+    throw createError(400, 'Each document can only appear once');
+  }
+
+  const found = await DocumentUpload.find({ _id: { $in: ids }, loan: loan._id, status: { $ne: 'deleted' } });
+  const parts = ids.map((id) => found.find((doc) => doc._id.toString() === id));
+  if (parts.some((part) => !part)) {
+    throw createError(404, 'One or more documents were not found on this loan');
+  }
+  // Infected or still-quarantined files can't end up inside a clean-looking PDF
+  parts.forEach((part) => antivirusService.assertClean(part));
+  parts.forEach((part) => documentVersionService.assertLatest(part));
+  // The POS gets the combined file only, so a part it already has can't go into one
+  if (parts.some((part) => part.status === 'synced' || part.mergedInto)) {
+    throw createError(409, 'One or more documents were already sent to the POS or merged into another document');
+  }
+
+  const sources = [];
+  for (const part of parts) {
+    sources.push({
+      buffer: await azureBlobService.downloadFile(part.blobName),
+      mimeType: part.mimeType === 'image/jpg' ? 'image/jpeg' : part.mimeType,
+      name: part.originalFileName,
+    });
+  }
+  const { buffer, pageCount } = await assemblePdf(sources, { grayscale });
+
+  const baseName = fileName ? path.basename(fileName, path.extname(fileName)) : documentType;
+  const originalFileName = `${baseName}.pdf`;
+  const blobName = `${loan._id}/${documentType}/${uuidv4()}.pdf`;
+  const blobResult = await azureBlobService.uploadFile(blobName, buffer, 'application/pdf', {
+    loanId: loan._id.toString(),
+    documentType,
+    uploadedBy: user._id.toString(),
+    originalFileName,
+  });
+
+  const combined = new DocumentUpload({
+    loan: loan._id,
+    uploadedBy: user._id,
+    fileName: blobName,
+    originalFileName,
+    fileSize: buffer.length,
+    mimeType: 'application/pdf',
+    documentType,
+    description,
+    blobUrl: blobResult.blobUrl,
+    blobContainer: blobResult.blobContainer,
+    blobName: blobResult.blobName,
+    status: 'uploaded',
+    posSystem,
+    mergedFrom: parts.map((part) => part._id),
+    metadata: { pageCount },
+  });
+  await combined.save();
+
+  await antivirusService.scanDocument(combined, buffer, req);
+  await DocumentUpload.updateMany({ _id: { $in: combined.mergedFrom } }, { mergedInto: combined._id });
+
+  await audit(
+    {
+      action: 'document.merge',
+      entityType: 'DocumentUpload',
+      entityId: combined._id.toString(),
+      metadata: {
+        loanId: loan._id.toString(),
+        mergedFrom: ids,
+        pageCount,
+        grayscale: Boolean(grayscale),
+      },
+    },
+    req
+  );
+
+  return combined;
+}
+
+module.exports = {
+  toGrayscaleJpeg,
+  assemblePdf,
+  mergeUploads,
+};
@@ -0,0 +1,263 @@
+const createError = require('http-errors');
+const DocumentUpload = require('../models/DocumentUpload');
+const azureBlobService = require('./azureBlobService');
+const textExtractionService = require('./textExtractionService');
+const documentRequestService = require('./documentRequestService');
+const { audit } = require('../utils/audit');
+const logger = require('../utils/logger');
+const { KEYWORD_RULES, MIN_SCORE } = require('../config/documentClassification');
+
+const DATE = String.raw`(\d{1,2}[/-]\d{1,2}[/-]\d{2,4}|[A-Za-z]{3,9}\.? \d{1,2},? \d{4})`;
+// Amounts need cents or thousands separators so box and line numbers aren't read as money
+const AMOUNT = String.raw`\$?\s?(\d{1,3}(?:,\d{3})+(?:\.\d{2})?|\d+\.\d{2})`;
+const RANGE = String.raw`\s*(?:-|–|to|through)\s*`;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toAmount = (value) => (value ? Number(value.replace(/,/g, '')) : undefined);
+
+/**
+ * Dates as YYYY-MM-DD; anything unparseable is kept as printed.
+ */
+function toDate(value) {
+  if (!value) return undefined;
+  const numeric = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2,4})$/);
+  if (numeric) {
+    const year = numeric[3].length === 2 ? 2000 + Number(numeric[3]) : Number(numeric[3]);
+    return `${year}-${numeric[1].padStart(2, '0')}-${numeric[2].padStart(2, '0')}`;
+  }
+  const parsed = new Date(`${value.replace(/\./g, '')} UTC`);
+  return Number.isNaN(parsed.getTime()) ? value : parsed.toISOString().slice(0, 10);
+}
+
+const find = (text, pattern) => text.match(new RegExp(pattern, 'i'));
+
+// Per-type field readers. ID documents keep only their kind and expiry; names, numbers and
+// dates of birth are deliberately not copied out of the image.
+const FIELD_EXTRACTORS = {
+  paystub(text) {
+    const period = find(text, String.raw`pay period[^\d\n]{0,20}?${DATE}${RANGE}${DATE}`);
+    return {
+      employer: find(text, String.raw`(?:employer|company)(?: name)?\s*[:-]\s*([^\n]+)`)?.[1].trim(),
+      payPeriodStart: toDate(period?.[1] || find(text, String.raw`period (?:beginning|start(?:ing)?)\s*[:-]?\s*${DATE}`)?.[1]),
+      payPeriodEnd: toDate(period?.[2] || find(text, String.raw`period ending\s*[:-]?\s*${DATE}`)?.[1]),
+      payDate: toDate(find(text, String.raw`(?:pay|check) date\s*[:-]?\s*${DATE}`)?.[1]),
+      grossPay: toAmount(find(text, String.raw`gross pay[\s\S]{0,40}?${AMOUNT}`)?.[1]),
+      netPay: toAmount(find(text, String.raw`net pay[\s\S]{0,40}?${AMOUNT}`)?.[1]),
+    };
+  },
+  w2(text) {
+    const year = find(text, String.raw`wage and tax statement\s*(20\d{2})|(20\d{2})\s*(?:form\s*)?w-?2\b|form\s*w-?2[^\n]{0,40}?(20\d{2})`);
+    return {
+      employer: find(text, String.raw`employer'?s name[^\n]*\n\s*([^\n]+)`)?.[1].trim(),
+      employerEin: find(text, String.raw`\b(\d{2}-\d{7})\b`)?.[1],
+      taxYear: year ? Number(year[1] || year[2] || year[3]) : undefined,
+      wages: toAmount(find(text, String.raw`wages,? tips,? other comp[\s\S]{0,40}?${AMOUNT}`)?.[1]),
+      federalTaxWithheld: toAmount(find(text, String.raw`federal income tax withheld[\s\S]{0,40}?${AMOUNT}`)?.[1]),
+    };
+  },
+  bank_statement(text) {
+    const period = find(text, String.raw`(?:statement period|for the period)[^\d\n]{0,20}?${DATE}${RANGE}${DATE}`);
+    const account = find(text, String.raw`account (?:number|no\.?|#)\s*[:-]?\s*([x*•\d -]{4,})`)?.[1].replace(/\D/g, '');
+    return {
+      statementPeriodStart: toDate(period?.[1]),
+      statementPeriodEnd: toDate(period?.[2]),
+      accountLast4: account && account.length >= 4 ? account.slice(-4) : undefined,
+      beginningBalance: toAmount(find(text, String.raw`(?:beginning|opening|previous) balance[\s\S]{0,40}?${AMOUNT}`)?.[1]),
+      statementBalance: toAmount(find(text, String.raw`(?:ending|closing|new) balance[\s\S]{0,40}?${AMOUNT}`)?.[1]),
+    };
+  },
+  id(text) {
+    let idType = 'state_id';
+    if (/driver'?s? licen[cs]e/i.test(text)) idType = 'drivers_license';
+    else if (/passport/i.test(text)) idType = 'passport';
+    return {
+      idType,
+      expirationDate: toDate(find(text, String.raw`\bexp(?:ires|iration)?(?: date)?\s*[:-]?\s*${DATE}`)?.[1]),
+    };
+  },
+  tax_return(text) {
+    const year = find(text, String.raw`form\s*1040[^\n]{0,60}?(20\d{2})|(20\d{2})\s*form\s*1040|individual income tax return\s*(20\d{2})`);
+    return {
+      taxYear: year ? Number(year[1] || year[2] || year[3]) : undefined,
+      adjustedGrossIncome: toAmount(find(text, String.raw`adjusted gross income[\s\S]{0,60}?${AMOUNT}`)?.[1]),
+      taxableIncome: toAmount(find(text, String.raw`taxable income[\s\S]{0,60}?${AMOUNT}`)?.[1]),
+    };
+  },
+};
+
+// Field names each reader can produce, the only ones a reviewer may correct
+const FIELD_NAMES = Object.fromEntries(
+  Object.entries(FIELD_EXTRACTORS).map(([documentType, extractor]) => [documentType, Object.keys(extractor(''))])
+);
+
+/**
+ * Score text against each type's keyword rules.
+ *
+ * @returns {Array<{ documentType: string, score: number }>} Best first, zero scores left out
+ */
+function scoreText(text) {
+  const normalized = text.toLowerCase().replace(/\s+/g, ' ');
+  return Object.entries(KEYWORD_RULES)
+    .map(([documentType, rules]) => ({
+      documentType,
+      score: rules.reduce((sum, [pattern, weight]) => sum + (pattern.test(normalized) ? weight : 0), 0),
+    }))
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Suggest a document type from text. Confidence is the best type's share of all matched weight,
+ * so text that looks like two kinds of document scores low.
+ *
+ * @returns {{ documentType: string|null, confidence: number }}
+ */
+function classifyText(text) {
+  const scores = scoreText(text || '');
+  const best = scores[0];
+  if (!best || best.score < MIN_SCORE) {
+    return { documentType: null, confidence: 0 };
+  }
+  const total = scores.reduce((sum, entry) => sum + entry.score, 0);
+  return { documentType: best.documentType, confidence: round2(best.score / total) };
+}
+
+/**
+ * Read the key fields for a type, leaving out any that weren't found.
+ */
+function extractFields(documentType, text) {
+  const extractor = FIELD_EXTRACTORS[documentType];
+  if (!extractor || !text) return {};
+  return Object.fromEntries(Object.entries(extractor(text)).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+/**
+ * Classify a DocumentUpload from its text and store the suggestion and extracted fields.
+ * The declared `documentType` is left alone until an LO reviews the suggestion. Failures are
+ * recorded on the document rather than thrown, so uploads never fail on classification.
+ * Runs alongside the POS sync, so the result is written with updateOne rather than save().
+ *
+ * @param {Object} doc - DocumentUpload
+ * @param {Buffer} [buffer] - File content when the caller has it; otherwise read from storage
+ * @returns {Promise<Object>} The updated document
+ */
+async function classifyDocument(doc, buffer) {
+  const declaredType = doc.classification?.declaredType || doc.documentType;
+  let classification;
+  let extracted = {};
+
+  try {
+    const content = buffer || (await azureBlobService.downloadFile(doc.blobName));
+    const { text, source } = await textExtractionService.extractText(content, doc.mimeType === 'image/jpg' ? 'image/jpeg' : doc.mimeType);
+    const { documentType, confidence } = classifyText(text);
+
+    classification = {
+      status: documentType ? 'suggested' : 'unclassified',
+      suggestedType: documentType || undefined,
+      confidence,
+      declaredType,
+      textSource: source,
+      classifiedAt: new Date(),
+    };
+    extracted = extractFields(documentType, text);
+
+    if (documentType && documentType !== declaredType) {
+      logger.info('Document may be misfiled', { documentId: doc._id, declaredType, suggestedType: documentType, confidence });
+    }
+  } catch (error) {
+    logger.error('Document classification failed', { documentId: doc._id, error: error.message });
+    classification = { status: 'failed', declaredType, error: error.message, classifiedAt: new Date() };
+  }
+
+  try {
+    await DocumentUpload.updateOne({ _id: doc._id }, { $set: { classification, 'metadata.extracted': extracted } });
+  } catch (error) {
+    logger.error('Failed to save document classification', { documentId: doc._id, error: error.message });
+  }
+
+  // Keep the caller's copy in step; a later save() writes the same values
+  doc.set({ classification, 'metadata.extracted': extracted });
+  return doc;
+}
+
+/**
+ * Accept or correct a classification. Without a `documentType` the suggestion is accepted;
+ * with one, the document is filed under it. Corrected `fields` replace extracted values. A
+ * released document filed under a new type closes out needs-list requests for that type.
+ *
+ * @param {Object} doc - DocumentUpload
+ * @param {Object} review - Optional `documentType` and `fields`
+ * @param {Object} reviewer - Reviewing user
+ * @param {Object} [req] - Express request, for the audit entry
+ * @throws 400 when accepting a document with no suggestion, or for fields the type doesn't have
+ */
+async function reviewClassification(doc, { documentType, fields }, reviewer, req) {
+  const suggestedType = doc.classification?.suggestedType;
+  const finalType = documentType || suggestedType;
+  if (!finalType) {
+    throw createError(400, 'There is no suggested type to accept; choose a document type');
+  }
+  if (fields) {
+    const allowed = FIELD_NAMES[finalType] || [];
+    const unknown = Object.keys(fields).filter((name) => !allowed.includes(name));
+    if (unknown.length) {
+      throw createError(400, `Unknown ${finalType} fields: ${unknown.join(', ')}`);
+    }
+    if (Object.values(fields).some((value) => value !== null && typeof value === 'object')) {
+      throw createError(400, 'Field values must be text, numbers or null');
+    }
+  }
+
+  const previousType = doc.documentType;
+  doc.documentType = finalType;
+  if (!doc.classification?.declaredType) {
+    doc.set('classification.declaredType', previousType);
+  }
+  doc.set('classification.status', finalType === suggestedType ? 'accepted' : 'corrected');
+  doc.set('classification.reviewedBy', reviewer._id);
+  doc.set('classification.reviewedAt', new Date());
+  if (fields) {
+    doc.set('metadata.extracted', { ...(finalType === suggestedType ? doc.metadata?.extracted : {}), ...fields });
+  } else if (finalType !== suggestedType) {
+    // Fields read for the wrong type don't apply
+    doc.set('metadata.extracted', {});
+  }
+  await doc.save();
+
+  // Held, merged and quarantined documents close out requests when they are released
+  const released = doc.avStatus === 'clean' && !doc.mergedInto && ['uploaded', 'synced'].includes(doc.status);
+  if (finalType !== previousType && released) {
+    try {
+      await documentRequestService.fulfillMatchingRequests(doc.loan._id || doc.loan, finalType, doc._id);
+    } catch (error) {
+      logger.error('Failed to fulfill document requests after review', { documentId: doc._id, error: error.message });
+    }
+  }
+
+  await audit(
+    {
+      action: 'document.classification.review',
+      entityType: 'DocumentUpload',
+      entityId: doc._id.toString(),
+      metadata: {
+        status: doc.classification.status,
+        previousType,
+        documentType: finalType,
+        suggestedType,
+        fieldsCorrected: fields ? Object.keys(fields) : [],
+      },
+    },
+    req
+  );
+
+  return doc;
+}
+
+module.exports = {
+  scoreText,
+  classifyText,
+  extractFields,
+  classifyDocument,
+  reviewClassification,
+};
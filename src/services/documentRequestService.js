@@ -0,0 +1,145 @@
+const DocumentRequest = require('../models/DocumentRequest');
+const LoanApplication = require('../models/LoanApplication');
+const Notification = require('../models/Notification');
+const smsNotificationService = require('./smsNotificationService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Start reminding this many days before the due date, at most once a day
+const REMINDER_LEAD_DAYS = 2;
+const REMINDER_INTERVAL_MS = DAY_MS;
+
+const requestLabel = (request) => request.description || request.documentType.replace(/_/g, ' ');
+
+/**
+ * Text the borrower about a request. SMS failures are logged so the caller's
+ * work (creating the request, recording the reminder) still goes through.
+ */
+async function notifyBorrower(request, loan) {
+  await Notification.create({
+    user: loan.borrower._id || loan.borrower,
+    type: 'status',
+    title: 'Document requested',
+    body: `Please upload your ${requestLabel(request)}${request.dueDate ? ` by ${request.dueDate.toLocaleDateString()}` : ''}.`,
+    metadata: { loanId: loan._id, documentRequestId: request._id, documentType: request.documentType },
+  });
+
+  if (!loan.borrower?.phone) return false;
+  try {
+    await smsNotificationService.sendDocumentRequest(
+      loan._id,
+      requestLabel(request),
+      loan.borrower.phone,
+      loan.assignedOfficer,
+      request.dueDate
+    );
+    return true;
+  } catch (err) {
+    logger.warn('Failed to send document request SMS', { documentRequestId: request._id.toString(), error: err.message });
+    return false;
+  }
+}
+
+const loadLoanForNotification = (loanId) =>
+  LoanApplication.findById(loanId).populate('borrower', 'name phone').populate('assignedOfficer', 'name phone');
+
+/**
+ * Create a request and let the borrower know about it.
+ */
+async function createRequest(loanId, { documentType, description, dueDate }, actor) {
+  const request = await DocumentRequest.create({
+    loan: loanId,
+    documentType,
+    description,
+    dueDate,
+    requestedBy: actor._id,
+  });
+
+  const loan = await loadLoanForNotification(loanId);
+  if (loan) await notifyBorrower(request, loan);
+
+  return request;
+}
+
+/**
+ * Mark outstanding requests for this document type fulfilled by an upload.
+ *
+ * @returns {Promise<number>} Number of requests fulfilled
+ */
+async function fulfillMatchingRequests(loanId, documentType, documentUploadId) {
+  const result = await DocumentRequest.updateMany(
+    { loan: loanId, documentType, status: 'outstanding' },
+    { $set: { status: 'fulfilled', fulfilledAt: new Date(), fulfilledBy: documentUploadId } }
+  );
+  return result.modifiedCount || 0;
+}
+
+/**
+ * Remind borrowers about requests coming due within REMINDER_LEAD_DAYS.
+ */
+async function sendDueReminders(now = new Date()) {
+  const requests = await DocumentRequest.find({
+    status: 'outstanding',
+    dueDate: { $gte: now, $lte: new Date(now.getTime() + REMINDER_LEAD_DAYS * DAY_MS) },
+    $or: [
+      { 'reminders.lastSentAt': null },
+      { 'reminders.lastSentAt': { $lte: new Date(now.getTime() - REMINDER_INTERVAL_MS) } },
+    ],
+  });
+
+  let sent = 0;
+  for (const request of requests) {
+    try {
+      const loan = await loadLoanForNotification(request.loan);
+      if (!loan) continue;
+      await notifyBorrower(request, loan);
+      request.reminders.count += 1;
+      request.reminders.lastSentAt = now;
+      await request.save();
+      sent++;
+    } catch (err) {
+      logger.error('Failed to send document request reminder', { documentRequestId: request._id.toString(), error: err.message });
+    }
+  }
+  return sent;
+}
+
+/**
+ * Notify the loan officer (or the requester when no LO is assigned) once a request is past due.
+ */
+async function escalateOverdue(now = new Date()) {
+  const requests = await DocumentRequest.find({
+    status: 'outstanding',
+    dueDate: { $lt: now },
+    escalatedAt: null,
+  }).populate('loan', 'borrower assignedOfficer propertyAddress');
+
+  let escalated = 0;
+  for (const request of requests) {
+    try {
+      const recipient = request.loan?.assignedOfficer || request.requestedBy;
+      await Notification.create({
+        user: recipient,
+        type: 'status',
+        title: 'Document request overdue',
+        body: `${requestLabel(request)} was due ${request.dueDate.toLocaleDateString()} and has not been uploaded.`,
+        metadata: { loanId: request.loan?._id, documentRequestId: request._id, documentType: request.documentType },
+      });
+      request.escalatedAt = now;
+      await request.save();
+      escalated++;
+    } catch (err) {
+      logger.error('Failed to escalate overdue document request', { documentRequestId: request._id.toString(), error: err.message });
+    }
+  }
+  return escalated;
+}
+
+module.exports = {
+  REMINDER_LEAD_DAYS,
+  createRequest,
+  fulfillMatchingRequests,
+  sendDueReminders,
+  escalateOverdue,
+};
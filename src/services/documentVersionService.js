@@ -0,0 +1,222 @@
+const path = require('path');
+const createError = require('http-errors');
+const { v4: uuidv4 } = require('uuid');
+const DocumentUpload = require('../models/DocumentUpload');
+const AuditLog = require('../models/AuditLog');
+const azureBlobService = require('./azureBlobService');
+const antivirusService = require('./antivirusService');
+const fileContentService = require('./fileContentService');
+const { audit } = require('../utils/audit');
+
+/**
+ * Id shared by every version of a document: the first version's own id.
+ */
+const versionGroupOf = (doc) => doc.versionGroup || doc._id;
+
+/**
+ * Refuse changes to an earlier version. Earlier versions stay as they were when replaced so the
+ * history shows exactly what was on file at the time.
+ *
+ * @throws 409 when a newer version exists
+ */
+function assertLatest(doc) {
+  if (doc.supersededBy) {
+    throw createError(409, `Version ${doc.version || 1} of this document has been replaced and is read-only`);
+  }
+}
+
+/**
+ * Refuse to delete any version of a replaced document. Deleting the latest would leave the version
+ * before it pointing at a deleted document, and the document could never be corrected again; a
+ * wrong replacement is fixed by replacing it.
+ *
+ * @throws 409 when the document replaced another version or has been replaced itself
+ */
+function assertDeletable(doc) {
+  assertLatest(doc);
+  if (doc.replaces) {
+    throw createError(409, 'Replaced documents can\'t be deleted; upload a new version instead');
+  }
+}
+
+/**
+ * Store a new version of a document. The file goes through the same content checks and virus
+ * scan as any upload, and inherits the document's type and POS. The previous version is marked
+ * superseded in the same step that claims it, so two replacements can't both succeed.
+ *
+ * @param {Object} previous - Latest DocumentUpload
+ * @param {Object} file - Multer file
+ * @param {Object} options - Optional `description`
+ * @param {Object} user - Uploading user
+ * @param {Object} [req] - Express request, for the audit entry
+ * @returns {Promise<Object>} The new version
+ * @throws 400 when the file fails content checks, 409 when `previous` isn't the latest version
+ *   or was merged into another document
+ */
+async function replaceDocument(previous, file, { description } = {}, user, req) {
+  assertLatest(previous);
+  if (previous.mergedInto) {
+    throw createError(409, 'This file was merged into another document; replace the combined file instead');
+  }
+
+  const content = fileContentService.verifyUpload(file);
+  const loanId = (previous.loan._id || previous.loan).toString();
+  const versionGroup = versionGroupOf(previous);
+  const version = (previous.version || 1) + 1;
+
+  const blobName = `${loanId}/${previous.documentType}/${uuidv4()}${path.extname(file.originalname)}`;
+  const blobResult = await azureBlobService.uploadFile(blobName, content.buffer, content.mimetype, {
+    loanId,
+    documentType: previous.documentType,
+    uploadedBy: user._id.toString(),
+    originalFileName: file.originalname,
+  });
+
+  const replacement = new DocumentUpload({
+    loan: loanId,
+    uploadedBy: user._id,
+    fileName: blobName,
+    originalFileName: file.originalname,
+    fileSize: content.size,
+    mimeType: content.mimetype,
+    documentType: previous.documentType,
+    description: description ?? previous.description,
+    blobUrl: blobResult.blobUrl,
+    blobContainer: blobResult.blobContainer,
+    blobName: blobResult.blobName,
+    // A page held for merging stays held
+    status: previous.status === 'processing' ? 'processing' : 'uploaded',
+    posSystem: previous.posSystem,
+    version,
+    versionGroup,
+    replaces: previous._id,
+    metadata: {
+      uploadSource: 'mobile_app',
+      ipAddress: req?.ip,
+      userAgent: req?.get?.('user-agent'),
+    },
+  });
+
+  const supersededAt = new Date();
+  const claimed = await DocumentUpload.updateOne(
+    { _id: previous._id, supersededBy: null },
+    { $set: { supersededBy: replacement._id, supersededAt, versionGroup } }
+  );
+  if (!claimed.modifiedCount) {
+    await azureBlobService.deleteFile(blobResult.blobName);
+    throw createError(409, 'This document was replaced by someone else; reload to see the latest version');
+  }
+
+  try {
+    await replacement.save();
+  } catch (error) {
+    // Hand the latest-version slot back rather than leave the previous version pointing at nothing
+    await DocumentUpload.updateOne({ _id: previous._id }, { $unset: { supersededBy: 1, supersededAt: 1 } });
+    await azureBlobService.deleteFile(blobResult.blobName);
+    throw error;
+  }
+  previous.set({ supersededBy: replacement._id, supersededAt, versionGroup });
+
+  // Quarantined until the scan comes back clean; a failed scan is retried by avScanJob
+  await antivirusService.scanDocument(replacement, content.buffer, req);
+
+  await audit(
+    {
+      action: 'document.replace',
+      entityType: 'DocumentUpload',
+      entityId: replacement._id.toString(),
+      metadata: {
+        loanId,
+        versionGroup: versionGroup.toString(),
+        version,
+        replaces: previous._id.toString(),
+        previousPosDocumentId: previous.posDocumentId || previous.encompassDocId,
+      },
+    },
+    req
+  );
+
+  return replacement;
+}
+
+/**
+ * Every version of a document, oldest first, each with who downloaded it and when.
+ *
+ * @param {Object} doc - Any version of the document
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDownloads=true] - Attach the download trail
+ * @returns {Promise<Array<Object>>}
+ */
+async function listVersions(doc, { includeDownloads = true } = {}) {
+  const versions = doc.versionGroup
+    ? await DocumentUpload.find({ versionGroup: doc.versionGroup })
+      .populate('uploadedBy', 'name email')
+      .sort({ version: 1 })
+      .lean()
+    : [typeof doc.toObject === 'function' ? doc.toObject() : doc];
+
+  let downloads = [];
+  if (includeDownloads) {
+    downloads = await AuditLog.find({
+      entityType: 'DocumentUpload',
+      entityId: { $in: versions.map((v) => v._id.toString()) },
+      action: 'document.download',
+    })
+      .populate('user', 'name email')
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  return versions.map((v) => {
+    const entry = {
+      id: v._id,
+      version: v.version || 1,
+      latest: !v.supersededBy,
+      originalFileName: v.originalFileName,
+      fileSize: v.fileSize,
+      mimeType: v.mimeType,
+      status: v.status,
+      avStatus: v.avStatus,
+      uploadedBy: v.uploadedBy,
+      uploadedAt: v.createdAt,
+      supersededAt: v.supersededAt,
+      posSystem: v.posSystem,
+      posDocumentId: v.posDocumentId || v.encompassDocId,
+      syncedAt: v.posSyncedAt || v.encompassSyncedAt,
+    };
+    if (includeDownloads) {
+      entry.downloads = downloads
+        .filter((log) => log.entityId === v._id.toString())
+        .map((log) => ({ user: log.user, at: log.createdAt }));
+    }
+    return entry;
+  });
+}
+
+/**
+ * Record a download against the exact version served, so it stays clear which one a reviewer saw.
+ */
+async function recordDownload(doc, req) {
+  await audit(
+    {
+      action: 'document.download',
+      entityType: 'DocumentUpload',
+      entityId: doc._id.toString(),
+      metadata: {
+        versionGroup: versionGroupOf(doc).toString(),
+        version: doc.version || 1,
+        latest: !doc.supersededBy,
+      },
+    },
+    req
+  );
+}
+
+module.exports = {
+  versionGroupOf,
+  assertLatest,
+  assertDeletable,
+  replaceDocument,
+  listVersions,
+  recordDownload,
+};
@@ -103,6 +103,47 @@ class EmailService {
     }
   }
 
+  /**
+   * Send rate quote with PDF attachment
+   */
+  async sendRateQuote(recipient, quoteData, pdfBuffer) {
+    try {
+      if (!this.transporter) {
+        throw new Error('Email transporter not initialized');
+      }
+
+      const mailOptions = {
+        from: process.env.SMTP_FROM || '"First Alliance Home Mortgage" <noreply@fahm.com>',
+        to: recipient,
+        subject: `Your Mortgage Rate Quote - ${quoteData.quoteNumber}`,
+        html: this.generateRateQuoteHTML(quoteData),
+        attachments: [
+          {
+            filename: `Rate_Quote_${quoteData.quoteNumber}.pdf`,
+            content: pdfBuffer,
+            contentType: 'application/pdf'
+          }
+        ]
+      };
+
+      const info = await this.transporter.sendMail(mailOptions);
+
+      logger.info('Rate quote email sent', {
+        messageId: info.messageId,
+        recipient,
+        quoteNumber: quoteData.quoteNumber
+      });
+
+      return {
+        success: true,
+        messageId: info.messageId
+      };
+    } catch (error) {
+      logger.error('Failed to send rate quote email:', error);
+      throw error;
+    }
+  }
+
   /**
    * Generate email HTML with attached PDF
    */
@@ -259,6 +300,64 @@ class EmailService {
     `;
   }
 
+  /**
+   * Generate rate quote email HTML summarizing each option
+   */
+  generateRateQuoteHTML(quoteData) {
+    const primaryColor = quoteData.branding?.primaryColor || '#003B5C';
+    const secondaryColor = quoteData.branding?.secondaryColor || '#FF6B35';
+    const options = quoteData.scenarios.map((scenario) => `
+              <strong>${scenario.label}:</strong> ${scenario.rate.toFixed(3)}% rate, ${scenario.apr.toFixed(3)}% APR,
+              ${this.formatCurrency(scenario.payment.total)}/month<br>`).join('');
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: ${primaryColor}; color: white; padding: 30px; text-align: center; }
+          .content { padding: 30px; background-color: #f9f9f9; }
+          .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+          .highlight { background-color: #fff; padding: 15px; margin: 15px 0; border-left: 4px solid ${secondaryColor}; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Your Rate Quote</h1>
+            ${quoteData.branding?.partnerName ? `<p>In partnership with ${quoteData.branding.partnerName}</p>` : ''}
+          </div>
+
+          <div class="content">
+            <h2>Dear ${quoteData.borrowerName || 'Borrower'},</h2>
+
+            <p>Here are the loan options your loan officer priced for you. The attached quote has the full payment and fee breakdown for each.</p>
+
+            <div class="highlight">
+              <strong>Loan Amount:</strong> ${this.formatCurrency(quoteData.loanAmount)}<br>
+              <strong>Quote Number:</strong> ${quoteData.quoteNumber}<br>
+              <strong>Pricing Valid Through:</strong> ${new Date(quoteData.expiresAt).toLocaleDateString()}
+            </div>
+
+            <div class="highlight">${options}
+            </div>
+
+            <p>Rates are not locked and may change. Open the FAHM app to review your quote and start your application.</p>
+          </div>
+
+          <div class="footer">
+            <p>First Alliance Home Mortgage | ${quoteData.companyNMLS || 'NMLS #00000'} | Equal Housing Lender</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
   /**
    * Format currency
    */
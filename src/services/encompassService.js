@@ -775,6 +775,169 @@ class EncompassService {
     }));
   }
 
+  /**
+   * Map an Encompass v3 loan object onto the typed LoanApplication fields.
+   *
+   * Only values present in Encompass are returned so a partial loan file
+   * never blanks out data captured in the app.
+   *
+   * @param {object} details - Raw loan from GET /encompass/v3/loans/{id}
+   * @returns {object} Fields suitable for loan.set()
+   */
+  transformLoanDetails(details) {
+    if (!details || typeof details !== 'object') return {};
+
+    const application = Array.isArray(details.applications) ? details.applications[0] || {} : {};
+    const property = details.property || {};
+    const employment = Array.isArray(application.employment) ? application.employment : [];
+    const assets = Array.isArray(application.assets) ? application.assets : [];
+
+    const termMonths = this._toNumber(details.loanAmortizationTermMonths);
+
+    const mapped = {
+      amount: this._toNumber(details.borrowerRequestedLoanAmount ?? details.baseLoanAmount),
+      interestRate: this._toNumber(details.requestedInterestRatePercent),
+      loanTerm: termMonths ? Math.round(termMonths / 12) : undefined,
+      productType: this.mapMortgageType(details.mortgageType),
+      loanPurpose: this.mapLoanPurpose(property.loanPurposeType),
+      occupancy: this.mapOccupancy(property.propertyUsageType),
+      ltv: this._toNumber(details.ltv),
+      downPayment: this._toNumber(details.downPaymentAmount),
+      estimatedClosingDate: details.estimatedClosingDate,
+      property: {
+        address: {
+          street: property.streetAddress,
+          city: property.city,
+          state: property.state,
+          zip: this._normalizeZip(property.postalCode),
+          county: property.county,
+        },
+        numberOfUnits: this._toNumber(property.financedNumberOfUnits),
+        purchasePrice: this._toNumber(details.purchasePriceAmount),
+        appraisedValue: this._toNumber(details.propertyAppraisedValueAmount),
+        estimatedValue: this._toNumber(details.propertyEstimatedValueAmount),
+      },
+      dti: {
+        frontEnd: this._toNumber(application.topRatioPercent),
+        backEnd: this._toNumber(application.bottomRatioPercent),
+      },
+      borrowerInfo: this.transformParty(application.borrower, employment.filter((e) => e.owner !== 'CoBorrower')),
+      coBorrowerInfo: this.transformParty(application.coborrower, employment.filter((e) => e.owner === 'CoBorrower')),
+      assets: assets
+        .filter((a) => this._toNumber(a.cashOrMarketValueAmount) !== undefined)
+        .map((a) => ({
+          type: this.mapAssetType(a.assetType),
+          institution: a.holderName,
+          balance: this._toNumber(a.cashOrMarketValueAmount),
+          owner: a.owner === 'CoBorrower' ? 'co_borrower' : a.owner === 'Both' ? 'joint' : 'borrower',
+        })),
+    };
+
+    if (mapped.assets.length === 0) delete mapped.assets;
+
+    return this._compact(mapped);
+  }
+
+  /**
+   * Map an Encompass borrower/co-borrower plus their employment records.
+   */
+  transformParty(party, employment = []) {
+    if (!party || (!party.firstName && !party.lastName)) return undefined;
+
+    const income = [];
+    const jobs = employment
+      .filter((e) => e.employerName)
+      .map((e) => {
+        const name = e.employerName;
+        [
+          ['base', e.basePayAmount],
+          ['overtime', e.overtimeAmount],
+          ['bonus', e.bonusAmount],
+          ['commission', e.commissionsAmount],
+        ].forEach(([type, amount]) => {
+          const monthlyAmount = this._toNumber(amount);
+          if (monthlyAmount) income.push({ type: e.selfEmployedIndicator && type === 'base' ? 'self_employment' : type, monthlyAmount, source: name });
+        });
+        return {
+          employerName: name,
+          position: e.positionDescription,
+          employerPhone: e.phoneNumber,
+          startDate: e.startDate,
+          endDate: e.endDate,
+          isCurrent: e.currentEmploymentIndicator !== false,
+          isSelfEmployed: Boolean(e.selfEmployedIndicator),
+          yearsInLineOfWork: this._toNumber(e.timeInLineOfWorkYears),
+        };
+      });
+
+    const maritalMap = { Married: 'married', Separated: 'separated', Unmarried: 'unmarried' };
+
+    return {
+      firstName: party.firstName,
+      middleName: party.middleName,
+      lastName: party.lastName,
+      suffix: party.suffixToName,
+      email: party.emailAddressText,
+      phone: party.mobilePhone || party.homePhoneNumber,
+      dateOfBirth: party.birthDate,
+      maritalStatus: maritalMap[party.maritalStatusType],
+      dependents: this._toNumber(party.dependentCount),
+      creditScore: this._toNumber(party.experianCreditScore || party.equifaxScore || party.transUnionScore),
+      employment: jobs,
+      income,
+    };
+  }
+
+  mapMortgageType(mortgageType) {
+    const typeMap = {
+      conventional: 'conventional',
+      fha: 'fha',
+      va: 'va',
+      farmershomeadministration: 'usda',
+      usda: 'usda',
+      'usda-rhs': 'usda',
+    };
+    return typeMap[mortgageType?.toLowerCase()];
+  }
+
+  mapLoanPurpose(purposeType) {
+    const purposeMap = {
+      purchase: 'purchase',
+      refinance: 'refinance',
+      'nocash-out refinance': 'refinance',
+      'cash-out refinance': 'cash_out_refinance',
+      cashoutrefinance: 'cash_out_refinance',
+    };
+    return purposeMap[purposeType?.toLowerCase()];
+  }
+
+  mapOccupancy(usageType) {
+    const occupancyMap = {
+      primaryresidence: 'primary',
+      primary: 'primary',
+      secondhome: 'second_home',
+      investor: 'investment',
+      investment: 'investment',
+    };
+    return occupancyMap[usageType?.toLowerCase()];
+  }
+
+  mapAssetType(assetType) {
+    const assetMap = {
+      checkingaccount: 'checking',
+      savingsaccount: 'savings',
+      moneymarketfund: 'money_market',
+      certificateofdeposittimedeposit: 'certificate_of_deposit',
+      certificateofdeposit: 'certificate_of_deposit',
+      retirementfund: 'retirement',
+      stocks: 'brokerage',
+      mutualfund: 'brokerage',
+      giftofcash: 'gift',
+      earnestmoneycashdeposittowardpurchase: 'earnest_money',
+    };
+    return assetMap[assetType?.toLowerCase()] || 'other';
+  }
+
   mapMilestoneStatus(encompassStatus) {
     if (typeof encompassStatus === 'boolean') {
       return encompassStatus ? 'completed' : 'pending';
@@ -804,6 +967,38 @@ class EncompassService {
     return roleMap[encompassRole?.toLowerCase()] || 'other';
   }
 
+  _toNumber(value) {
+    if (value === null || value === undefined || value === '') return undefined;
+    const num = parseFloat(value);
+    return Number.isFinite(num) ? num : undefined;
+  }
+
+  _normalizeZip(zip) {
+    if (!zip) return undefined;
+    const digits = String(zip).replace(/\D/g, '');
+    if (digits.length === 9) return `${digits.slice(0, 5)}-${digits.slice(5)}`;
+    return digits.length === 5 ? digits : undefined;
+  }
+
+  /**
+   * Recursively drop undefined/null values and empty objects.
+   */
+  _compact(obj) {
+    const result = {};
+    for (const [key, value] of Object.entries(obj)) {
+      if (value === undefined || value === null) continue;
+      if (typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+        const nested = this._compact(value);
+        if (Object.keys(nested).length > 0) result[key] = nested;
+      } else if (Array.isArray(value)) {
+        result[key] = value.map((item) => (item && typeof item === 'object' && !(item instanceof Date) ? this._compact(item) : item));
+      } else {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+
   // ───────────────────────────────────────────────────────────────
   //  Error Helpers
   // ───────────────────────────────────────────────────────────────
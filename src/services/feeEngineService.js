@@ -0,0 +1,188 @@
+const { SECTIONS, DEFAULT_TEMPLATE, LOAN_TYPE_TEMPLATES, STATE_TEMPLATES } = require('../config/feeTemplates');
+const { calcMonthlyPayment, calculateAPR, round2 } = require('../utils/mortgageMath');
+
+/**
+ * Layer an override template onto a resolved one. Fee overrides are keyed by code:
+ * an object merges into (or adds) the fee, null removes it.
+ */
+function applyTemplate(base, override) {
+  if (!override) return base;
+  const fees = { ...base.fees };
+  Object.entries(override.fees || {}).forEach(([code, fee]) => {
+    if (fee === null) {
+      delete fees[code];
+    } else {
+      fees[code] = { ...fees[code], ...fee };
+    }
+  });
+  return { settings: { ...base.settings, ...override.settings }, fees };
+}
+
+/**
+ * Resolve the fee template for a state and loan type.
+ */
+function resolveTemplate({ state, productType } = {}) {
+  let template = { settings: { ...DEFAULT_TEMPLATE.settings }, fees: { ...DEFAULT_TEMPLATE.fees } };
+  template = applyTemplate(template, LOAN_TYPE_TEMPLATES[productType]);
+  template = applyTemplate(template, STATE_TEMPLATES[state?.toUpperCase()]);
+  return template;
+}
+
+function priceFee(fee, { loanAmount, purchasePrice }) {
+  if (typeof fee.amount === 'number') return fee.amount;
+  if (typeof fee.percentOfLoan === 'number') return (loanAmount * fee.percentOfLoan) / 100;
+  if (typeof fee.percentOfPrice === 'number') return ((purchasePrice || loanAmount) * fee.percentOfPrice) / 100;
+  return 0;
+}
+
+/**
+ * Days of interest collected at closing: closing date through the end of that month.
+ */
+function prepaidInterestDays(closingDate, fallbackDays) {
+  if (!closingDate) return fallbackDays;
+  const date = new Date(closingDate);
+  const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  return daysInMonth - date.getDate() + 1;
+}
+
+/**
+ * Build a Loan-Estimate-shaped closing cost breakdown with Regulation Z APR and cash to close.
+ *
+ * @param {Object} input
+ * @param {number} input.loanAmount
+ * @param {number} input.rate - Note rate (%)
+ * @param {number} input.termYears
+ * @param {number} [input.purchasePrice] - Purchase price, or estimated value for refinances
+ * @param {'purchase'|'refinance'|'cash_out_refinance'} [input.loanPurpose='purchase']
+ * @param {string} [input.productType='conventional']
+ * @param {string} [input.state] - Two-letter property state
+ * @param {number} [input.discountPoints=0] - Points as a percent of the loan amount
+ * @param {number} [input.lenderCredits=0] - Lender credit amount (positive number)
+ * @param {number} [input.taxesAnnual=0]
+ * @param {number} [input.insuranceAnnual=0]
+ * @param {string|Date} [input.closingDate]
+ * @param {number} [input.deposit=0] - Earnest money already paid
+ * @param {number} [input.sellerCredits=0]
+ * @param {number} [input.payoffAmount=0] - Existing liens paid off (refinance)
+ * @param {Object[]} [input.additionalFees] - Extra `{ name, section, amount, financeCharge }` items
+ */
+function buildLoanEstimate(input) {
+  const {
+    loanAmount,
+    rate,
+    termYears,
+    purchasePrice,
+    loanPurpose = 'purchase',
+    productType = 'conventional',
+    state,
+    discountPoints = 0,
+    lenderCredits = 0,
+    taxesAnnual = 0,
+    insuranceAnnual = 0,
+    closingDate,
+    deposit = 0,
+    sellerCredits = 0,
+    payoffAmount = 0,
+    additionalFees = [],
+  } = input;
+
+  const template = resolveTemplate({ state, productType });
+  const { settings } = template;
+  const items = [];
+  const addItem = (code, name, section, amount, financeCharge) => {
+    if (amount > 0) items.push({ code, name, section, amount: round2(amount), financeCharge });
+  };
+
+  Object.entries(template.fees).forEach(([code, fee]) => {
+    if (fee.purposes && !fee.purposes.includes(loanPurpose)) return;
+    addItem(code, fee.name, fee.section, priceFee(fee, { loanAmount, purchasePrice }), fee.financeCharge);
+  });
+
+  if (discountPoints > 0) {
+    addItem('discount_points', `${discountPoints}% of Loan Amount (Points)`, 'A', (loanAmount * discountPoints) / 100, true);
+  }
+
+  additionalFees.forEach((fee, index) => {
+    addItem(fee.code || `additional_${index + 1}`, fee.name, fee.section, Number(fee.amount), Boolean(fee.financeCharge));
+  });
+
+  // Prepaids (F) and initial escrow (G)
+  const interestDays = prepaidInterestDays(closingDate, settings.prepaidInterestDays);
+  const perDiem = (loanAmount * rate) / 100 / 365;
+  addItem('prepaid_interest', `Prepaid Interest (${round2(perDiem)} per day for ${interestDays} days)`, 'F', perDiem * interestDays, true);
+  addItem(
+    'homeowners_insurance_premium',
+    `Homeowner's Insurance Premium (${settings.insurancePremiumMonths} months)`,
+    'F',
+    (insuranceAnnual / 12) * settings.insurancePremiumMonths,
+    false
+  );
+  addItem('prepaid_property_taxes', `Property Taxes (${settings.prepaidTaxMonths} months)`, 'F', (taxesAnnual / 12) * settings.prepaidTaxMonths, false);
+  addItem(
+    'escrow_insurance',
+    `Homeowner's Insurance (${settings.escrowInsuranceMonths} months)`,
+    'G',
+    (insuranceAnnual / 12) * settings.escrowInsuranceMonths,
+    false
+  );
+  addItem('escrow_property_taxes', `Property Taxes (${settings.escrowTaxMonths} months)`, 'G', (taxesAnnual / 12) * settings.escrowTaxMonths, false);
+
+  const sections = Object.entries(SECTIONS).reduce((acc, [key, label]) => {
+    const sectionItems = items.filter((item) => item.section === key);
+    acc[key] = { label, items: sectionItems, total: round2(sectionItems.reduce((sum, item) => sum + item.amount, 0)) };
+    return acc;
+  }, {});
+
+  const loanCosts = round2(sections.A.total + sections.B.total + sections.C.total); // D
+  const otherCosts = round2(sections.E.total + sections.F.total + sections.G.total + sections.H.total); // I
+  const closingCosts = round2(loanCosts + otherCosts - lenderCredits); // J
+
+  // Regulation Z: lender credits offset prepaid finance charges first
+  const prepaidFinanceCharges = round2(
+    Math.max(0, items.filter((item) => item.financeCharge).reduce((sum, item) => sum + item.amount, 0) - lenderCredits)
+  );
+  const monthlyPayment = calcMonthlyPayment(loanAmount, rate, termYears);
+  const totalOfPayments = monthlyPayment * termYears * 12;
+  const amountFinanced = loanAmount - prepaidFinanceCharges;
+  const apr = calculateAPR(loanAmount, monthlyPayment, termYears, prepaidFinanceCharges);
+
+  const isPurchase = loanPurpose === 'purchase';
+  const downPayment = isPurchase && purchasePrice ? Math.max(0, purchasePrice - loanAmount) : 0;
+  const cashToClose = isPurchase
+    ? closingCosts + downPayment - deposit - sellerCredits
+    : closingCosts + payoffAmount - loanAmount - sellerCredits;
+
+  return {
+    template: { state: state ? state.toUpperCase() : null, productType, loanPurpose },
+    sections,
+    totals: {
+      loanCosts,
+      otherCosts,
+      lenderCredits: round2(-lenderCredits),
+      closingCosts,
+    },
+    monthlyPrincipalAndInterest: round2(monthlyPayment),
+    comparisons: {
+      apr: Number(apr.toFixed(3)),
+      amountFinanced: round2(amountFinanced),
+      prepaidFinanceCharges,
+      financeCharge: round2(totalOfPayments - amountFinanced),
+      totalOfPayments: round2(totalOfPayments),
+      totalInterestPercentage: Number((((totalOfPayments - loanAmount) / loanAmount) * 100).toFixed(3)),
+    },
+    cashToClose: {
+      closingCosts,
+      downPayment: round2(downPayment),
+      deposit: round2(-deposit),
+      sellerCredits: round2(-sellerCredits),
+      payoffAmount: isPurchase ? 0 : round2(payoffAmount),
+      loanAmount: isPurchase ? 0 : round2(-loanAmount),
+      total: round2(cashToClose),
+    },
+  };
+}
+
+module.exports = {
+  resolveTemplate,
+  buildLoanEstimate,
+};
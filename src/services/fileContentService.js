@@ -0,0 +1,322 @@
+const zlib = require('zlib');
+const path = require('path');
+const createError = require('http-errors');
+
+// Canonical MIME type for each accepted extension
+const EXTENSION_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Ancillary PNG chunks that carry EXIF, text (including XMP) or timestamps
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+// Application segments kept on sanitizing: APP0 (JFIF), APP2 ICC profiles and APP14 (Adobe colour
+// transform), so colours render the same. Every other APPn (EXIF, XMP, IPTC, MPF, vendor data)
+// and comments are dropped.
+const JPEG_APP_MARKERS = { first: 0xe0, last: 0xef };
+const JPEG_COMMENT_MARKER = 0xfe;
+
+const keepJpegSegment = (marker, payload) => {
+  if (marker === JPEG_COMMENT_MARKER) return false;
+  if (marker < JPEG_APP_MARKERS.first || marker > JPEG_APP_MARKERS.last) return true;
+  if (marker === 0xe2) return payload.toString('latin1', 0, 12) === 'ICC_PROFILE\0';
+  return marker === 0xe0 || marker === 0xee;
+};
+
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+/**
+ * Map a client-supplied MIME type onto our canonical types. Missing and generic types are null.
+ */
+function normalizeMimeType(mimeType) {
+  if (!mimeType || mimeType === 'application/octet-stream') return null;
+  return mimeType === 'image/jpg' ? 'image/jpeg' : mimeType;
+}
+
+/**
+ * Identify a file from its magic bytes.
+ *
+ * @param {Buffer} buffer
+ * @returns {string|null} `application/pdf`, `image/png`, `image/jpeg`, or null when unrecognised
+ */
+function detectMimeType(buffer) {
+  if (!buffer || buffer.length < 4) return null;
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'image/png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  // PDF readers accept the header anywhere in the first 1KB
+  if (buffer.subarray(0, 1024).includes('%PDF-')) return 'application/pdf';
+  return null;
+}
+
+/**
+ * Decode `#xx` escapes so names like `/J#61vaScript` match their plain form.
+ */
+const decodeNames = (text) => text.replace(/#([0-9a-f]{2})/gi, (_match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+/**
+ * Inflate the object streams of a PDF, where PDF 1.5+ writers put most dictionaries.
+ */
+function objectStreams(text) {
+  const streams = [];
+  const streamStart = /stream\r?\n/g;
+  let match;
+  while ((match = streamStart.exec(text))) {
+    const start = match.index + match[0].length;
+    const end = text.indexOf('endstream', start);
+    if (end === -1) break;
+
+    const header = text.slice(text.lastIndexOf('obj', match.index), match.index);
+    if (/\/Type\s*\/ObjStm/.test(header)) {
+      try {
+        streams.push(zlib.inflateSync(Buffer.from(text.slice(start, end), 'latin1')).toString('latin1'));
+      } catch (_err) {
+        // Not a Flate stream we can read; the raw bytes were already checked
+      }
+    }
+    streamStart.lastIndex = end;
+  }
+  return streams;
+}
+
+/**
+ * Reject PDFs we cannot safely pass on: encrypted files, which can't be scanned or reviewed,
+ * and files with JavaScript, which viewers run on open.
+ *
+ * @param {Buffer} buffer
+ * @throws 400 when the PDF is encrypted or carries JavaScript
+ */
+function inspectPdf(buffer) {
+  const text = buffer.toString('latin1');
+
+  if (/\/Encrypt\b/.test(decodeNames(text))) {
+    throw createError(400, 'Encrypted or password-protected PDFs are not accepted');
+  }
+
+  const sources = [text, ...objectStreams(text)].map(decodeNames);
+  if (sources.some((source) => /\/(JavaScript|JS)\b/.test(source))) {
+    throw createError(400, 'PDFs containing JavaScript are not accepted');
+  }
+}
+
+/**
+ * Read the orientation tag from an EXIF APP1 payload, so stripping EXIF doesn't turn phone photos sideways.
+ *
+ * @returns {number|null}
+ */
+function readExifOrientation(segment) {
+  if (segment.length < 14 || segment.toString('latin1', 0, 6) !== 'Exif\0\0') return null;
+  const tiff = segment.subarray(6);
+  const order = tiff.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') return null;
+
+  const readUInt16 = (offset) => (order === 'II' ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const readUInt32 = (offset) => (order === 'II' ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  try {
+    const ifd = readUInt32(4);
+    const entries = readUInt16(ifd);
+    for (let i = 0; i < entries; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (readUInt16(entry) === EXIF_ORIENTATION_TAG) {
+        return readUInt16(entry + 8);
+      }
+    }
+  } catch (_err) {
+    // Malformed EXIF is dropped like any other
+  }
+  return null;
+}
+
+/**
+ * EXIF orientation of a JPEG (1-8), or null when it has none.
+ */
+function readJpegOrientation(buffer) {
+  let offset = 2;
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    if (marker === 0xda || marker === 0xd9) break;
+
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (marker === 0xe1) {
+      const orientation = readExifOrientation(buffer.subarray(offset + 4, end));
+      if (orientation) return orientation;
+    }
+    offset = end;
+  }
+  return null;
+}
+
+/**
+ * APP1 segment holding only an EXIF orientation tag.
+ */
+function orientationSegment(orientation) {
+  const segment = Buffer.alloc(36);
+  segment.writeUInt16BE(0xffe1, 0);
+  segment.writeUInt16BE(34, 2);
+  segment.write('Exif\0\0MM\0*', 4, 'latin1');
+  segment.writeUInt32BE(8, 14); // IFD0 offset
+  segment.writeUInt16BE(1, 18); // one entry
+  segment.writeUInt16BE(EXIF_ORIENTATION_TAG, 20);
+  segment.writeUInt16BE(3, 22); // SHORT
+  segment.writeUInt32BE(1, 24);
+  segment.writeUInt16BE(orientation, 28);
+  // Next IFD offset (zero) fills the remaining bytes
+  return segment;
+}
+
+/**
+ * End of the entropy-coded data that follows a start-of-scan header: the next marker other than
+ * a stuffed 0xFF00, a restart marker or fill bytes.
+ */
+function entropyDataEnd(buffer, start) {
+  for (let i = start; i + 1 < buffer.length; i++) {
+    if (buffer[i] !== 0xff) continue;
+    const next = buffer[i + 1];
+    if (next !== 0x00 && next !== 0xff && (next < 0xd0 || next > 0xd7)) return i;
+  }
+  return buffer.length;
+}
+
+/**
+ * Rewrite a JPEG keeping only the segments needed to render it: image data, tables, JFIF, ICC
+ * and Adobe colour segments. EXIF is reduced to its orientation tag. Image data is copied as is,
+ * up to the first end-of-image marker; anything after it, such as the secondary images phones
+ * append with their own EXIF and GPS, is dropped.
+ */
+function stripJpegMetadata(buffer) {
+  const parts = [buffer.subarray(0, 2)];
+  let offset = 2;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw createError(400, 'Invalid JPEG image');
+    }
+    const marker = buffer[offset + 1];
+
+    // Fill bytes before a marker
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // End of image: trailing data is never kept
+    if (marker === 0xd9) {
+      parts.push(buffer.subarray(offset, offset + 2));
+      break;
+    }
+    // Markers without a length
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      parts.push(buffer.subarray(offset, offset + 2));
+      offset += 2;
+      continue;
+    }
+
+    if (offset + 4 > buffer.length) {
+      throw createError(400, 'Invalid JPEG image');
+    }
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) {
+      throw createError(400, 'Invalid JPEG image');
+    }
+
+    // Start of scan: the header is followed by image data up to the next marker
+    if (marker === 0xda) {
+      const dataEnd = entropyDataEnd(buffer, end);
+      parts.push(buffer.subarray(offset, dataEnd));
+      offset = dataEnd;
+      continue;
+    }
+
+    if (keepJpegSegment(marker, buffer.subarray(offset + 4, end))) {
+      parts.push(buffer.subarray(offset, end));
+    } else if (marker === 0xe1) {
+      const orientation = readExifOrientation(buffer.subarray(offset + 4, end));
+      if (orientation && orientation !== 1) {
+        parts.push(orientationSegment(orientation));
+      }
+    }
+    offset = end;
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Rewrite a PNG without its EXIF, text and timestamp chunks.
+ */
+function stripPngMetadata(buffer) {
+  const parts = [PNG_SIGNATURE];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset < buffer.length) {
+    if (offset + 12 > buffer.length) {
+      throw createError(400, 'Invalid PNG image');
+    }
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + buffer.readUInt32BE(offset);
+    if (end > buffer.length) {
+      throw createError(400, 'Invalid PNG image');
+    }
+
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Check an uploaded file's content against its declared type and extension, then sanitize it:
+ * PDFs are inspected and images are rewritten without location and camera metadata.
+ *
+ * @param {Object} file - Multer file (`buffer`, `mimetype`, `originalname`)
+ * @param {string[]} [allowedTypes] - Canonical MIME types accepted for this upload
+ * @returns {{ buffer: Buffer, mimetype: string, size: number }} The content to store
+ * @throws 400 when the type isn't allowed, the content doesn't match it, or the file fails inspection
+ */
+function verifyUpload(file, allowedTypes = [...new Set(Object.values(EXTENSION_TYPES))]) {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  const expected = EXTENSION_TYPES[ext];
+  const declared = normalizeMimeType(file.mimetype);
+
+  if (!expected || !allowedTypes.includes(expected)) {
+    throw createError(400, `Files of type ${ext || 'unknown'} are not accepted`);
+  }
+  if (declared && declared !== expected) {
+    throw createError(400, `File type ${file.mimetype} does not match extension ${ext}`);
+  }
+
+  const detected = detectMimeType(file.buffer);
+  if (detected !== expected) {
+    throw createError(400, `File content does not match its declared type ${expected}`);
+  }
+
+  let buffer = file.buffer;
+  if (detected === 'application/pdf') {
+    inspectPdf(buffer);
+  } else if (detected === 'image/jpeg') {
+    buffer = stripJpegMetadata(buffer);
+  } else if (detected === 'image/png') {
+    buffer = stripPngMetadata(buffer);
+  }
+
+  return { buffer, mimetype: detected, size: buffer.length };
+}
+
+module.exports = {
+  EXTENSION_TYPES,
+  normalizeMimeType,
+  detectMimeType,
+  inspectPdf,
+  readJpegOrientation,
+  stripJpegMetadata,
+  stripPngMetadata,
+  verifyUpload,
+};
@@ -0,0 +1,203 @@
+const { LLPA_GRIDS, LLPA_GRID_KEYS } = require('../config/llpaGrids');
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+const labels = {
+  second_home: 'Second home',
+  investment: 'Investment property',
+  condo: 'Condo',
+  manufactured: 'Manufactured home',
+};
+
+const ltvColumn = (ltvBands, ltv) => ltvBands.findIndex((maxLtv) => ltv <= maxLtv);
+
+const ltvRange = (ltvBands, column) =>
+  column === 0 ? `LTV ≤ ${ltvBands[0]}%` : `LTV > ${ltvBands[column - 1]}% to ${ltvBands[column]}%`;
+
+function amountRange({ min, max }) {
+  const format = (amount) => `$${amount.toLocaleString('en-US')}`;
+  if (min && max) return `${format(min)}–${format(max)}`;
+  return max ? `up to ${format(max)}` : `${format(min)} and up`;
+}
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isLtvGrid = (grid) => isObject(grid) && Array.isArray(grid.ltvBands) && Array.isArray(grid.points);
+const isMatrix = (grid) =>
+  isObject(grid) &&
+  Array.isArray(grid.ltvBands) &&
+  Array.isArray(grid.rows) &&
+  grid.rows.every((row) => isObject(row) && typeof row.minScore === 'number' && Array.isArray(row.points));
+const isLtvGridSet = (grids) => isObject(grids) && Object.values(grids).every(isLtvGrid);
+const isAmountTiers = (tiers) => Array.isArray(tiers) && tiers.every((tier) => isObject(tier) && typeof tier.points === 'number');
+
+// Shape check for each grid key, matching the shapes described in config/llpaGrids
+const GRID_SHAPES = {
+  ficoLtv: isMatrix,
+  cashOut: isMatrix,
+  occupancy: isLtvGridSet,
+  propertyType: isLtvGridSet,
+  units: isLtvGridSet,
+  loanAmount: isAmountTiers,
+};
+
+/**
+ * Config grids for the product type, with any grids stored on the product replacing them.
+ * Stored values that aren't grids, such as the flat point adjustments synced from Optimal Blue,
+ * are ignored.
+ */
+function resolveGrids(productType, product) {
+  const grids = { ...(LLPA_GRIDS[productType] || {}) };
+  const overrides = product?.adjustments;
+  if (isObject(overrides)) {
+    for (const key of LLPA_GRID_KEYS) {
+      if (GRID_SHAPES[key](overrides[key])) grids[key] = overrides[key];
+    }
+  }
+  return grids;
+}
+
+/**
+ * Look up a FICO × LTV matrix cell; null when the scenario falls outside the grid.
+ */
+function matrixCell(matrix, creditScore, ltv) {
+  const row = matrix.rows.find((r) => creditScore >= r.minScore);
+  const column = ltvColumn(matrix.ltvBands, ltv);
+  if (!row || column < 0 || row.points[column] == null) return null;
+  return { points: row.points[column], range: `FICO ${row.minScore}+, ${ltvRange(matrix.ltvBands, column)}` };
+}
+
+/**
+ * Adjustment line items for a scenario.
+ *
+ * @param {Object} grids - From resolveGrids
+ * @param {Object} scenario
+ * @param {number} scenario.creditScore
+ * @param {number} scenario.ltv
+ * @param {number} scenario.loanAmount
+ * @param {'primary'|'second_home'|'investment'} [scenario.occupancy='primary']
+ * @param {string} [scenario.propertyType='single_family']
+ * @param {number} [scenario.units=1]
+ * @param {boolean} [scenario.cashOut=false]
+ * @returns {{ adjustments: Array<{code, description, points}>, ineligibleReasons: string[] }}
+ */
+function calculateAdjustments(grids, scenario) {
+  const {
+    creditScore,
+    ltv,
+    loanAmount,
+    occupancy = 'primary',
+    propertyType = 'single_family',
+    units = 1,
+    cashOut = false,
+  } = scenario;
+  const adjustments = [];
+  const ineligibleReasons = [];
+
+  if (grids.ficoLtv) {
+    const cell = matrixCell(grids.ficoLtv, creditScore, ltv);
+    if (cell) {
+      adjustments.push({ code: 'fico_ltv', description: cell.range, points: cell.points });
+    } else {
+      ineligibleReasons.push(`No price for FICO ${creditScore} at ${ltv}% LTV`);
+    }
+  }
+
+  if (cashOut && grids.cashOut) {
+    const cell = matrixCell(grids.cashOut, creditScore, ltv);
+    if (cell) {
+      adjustments.push({ code: 'cash_out', description: `Cash-out refinance, ${cell.range}`, points: cell.points });
+    } else {
+      ineligibleReasons.push(`Cash-out not available for FICO ${creditScore} at ${ltv}% LTV`);
+    }
+  }
+
+  const ltvGridAdjustment = (code, grid, label) => {
+    const column = ltvColumn(grid.ltvBands, ltv);
+    if (column < 0 || grid.points[column] == null) {
+      ineligibleReasons.push(`${label} not available at ${ltv}% LTV`);
+    } else if (grid.points[column] !== 0) {
+      adjustments.push({ code, description: `${label}, ${ltvRange(grid.ltvBands, column)}`, points: grid.points[column] });
+    }
+  };
+
+  if (grids.occupancy?.[occupancy]) {
+    ltvGridAdjustment('occupancy', grids.occupancy[occupancy], labels[occupancy] || occupancy);
+  }
+  if (grids.propertyType?.[propertyType]) {
+    ltvGridAdjustment('property_type', grids.propertyType[propertyType], labels[propertyType] || propertyType);
+  }
+  if (units > 1 && grids.units?.[units]) {
+    ltvGridAdjustment('units', grids.units[units], `${units} units`);
+  }
+
+  const amountTier = (grids.loanAmount || []).find(
+    (tier) => loanAmount >= (tier.min ?? 0) && loanAmount <= (tier.max ?? Infinity)
+  );
+  if (amountTier && amountTier.points !== 0) {
+    adjustments.push({ code: 'loan_amount', description: `Loan amount ${amountRange(amountTier)}`, points: amountTier.points });
+  }
+
+  return { adjustments, ineligibleReasons };
+}
+
+/**
+ * Product eligibility from its stored limits.
+ */
+function checkEligibility(product, scenario) {
+  const { creditScore, ltv, loanAmount, occupancy = 'primary', propertyType = 'single_family' } = scenario;
+  const reasons = [];
+  if (loanAmount < (product.minLoanAmount || 0) || (product.maxLoanAmount && loanAmount > product.maxLoanAmount)) {
+    reasons.push(`Loan amount outside ${product.minLoanAmount || 0}–${product.maxLoanAmount}`);
+  }
+  if (product.maxLTV && ltv > product.maxLTV) reasons.push(`LTV above ${product.maxLTV}%`);
+  if (product.minCreditScore && creditScore < product.minCreditScore) reasons.push(`Credit score below ${product.minCreditScore}`);
+  if (product.allowedOccupancy?.length && !product.allowedOccupancy.includes(occupancy)) {
+    reasons.push(`Occupancy ${occupancy} not allowed`);
+  }
+  if (product.allowedPropertyTypes?.length && !product.allowedPropertyTypes.includes(propertyType)) {
+    reasons.push(`Property type ${propertyType} not allowed`);
+  }
+  return reasons;
+}
+
+/**
+ * Apply LLPAs to a stored product's base price for a scenario.
+ *
+ * @returns {{ basePrice, baseRate, adjustments, totalAdjustment, finalPrice, eligible, ineligibleReasons }}
+ */
+function priceProduct(product, scenario) {
+  const { adjustments, ineligibleReasons } = calculateAdjustments(resolveGrids(product.productType, product), scenario);
+  const totalAdjustment = round3(adjustments.reduce((sum, item) => sum + item.points, 0));
+  const reasons = [...checkEligibility(product, scenario), ...ineligibleReasons];
+
+  return {
+    baseRate: product.baseRate,
+    basePrice: product.basePrice,
+    adjustments,
+    totalAdjustment,
+    finalPrice: product.finalPrice({ adjustments: totalAdjustment }),
+    eligible: reasons.length === 0,
+    ineligibleReasons: reasons,
+  };
+}
+
+/**
+ * Price stored products for a scenario without calling Optimal Blue, eligible products
+ * first and best price first.
+ */
+function priceProducts(products, scenario) {
+  return products
+    .map((product) => ({ ...product.toObject(), scenarioPricing: priceProduct(product, scenario) }))
+    .sort(
+      (a, b) =>
+        b.scenarioPricing.eligible - a.scenarioPricing.eligible ||
+        b.scenarioPricing.finalPrice - a.scenarioPricing.finalPrice
+    );
+}
+
+module.exports = {
+  resolveGrids,
+  calculateAdjustments,
+  priceProduct,
+  priceProducts,
+};
@@ -0,0 +1,92 @@
+const LoanApplication = require('../models/LoanApplication');
+const LoanCondition = require('../models/LoanCondition');
+const smsNotificationService = require('./smsNotificationService');
+const logger = require('../utils/logger');
+
+// Milestone reached once every condition in the category is cleared or waived
+const CATEGORY_MILESTONES = {
+  prior_to_approval: 'Approved',
+  prior_to_doc: 'Clear to Close',
+  prior_to_funding: 'Clear to Fund',
+  post_closing: 'Post-Closing Complete',
+};
+
+const RESOLVED_STATUSES = ['cleared', 'waived'];
+
+/**
+ * Mark the category's milestone completed when no outstanding conditions remain,
+ * then let the borrower know by SMS. Notification failures are logged, not thrown.
+ *
+ * @returns {Promise<string|null>} Milestone name when it was advanced
+ */
+async function advanceMilestoneIfCategoryCleared(loanId, category) {
+  const milestoneName = CATEGORY_MILESTONES[category];
+  if (!milestoneName) return null;
+
+  const outstanding = await LoanCondition.countDocuments({
+    loan: loanId,
+    category,
+    status: { $nin: RESOLVED_STATUSES },
+  });
+  if (outstanding > 0) return null;
+
+  const loan = await LoanApplication.findById(loanId).populate('borrower', 'name phone').populate('assignedOfficer', 'name phone');
+  if (!loan) return null;
+
+  const existing = loan.milestones.find((m) => m.name === milestoneName);
+  if (existing?.status === 'completed') return null;
+
+  if (existing) {
+    existing.status = 'completed';
+    existing.updatedAt = new Date();
+  } else {
+    loan.milestones.push({ name: milestoneName, status: 'completed', updatedAt: new Date() });
+  }
+  await loan.save();
+
+  if (loan.borrower?.phone) {
+    try {
+      await smsNotificationService.sendMilestoneUpdate(loan._id, milestoneName, loan.borrower.phone, loan.assignedOfficer);
+    } catch (err) {
+      logger.warn('Failed to send condition milestone SMS', { loanId: loan._id.toString(), milestoneName, error: err.message });
+    }
+  }
+
+  return milestoneName;
+}
+
+/**
+ * Change a condition's status, stamping who resolved it. Resolving the last
+ * outstanding condition in a category advances the matching milestone.
+ *
+ * @param {Object} condition - LoanCondition document
+ * @param {string} status - New status
+ * @param {Object} [actor] - User making the change (req.user)
+ * @returns {Promise<{ condition: Object, milestone: string|null }>}
+ */
+async function setStatus(condition, status, actor) {
+  const wasResolved = condition.isResolved();
+  condition.status = status;
+
+  if (condition.isResolved()) {
+    if (!wasResolved) {
+      condition.resolvedBy = actor?._id;
+      condition.resolvedAt = new Date();
+    }
+  } else {
+    condition.resolvedBy = undefined;
+    condition.resolvedAt = undefined;
+  }
+  await condition.save();
+
+  const milestone =
+    condition.isResolved() && !wasResolved ? await advanceMilestoneIfCategoryCleared(condition.loan, condition.category) : null;
+
+  return { condition, milestone };
+}
+
+module.exports = {
+  CATEGORY_MILESTONES,
+  advanceMilestoneIfCategoryCleared,
+  setStatus,
+};
@@ -0,0 +1,126 @@
+const createError = require('http-errors');
+const CreditReport = require('../models/CreditReport');
+const RateLock = require('../models/RateLock');
+const { transitions } = require('../config/loanStatusWorkflow');
+
+/**
+ * Guard conditions referenced by name from the workflow config.
+ * Each resolves to an error message when the loan does not satisfy it, or null.
+ */
+const guards = {
+  async loanTermsComplete(loan) {
+    const missing = ['amount', 'loanPurpose', 'productType', 'loanTerm'].filter((field) => !loan[field]);
+    return missing.length > 0 ? `Loan terms incomplete: missing ${missing.join(', ')}` : null;
+  },
+
+  async propertyIdentified(loan) {
+    return loan.property?.address?.street || loan.propertyAddress ? null : 'Subject property address is required';
+  },
+
+  async creditReportOnFile(loan) {
+    const report = await CreditReport.exists({
+      loan: loan._id,
+      status: 'completed',
+      expiresAt: { $gt: new Date() },
+    });
+    return report ? null : 'A completed credit report must be on file';
+  },
+
+  async activeRateLock(loan) {
+    const lock = await RateLock.exists({
+      loan: loan._id,
+      status: { $in: ['confirmed', 'extended'] },
+      lockExpiresAt: { $gt: new Date() },
+    });
+    return lock ? null : 'An active rate lock is required';
+  },
+};
+
+function findTransition(from, to) {
+  return transitions.find((t) => t.from === from && t.to === to) || null;
+}
+
+/**
+ * Transitions the given role may start from the loan's current status.
+ */
+function getAvailableTransitions(loan, roleSlug) {
+  return transitions
+    .filter((t) => t.from === loan.status && (!roleSlug || t.roles.includes(roleSlug)))
+    .map((t) => ({ to: t.to, guards: t.guards || [], requiresReason: Boolean(t.requiresReason) }));
+}
+
+/**
+ * Evaluate every guard on a transition and collect the failures.
+ */
+async function checkGuards(loan, transition) {
+  const failures = [];
+  for (const name of transition.guards || []) {
+    const guard = guards[name];
+    if (!guard) {
+      failures.push(`Unknown guard: ${name}`);
+      continue;
+    }
+    const message = await guard(loan);
+    if (message) failures.push(message);
+  }
+  return failures;
+}
+
+/**
+ * Move a loan to a new status and append the change to its status history.
+ * The loan is mutated but not saved; callers save alongside their other changes.
+ *
+ * @param {Object} loan - LoanApplication document
+ * @param {string} toStatus - Target status
+ * @param {Object} options
+ * @param {Object} [options.actor] - User performing the change (req.user)
+ * @param {string} [options.reason] - Free-text reason, required for step-backs
+ * @param {'app'|'encompass'|'pos'|'system'} [options.source='app'] - Origin of the change
+ * @param {boolean} [options.enforceRules=true] - Skip role/guard checks for systems of record
+ * @returns {Promise<Object|null>} The history entry, or null when the status is unchanged
+ */
+async function transition(loan, toStatus, { actor, reason, source = 'app', enforceRules = true } = {}) {
+  const fromStatus = loan.status;
+  if (fromStatus === toStatus) return null;
+
+  const rule = findTransition(fromStatus, toStatus);
+
+  if (enforceRules) {
+    if (!rule) {
+      throw createError(409, `Cannot move loan from ${fromStatus} to ${toStatus}`);
+    }
+    const roleSlug = actor?.role?.slug;
+    if (!roleSlug || !rule.roles.includes(roleSlug)) {
+      throw createError(403, `Role not permitted to move loan from ${fromStatus} to ${toStatus}`);
+    }
+    if (rule.requiresReason && !reason) {
+      throw createError(400, `A reason is required to move loan from ${fromStatus} to ${toStatus}`);
+    }
+    const failures = await checkGuards(loan, rule);
+    if (failures.length > 0) {
+      throw createError(409, `Transition to ${toStatus} blocked: ${failures.join('; ')}`, { errors: failures });
+    }
+  }
+
+  const entry = {
+    from: fromStatus,
+    to: toStatus,
+    changedBy: actor?._id,
+    reason,
+    source,
+    outOfWorkflow: !rule,
+    changedAt: new Date(),
+  };
+
+  loan.status = toStatus;
+  loan.statusHistory.push(entry);
+  return entry;
+}
+
+module.exports = {
+  guards,
+  findTransition,
+  getAvailableTransitions,
+  checkGuards,
+  transition,
+};
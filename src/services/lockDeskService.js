@@ -0,0 +1,353 @@
+const createError = require('http-errors');
+const RateLock = require('../models/RateLock');
+const Capability = require('../models/Capability');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { notifyParties, applyFloatDown } = require('./rateLockService');
+const { audit } = require('../utils/audit');
+const logger = require('../utils/logger');
+const {
+  LOCK_HOURS,
+  MAX_AUTO_PRICE_CONCESSION,
+  EXCEPTION_PRODUCT_TYPES,
+  REVIEW_SLA_MINUTES,
+  LOCK_DESK_CAPABILITY,
+} = require('../config/lockDesk');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const lockHoursFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: LOCK_HOURS.timezone,
+  weekday: 'short',
+  hour: 'numeric',
+  minute: 'numeric',
+  hourCycle: 'h23',
+});
+
+function isWithinLockHours(date) {
+  const parts = Object.fromEntries(lockHoursFormat.formatToParts(date).map(({ type, value }) => [type, value]));
+  const hour = Number(parts.hour) + Number(parts.minute) / 60;
+  return LOCK_HOURS.days.includes(WEEKDAYS.indexOf(parts.weekday)) &&
+    hour >= LOCK_HOURS.openHour &&
+    hour < LOCK_HOURS.closeHour;
+}
+
+/**
+ * `date` when the lock desk is open, otherwise the start of the next lock-hours day.
+ */
+function nextOpening(date) {
+  if (isWithinLockHours(date)) return date;
+
+  // Lock hours open on the hour, so checking each hour start finds the opening
+  let candidate = new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+  for (let i = 0; i < 8 * 24; i++) {
+    candidate = new Date(candidate.getTime() + HOUR_MS);
+    if (isWithinLockHours(candidate)) return candidate;
+  }
+  return date;
+}
+
+/**
+ * Why a lock request needs lock desk review; empty when it can be confirmed immediately.
+ *
+ * @param {Object} request
+ * @param {string} request.productType
+ * @param {number} [request.priceConcession=0] - Points of concession requested
+ * @param {Date} [submittedAt]
+ * @returns {string[]} Values of REVIEW_REASONS
+ */
+function reviewReasons({ productType, priceConcession = 0 }, submittedAt = new Date()) {
+  const reasons = [];
+  if (!isWithinLockHours(submittedAt)) reasons.push('outside_lock_hours');
+  if (priceConcession > MAX_AUTO_PRICE_CONCESSION) reasons.push('price_concession');
+  if (EXCEPTION_PRODUCT_TYPES.includes(productType)) reasons.push('exception_product');
+  return reasons;
+}
+
+// Locks awaiting a decision: new locks and relocks are pending; a float-down is reviewed
+// while the lock it reprices stays active
+const AWAITING_REVIEW = {
+  $or: [
+    { status: 'pending' },
+    { 'lockDesk.request': 'float_down', status: { $in: ['confirmed', 'extended'] } },
+  ],
+};
+
+/**
+ * Put a request in the lock desk queue (the caller saves). New locks and relocks wait as
+ * `pending`; a float-down keeps the lock in force and holds the proposed pricing.
+ *
+ * @param {Object} [options]
+ * @param {'lock'|'relock'|'float_down'} [options.request='lock']
+ * @param {Object} [options.floatDown] - Proposed `rate`, `apr`, `rateSnapshot`, `requestedBy`
+ */
+function queue(lock, reasons, { priceConcession = 0, submittedAt = new Date(), request = 'lock', floatDown } = {}) {
+  if (request !== 'float_down') {
+    lock.status = 'pending';
+    lock.confirmedAt = undefined;
+  }
+  lock.lockDesk = {
+    state: 'queued',
+    request,
+    floatDown,
+    reasons,
+    priceConcession,
+    submittedAt,
+    reviewDueAt: new Date(nextOpening(submittedAt).getTime() + REVIEW_SLA_MINUTES * MINUTE_MS),
+  };
+  return lock;
+}
+
+/**
+ * Active users whose role carries the lock desk capability.
+ */
+async function findReviewers() {
+  const capability = await Capability.findOne({ name: LOCK_DESK_CAPABILITY });
+  if (!capability) return [];
+  const roles = await Role.find({ capabilities: capability._id }).select('_id');
+  return User.find({ role: { $in: roles.map((role) => role._id) }, isActive: true }).select('_id');
+}
+
+async function notifyReviewers(lock, { title, body }) {
+  const reviewers = await findReviewers();
+  for (const reviewer of reviewers) {
+    await Notification.create({
+      user: reviewer._id,
+      type: 'status',
+      title,
+      body,
+      metadata: { loanId: lock.loan?._id || lock.loan, rateLockId: lock._id, reviewDueAt: lock.lockDesk?.reviewDueAt },
+    });
+  }
+  return reviewers.length;
+}
+
+const reasonLabels = {
+  outside_lock_hours: 'submitted outside lock hours',
+  price_concession: 'price concession',
+  exception_product: 'exception product',
+};
+
+/**
+ * Tell the lock desk about a newly queued lock.
+ */
+async function notifyQueued(lock) {
+  const reasons = lock.lockDesk.reasons.map((reason) => reasonLabels[reason]).join(', ');
+  const { request, floatDown } = lock.lockDesk;
+  let summary = `${lock.productType} ${request === 'relock' ? 'relock' : 'lock'} at ${lock.lockedRate}% for ${lock.lockPeriod} days`;
+  if (request === 'float_down') {
+    summary = `${lock.productType} float-down from ${lock.lockedRate}% to ${floatDown.rate}%`;
+  }
+  await notifyReviewers(lock, {
+    title: request === 'float_down' ? 'Float-down awaiting review' : 'Rate lock awaiting review',
+    body: `${summary} (${reasons}). Review by ${lock.lockDesk.reviewDueAt.toLocaleString()}.`,
+  });
+}
+
+const slaStatus = (lock, now) => {
+  const reviewDueAt = lock.lockDesk?.reviewDueAt;
+  if (!reviewDueAt) return null;
+  const minutesRemaining = Math.round((reviewDueAt.getTime() - now.getTime()) / MINUTE_MS);
+  return { reviewDueAt, minutesRemaining, breached: minutesRemaining < 0 };
+};
+
+/**
+ * Pending locks awaiting the lock desk or the LO's response to a counter, soonest SLA first.
+ *
+ * @param {Object} [filters]
+ * @param {'queued'|'countered'} [filters.state]
+ */
+async function getQueue({ state } = {}, now = new Date()) {
+  const locks = await RateLock.find({
+    ...AWAITING_REVIEW,
+    'lockDesk.state': state ? state : { $in: ['queued', 'countered'] },
+  })
+    .populate('loan', 'amount status assignedOfficer')
+    .populate('lockedBy', 'name email')
+    .sort({ 'lockDesk.reviewDueAt': 1 });
+
+  return locks.map((lock) => ({ ...lock.toObject(), sla: slaStatus(lock, now) }));
+}
+
+const isFloatDown = (lock) => lock.lockDesk?.request === 'float_down';
+
+function assertState(lock, state, action) {
+  const awaiting = isFloatDown(lock) ? ['confirmed', 'extended'].includes(lock.status) : lock.status === 'pending';
+  if (!awaiting || lock.lockDesk?.state !== state) {
+    throw createError(409, `Cannot ${action} a rate lock that is not ${state} for lock desk review`);
+  }
+}
+
+function confirm(lock, now, lockPeriod = lock.lockPeriod) {
+  lock.status = 'confirmed';
+  lock.confirmedAt = now;
+  lock.lockPeriod = lockPeriod;
+  // The lock period runs from confirmation, not from the original request
+  lock.lockExpiresAt = new Date(now.getTime() + lockPeriod * DAY_MS);
+}
+
+async function recordDecision(lock, action, metadata, req) {
+  await audit(
+    {
+      action: `rateLock.lockDesk.${action}`,
+      entityType: 'RateLock',
+      entityId: lock._id.toString(),
+      metadata: { loanId: (lock.loan?._id || lock.loan).toString(), ...metadata },
+    },
+    req
+  );
+}
+
+/**
+ * Approve a queued lock as requested. An approved float-down reprices the lock and keeps
+ * its expiration.
+ */
+async function approve(lock, { actor, notes }, req) {
+  assertState(lock, 'queued', 'approve');
+
+  const now = new Date();
+  if (isFloatDown(lock)) {
+    if (lock.lockExpiresAt <= now) {
+      throw createError(409, 'Rate lock expired before the float-down was approved');
+    }
+    Object.assign(lock.lockDesk, { state: 'approved', reviewedBy: actor._id, reviewedAt: now, notes });
+    await applyFloatDown(lock, lock.lockDesk.floatDown, req, now);
+    await recordDecision(lock, 'approve', { request: 'float_down', notes }, req);
+    return lock;
+  }
+
+  confirm(lock, now);
+  Object.assign(lock.lockDesk, { state: 'approved', reviewedBy: actor._id, reviewedAt: now, notes });
+  await lock.save();
+
+  await recordDecision(lock, 'approve', { notes }, req);
+  await notifyParties(lock, {
+    title: 'Rate lock approved',
+    body: `The lock desk approved the rate lock at ${lock.lockedRate}% for ${lock.lockPeriod} days.`,
+  });
+  return lock;
+}
+
+/**
+ * Deny a queued lock; it is cancelled. A denied float-down leaves the lock as it was.
+ */
+async function deny(lock, { actor, reason }, req) {
+  assertState(lock, 'queued', 'deny');
+
+  const now = new Date();
+  const floatDown = isFloatDown(lock);
+  if (!floatDown) {
+    lock.status = 'cancelled';
+  }
+  Object.assign(lock.lockDesk, { state: 'denied', reviewedBy: actor._id, reviewedAt: now, notes: reason });
+  await lock.save();
+
+  await recordDecision(lock, 'deny', { request: lock.lockDesk.request, reason }, req);
+  await notifyParties(lock, {
+    title: floatDown ? 'Float-down denied' : 'Rate lock denied',
+    body: `The lock desk denied the ${floatDown ? 'float-down' : 'rate lock'} request: ${reason}`,
+  });
+  return lock;
+}
+
+/**
+ * Offer different terms on a queued lock. It stays pending until the LO accepts the
+ * counter, or releases the lock to decline it.
+ */
+async function counter(lock, { actor, rate, apr, points, lockPeriod, notes }, req) {
+  assertState(lock, 'queued', 'counter');
+  if (isFloatDown(lock)) {
+    throw createError(409, 'A float-down can only be approved or denied');
+  }
+
+  const now = new Date();
+  Object.assign(lock.lockDesk, {
+    state: 'countered',
+    reviewedBy: actor._id,
+    reviewedAt: now,
+    notes,
+    counterOffer: { rate, apr, points, lockPeriod: lockPeriod || lock.lockPeriod },
+  });
+  await lock.save();
+
+  await recordDecision(lock, 'counter', { requestedRate: lock.lockedRate, rate, points, lockPeriod, notes }, req);
+  await notifyParties(lock, {
+    title: 'Rate lock countered',
+    body: `The lock desk countered the rate lock at ${rate}% with ${points} points. Accept the counter or release the lock.`,
+  });
+  return lock;
+}
+
+/**
+ * Confirm a countered lock at the counter terms.
+ */
+async function acceptCounter(lock, { actor }, req) {
+  assertState(lock, 'countered', 'accept a counter on');
+
+  const now = new Date();
+  const offer = lock.lockDesk.counterOffer;
+  const requested = { rate: lock.lockedRate, points: lock.points };
+  lock.lockedRate = offer.rate;
+  lock.lockedAPR = offer.apr;
+  lock.points = offer.points;
+  lock.set('pricing.baseRate', offer.rate);
+  confirm(lock, now, offer.lockPeriod);
+  lock.lockDesk.state = 'approved';
+  lock.lockDesk.counterOffer.acceptedAt = now;
+  await lock.save();
+
+  await recordDecision(lock, 'acceptCounter', { acceptedBy: actor._id.toString(), requested, accepted: { rate: offer.rate, points: offer.points } }, req);
+  await notifyReviewers(lock, {
+    title: 'Counter accepted',
+    body: `The counter at ${offer.rate}% with ${offer.points} points was accepted.`,
+  });
+  return lock;
+}
+
+/**
+ * Flag queued locks past their review SLA and notify the lock desk, once per lock.
+ *
+ * @returns {Promise<number>} Number of locks newly past SLA
+ */
+async function flagSlaBreaches(now = new Date()) {
+  const locks = await RateLock.find({
+    ...AWAITING_REVIEW,
+    'lockDesk.state': 'queued',
+    'lockDesk.reviewDueAt': { $lte: now },
+    'lockDesk.slaBreachedAt': null,
+  });
+
+  let breached = 0;
+  for (const lock of locks) {
+    try {
+      lock.lockDesk.slaBreachedAt = now;
+      await lock.save();
+      await notifyReviewers(lock, {
+        title: 'Lock desk SLA missed',
+        body: `A ${lock.productType} lock request at ${lock.lockedRate}% was due for review at ${lock.lockDesk.reviewDueAt.toLocaleString()}.`,
+      });
+      breached++;
+    } catch (err) {
+      logger.error('Failed to flag lock desk SLA breach', { rateLockId: lock._id.toString(), error: err.message });
+    }
+  }
+  return breached;
+}
+
+module.exports = {
+  isWithinLockHours,
+  nextOpening,
+  reviewReasons,
+  queue,
+  notifyQueued,
+  getQueue,
+  approve,
+  deny,
+  counter,
+  acceptCounter,
+  flagSlaBreaches,
+};
@@ -0,0 +1,162 @@
+const createError = require('http-errors');
+const ProductPricing = require('../models/ProductPricing');
+const { audit } = require('../utils/audit');
+const { EXTENSION_POLICIES, PAR_PRICE } = require('../config/lockExtensions');
+const { round2 } = require('../utils/mortgageMath');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Active investor product matching the lock, for its base price and any policy override.
+ */
+async function findProduct(lock) {
+  const query = { productType: lock.productType, loanTerm: lock.loanTerm, isActive: true };
+  if (lock.investorName) {
+    query.investorName = lock.investorName;
+  }
+  return ProductPricing.findOne(query).sort({ effectiveDate: -1 });
+}
+
+/**
+ * The product's extension policy override when it has one, else the product type's.
+ */
+function resolvePolicy(productType, product) {
+  const override = product?.extensionPolicy;
+  if (override?.increments?.length && override.pricing?.type) {
+    return typeof override.toObject === 'function' ? override.toObject() : override;
+  }
+  return EXTENSION_POLICIES[productType];
+}
+
+/**
+ * Cost in points of extending by `days` under a policy.
+ */
+function extensionCost(policy, days) {
+  const { pricing } = policy;
+  if (pricing.type === 'tiered') {
+    const tier = pricing.tiers.find((t) => days <= t.maxDays);
+    if (!tier) {
+      throw createError(400, `No extension price for ${days} days`);
+    }
+    return tier.points;
+  }
+  return round3(days * pricing.pointsPerDay);
+}
+
+const usedDays = (lock) => lock.extensionHistory.reduce((sum, entry) => sum + (entry.extensionDays || 0), 0);
+
+/**
+ * Price an extension without applying it.
+ *
+ * @param {Object} lock - RateLock
+ * @param {number} extensionDays
+ * @param {Object} policy - From resolvePolicy
+ * @param {Object|null} product - Matching ProductPricing, if any
+ * @throws 400 when the days are not an allowed increment or exceed the cumulative maximum
+ */
+function quote(lock, extensionDays, policy, product) {
+  const used = usedDays(lock);
+  if (!policy.increments.includes(extensionDays)) {
+    throw createError(400, `Extensions must be ${policy.increments.join(', ')} days`);
+  }
+  if (used + extensionDays > policy.maxCumulativeDays) {
+    throw createError(
+      400,
+      `Extension would exceed the ${policy.maxCumulativeDays}-day maximum (${used} days already used)`
+    );
+  }
+
+  const points = extensionCost(policy, extensionDays);
+  const totalCost = round3((lock.pricing?.extensionCost || 0) + points);
+  const basePrice = product ? product.basePrice : lock.pricing?.basePrice ?? PAR_PRICE;
+
+  return {
+    extensionDays,
+    pricingType: policy.pricing.type,
+    points,
+    amount: round2((points / 100) * lock.loanAmount),
+    originalExpiration: lock.lockExpiresAt,
+    newExpiration: new Date(lock.lockExpiresAt.getTime() + extensionDays * DAY_MS),
+    cumulativeDays: used + extensionDays,
+    maxCumulativeDays: policy.maxCumulativeDays,
+    basePrice,
+    extensionCost: totalCost,
+    finalPrice: product ? product.finalPrice({ extensionCost: totalCost }) : round3(basePrice - totalCost),
+  };
+}
+
+/**
+ * Policy and the price of each extension still available on a lock, or of `extensionDays`
+ * alone, for the LO to review before extending.
+ */
+async function getQuotes(lock, extensionDays) {
+  const product = await findProduct(lock);
+  const policy = resolvePolicy(lock.productType, product);
+  const used = usedDays(lock);
+  const remaining = policy.maxCumulativeDays - used;
+
+  const quotes = extensionDays
+    ? [quote(lock, extensionDays, policy, product)]
+    : policy.increments.filter((days) => days <= remaining).map((days) => quote(lock, days, policy, product));
+
+  return { policy, usedDays: used, remainingDays: remaining, quotes };
+}
+
+/**
+ * Extend a lock under its policy, recording the cost on the extension history and the
+ * lock's final price (the caller has checked the lock can be extended).
+ */
+async function extend(lock, { actor, extensionDays, reason }, req) {
+  const product = await findProduct(lock);
+  const policy = resolvePolicy(lock.productType, product);
+  const cost = quote(lock, extensionDays, policy, product);
+
+  lock.lockExpiresAt = cost.newExpiration;
+  lock.status = 'extended';
+  lock.extensionHistory.push({
+    extendedBy: actor._id,
+    extendedAt: new Date(),
+    originalExpiration: cost.originalExpiration,
+    newExpiration: cost.newExpiration,
+    extensionDays,
+    extensionCost: cost.points,
+    extensionFee: cost.amount,
+    pricingType: cost.pricingType,
+    reason,
+  });
+  lock.set('pricing.basePrice', cost.basePrice);
+  lock.set('pricing.extensionCost', cost.extensionCost);
+  lock.set('pricing.finalPrice', cost.finalPrice);
+  // Warn again ahead of the new expiration
+  lock.expiryWarnings = [];
+  await lock.save();
+
+  await audit(
+    {
+      action: 'rateLock.extend',
+      entityType: 'RateLock',
+      entityId: lock._id.toString(),
+      metadata: {
+        loanId: (lock.loan?._id || lock.loan).toString(),
+        extensionDays,
+        points: cost.points,
+        amount: cost.amount,
+        finalPrice: cost.finalPrice,
+        reason,
+      },
+    },
+    req
+  );
+
+  return cost;
+}
+
+module.exports = {
+  resolvePolicy,
+  extensionCost,
+  quote,
+  getQuotes,
+  extend,
+};
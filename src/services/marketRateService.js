@@ -0,0 +1,300 @@
+const createError = require('http-errors');
+const RateSnapshot = require('../models/RateSnapshot');
+const { audit } = require('../utils/audit');
+const { ARM_TYPES, termLabel } = require('../config/armProducts');
+const {
+  PRICING_SOURCES,
+  BENCHMARK_SOURCES,
+  BENCHMARK_VALIDITY_DAYS,
+  OUT_OF_MARKET_SPREAD,
+  MAX_IMPORT_ROWS,
+} = require('../config/marketRates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PRODUCT_TYPES = ['conventional', 'fha', 'va', 'usda', 'jumbo'];
+const LOAN_TERMS = [15, 20, 30];
+const LOAN_PURPOSES = ['purchase', 'refinance', 'cash_out_refinance'];
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+const seriesKey = ({ productType, loanTerm, armType }) => `${productType}|${loanTerm}|${armType || ''}`;
+
+/**
+ * Parse CSV text into objects keyed by the header row. Handles quoted fields
+ * with embedded commas and doubled quotes.
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const rows = records.filter((r) => r.some((value) => value.trim() !== ''));
+  if (!rows.length) return [];
+  const header = rows[0].map((h) => h.trim());
+  return rows.slice(1).map((values) =>
+    header.reduce((row, name, index) => {
+      const value = (values[index] || '').trim();
+      if (value !== '') row[name] = value;
+      return row;
+    }, {})
+  );
+}
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+/**
+ * Validate one imported row and shape it as a benchmark RateSnapshot.
+ *
+ * @returns {{ snapshot?: Object, errors: string[] }}
+ */
+function normalizeRow(row, now = new Date()) {
+  const errors = [];
+  const source = row.source || 'competitor';
+  const benchmarkName = row.benchmarkName || row.name;
+  const loanTerm = toNumber(row.loanTerm);
+  const rate = toNumber(row.rate);
+  const apr = toNumber(row.apr);
+  const points = toNumber(row.points) ?? 0;
+  const armType = row.armType && row.armType !== 'fixed' ? row.armType : undefined;
+  const loanPurpose = row.loanPurpose || 'purchase';
+  const effectiveDate = row.effectiveDate ? new Date(row.effectiveDate) : now;
+
+  if (!BENCHMARK_SOURCES.includes(source)) errors.push(`source must be one of ${BENCHMARK_SOURCES.join(', ')}`);
+  if (!benchmarkName) errors.push('benchmarkName is required');
+  if (!PRODUCT_TYPES.includes(row.productType)) errors.push(`productType must be one of ${PRODUCT_TYPES.join(', ')}`);
+  if (!LOAN_TERMS.includes(loanTerm)) errors.push(`loanTerm must be one of ${LOAN_TERMS.join(', ')}`);
+  if (armType && !ARM_TYPES[armType]) errors.push(`armType must be fixed or one of ${Object.keys(ARM_TYPES).join(', ')}`);
+  if (!LOAN_PURPOSES.includes(loanPurpose)) errors.push(`loanPurpose must be one of ${LOAN_PURPOSES.join(', ')}`);
+  if (!(rate > 0 && rate < 20)) errors.push('rate must be a percentage between 0 and 20');
+  if (apr !== undefined && !(apr > 0 && apr < 20)) errors.push('apr must be a percentage between 0 and 20');
+  if (Number.isNaN(points)) errors.push('points must be a number');
+  if (Number.isNaN(effectiveDate.getTime())) errors.push('effectiveDate must be a date');
+  if (errors.length) return { errors };
+
+  const expiresAt = new Date(effectiveDate.getTime() + BENCHMARK_VALIDITY_DAYS * DAY_MS);
+  return {
+    errors,
+    snapshot: {
+      source,
+      benchmarkName: String(benchmarkName).trim(),
+      productType: row.productType,
+      loanTerm,
+      armType,
+      loanPurpose,
+      rate,
+      apr,
+      points,
+      effectiveDate,
+      expiresAt,
+      // Back-dated survey history is kept but never counts as current
+      isActive: expiresAt > now,
+    },
+  };
+}
+
+/**
+ * Import competitor and market-index rates from JSON rows or CSV text. The import is all or
+ * nothing: any invalid row rejects the batch with a per-row error list.
+ *
+ * @param {Object} input - `{ rows }` or `{ csv }`
+ * @param {Object} options - `{ actor }`
+ * @returns {Promise<Object>} Counts imported and current
+ * @throws 400 when there are no rows, too many rows or invalid rows
+ */
+async function importRates({ rows, csv }, { actor }, req) {
+  const records = csv ? parseCsv(csv) : rows || [];
+  if (!records.length) {
+    throw createError(400, 'No rates to import');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw createError(400, `Import at most ${MAX_IMPORT_ROWS} rates at a time`);
+  }
+
+  const now = new Date();
+  const snapshots = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const result = normalizeRow(record, now);
+    if (result.errors.length) {
+      errors.push({ row: index + 1, messages: result.errors });
+    } else {
+      snapshots.push({ ...result.snapshot, metadata: { importedBy: actor._id } });
+    }
+  });
+  if (errors.length) {
+    throw createError(400, `${errors.length} of ${records.length} rows are invalid`, { errors });
+  }
+
+  await RateSnapshot.insertMany(snapshots);
+  const current = snapshots.filter((s) => s.isActive).length;
+
+  await audit(
+    {
+      action: 'marketRates.import',
+      entityType: 'RateSnapshot',
+      metadata: {
+        imported: snapshots.length,
+        current,
+        benchmarks: [...new Set(snapshots.map((s) => s.benchmarkName))],
+        importedBy: actor._id.toString(),
+      },
+    },
+    req
+  );
+
+  return { imported: snapshots.length, current };
+}
+
+/**
+ * Current benchmark rates, the latest per benchmark and product/term.
+ *
+ * @param {Object} [filters] - `productType`, `loanTerm`, `armType` (`fixed` for fixed-rate), `loanPurpose`
+ * @returns {Promise<Map<string, Array>>} Benchmarks by product/term
+ */
+async function getBenchmarks({ productType, loanTerm, armType, loanPurpose = 'purchase' } = {}) {
+  const query = { source: { $in: BENCHMARK_SOURCES }, isActive: true, loanPurpose };
+  if (productType) query.productType = productType;
+  if (loanTerm) query.loanTerm = Number(loanTerm);
+  if (armType) query.armType = armType === 'fixed' ? null : armType;
+
+  const snapshots = await RateSnapshot.find(query).sort({ effectiveDate: -1 }).lean();
+
+  const seen = new Set();
+  const benchmarks = new Map();
+  for (const snapshot of snapshots) {
+    const key = seriesKey(snapshot);
+    const benchmarkKey = `${key}|${snapshot.source}|${snapshot.benchmarkName}`;
+    if (seen.has(benchmarkKey)) continue;
+    seen.add(benchmarkKey);
+
+    if (!benchmarks.has(key)) benchmarks.set(key, []);
+    benchmarks.get(key).push({
+      source: snapshot.source,
+      name: snapshot.benchmarkName,
+      rate: snapshot.rate,
+      apr: snapshot.apr,
+      points: snapshot.points,
+      effectiveDate: snapshot.effectiveDate,
+    });
+  }
+  return benchmarks;
+}
+
+/**
+ * Compare our par rate (points closest to zero, latest first) for each product/term with
+ * the market average of current benchmarks. Products without benchmarks are left out.
+ *
+ * @param {Array} ourRates - Our rate snapshots, newest first
+ * @param {Map<string, Array>} benchmarks - From getBenchmarks
+ */
+function compareToMarket(ourRates, benchmarks) {
+  const ours = new Map();
+  for (const snapshot of ourRates) {
+    const key = seriesKey(snapshot);
+    const best = ours.get(key);
+    if (!best || Math.abs(snapshot.points || 0) < Math.abs(best.points || 0)) {
+      ours.set(key, snapshot);
+    }
+  }
+
+  const comparisons = [];
+  for (const [key, par] of ours) {
+    const market = benchmarks.get(key);
+    if (!market?.length) continue;
+
+    const marketAverage = round3(market.reduce((sum, b) => sum + b.rate, 0) / market.length);
+    const spread = round3(par.rate - marketAverage);
+    const competitors = market.filter((b) => b.source === 'competitor');
+    const lowestCompetitor = competitors.length
+      ? competitors.reduce((low, b) => (b.rate < low.rate ? b : low))
+      : null;
+
+    let position = 'in_market';
+    if (spread > OUT_OF_MARKET_SPREAD) position = 'above_market';
+    else if (spread < -OUT_OF_MARKET_SPREAD) position = 'below_market';
+
+    comparisons.push({
+      productType: par.productType,
+      loanTerm: par.loanTerm,
+      armType: par.armType || null,
+      label: termLabel(par.loanTerm, par.armType),
+      ourRate: par.rate,
+      ourPoints: par.points || 0,
+      marketAverage,
+      spread,
+      position,
+      lowestCompetitor: lowestCompetitor && { name: lowestCompetitor.name, rate: lowestCompetitor.rate },
+      benchmarks: market,
+    });
+  }
+  return comparisons;
+}
+
+/**
+ * Where our current pricing sits against the market, for the branch dashboard.
+ *
+ * @param {Date} [now]
+ */
+async function getMarketPosition(now = new Date()) {
+  const [ourRates, benchmarks] = await Promise.all([
+    RateSnapshot.find({
+      source: { $in: PRICING_SOURCES },
+      isActive: true,
+      loanPurpose: 'purchase',
+      effectiveDate: { $gte: new Date(now.getTime() - DAY_MS) },
+    })
+      .sort({ effectiveDate: -1 })
+      .lean(),
+    getBenchmarks(),
+  ]);
+
+  const comparisons = compareToMarket(ourRates, benchmarks);
+  return {
+    asOf: now,
+    threshold: OUT_OF_MARKET_SPREAD,
+    outOfMarket: comparisons.filter((c) => c.position !== 'in_market'),
+    comparisons,
+  };
+}
+
+module.exports = {
+  parseCsv,
+  normalizeRow,
+  importRates,
+  getBenchmarks,
+  compareToMarket,
+  getMarketPosition,
+};
@@ -0,0 +1,82 @@
+const { LOAN_PROGRAMS } = require('../config/loanPrograms');
+const { round2 } = require('../utils/mortgageMath');
+
+function findBand(bands, ltv) {
+  return (bands || []).find((band) => ltv <= band.maxLtv) || null;
+}
+
+function bandRate(band, creditScore) {
+  if (!band) return 0;
+  if (creditScore == null || !band.creditTiers) return band.annualRate;
+  const tier = band.creditTiers.find((t) => creditScore >= t.minScore);
+  return tier ? tier.annualRate : band.annualRate;
+}
+
+/**
+ * Mortgage insurance for a program: conventional PMI, FHA MIP, VA funding fee or USDA guarantee fee.
+ * Upfront fees are financed, so `totalLoanAmount` is the base loan plus the upfront fee.
+ * `cancelAtLtv` and `durationMonths` say when the monthly premium stops (null = life of loan).
+ *
+ * @param {string} productType - Key of LOAN_PROGRAMS
+ * @param {Object} params
+ * @param {number} params.baseLoanAmount - Loan amount before any financed upfront fee
+ * @param {number} params.propertyValue - Lesser of purchase price and appraised value
+ * @param {number} [params.creditScore] - Prices conventional PMI by credit tier when given
+ */
+function calculate(productType, { baseLoanAmount, propertyValue, creditScore }) {
+  const program = LOAN_PROGRAMS[productType];
+  const mi = program?.mortgageInsurance;
+  const ltv = propertyValue > 0 ? (baseLoanAmount / propertyValue) * 100 : 0;
+  const result = {
+    type: mi?.type || null,
+    ltv: round2(ltv),
+    upfrontPercent: 0,
+    upfrontFee: 0,
+    annualRate: 0,
+    monthlyPremium: 0,
+    totalLoanAmount: round2(baseLoanAmount),
+    cancelAtLtv: null,
+    durationMonths: null,
+  };
+  if (!mi || baseLoanAmount <= 0) return result;
+
+  if (mi.type === 'funding_fee') {
+    const downPaymentPercent = 100 - ltv;
+    const tier = mi.upfrontRates.find((rate) => downPaymentPercent >= rate.minDownPaymentPercent);
+    result.upfrontPercent = tier ? tier.percent : 0;
+  } else if (mi.upfrontPercent) {
+    result.upfrontPercent = mi.upfrontPercent;
+  }
+
+  if (!(mi.noMiMaxLtv && ltv <= mi.noMiMaxLtv)) {
+    result.annualRate = bandRate(findBand(mi.monthlyRates, ltv), creditScore);
+  }
+  if (result.annualRate > 0) {
+    const duration = findBand(mi.durationYears, ltv);
+    result.cancelAtLtv = mi.autoCancelLtv || null;
+    result.durationMonths = duration?.years ? duration.years * 12 : null;
+  }
+
+  result.upfrontFee = round2((baseLoanAmount * result.upfrontPercent) / 100);
+  result.totalLoanAmount = round2(baseLoanAmount + result.upfrontFee);
+  result.monthlyPremium = round2((baseLoanAmount * result.annualRate) / 100 / 12);
+  return result;
+}
+
+/**
+ * Options for mortgageMath.amortize() so the schedule charges the monthly premium and
+ * drops it at the cancellation LTV (against the original value) or after its fixed term.
+ */
+function scheduleOptions(mi, propertyValue) {
+  if (!mi || !(mi.monthlyPremium > 0)) return null;
+  return {
+    monthlyPremium: mi.monthlyPremium,
+    cancelAtBalance: mi.cancelAtLtv ? (propertyValue * mi.cancelAtLtv) / 100 : null,
+    lastMonth: mi.durationMonths,
+  };
+}
+
+module.exports = {
+  calculate,
+  scheduleOptions,
+};
@@ -1,5 +1,6 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { ARM_TYPES, DEFAULT_ARM_INDEX } = require('../config/armProducts');
 
 const OPTIMAL_BLUE_API_URL = process.env.OPTIMAL_BLUE_API_URL || 'https://api.optimalblue.com';
 const OPTIMAL_BLUE_CLIENT_ID = process.env.OPTIMAL_BLUE_CLIENT_ID;
@@ -73,6 +74,7 @@ async function getRateSheet(loanScenario = {}) {
     loanAmount = 300000,
     productType = 'conventional',
     loanTerm = 30,
+    armType,
     loanPurpose = 'purchase',
     propertyType = 'single_family',
     occupancy = 'primary',
@@ -86,6 +88,8 @@ async function getRateSheet(loanScenario = {}) {
     loanAmount,
     productType,
     loanTerm,
+    amortizationType: armType ? 'ARM' : 'Fixed',
+    armType,
     loanPurpose,
     property: {
       type: propertyType,
@@ -106,6 +110,7 @@ function scenarioCacheKey(loanScenario = {}) {
     loanAmount: loanScenario.loanAmount,
     productType: loanScenario.productType,
     loanTerm: loanScenario.loanTerm,
+    armType: loanScenario.armType,
     loanPurpose: loanScenario.loanPurpose,
     propertyType: loanScenario.propertyType,
     occupancy: loanScenario.occupancy,
@@ -138,10 +143,12 @@ function transformRateSheet(obData) {
     return [];
   }
 
-  return obData.rates.map(rate => ({
+  // Skip ARM products we don't model rather than store them as fixed-rate
+  return obData.rates.filter(rate => !rate.arm?.type || mapArmType(rate.arm.type)).map(rate => ({
     optimalBlueRateId: rate.rateId,
     productType: mapProductType(rate.productType),
     loanTerm: rate.term,
+    ...transformArmTerms(rate.arm),
     loanPurpose: mapLoanPurpose(rate.loanPurpose),
     rate: rate.interestRate,
     apr: rate.apr,
@@ -160,6 +167,29 @@ function transformRateSheet(obData) {
   }));
 }
 
+/**
+ * Map Optimal Blue ARM terms onto RateSnapshot `armType` and `arm`
+ */
+function transformArmTerms(arm) {
+  if (!arm || !arm.type) {
+    return {};
+  }
+
+  return {
+    armType: mapArmType(arm.type),
+    arm: {
+      index: mapArmIndex(arm.index),
+      indexValue: arm.indexValue,
+      margin: arm.margin,
+      caps: {
+        initial: arm.caps?.initial,
+        periodic: arm.caps?.periodic,
+        lifetime: arm.caps?.lifetime
+      }
+    }
+  };
+}
+
 /**
  * Get product pricing details from Optimal Blue
  */
@@ -201,6 +231,9 @@ function transformProductPricing(obData) {
     allowedOccupancy: product.allowedOccupancy?.map(mapOccupancy) || [],
     features: {
       armType: product.armType,
+      armIndex: product.arm?.index ? mapArmIndex(product.arm.index) : undefined,
+      armMargin: product.arm?.margin,
+      armCaps: product.arm?.caps,
       buydown: product.features?.buydown || false,
       interestOnly: product.features?.interestOnly || false,
       balloonPayment: product.features?.balloonPayment || false,
@@ -347,6 +380,21 @@ function mapOccupancy(obOccupancy) {
   return mapping[obOccupancy?.toUpperCase()] || 'primary';
 }
 
+function mapArmType(obArmType) {
+  // e.g. "5/6", "5/6 ARM"
+  const armType = String(obArmType || '').replace(/[^0-9/]/g, '');
+  return ARM_TYPES[armType] ? armType : null;
+}
+
+function mapArmIndex(obIndex) {
+  const mapping = {
+    SOFR: 'sofr_30day_avg',
+    SOFR30: 'sofr_30day_avg',
+    SOFR_30DAY_AVG: 'sofr_30day_avg'
+  };
+  return mapping[obIndex?.toUpperCase()] || DEFAULT_ARM_INDEX;
+}
+
 module.exports = {
   getRateSheet,
   getRateSheetCached,
@@ -0,0 +1,106 @@
+const mortgageInsuranceService = require('./mortgageInsuranceService');
+const { calcMonthlyPayment, amortize, round2 } = require('../utils/mortgageMath');
+
+// RESPA caps the escrow cushion at one-sixth of annual disbursements
+const MAX_ESCROW_CUSHION_MONTHS = 2;
+
+/**
+ * Escrowed taxes and insurance with the cushion the servicer holds in the account.
+ * The cushion is funded at closing with the initial escrow deposit.
+ */
+function escrowBreakdown({ taxesAnnual = 0, insuranceAnnual = 0, cushionMonths = MAX_ESCROW_CUSHION_MONTHS }) {
+  const months = Math.min(Math.max(cushionMonths, 0), MAX_ESCROW_CUSHION_MONTHS);
+  const monthlyTaxes = taxesAnnual / 12;
+  const monthlyInsurance = insuranceAnnual / 12;
+  const monthly = monthlyTaxes + monthlyInsurance;
+
+  return {
+    monthlyTaxes: round2(monthlyTaxes),
+    monthlyInsurance: round2(monthlyInsurance),
+    monthly: round2(monthly),
+    cushionMonths: months,
+    cushion: round2(monthly * months),
+  };
+}
+
+/**
+ * Full monthly payment: principal and interest on the loan (including any financed upfront
+ * MIP, funding fee or guarantee fee), mortgage insurance, escrow and HOA dues.
+ *
+ * Mortgage insurance needs the property value for LTV; without it the loan is priced with no MI.
+ *
+ * @param {Object} input
+ * @param {number} input.baseLoanAmount - Loan amount before financed upfront fees
+ * @param {number} input.rate - Note rate (%)
+ * @param {number} input.termYears
+ * @param {number} [input.propertyValue]
+ * @param {string} [input.productType='conventional']
+ * @param {number} [input.creditScore]
+ * @param {number} [input.taxesAnnual=0]
+ * @param {number} [input.insuranceAnnual=0]
+ * @param {number} [input.hoaMonthly=0]
+ * @param {number} [input.escrowCushionMonths=2]
+ * @returns {Object} Payment breakdown plus the full `amortization` (see mortgageMath.amortize)
+ */
+function calculatePayment(input) {
+  const {
+    baseLoanAmount,
+    rate,
+    termYears,
+    propertyValue,
+    productType = 'conventional',
+    creditScore,
+    taxesAnnual = 0,
+    insuranceAnnual = 0,
+    hoaMonthly = 0,
+    escrowCushionMonths,
+  } = input;
+
+  const mi = propertyValue
+    ? mortgageInsuranceService.calculate(productType, { baseLoanAmount, propertyValue, creditScore })
+    : null;
+  const loanAmount = mi ? mi.totalLoanAmount : round2(baseLoanAmount);
+  const principalAndInterest = calcMonthlyPayment(loanAmount, rate, termYears);
+  const escrow = escrowBreakdown({ taxesAnnual, insuranceAnnual, cushionMonths: escrowCushionMonths });
+  const amortization = amortize(loanAmount, rate, termYears, {
+    mortgageInsurance: mortgageInsuranceService.scheduleOptions(mi, propertyValue),
+  });
+  const monthlyMortgageInsurance = mi ? mi.monthlyPremium : 0;
+
+  return {
+    productType,
+    baseLoanAmount: round2(baseLoanAmount),
+    loanAmount,
+    ltv: mi ? mi.ltv : null,
+    principalAndInterest: round2(principalAndInterest),
+    mortgageInsurance: mi && {
+      type: mi.type,
+      ltv: mi.ltv,
+      upfrontPercent: mi.upfrontPercent,
+      upfrontFee: mi.upfrontFee,
+      annualRate: mi.annualRate,
+      monthlyPremium: mi.monthlyPremium,
+      cancelAtLtv: mi.cancelAtLtv,
+      durationMonths: mi.durationMonths,
+      // Last month the premium is charged; null when there is no monthly premium
+      endMonth: amortization.mortgageInsuranceEndMonth,
+      totalPremiums: amortization.totalMortgageInsurance,
+    },
+    escrow,
+    hoa: round2(hoaMonthly),
+    totalMonthly: round2(principalAndInterest + monthlyMortgageInsurance + escrow.monthly + hoaMonthly),
+    totalInterest: amortization.totalInterest,
+    totalPayments: round2(
+      amortization.totalPaid +
+        amortization.totalMortgageInsurance +
+        (escrow.monthly + hoaMonthly) * amortization.schedule.length
+    ),
+    amortization,
+  };
+}
+
+module.exports = {
+  MAX_ESCROW_CUSHION_MONTHS,
+  escrowBreakdown,
+  calculatePayment,
+};
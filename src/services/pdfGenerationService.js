@@ -247,6 +247,183 @@ class PDFGenerationService {
     });
   }
 
+  /**
+   * Generate rate quote worksheet PDF: each scenario's rate, points, APR, payment breakdown
+   * and fees, followed by the required disclaimers
+   */
+  async generateRateQuote(quoteData) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: 'LETTER',
+          margins: {
+            top: 50,
+            bottom: 50,
+            left: 60,
+            right: 60
+          }
+        });
+
+        const buffers = [];
+        doc.on('data', buffers.push.bind(buffers));
+        doc.on('end', () => {
+          const pdfBuffer = Buffer.concat(buffers);
+          resolve(pdfBuffer);
+        });
+        doc.on('error', reject);
+
+        const primaryColor = quoteData.branding?.primaryColor || '#003B5C';
+        const formatDate = (date) => new Date(date).toLocaleDateString('en-US', {
+          year: 'numeric',
+          month: 'long',
+          day: 'numeric'
+        });
+
+        // Header - company info and co-branding partner
+        doc.fontSize(10)
+           .fillColor('#666666')
+           .text('First Alliance Home Mortgage', 60, 50)
+           .text(quoteData.companyNMLS || 'NMLS #00000', 60, 65);
+
+        if (quoteData.branding?.partnerName) {
+          doc.fontSize(10)
+             .fillColor('#666666')
+             .text(`In partnership with ${quoteData.branding.partnerName}`, 300, 50, { width: 252, align: 'right' });
+        }
+
+        doc.moveDown(3);
+
+        doc.fontSize(20)
+           .fillColor(primaryColor)
+           .text('RATE QUOTE', 60, doc.y, { align: 'center' })
+           .moveDown();
+
+        doc.fontSize(10)
+           .fillColor('#000000')
+           .text(`Date: ${formatDate(quoteData.createdAt || new Date())}`, 60, doc.y)
+           .text(`Quote #: ${quoteData.quoteNumber}`, 60, doc.y)
+           .text(`Pricing valid through: ${formatDate(quoteData.expiresAt)}`, 60, doc.y);
+
+        if (quoteData.borrowerName) {
+          doc.text(`Prepared for: ${quoteData.borrowerName}`, 60, doc.y);
+        }
+
+        doc.moveDown(1.5);
+
+        // Loan scenario
+        doc.fontSize(12)
+           .fillColor(primaryColor)
+           .text('LOAN SCENARIO', { underline: true })
+           .moveDown(0.5);
+
+        doc.fontSize(10)
+           .fillColor('#000000')
+           .text(`Loan Amount: ${this.formatCurrency(quoteData.loanAmount)}`, 80, doc.y)
+           .text(`${quoteData.loanPurpose === 'purchase' ? 'Purchase Price' : 'Estimated Value'}: ${this.formatCurrency(quoteData.propertyValue)}`, 80, doc.y)
+           .text(`Loan Purpose: ${this.formatLoanPurpose(quoteData.loanPurpose)}`, 80, doc.y)
+           .text(`Property Type: ${this.formatPropertyType(quoteData.propertyType)}`, 80, doc.y)
+           .text(`Credit Score: ${quoteData.creditScore}`, 80, doc.y)
+           .moveDown(1.5);
+
+        // One block per scenario
+        quoteData.scenarios.forEach((scenario, index) => {
+          doc.fontSize(12)
+             .fillColor(primaryColor)
+             .text(`OPTION ${index + 1}: ${scenario.label}`, 60, doc.y, { underline: true })
+             .moveDown(0.5);
+
+          doc.fontSize(10)
+             .fillColor('#000000')
+             .text(`Loan Type: ${this.formatLoanType(scenario.productType)}`, 80, doc.y)
+             .text(`Interest Rate: ${scenario.rate.toFixed(3)}%    APR: ${scenario.apr.toFixed(3)}%`, 80, doc.y)
+             .text(`${scenario.points < 0 ? 'Lender Credit' : 'Discount Points'}: ${Math.abs(scenario.points)}% of loan amount`, 80, doc.y)
+             .text(`Total Loan Amount: ${this.formatCurrency(scenario.loanAmount)}`, 80, doc.y)
+             .moveDown(0.5);
+
+          doc.text('Estimated Monthly Payment', 80, doc.y)
+             .text(`Principal & Interest: ${this.formatCents(scenario.payment.principalAndInterest)}`, 100, doc.y)
+             .text(`Mortgage Insurance: ${this.formatCents(scenario.payment.mortgageInsurance)}`, 100, doc.y)
+             .text(`Property Taxes: ${this.formatCents(scenario.payment.taxes)}`, 100, doc.y)
+             .text(`Homeowner's Insurance: ${this.formatCents(scenario.payment.insurance)}`, 100, doc.y)
+             .text(`HOA Dues: ${this.formatCents(scenario.payment.hoa)}`, 100, doc.y)
+             .text(`Total: ${this.formatCents(scenario.payment.total)}`, 100, doc.y)
+             .moveDown(0.5);
+
+          doc.text('Estimated Fees and Cash to Close', 80, doc.y)
+             .text(`Loan Costs: ${this.formatCurrency(scenario.fees?.loanCosts || 0)}`, 100, doc.y)
+             .text(`Other Costs: ${this.formatCurrency(scenario.fees?.otherCosts || 0)}`, 100, doc.y);
+
+          if (scenario.fees?.lenderCredits) {
+            doc.text(`Lender Credits: ${this.formatCurrency(scenario.fees.lenderCredits)}`, 100, doc.y);
+          }
+
+          doc.text(`Closing Costs: ${this.formatCurrency(scenario.closingCosts)}`, 100, doc.y)
+             .text(`Cash to Close: ${this.formatCurrency(scenario.cashToClose)}`, 100, doc.y)
+             .moveDown(1.5);
+        });
+
+        // Disclaimers: the required ones always print, then any extras in order
+        doc.fontSize(12)
+           .fillColor(primaryColor)
+           .text('IMPORTANT DISCLAIMERS', 60, doc.y, { underline: true })
+           .moveDown(0.5);
+
+        const requiredDisclaimers = [
+          `Rates, points and APR are based on market pricing on ${formatDate(quoteData.createdAt || new Date())} for the scenario shown. They are not locked and may change until your rate is locked.`,
+          'This quote is not a commitment to lend or a Loan Estimate. You will receive a Loan Estimate after you apply.',
+          'Payments include principal and interest, mortgage insurance, and estimated property taxes, homeowner\'s insurance and HOA dues where provided. Your actual payment obligation may be greater.',
+          'Fees and cash to close are estimates and may vary by lender, title company and closing date.',
+          'Adjustable-rate loan payments may increase after the initial fixed-rate period.',
+          `Equal Housing Lender. First Alliance Home Mortgage, ${quoteData.companyNMLS || 'NMLS #00000'}.`
+        ];
+
+        const disclaimers = [
+          ...requiredDisclaimers,
+          ...(quoteData.disclaimers || []).slice().sort((a, b) => a.order - b.order).map(d => d.text)
+        ];
+
+        doc.fontSize(9)
+           .fillColor('#666666');
+
+        disclaimers.forEach((disclaimer, index) => {
+          doc.text(`${index + 1}. ${disclaimer}`, 60, doc.y, { align: 'justify' });
+          doc.moveDown(0.3);
+        });
+
+        doc.moveDown(1.5);
+
+        // Loan officer contact
+        doc.fontSize(10)
+           .fillColor('#000000')
+           .text(quoteData.loanOfficer?.name || 'Loan Officer', 60, doc.y)
+           .text(`NMLS #${quoteData.loanOfficer?.nmls || '000000'}`, 60, doc.y);
+
+        if (quoteData.loanOfficer?.email) {
+          doc.text(quoteData.loanOfficer.email, 60, doc.y);
+        }
+        if (quoteData.loanOfficer?.phone) {
+          doc.text(quoteData.loanOfficer.phone, 60, doc.y);
+        }
+
+        doc.moveDown(2);
+        doc.fontSize(8)
+           .fillColor('#999999')
+           .text('This document is confidential and intended solely for the recipient.', 60, doc.y, {
+             align: 'center'
+           });
+
+        doc.end();
+
+        logger.info('Rate quote PDF generated', {
+          quoteNumber: quoteData.quoteNumber
+        });
+      } catch (error) {
+        logger.error('Error generating rate quote PDF:', error);
+        reject(error);
+      }
+    });
+  }
+
   /**
    * Format currency
    */
@@ -259,6 +436,28 @@ class PDFGenerationService {
     }).format(amount);
   }
 
+  /**
+   * Format currency to the cent (monthly payment amounts)
+   */
+  formatCents(amount) {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount || 0);
+  }
+
+  /**
+   * Format loan purpose
+   */
+  formatLoanPurpose(purpose) {
+    const purposes = {
+      purchase: 'Purchase',
+      refinance: 'Refinance',
+      cash_out_refinance: 'Cash-Out Refinance'
+    };
+    return purposes[purpose] || purpose;
+  }
+
   /**
    * Format loan type
    */
@@ -1,4 +1,7 @@
 const axios = require('axios');
+const createError = require('http-errors');
+const azureBlobService = require('./azureBlobService');
+const antivirusService = require('./antivirusService');
 const logger = require('../utils/logger');
 
 class POSUploadService {
@@ -179,6 +182,51 @@ class POSUploadService {
     }
   }
 
+  /**
+   * Send a stored DocumentUpload to a POS and record the sync. Files that haven't scanned
+   * clean are refused (403 infected, 423 quarantined), as are parts of a merged PDF and
+   * earlier versions of a replaced document (409).
+   */
+  async syncToPOS(document, posSystem = document.posSystem || 'blend') {
+    antivirusService.assertClean(document);
+    if (document.mergedInto) {
+      throw createError(409, 'This file was merged into another document; sync the combined file instead');
+    }
+    if (document.supersededBy) {
+      throw createError(409, 'A newer version of this document exists; only the latest version is sent to the POS');
+    }
+
+    const uploaders = {
+      blend: this.uploadToBlend,
+      big_pos: this.uploadToBigPOS,
+      encompass: this.uploadToEncompass
+    };
+    if (!uploaders[posSystem]) {
+      throw new Error(`Unknown POS system ${posSystem}`);
+    }
+
+    const fileBuffer = await azureBlobService.downloadFile(document.blobName);
+    const posResult = await uploaders[posSystem].call(
+      this,
+      document.loan._id || document.loan,
+      fileBuffer,
+      document.originalFileName,
+      document.documentType,
+      { description: document.description }
+    );
+
+    if (!posResult.success) {
+      throw new Error('POS sync failed');
+    }
+    if (posResult.posDocumentId) {
+      await document.markSyncedToPOS(posResult.posSystem, posResult.posDocumentId);
+    } else if (posResult.encompassDocId) {
+      await document.markSyncedToEncompass(posResult.encompassDocId);
+    }
+
+    return posResult;
+  }
+
   /**
    * Get Blend access token
    */
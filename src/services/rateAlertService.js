@@ -1,10 +1,119 @@
 const RateAlert = require('../models/RateAlert');
+const User = require('../models/User');
 const Notification = require('../models/Notification');
 const totalExpertService = require('./totalExpertService');
 const smsNotificationService = require('./smsNotificationService');
 const optimalBlueService = require('./optimalBlueService');
 const emailService = require('./emailService');
+const paymentService = require('./paymentService');
+const posLinkService = require('./posLinkService');
 const logger = require('../utils/logger');
+const { termLabel } = require('../config/armProducts');
+const { DIGEST_MODES, DEFAULT_ALERT_PREFERENCES } = require('../config/rateAlerts');
+
+// Apply links in alerts stay usable for a day so SMS and email taps still work
+const APPLY_LINK_MINUTES = 24 * 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Alert owners are populated with what delivery needs
+const USER_FIELDS = 'name email phone expoPushToken rateAlertPreferences';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatMoney = (value) =>
+  value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * Headline for a triggered alert, e.g. "Estimated payment is now $1,896.20/mo at 6.125%,
+ * at or below your $1,900.00 target."
+ */
+function describeTrigger(data) {
+  switch (data.triggerType) {
+    case 'payment_below':
+      return `Estimated payment is now $${data.monthlyPayment}/mo at ${data.currentRate}%, at or below your $${data.targetPayment} target.`;
+    case 'apr_below':
+      return `APR is now ${data.currentApr}% (rate ${data.currentRate}%), below your target of ${data.targetApr}%.`;
+    default:
+      return `Current rate ${data.currentRate}% has reached your target of ${data.targetRate}%.`;
+  }
+}
+
+/**
+ * What an alert is waiting for, e.g. "rate at or below 6.250%"
+ */
+function describeTarget(alert) {
+  switch (alert.triggerType) {
+    case 'payment_below':
+      return `payment at or below $${formatMoney(alert.targetPayment)}`;
+    case 'apr_below':
+      return `APR below ${alert.targetApr.toFixed(3)}%`;
+    case 'drops_by':
+      return `a ${alert.dropAmount} drop from ${alert.baselineRate?.toFixed(3)}%`;
+    case 'above':
+      return `rate at or above ${alert.targetRate.toFixed(3)}%`;
+    default:
+      return `rate at or below ${alert.targetRate.toFixed(3)}%`;
+  }
+}
+
+/**
+ * The user's rate alert preferences with defaults filled in
+ */
+function resolvePreferences(user) {
+  const saved = user?.rateAlertPreferences || {};
+  return Object.keys(DEFAULT_ALERT_PREFERENCES).reduce(
+    (prefs, key) => {
+      prefs[key] = saved[key] ?? DEFAULT_ALERT_PREFERENCES[key];
+      return prefs;
+    },
+    { lastDigestAt: saved.lastDigestAt || null }
+  );
+}
+
+/**
+ * Hour, weekday (0 = Sunday) and calendar date of `date` in a timezone
+ */
+function localTime(date, timezone) {
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: 'numeric',
+    hourCycle: 'h23',
+  });
+  const parts = Object.fromEntries(format.formatToParts(date).map(({ type, value }) => [type, value]));
+  return {
+    hour: Number(parts.hour),
+    day: WEEKDAYS.indexOf(parts.weekday),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+/**
+ * Whether `date` falls in the user's quiet hours, which may span midnight (e.g. 21 to 8)
+ */
+function isQuietHours(prefs, date = new Date()) {
+  const { quietHoursStart: start, quietHoursEnd: end } = prefs;
+  if (start === end) return false;
+  const { hour } = localTime(date, prefs.timezone);
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+/**
+ * Whether a digest user is due one: past digestHour (on digestDay for weekly) in their
+ * timezone, and none sent yet that local day
+ */
+function isDigestDue(prefs, date = new Date()) {
+  if (!DIGEST_MODES.includes(prefs.delivery)) return false;
+
+  const now = localTime(date, prefs.timezone);
+  if (now.hour < prefs.digestHour) return false;
+  if (prefs.delivery === 'weekly_digest' && now.day !== prefs.digestDay) return false;
+  return !prefs.lastDigestAt || localTime(new Date(prefs.lastDigestAt), prefs.timezone).date !== now.date;
+}
 
 /**
  * Rate Alert Service
@@ -16,7 +125,7 @@ class RateAlertService {
   }
 
   /**
-   * Check all active alerts
+   * Check all active alerts, re-arming any whose cooldown has ended first
    * Called by scheduler every 30 minutes
    */
   async checkAllAlerts() {
@@ -31,6 +140,8 @@ class RateAlertService {
     try {
       logger.info('Starting rate alert check');
 
+      const rearmed = await this.rearmDueAlerts();
+
       // Find alerts that need checking (last checked > 30 minutes ago)
       const alerts = await RateAlert.findAlertsToCheck(30);
 
@@ -38,6 +149,7 @@ class RateAlertService {
 
       const results = {
         total: alerts.length,
+        rearmed,
         checked: 0,
         triggered: 0,
         failed: 0,
@@ -83,15 +195,19 @@ class RateAlertService {
       const rateSheet = await optimalBlueService.getRateSheetCached({
         productType: alert.productType,
         loanTerm: alert.loanTerm,
+        armType: alert.armType,
         loanAmount: alert.loanAmount,
         creditScore: alert.creditScore,
         ltv: alert.ltv,
         propertyType: alert.propertyType,
       });
 
-      // Find matching rate from the sheet
+      // Find matching rate from the sheet (ARM alerts watch the initial rate)
       const matchingRate = rateSheet.find(
-        (r) => r.productType === alert.productType && r.loanTerm === alert.loanTerm
+        (r) =>
+          r.productType === alert.productType &&
+          r.loanTerm === alert.loanTerm &&
+          (r.armType || null) === (alert.armType || null)
       );
 
       if (!matchingRate) {
@@ -102,24 +218,37 @@ class RateAlertService {
       }
 
       const currentRate = matchingRate.rate;
+      const payment = this.estimatePayment(alert, currentRate);
+      const pricing = { apr: matchingRate.apr, payment: payment?.totalMonthly };
+      const conditionMet = alert.shouldTrigger(currentRate, pricing);
 
-      // Update last checked timestamp
+      // Update last checked pricing
       alert.lastCheckedAt = new Date();
+      alert.lastCheckedRate = currentRate;
+      alert.lastCheckedApr = pricing.apr;
+      alert.lastCheckedPayment = pricing.payment;
+
+      // Re-armed with `reset`: the market has to move back past the target first
+      if (alert.awaitingReset) {
+        if (!conditionMet) alert.awaitingReset = false;
+        await alert.save();
+        return { triggered: false, currentRate, ...pricing, awaitingReset: alert.awaitingReset };
+      }
       await alert.save();
 
       // Check if alert should trigger
-      if (alert.shouldTrigger(currentRate)) {
-        await alert.trigger(currentRate, alert.notificationMethod);
-        await this.sendNotifications(alert, currentRate, matchingRate);
-        await this.logToCRM(alert, currentRate);
+      if (conditionMet) {
+        const delivery = await this.fireAlert(alert, currentRate, matchingRate, payment);
+        await this.logToCRM(alert, currentRate, pricing);
 
-        logger.info(`Alert ${alert._id} triggered at rate ${currentRate}`);
-        return { triggered: true, currentRate };
+        logger.info(`Alert ${alert._id} triggered at rate ${currentRate} (delivery: ${delivery})`);
+        return { triggered: true, currentRate, ...pricing, delivery };
       }
 
       return {
         triggered: false,
-        currentRate
+        currentRate,
+        ...pricing
       };
     } catch (error) {
       logger.error(`Error checking alert ${alert._id}: ${error.message}`);
@@ -127,22 +256,261 @@ class RateAlertService {
     }
   }
 
+  /**
+   * The user's rate alert delivery preferences with defaults filled in
+   */
+  getPreferences(user) {
+    return resolvePreferences(user);
+  }
+
+  /**
+   * Record a trigger, start the owner's re-arm cooldown and deliver per their preferences.
+   * Every checker triggers through here so quiet hours and digests always apply.
+   *
+   * @returns {Promise<string>} How the alert was delivered (see deliver)
+   */
+  async fireAlert(alert, currentRate, rateData = {}, payment = null) {
+    const prefs = resolvePreferences(alert.user);
+    if (alert.rearm !== 'never') {
+      alert.rearmAt = new Date(Date.now() + prefs.cooldownHours * HOUR_MS);
+    }
+    await alert.trigger(currentRate, alert.notificationMethod, { apr: rateData.apr, payment: payment?.totalMonthly });
+    return this.deliver(alert, prefs, currentRate, rateData, payment);
+  }
+
+  /**
+   * Notify now, or hold the alert for the end of quiet hours or the user's next digest
+   *
+   * @returns {Promise<string>} `sent`, `quiet_hours`, `daily_digest` or `weekly_digest`
+   */
+  async deliver(alert, prefs, currentRate, rateData, payment, now = new Date()) {
+    if (prefs.delivery === 'instant' && !isQuietHours(prefs, now)) {
+      await this.sendNotifications(alert, currentRate, rateData, payment);
+      return 'sent';
+    }
+
+    alert.deliveryPending = true;
+    await alert.save();
+    return prefs.delivery === 'instant' ? 'quiet_hours' : prefs.delivery;
+  }
+
+  /**
+   * Re-arm triggered alerts whose owner's cooldown has ended
+   */
+  async rearmDueAlerts(now = new Date()) {
+    const alerts = await RateAlert.findAlertsToRearm(now);
+    for (const alert of alerts) {
+      await alert.rearmAlert();
+    }
+    if (alerts.length) {
+      logger.info(`Re-armed ${alerts.length} rate alerts`);
+    }
+    return alerts.length;
+  }
+
+  /**
+   * Send held alerts whose quiet hours have ended and digests that are due
+   * Called by scheduler every 15 minutes
+   */
+  async deliverPending(now = new Date()) {
+    const results = { sent: 0, digests: 0, failed: 0 };
+
+    const pending = await RateAlert.find({ deliveryPending: true }).populate('user', USER_FIELDS);
+    for (const alert of pending) {
+      const prefs = resolvePreferences(alert.user);
+      if (!alert.user || prefs.delivery !== 'instant' || isQuietHours(prefs, now)) continue;
+
+      try {
+        const last = alert.triggerHistory[alert.triggerHistory.length - 1];
+        const payment = this.estimatePayment(alert, last.currentRate);
+        await this.sendNotifications(alert, last.currentRate, { apr: last.currentApr }, payment);
+        results.sent++;
+      } catch (error) {
+        results.failed++;
+        logger.error(`Failed to deliver held alert ${alert._id}: ${error.message}`);
+      }
+    }
+
+    const users = await User.find({
+      isActive: true,
+      'rateAlertPreferences.delivery': { $in: DIGEST_MODES }
+    }).select(USER_FIELDS);
+    for (const user of users) {
+      if (!isDigestDue(resolvePreferences(user), now)) continue;
+
+      try {
+        if (await this.sendDigest(user, now)) results.digests++;
+      } catch (error) {
+        results.failed++;
+        logger.error(`Failed to send rate alert digest to user ${user._id}: ${error.message}`);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Email one summary of all of the user's alerts: what triggered since the last digest and
+   * where the rest stand. Skipped when the user has no alerts.
+   *
+   * @returns {Promise<boolean>} Whether a digest was sent
+   */
+  async sendDigest(user, now = new Date()) {
+    const prefs = resolvePreferences(user);
+    const alerts = await RateAlert.find({
+      user: user._id,
+      status: { $in: ['active', 'triggered', 'paused'] }
+    })
+      .sort({ createdAt: 1 })
+      .populate('user', USER_FIELDS);
+    if (!alerts.length) return false;
+
+    const triggered = [];
+    const watching = [];
+    for (const alert of alerts) {
+      const name = `${alert.productType.toUpperCase()} ${termLabel(alert.loanTerm, alert.armType)}`;
+
+      if (alert.deliveryPending) {
+        const last = alert.triggerHistory[alert.triggerHistory.length - 1];
+        const payment = this.estimatePayment(alert, last.currentRate);
+        const data = await this.buildNotificationData(alert, last.currentRate, { apr: last.currentApr }, payment);
+        triggered.push({ alert, name, message: describeTrigger(data), applyUrl: data.applyUrl });
+      } else {
+        const current = alert.lastCheckedRate != null ? `currently ${alert.lastCheckedRate.toFixed(3)}%` : 'not checked yet';
+        watching.push({ name, text: `${alert.status === 'paused' ? 'Paused' : 'Watching'} for ${describeTarget(alert)}, ${current}.` });
+      }
+    }
+
+    const period = prefs.delivery === 'weekly_digest' ? 'weekly' : 'daily';
+    const summary = triggered.length
+      ? `${triggered.length} of your ${alerts.length} rate alerts triggered since your last digest.`
+      : `None of your ${alerts.length} rate alerts triggered since your last digest.`;
+
+    await Notification.create({
+      user: user._id,
+      type: 'rate_alert',
+      title: `Your ${period} rate alert digest`,
+      body: summary,
+      metadata: {
+        digest: true,
+        triggered: triggered.map((t) => ({ alertId: t.alert._id, message: t.message, applyUrl: t.applyUrl })),
+      },
+    });
+
+    if (user.email) {
+      const triggeredHtml = triggered.length
+        ? `<h3>Triggered</h3><ul>${triggered
+          .map((t) => `<li><strong>${t.name}</strong>: ${t.message}${t.applyUrl ? ` <a href="${t.applyUrl}">Apply now</a>` : ''}</li>`)
+          .join('')}</ul>`
+        : '';
+      const watchingHtml = watching.length
+        ? `<h3>Still watching</h3><ul>${watching.map((w) => `<li><strong>${w.name}</strong>: ${w.text}</li>`).join('')}</ul>`
+        : '';
+      try {
+        await emailService.transporter.sendMail({
+          from: process.env.SMTP_FROM || '"First Alliance Home Mortgage" <noreply@fahm.com>',
+          to: user.email,
+          subject: `Your ${period} rate alert digest`,
+          html: `
+            <h2>Rate Alert Digest</h2>
+            <p>Hi ${user.name},</p>
+            <p>${summary}</p>
+            ${triggeredHtml}
+            ${watchingHtml}
+            <p>Change how often you hear from us in your rate alert settings.</p>
+            <p>— First Alliance Home Mortgage</p>
+          `,
+        });
+        logger.info(`Rate alert digest sent to ${user.email}`);
+      } catch (emailError) {
+        logger.error(`Failed to send rate alert digest to ${user.email}: ${emailError.message}`);
+      }
+    }
+
+    for (const { alert } of triggered) {
+      await alert.markNotificationSent();
+    }
+    await User.updateOne({ _id: user._id }, { $set: { 'rateAlertPreferences.lastDigestAt': now } });
+
+    return true;
+  }
+
+  /**
+   * Monthly payment for the alert's scenario at a rate; the property value comes from the
+   * loan amount and LTV. Null when the scenario can't be priced, so rate triggers still run.
+   */
+  estimatePayment(alert, rate) {
+    try {
+      return paymentService.calculatePayment({
+        baseLoanAmount: alert.loanAmount,
+        rate,
+        termYears: alert.loanTerm,
+        propertyValue: alert.ltv ? alert.loanAmount / (alert.ltv / 100) : alert.loanAmount,
+        productType: alert.productType,
+        creditScore: alert.creditScore,
+        taxesAnnual: alert.taxesAnnual || 0,
+        insuranceAnnual: alert.insuranceAnnual || 0,
+        hoaMonthly: alert.hoaMonthly || 0,
+      });
+    } catch (error) {
+      logger.warn(`Could not estimate payment for alert ${alert._id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * One-tap link into the POS: continues the alert's loan, or starts an application
+   */
+  async createApplyLink(alert) {
+    try {
+      const session = await posLinkService.generatePOSLink({
+        userId: alert.user._id,
+        loanId: alert.loan?._id || alert.loan,
+        purpose: alert.loan ? 'continue_application' : 'new_application',
+        source: 'rate_alert',
+        expirationMinutes: APPLY_LINK_MINUTES,
+      });
+      return session.redirectUrl;
+    } catch (error) {
+      logger.error(`Failed to create POS link for alert ${alert._id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Template data for a triggered alert, with a fresh apply link
+   */
+  async buildNotificationData(alert, currentRate, rateData = {}, payment = null) {
+    const target = alert.targetRate || alert.baselineRate;
+
+    return {
+      userName: alert.user.name,
+      productType: alert.productType,
+      loanTerm: alert.loanTerm,
+      armType: alert.armType,
+      term: termLabel(alert.loanTerm, alert.armType),
+      currentRate: currentRate.toFixed(3),
+      targetRate: target != null ? target.toFixed(3) : undefined,
+      currentApr: rateData.apr != null ? rateData.apr.toFixed(3) : undefined,
+      targetApr: alert.targetApr != null ? alert.targetApr.toFixed(3) : undefined,
+      monthlyPayment: payment ? formatMoney(payment.totalMonthly) : undefined,
+      principalAndInterest: payment ? formatMoney(payment.principalAndInterest) : undefined,
+      targetPayment: alert.targetPayment != null ? formatMoney(alert.targetPayment) : undefined,
+      triggerType: alert.triggerType,
+      applyUrl: await this.createApplyLink(alert)
+    };
+  }
+
   /**
    * Send notifications based on alert preferences
    */
-  async sendNotifications(alert, currentRate, _rateData) {
+  async sendNotifications(alert, currentRate, rateData = {}, payment = null) {
     try {
       const user = alert.user;
       const method = alert.notificationMethod;
 
-      const notificationData = {
-        userName: user.name,
-        productType: alert.productType,
-        loanTerm: alert.loanTerm,
-        currentRate: currentRate.toFixed(3),
-        targetRate: (alert.targetRate || alert.baselineRate).toFixed(3),
-        triggerType: alert.triggerType
-      };
+      const notificationData = await this.buildNotificationData(alert, currentRate, rateData, payment);
+      const message = describeTrigger(notificationData);
 
       // Send based on preference
       if (method === 'sms' || method === 'all') {
@@ -157,8 +525,8 @@ class RateAlertService {
         await Notification.create({
           user: user._id,
           type: 'rate_alert',
-          title: `Rate Alert: ${notificationData.productType} ${notificationData.loanTerm}yr`,
-          body: `Current rate ${notificationData.currentRate}% has reached your target of ${notificationData.targetRate}%.`,
+          title: `Rate Alert: ${notificationData.productType} ${notificationData.term}`,
+          body: message,
           metadata: notificationData,
         });
 
@@ -171,8 +539,8 @@ class RateAlertService {
               await expo.sendPushNotificationsAsync([{
                 to: user.expoPushToken,
                 sound: 'default',
-                title: `Rate Alert: ${notificationData.productType} ${notificationData.loanTerm}yr`,
-                body: `Current rate ${notificationData.currentRate}% has reached your target of ${notificationData.targetRate}%.`,
+                title: `Rate Alert: ${notificationData.productType} ${notificationData.term}`,
+                body: message,
                 data: notificationData,
               }]);
               logger.info(`Push notification sent to user ${user._id}`);
@@ -186,20 +554,24 @@ class RateAlertService {
       if (method === 'email' || method === 'all') {
         if (user.email) {
           try {
+            const actionHtml = notificationData.applyUrl
+              ? `<p><a href="${notificationData.applyUrl}">Apply now</a> to lock in this pricing.</p>`
+              : '<p>Log in to your account to take action.</p>';
             await emailService.transporter.sendMail({
               from: process.env.SMTP_FROM || '"First Alliance Home Mortgage" <noreply@fahm.com>',
               to: user.email,
-              subject: `Rate Alert: ${notificationData.productType} ${notificationData.loanTerm}yr rate has reached ${notificationData.currentRate}%`,
+              subject: `Rate Alert: ${notificationData.productType} ${notificationData.term} rate has reached ${notificationData.currentRate}%`,
               html: `
                 <h2>Rate Alert Triggered</h2>
                 <p>Hi ${notificationData.userName},</p>
-                <p>Your rate alert for <strong>${notificationData.productType} ${notificationData.loanTerm}-year</strong> has been triggered.</p>
+                <p>Your rate alert for <strong>${notificationData.productType} ${notificationData.term}</strong> has been triggered. ${message}</p>
                 <ul>
                   <li><strong>Current Rate:</strong> ${notificationData.currentRate}%</li>
-                  <li><strong>Your Target:</strong> ${notificationData.targetRate}%</li>
+                  ${notificationData.currentApr ? `<li><strong>APR:</strong> ${notificationData.currentApr}%</li>` : ''}
+                  ${notificationData.monthlyPayment ? `<li><strong>Estimated Monthly Payment:</strong> $${notificationData.monthlyPayment} (principal and interest $${notificationData.principalAndInterest})</li>` : ''}
                   <li><strong>Trigger Type:</strong> ${notificationData.triggerType}</li>
                 </ul>
-                <p>Log in to your account to take action.</p>
+                ${actionHtml}
                 <p>— First Alliance Home Mortgage</p>
               `,
             });
@@ -222,23 +594,33 @@ class RateAlertService {
   /**
    * Log alert trigger to Total Expert CRM
    */
-  async logToCRM(alert, currentRate) {
+  async logToCRM(alert, currentRate, { apr, payment } = {}) {
     try {
       const user = alert.user;
+      const target = alert.targetRate || alert.baselineRate;
+      const targetText = {
+        payment_below: `Target payment: $${alert.targetPayment}`,
+        apr_below: `Target APR: ${alert.targetApr}%`,
+      }[alert.triggerType] || `Target: ${target?.toFixed(3)}%`;
 
       // Create CRM activity
       const activityData = {
         contactId: user.totalExpertContactId || user._id.toString(),
         activityType: 'rate_alert',
-        subject: `Rate Alert Triggered - ${alert.productType} ${alert.loanTerm}yr`,
-        description: `Rate alert triggered for ${user.name}. Current rate: ${currentRate.toFixed(3)}%, Target: ${(alert.targetRate || alert.baselineRate).toFixed(3)}%. Trigger type: ${alert.triggerType}.`,
+        subject: `Rate Alert Triggered - ${alert.productType} ${termLabel(alert.loanTerm, alert.armType)}`,
+        description: `Rate alert triggered for ${user.name}. Current rate: ${currentRate.toFixed(3)}%, ${targetText}.${payment ? ` Estimated payment: $${formatMoney(payment)}.` : ''} Trigger type: ${alert.triggerType}.`,
         activityDate: new Date(),
         metadata: {
           alertId: alert._id.toString(),
           productType: alert.productType,
           loanTerm: alert.loanTerm,
+          armType: alert.armType,
           currentRate,
-          targetRate: alert.targetRate || alert.baselineRate,
+          targetRate: target,
+          currentApr: apr,
+          targetApr: alert.targetApr,
+          currentPayment: payment,
+          targetPayment: alert.targetPayment,
           triggerType: alert.triggerType
         }
       };
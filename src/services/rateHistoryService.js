@@ -0,0 +1,222 @@
+const RateSnapshot = require('../models/RateSnapshot');
+const RateHistoryDaily = require('../models/RateHistoryDaily');
+const { termLabel } = require('../config/armProducts');
+const { PRICING_SOURCES } = require('../config/marketRates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest window any indicator looks back over
+const LOOKBACK_DAYS = 30;
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const seriesQuery = ({ productType, loanTerm, armType }) => ({
+  productType,
+  loanTerm: Number(loanTerm),
+  armType: armType && armType !== 'fixed' ? armType : null
+});
+
+const seriesKey = ({ productType, loanTerm, armType }) => `${productType}|${loanTerm}|${armType || ''}`;
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * OHLC bar for one day of a series. Rate sheets carry a ladder of rates per fetch, so the bar
+ * follows par pricing (the rate with points closest to zero) to keep buy-downs out of the trend.
+ *
+ * @param {Array} snapshots - The day's snapshots for one product/term, oldest first
+ * @returns {Object|null}
+ */
+function buildDailyBar(snapshots) {
+  if (!snapshots.length) return null;
+
+  const parPoints = Math.min(...snapshots.map((s) => Math.abs(s.points || 0)));
+  const par = snapshots.filter((s) => Math.abs(s.points || 0) === parPoints);
+  const rates = par.map((s) => s.rate);
+  const last = par[par.length - 1];
+
+  return {
+    open: par[0].rate,
+    high: Math.max(...rates),
+    low: Math.min(...rates),
+    close: last.rate,
+    apr: last.apr,
+    points: last.points || 0,
+    samples: par.length
+  };
+}
+
+/**
+ * Add day-over-day and week-over-week change, 7- and 30-day moving averages and 30-day
+ * volatility to a bar.
+ *
+ * @param {Object} bar - Bar with `date` and `close`
+ * @param {Array} history - Earlier bars of the same series, oldest first, each with its own `changeDay`
+ */
+function withIndicators(bar, history) {
+  const time = bar.date.getTime();
+  const within = (days) => history.filter((h) => new Date(h.date).getTime() > time - days * DAY_MS);
+
+  const previous = history[history.length - 1];
+  const weekAgo = [...history].reverse().find((h) => new Date(h.date).getTime() <= time - 7 * DAY_MS);
+  const changeDay = previous ? round3(bar.close - previous.close) : null;
+
+  const window30 = within(LOOKBACK_DAYS);
+  const changes = [...window30.map((h) => h.changeDay), changeDay].filter((c) => typeof c === 'number');
+  let volatility30 = null;
+  if (changes.length >= 2) {
+    const mean = average(changes);
+    volatility30 = round3(Math.sqrt(average(changes.map((c) => (c - mean) ** 2))));
+  }
+
+  return {
+    ...bar,
+    changeDay,
+    changeWeek: weekAgo ? round3(bar.close - weekAgo.close) : null,
+    movingAverage7: round3(average([...within(7).map((h) => h.close), bar.close])),
+    movingAverage30: round3(average([...window30.map((h) => h.close), bar.close])),
+    volatility30
+  };
+}
+
+/**
+ * One-line trend for a bar, e.g. "CONVENTIONAL 30-year rates dropped 0.125 this week to 6.5%."
+ */
+function describeTrend(series, bar) {
+  const name = `${series.productType.toUpperCase()} ${termLabel(series.loanTerm, series.armType)}`;
+  const change = bar.changeWeek;
+  if (change === null || change === undefined) {
+    return `${name} rates are at ${bar.close}%.`;
+  }
+  if (change === 0) {
+    return `${name} rates were unchanged this week at ${bar.close}%.`;
+  }
+  return `${name} rates ${change < 0 ? 'dropped' : 'rose'} ${Math.abs(change)} this week to ${bar.close}%.`;
+}
+
+/**
+ * Aggregate a day's snapshots into daily bars, one per product/term. Benchmark rates are left out.
+ * Re-running a day replaces its bars.
+ *
+ * @param {Date} [date] - Any time on the day; defaults to today (UTC)
+ * @returns {Promise<Object>} Number of series written
+ */
+async function aggregateDay(date = new Date()) {
+  const day = startOfDay(date);
+  const snapshots = await RateSnapshot.find({
+    effectiveDate: { $gte: day, $lt: new Date(day.getTime() + DAY_MS) },
+    source: { $in: PRICING_SOURCES },
+    loanPurpose: 'purchase'
+  })
+    .sort({ effectiveDate: 1 })
+    .lean();
+
+  const groups = new Map();
+  for (const snapshot of snapshots) {
+    const key = seriesKey(snapshot);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(snapshot);
+  }
+
+  let series = 0;
+  for (const group of groups.values()) {
+    const filter = { ...seriesQuery(group[0]), date: day };
+    const history = await RateHistoryDaily.find({
+      ...seriesQuery(group[0]),
+      date: { $gte: new Date(day.getTime() - LOOKBACK_DAYS * DAY_MS), $lt: day }
+    })
+      .sort({ date: 1 })
+      .lean();
+
+    const bar = withIndicators({ ...buildDailyBar(group), date: day }, history);
+    await RateHistoryDaily.findOneAndUpdate(filter, { ...filter, ...bar }, { upsert: true, new: true });
+    series++;
+  }
+
+  return { date: day, series };
+}
+
+/**
+ * Re-aggregate the last `days` days oldest first, so each day's indicators see the days before it.
+ */
+async function rebuildHistory(days = LOOKBACK_DAYS) {
+  const today = startOfDay(new Date());
+  let series = 0;
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const result = await aggregateDay(new Date(today.getTime() - offset * DAY_MS));
+    series += result.series;
+  }
+  return { days, series };
+}
+
+/**
+ * Daily series for the rate chart, grouped by product/term.
+ *
+ * @param {Object} filters - Optional `productType`, `loanTerm`, `armType` (`fixed` for fixed-rate only)
+ * @param {number} [days=30]
+ */
+async function getAnalytics({ productType, loanTerm, armType } = {}, days = 30) {
+  const query = { date: { $gte: startOfDay(new Date(Date.now() - (days - 1) * DAY_MS)) } };
+  if (productType) query.productType = productType;
+  if (loanTerm) query.loanTerm = Number(loanTerm);
+  if (armType) query.armType = armType === 'fixed' ? null : armType;
+
+  const bars = await RateHistoryDaily.find(query).sort({ date: 1 }).lean();
+
+  const series = new Map();
+  for (const bar of bars) {
+    const key = seriesKey(bar);
+    if (!series.has(key)) {
+      series.set(key, {
+        productType: bar.productType,
+        loanTerm: bar.loanTerm,
+        armType: bar.armType,
+        label: termLabel(bar.loanTerm, bar.armType),
+        bars: []
+      });
+    }
+    const { date, open, high, low, close, apr, changeDay, changeWeek, movingAverage7, movingAverage30, volatility30 } = bar;
+    series.get(key).bars.push({ date, open, high, low, close, apr, changeDay, changeWeek, movingAverage7, movingAverage30, volatility30 });
+  }
+
+  return [...series.values()].map((s) => {
+    const latest = s.bars[s.bars.length - 1];
+    return { ...s, latest, summary: describeTrend(s, latest) };
+  });
+}
+
+/**
+ * Latest bar and trend line for one product/term, or null before any history exists.
+ */
+async function getLatestTrend({ productType, loanTerm, armType }) {
+  const series = seriesQuery({ productType, loanTerm, armType });
+  const bar = await RateHistoryDaily.findOne(series).sort({ date: -1 }).lean();
+  if (!bar) return null;
+
+  return {
+    asOf: bar.date,
+    rate: bar.close,
+    changeDay: bar.changeDay,
+    changeWeek: bar.changeWeek,
+    movingAverage7: bar.movingAverage7,
+    volatility30: bar.volatility30,
+    summary: describeTrend(series, bar)
+  };
+}
+
+module.exports = {
+  LOOKBACK_DAYS,
+  buildDailyBar,
+  withIndicators,
+  describeTrend,
+  aggregateDay,
+  rebuildHistory,
+  getAnalytics,
+  getLatestTrend
+};
@@ -0,0 +1,470 @@
+const createError = require('http-errors');
+const RateLock = require('../models/RateLock');
+const RateSnapshot = require('../models/RateSnapshot');
+const Notification = require('../models/Notification');
+const optimalBlueService = require('./optimalBlueService');
+const { audit } = require('../utils/audit');
+const logger = require('../utils/logger');
+const { termLabel } = require('../config/armProducts');
+const { PRICING_SOURCES } = require('../config/marketRates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Warn the LO and borrower this many days before a lock expires
+const EXPIRY_WARNING_DAYS = [7, 3, 1];
+
+// Market pricing must beat the locked rate by this many points to float down, once per lock
+const FLOAT_DOWN_MIN_IMPROVEMENT = 0.25;
+const MAX_FLOAT_DOWNS = 1;
+
+// Relocks and float-downs are priced from snapshots no older than this
+const MARKET_RATE_MAX_AGE_MS = DAY_MS;
+
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'extended'];
+const RELOCKABLE_STATUSES = ['expired', 'released'];
+const INACTIVE_OB_STATUSES = ['expired', 'released', 'cancelled'];
+
+// RateLock follows Optimal Blue's `cashout_refinance`; snapshots use the loan application spelling
+const SNAPSHOT_LOAN_PURPOSES = { cashout_refinance: 'cash_out_refinance' };
+
+// lockDeskService requires this module for notifyParties, so it is loaded on first use
+const lockDesk = () => require('./lockDeskService');
+
+const lockLabel = (lock) => `${termLabel(lock.loanTerm, lock.armType)} rate lock at ${lock.lockedRate}%`;
+
+const isValidDate = (date) => date instanceof Date && !Number.isNaN(date.getTime());
+
+/**
+ * Notify the assigned LO (or whoever locked, when no LO is assigned) and the borrower.
+ * Expects `lock.loan` to be populated with `assignedOfficer`.
+ */
+async function notifyParties(lock, { title, body }, metadata = {}) {
+  const officer = lock.loan?.assignedOfficer || lock.lockedBy;
+  const recipients = [...new Set([officer, lock.borrower].filter(Boolean).map((id) => (id._id || id).toString()))];
+
+  for (const user of recipients) {
+    await Notification.create({
+      user,
+      type: 'status',
+      title,
+      body,
+      metadata: { loanId: lock.loan?._id || lock.loan, rateLockId: lock._id, ...metadata },
+    });
+  }
+}
+
+/**
+ * Compare a lock against its Optimal Blue record and store the result on
+ * `lock.reconciliation` (the caller saves). Locks never sent to Optimal Blue are skipped,
+ * and lookup failures are recorded rather than thrown so the lifecycle action still completes.
+ *
+ * @returns {Promise<Object|null>} Optimal Blue lock details, or null when unavailable
+ */
+async function reconcile(lock, now = new Date()) {
+  if (!lock.optimalBlueLockId) return null;
+
+  try {
+    const details = await optimalBlueService.getRateLockDetails(lock.optimalBlueLockId);
+    const remoteStatus = details.status ? details.status.toLowerCase() : null;
+    const discrepancies = [];
+
+    const locallyActive = ACTIVE_STATUSES.includes(lock.status);
+    if (remoteStatus && locallyActive === INACTIVE_OB_STATUSES.includes(remoteStatus)) {
+      discrepancies.push(`status: ${lock.status} locally, ${remoteStatus} in Optimal Blue`);
+    }
+    if (details.rate != null && details.rate !== lock.lockedRate) {
+      discrepancies.push(`rate: ${lock.lockedRate}% locally, ${details.rate}% in Optimal Blue`);
+    }
+    if (isValidDate(details.lockExpiresAt) && details.lockExpiresAt.getTime() !== lock.lockExpiresAt.getTime()) {
+      discrepancies.push(
+        `expiration: ${lock.lockExpiresAt.toISOString()} locally, ${details.lockExpiresAt.toISOString()} in Optimal Blue`
+      );
+    }
+
+    lock.reconciliation = {
+      checkedAt: now,
+      status: remoteStatus,
+      rate: details.rate,
+      lockExpiresAt: isValidDate(details.lockExpiresAt) ? details.lockExpiresAt : undefined,
+      discrepancies,
+    };
+    if (discrepancies.length > 0) {
+      logger.warn('Rate lock differs from Optimal Blue', { rateLockId: lock._id.toString(), discrepancies });
+    }
+    return details;
+  } catch (err) {
+    logger.warn('Failed to reconcile rate lock with Optimal Blue', { rateLockId: lock._id.toString(), error: err.message });
+    lock.reconciliation = { checkedAt: now, discrepancies: [], error: err.message };
+    return null;
+  }
+}
+
+const reconciliationSummary = (lock) =>
+  lock.reconciliation
+    ? { discrepancies: lock.reconciliation.discrepancies, error: lock.reconciliation.error }
+    : null;
+
+/**
+ * Best current rate for the lock's product at no more points than the lock paid,
+ * from the latest snapshots.
+ */
+async function findMarketRate(lock, now = new Date()) {
+  const query = {
+    productType: lock.productType,
+    loanTerm: lock.loanTerm,
+    armType: lock.armType || null,
+    source: { $in: PRICING_SOURCES },
+    isActive: true,
+    effectiveDate: { $gte: new Date(now.getTime() - MARKET_RATE_MAX_AGE_MS) },
+    points: { $lte: lock.points || 0 },
+  };
+  if (lock.loanPurpose) {
+    query.loanPurpose = SNAPSHOT_LOAN_PURPOSES[lock.loanPurpose] || lock.loanPurpose;
+  }
+
+  return RateSnapshot.findOne(query).sort({ effectiveDate: -1, rate: 1 });
+}
+
+/**
+ * Warn about locks expiring within 7, 3 and 1 days. Each threshold is sent once per
+ * expiration; a lock first seen inside a later threshold only gets that warning.
+ *
+ * @returns {Promise<number>} Number of locks warned about
+ */
+async function sendExpiryWarnings(now = new Date()) {
+  const horizon = new Date(now.getTime() + Math.max(...EXPIRY_WARNING_DAYS) * DAY_MS);
+  const locks = await RateLock.find({
+    status: { $in: ACTIVE_STATUSES },
+    lockExpiresAt: { $gt: now, $lte: horizon },
+  }).populate('loan', 'borrower assignedOfficer');
+
+  let warned = 0;
+  for (const lock of locks) {
+    try {
+      const daysLeft = Math.ceil((lock.lockExpiresAt.getTime() - now.getTime()) / DAY_MS);
+      const daysOut = Math.min(...EXPIRY_WARNING_DAYS.filter((days) => days >= daysLeft));
+      if (lock.expiryWarnings.some((warning) => warning.daysOut <= daysOut)) continue;
+
+      await notifyParties(
+        lock,
+        {
+          title: 'Rate lock expiring soon',
+          body: `The ${lockLabel(lock)} expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'} on ${lock.lockExpiresAt.toLocaleDateString()}.`,
+        },
+        { daysOut }
+      );
+      lock.expiryWarnings.push({ daysOut, sentAt: now });
+      await lock.save();
+      warned++;
+    } catch (err) {
+      logger.error('Failed to send rate lock expiry warning', { rateLockId: lock._id.toString(), error: err.message });
+    }
+  }
+  return warned;
+}
+
+/**
+ * Mark locks past their expiration as expired. A lock Optimal Blue still reports as
+ * active with a later expiration was extended there, so it takes that expiration instead.
+ *
+ * @returns {Promise<number>} Number of locks expired
+ */
+async function expireLocks(now = new Date()) {
+  const locks = await RateLock.find({
+    status: { $in: ACTIVE_STATUSES },
+    lockExpiresAt: { $lte: now },
+  }).populate('loan', 'borrower assignedOfficer');
+
+  let expired = 0;
+  for (const lock of locks) {
+    try {
+      const details = await reconcile(lock, now);
+      const remoteStatus = details?.status?.toLowerCase();
+      if (details && !INACTIVE_OB_STATUSES.includes(remoteStatus) && isValidDate(details.lockExpiresAt) && details.lockExpiresAt > now) {
+        lock.lockExpiresAt = details.lockExpiresAt;
+        await lock.save();
+        logger.info('Rate lock expiration updated from Optimal Blue', {
+          rateLockId: lock._id.toString(),
+          lockExpiresAt: details.lockExpiresAt,
+        });
+        continue;
+      }
+
+      lock.status = 'expired';
+      lock.expiredAt = now;
+      await lock.save();
+
+      await audit({
+        action: 'rateLock.expire',
+        entityType: 'RateLock',
+        entityId: lock._id.toString(),
+        metadata: { loanId: (lock.loan?._id || lock.loan).toString(), lockExpiresAt: lock.lockExpiresAt, reconciliation: reconciliationSummary(lock) },
+      });
+      await notifyParties(lock, {
+        title: 'Rate lock expired',
+        body: `The ${lockLabel(lock)} expired on ${lock.lockExpiresAt.toLocaleDateString()}. Contact your loan officer to relock.`,
+      });
+      expired++;
+    } catch (err) {
+      logger.error('Failed to expire rate lock', { rateLockId: lock._id.toString(), error: err.message });
+    }
+  }
+  return expired;
+}
+
+/**
+ * Release an active lock, in Optimal Blue first when it was locked there.
+ */
+async function release(lock, { actor, reason }, req) {
+  if (!ACTIVE_STATUSES.includes(lock.status)) {
+    throw createError(409, `Cannot release a ${lock.status} rate lock`);
+  }
+
+  if (lock.optimalBlueLockId) {
+    await optimalBlueService.releaseRateLock(lock.optimalBlueLockId, reason);
+  }
+
+  lock.status = 'released';
+  lock.releasedAt = new Date();
+  lock.releasedBy = actor._id;
+  lock.releaseReason = reason;
+  await reconcile(lock);
+  await lock.save();
+
+  await audit(
+    {
+      action: 'rateLock.release',
+      entityType: 'RateLock',
+      entityId: lock._id.toString(),
+      metadata: { loanId: (lock.loan?._id || lock.loan).toString(), reason, reconciliation: reconciliationSummary(lock) },
+    },
+    req
+  );
+  await notifyParties(lock, { title: 'Rate lock released', body: `The ${lockLabel(lock)} has been released.` });
+
+  return lock;
+}
+
+/**
+ * Lock again after an expiration or release at worst-case pricing: the original
+ * rate, or the current market rate when the market has moved up since. The relock goes
+ * through the lock desk like a new submission and may be queued as `pending`.
+ *
+ * @returns {Promise<{ lock: Object, pricedFrom: 'original'|'market', marketRate: number, reviewReasons: string[] }>}
+ */
+async function relock(lock, { actor, lockPeriod, notes }, req) {
+  if (!RELOCKABLE_STATUSES.includes(lock.status)) {
+    throw createError(409, `Cannot relock a ${lock.status} rate lock; only expired or released locks can be relocked`);
+  }
+  // A relock the lock desk denied is cancelled and doesn't count
+  if (await RateLock.exists({ relockOf: lock._id, status: { $ne: 'cancelled' } })) {
+    throw createError(409, 'Rate lock has already been relocked');
+  }
+
+  const now = new Date();
+  const market = await findMarketRate(lock, now);
+  if (!market) {
+    throw createError(409, 'No current market pricing for this product');
+  }
+
+  const useMarket = market.rate > lock.lockedRate;
+  const period = lockPeriod || lock.lockPeriod;
+  const relocked = new RateLock({
+    loan: lock.loan?._id || lock.loan,
+    borrower: lock.borrower,
+    lockedBy: actor._id,
+    rateSnapshot: useMarket ? market._id : lock.rateSnapshot,
+    lockedRate: useMarket ? market.rate : lock.lockedRate,
+    lockedAPR: useMarket ? market.apr : lock.lockedAPR,
+    points: useMarket ? market.points : lock.points,
+    lockPeriod: period,
+    lockExpiresAt: new Date(now.getTime() + period * DAY_MS),
+    status: 'confirmed',
+    confirmedAt: now,
+    loanAmount: lock.loanAmount,
+    productType: lock.productType,
+    loanTerm: lock.loanTerm,
+    armType: lock.armType,
+    loanPurpose: lock.loanPurpose,
+    propertyType: lock.propertyType,
+    occupancy: lock.occupancy,
+    ltv: lock.ltv,
+    creditScore: lock.creditScore,
+    pricing: useMarket
+      ? {
+        baseRate: market.rate,
+        adjustments: market.adjustments?.total || 0,
+        totalAdjustment: market.adjustments?.total || 0,
+      }
+      : lock.pricing,
+    investorName: lock.investorName,
+    relockOf: lock._id,
+    notes,
+  });
+
+  const reviewReasons = lockDesk().reviewReasons({ productType: lock.productType }, now);
+  if (reviewReasons.length > 0) {
+    lockDesk().queue(relocked, reviewReasons, { submittedAt: now, request: 'relock' });
+  }
+  await relocked.save();
+
+  const pricedFrom = useMarket ? 'market' : 'original';
+  await audit(
+    {
+      action: 'rateLock.relock',
+      entityType: 'RateLock',
+      entityId: relocked._id.toString(),
+      metadata: {
+        loanId: relocked.loan.toString(),
+        relockOf: lock._id.toString(),
+        originalRate: lock.lockedRate,
+        marketRate: market.rate,
+        lockedRate: relocked.lockedRate,
+        pricedFrom,
+        status: relocked.status,
+        reviewReasons,
+        reconciliation: reconciliationSummary(lock),
+      },
+    },
+    req
+  );
+
+  if (relocked.status === 'pending') {
+    await lockDesk().notifyQueued(relocked);
+    await notifyParties(
+      lock,
+      { title: 'Rate relock submitted', body: `Your relock at ${relocked.lockedRate}% for ${period} days is being reviewed by our lock desk.` },
+      { rateLockId: relocked._id }
+    );
+  } else {
+    await notifyParties(
+      lock,
+      { title: 'Rate relocked', body: `Your rate has been relocked at ${relocked.lockedRate}% for ${period} days.` },
+      { rateLockId: relocked._id }
+    );
+  }
+
+  return { lock: relocked, pricedFrom, marketRate: market.rate, reviewReasons };
+}
+
+/**
+ * Move an active lock down to the current market rate when it has improved by at
+ * least FLOAT_DOWN_MIN_IMPROVEMENT. The expiration is unchanged. Float-downs go through
+ * the lock desk like a new submission; a queued one keeps the lock at its current rate
+ * until the lock desk approves it.
+ */
+async function floatDown(lock, { actor }, req) {
+  const now = new Date();
+  if (!['confirmed', 'extended'].includes(lock.status) || lock.lockExpiresAt <= now) {
+    throw createError(409, 'Only active rate locks can float down');
+  }
+  if (lock.floatDownHistory.length >= MAX_FLOAT_DOWNS) {
+    throw createError(409, 'Rate lock has already floated down');
+  }
+  if (lock.lockDesk?.request === 'float_down' && lock.lockDesk.state === 'queued') {
+    throw createError(409, 'A float-down is already awaiting lock desk review');
+  }
+
+  const market = await findMarketRate(lock, now);
+  if (!market || lock.lockedRate - market.rate < FLOAT_DOWN_MIN_IMPROVEMENT) {
+    throw createError(409, `Market rate must be at least ${FLOAT_DOWN_MIN_IMPROVEMENT} below the locked rate to float down`, {
+      errors: [{ lockedRate: lock.lockedRate, marketRate: market ? market.rate : null }],
+    });
+  }
+
+  const reviewReasons = lockDesk().reviewReasons({ productType: lock.productType }, now);
+  if (reviewReasons.length === 0) {
+    return applyFloatDown(lock, { rate: market.rate, apr: market.apr, rateSnapshot: market._id, requestedBy: actor._id }, req, now);
+  }
+
+  lockDesk().queue(lock, reviewReasons, {
+    submittedAt: now,
+    request: 'float_down',
+    floatDown: { rate: market.rate, apr: market.apr, rateSnapshot: market._id, requestedBy: actor._id },
+  });
+  await lock.save();
+
+  await audit(
+    {
+      action: 'rateLock.floatDown.queued',
+      entityType: 'RateLock',
+      entityId: lock._id.toString(),
+      metadata: {
+        loanId: (lock.loan?._id || lock.loan).toString(),
+        lockedRate: lock.lockedRate,
+        marketRate: market.rate,
+        rateSnapshot: market._id.toString(),
+        reviewReasons,
+      },
+    },
+    req
+  );
+  await lockDesk().notifyQueued(lock);
+  await notifyParties(lock, {
+    title: 'Float-down submitted',
+    body: `A float-down from ${lock.lockedRate}% to ${market.rate}% is being reviewed by our lock desk.`,
+  });
+
+  return lock;
+}
+
+/**
+ * Reprice a lock to a float-down rate and record it. Used directly for float-downs that need
+ * no review and by the lock desk when it approves a queued one.
+ *
+ * @param {Object} floatDown - `rate`, `apr`, `rateSnapshot` and the `requestedBy` user id
+ */
+async function applyFloatDown(lock, { rate, apr, rateSnapshot, requestedBy }, req, now = new Date()) {
+  const previousRate = lock.lockedRate;
+  lock.floatDownHistory.push({
+    floatedBy: requestedBy,
+    floatedAt: now,
+    previousRate,
+    previousAPR: lock.lockedAPR,
+    newRate: rate,
+    newAPR: apr,
+    rateSnapshot,
+  });
+  lock.lockedRate = rate;
+  lock.lockedAPR = apr;
+  lock.rateSnapshot = rateSnapshot;
+  lock.set('pricing.baseRate', rate);
+  await reconcile(lock, now);
+  await lock.save();
+
+  await audit(
+    {
+      action: 'rateLock.floatDown',
+      entityType: 'RateLock',
+      entityId: lock._id.toString(),
+      metadata: {
+        loanId: (lock.loan?._id || lock.loan).toString(),
+        previousRate,
+        newRate: rate,
+        rateSnapshot: rateSnapshot.toString(),
+        reconciliation: reconciliationSummary(lock),
+      },
+    },
+    req
+  );
+  await notifyParties(lock, {
+    title: 'Rate lock floated down',
+    body: `Your locked rate dropped from ${previousRate}% to ${rate}%.`,
+  });
+
+  return lock;
+}
+
+module.exports = {
+  EXPIRY_WARNING_DAYS,
+  notifyParties,
+  FLOAT_DOWN_MIN_IMPROVEMENT,
+  reconcile,
+  findMarketRate,
+  sendExpiryWarnings,
+  expireLocks,
+  release,
+  relock,
+  floatDown,
+  applyFloatDown,
+};
@@ -0,0 +1,383 @@
+const createError = require('http-errors');
+const LoanApplication = require('../models/LoanApplication');
+const Notification = require('../models/Notification');
+const ReferralSource = require('../models/ReferralSource');
+const User = require('../models/User');
+const optimalBlueService = require('./optimalBlueService');
+const paymentService = require('./paymentService');
+const feeEngineService = require('./feeEngineService');
+const pdfGenerationService = require('./pdfGenerationService');
+const azureBlobService = require('./azureBlobService');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+const { audit } = require('../utils/audit');
+const { calculateAPR, round2 } = require('../utils/mortgageMath');
+const logger = require('../utils/logger');
+const { termLabel } = require('../config/armProducts');
+
+const MAX_SCENARIOS = 6;
+
+// Quoted pricing is only good for a few days before rates need refreshing
+const QUOTE_VALIDITY_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Download links sent by SMS or handed out stay valid this long
+const LINK_EXPIRY_MINUTES = 24 * 60;
+
+const scenarioLabel = ({ productType, loanTerm, armType, points = 0 }) =>
+  `${productType.toUpperCase()} ${termLabel(loanTerm, armType)}, ${points} pts`;
+
+/**
+ * Rate on the sheet for the scenario's product whose points are closest to those requested
+ * (the lower rate when two are equally close).
+ */
+function selectRate(rateSheet, { productType, loanTerm, armType, points = 0 }) {
+  const matches = rateSheet.filter(
+    (r) => r.productType === productType && r.loanTerm === loanTerm && (r.armType || null) === (armType || null)
+  );
+  matches.sort((a, b) => Math.abs(a.points - points) - Math.abs(b.points - points) || a.rate - b.rate);
+  return matches[0] || null;
+}
+
+/**
+ * Price one scenario through Optimal Blue and work out its payment, APR and cash to close.
+ *
+ * @param {Object} input - Borrower inputs shared by all scenarios (see RateQuote)
+ * @param {Object} scenario - `{ productType, loanTerm, armType?, points?, label? }`
+ * @throws 502 when Optimal Blue is unavailable, 422 when it has no rate for the product
+ */
+async function priceScenario(input, scenario) {
+  const { loanAmount, propertyValue, loanPurpose = 'purchase', creditScore } = input;
+  const { productType, loanTerm, armType, points: requestedPoints = 0 } = scenario;
+  const label = scenario.label || scenarioLabel(scenario);
+
+  let rateSheet;
+  try {
+    rateSheet = await optimalBlueService.getRateSheetCached({
+      loanAmount,
+      productType,
+      loanTerm,
+      armType,
+      loanPurpose,
+      propertyType: input.propertyType,
+      occupancy: input.occupancy,
+      ltv: round2((loanAmount / propertyValue) * 100),
+      creditScore,
+    });
+  } catch (error) {
+    logger.error('Failed to price rate quote scenario:', error);
+    throw createError(502, 'Optimal Blue pricing is unavailable');
+  }
+
+  const rate = selectRate(rateSheet, scenario);
+  if (!rate) {
+    throw createError(422, `No pricing available for ${label}`);
+  }
+
+  const payment = paymentService.calculatePayment({
+    baseLoanAmount: loanAmount,
+    rate: rate.rate,
+    termYears: loanTerm,
+    propertyValue,
+    productType,
+    creditScore,
+    taxesAnnual: input.taxesAnnual,
+    insuranceAnnual: input.insuranceAnnual,
+    hoaMonthly: input.hoaMonthly,
+  });
+  const upfrontMortgageInsurance = payment.mortgageInsurance?.upfrontFee || 0;
+
+  // Negative points are a lender credit
+  const estimate = feeEngineService.buildLoanEstimate({
+    loanAmount,
+    rate: rate.rate,
+    termYears: loanTerm,
+    purchasePrice: propertyValue,
+    loanPurpose,
+    productType,
+    state: input.state,
+    discountPoints: Math.max(rate.points, 0),
+    lenderCredits: round2((Math.max(-rate.points, 0) / 100) * loanAmount),
+    taxesAnnual: input.taxesAnnual,
+    insuranceAnnual: input.insuranceAnnual,
+    payoffAmount: input.payoffAmount,
+  });
+
+  // As in the calculator, financed upfront mortgage insurance counts toward the APR
+  const apr = calculateAPR(
+    payment.loanAmount,
+    payment.principalAndInterest,
+    loanTerm,
+    estimate.comparisons.prepaidFinanceCharges + upfrontMortgageInsurance
+  );
+
+  return {
+    label,
+    productType,
+    loanTerm,
+    armType,
+    requestedPoints,
+    rate: rate.rate,
+    apr: Number(apr.toFixed(3)),
+    points: rate.points,
+    lockPeriod: rate.lockPeriod,
+    optimalBlueRateId: rate.optimalBlueRateId,
+    loanAmount: payment.loanAmount,
+    ltv: payment.ltv,
+    payment: {
+      principalAndInterest: payment.principalAndInterest,
+      mortgageInsurance: payment.mortgageInsurance?.monthlyPremium || 0,
+      taxes: payment.escrow.monthlyTaxes,
+      insurance: payment.escrow.monthlyInsurance,
+      hoa: payment.hoa,
+      total: payment.totalMonthly,
+    },
+    fees: {
+      loanCosts: estimate.totals.loanCosts,
+      otherCosts: estimate.totals.otherCosts,
+      lenderCredits: estimate.totals.lenderCredits,
+    },
+    closingCosts: estimate.totals.closingCosts,
+    cashToClose: estimate.cashToClose.total,
+  };
+}
+
+/**
+ * Price each scenario in turn for a new quote.
+ */
+async function priceScenarios(input, scenarios) {
+  if (!scenarios.length || scenarios.length > MAX_SCENARIOS) {
+    throw createError(400, `A quote needs between 1 and ${MAX_SCENARIOS} scenarios`);
+  }
+  const priced = [];
+  for (const scenario of scenarios) {
+    priced.push(await priceScenario(input, scenario));
+  }
+  return priced;
+}
+
+const quoteExpiration = (now = new Date()) => new Date(now.getTime() + QUOTE_VALIDITY_DAYS * DAY_MS);
+
+/**
+ * Co-brand the quote with its referral partner, as pre-approval letters are, when the
+ * partner is active and has rate quote co-branding on. The partner's custom disclaimer
+ * prints after the standard ones.
+ */
+async function applyBranding(quote) {
+  if (!quote.referralSource) return;
+  const referralSource = await ReferralSource.findById(quote.referralSource);
+  if (!referralSource || referralSource.status !== 'active' || !referralSource.isCoBrandingEnabled('rate_quote')) {
+    return;
+  }
+
+  const config = referralSource.getBrandingConfig();
+  quote.branding = {
+    ...(quote.branding?.toObject ? quote.branding.toObject() : quote.branding),
+    partnerLogo: config.logo,
+    partnerName: config.companyName || config.name,
+    ...(config.primaryColor && { primaryColor: config.primaryColor }),
+    ...(config.secondaryColor && { secondaryColor: config.secondaryColor }),
+  };
+  const customDisclaimer = referralSource.coBrandingSettings?.customDisclaimer;
+  quote.disclaimers = customDisclaimer ? [{ text: customDisclaimer, order: 1 }] : [];
+}
+
+/**
+ * Quote plus the borrower and LO details the PDF and messages print.
+ */
+async function buildQuoteData(quote) {
+  const [borrower, loanOfficer] = await Promise.all([
+    quote.borrower ? User.findById(quote.borrower).select('name email phone') : null,
+    User.findById(quote.loanOfficer).select('name email phone nmls'),
+  ]);
+  return {
+    ...quote.toObject(),
+    borrowerName: borrower?.name,
+    borrowerEmail: borrower?.email,
+    borrowerPhone: borrower?.phone,
+    loanOfficer: loanOfficer && { name: loanOfficer.name, email: loanOfficer.email, phone: loanOfficer.phone, nmls: loanOfficer.nmls },
+    companyNMLS: 'NMLS #00000',
+  };
+}
+
+/**
+ * Render the quote PDF and store it. Quotes are not edited after pricing, so the stored PDF
+ * is reused once generated.
+ *
+ * @returns {Promise<Buffer>}
+ */
+async function generatePdf(quote) {
+  await applyBranding(quote);
+  const pdfBuffer = await pdfGenerationService.generateRateQuote(await buildQuoteData(quote));
+
+  const blobName = `rate-quotes/${quote._id}/${quote.quoteNumber}.pdf`;
+  quote.pdfUrl = await azureBlobService.uploadFile(blobName, pdfBuffer, 'application/pdf');
+  quote.pdfBlobName = blobName;
+  await quote.save();
+  return pdfBuffer;
+}
+
+/**
+ * The stored quote PDF, generating it on first use.
+ */
+async function getPdf(quote) {
+  if (!quote.pdfBlobName) {
+    return generatePdf(quote);
+  }
+  return azureBlobService.downloadFile(quote.pdfBlobName);
+}
+
+/**
+ * Share a quote with the borrower: in the app, by email with the PDF attached, by SMS with a
+ * download link, or as a link for the LO to pass on. Email and SMS go to the borrower on file
+ * unless a recipient is given.
+ *
+ * @returns {Promise<Object>} Delivery result; `downloadUrl` for links
+ * @throws 409 once an application was started, 410 when the quote has expired
+ */
+async function share(quote, { actor, method = 'app', borrower, recipient }, req) {
+  if (quote.status === 'applied') {
+    throw createError(409, 'An application has already been started from this quote');
+  }
+  if (quote.isExpired()) {
+    throw createError(410, 'This rate quote has expired');
+  }
+  if (borrower) quote.borrower = borrower;
+  if (method === 'app' && !quote.borrower) {
+    throw createError(400, 'Choose a borrower to share the quote with');
+  }
+
+  let result;
+  let sentTo = recipient;
+  if (method === 'app') {
+    sentTo = quote.borrower.toString();
+    await Notification.create({
+      user: quote.borrower,
+      type: 'info',
+      title: 'Your rate quote is ready',
+      body: `Compare ${quote.scenarios.length} loan options from your loan officer.`,
+      metadata: { rateQuoteId: quote._id },
+    });
+    result = { notified: sentTo };
+  } else {
+    const quoteData = await buildQuoteData(quote);
+    if (method === 'email') {
+      sentTo = recipient || quoteData.borrowerEmail;
+      if (!sentTo) throw createError(400, 'The borrower has no email address; provide a recipient');
+      result = await emailService.sendRateQuote(sentTo, quoteData, await getPdf(quote));
+    } else {
+      await getPdf(quote);
+      const downloadUrl = await azureBlobService.generateSasUrl(quote.pdfBlobName, LINK_EXPIRY_MINUTES, 'r');
+      if (method === 'sms') {
+        sentTo = recipient || quoteData.borrowerPhone;
+        if (!sentTo) throw createError(400, 'The borrower has no phone number; provide a recipient');
+        result = await smsService.sendRateQuoteLink(sentTo, quoteData, downloadUrl);
+      } else {
+        sentTo = recipient || 'Generated';
+        result = { downloadUrl };
+      }
+    }
+  }
+
+  await quote.markSent(method, sentTo, actor._id);
+
+  await audit(
+    {
+      action: 'rateQuote.share',
+      entityType: 'RateQuote',
+      entityId: quote._id.toString(),
+      metadata: { method, recipient: sentTo, sharedBy: actor._id.toString() },
+    },
+    req
+  );
+
+  return result;
+}
+
+/**
+ * Record a borrower view; the first one marks a shared quote viewed.
+ */
+async function recordView(quote, { viewedBy, ipAddress } = {}) {
+  await quote.trackView(viewedBy, ipAddress);
+  return quote;
+}
+
+/**
+ * Start a loan application from the scenario the borrower picked, assigned to the quoting LO.
+ *
+ * @throws 409 when the quote has expired or already has an application, 400 for an unknown scenario
+ */
+async function startApplication(quote, { actor, scenarioId }, req) {
+  if (quote.status === 'applied') {
+    throw createError(409, 'An application has already been started from this quote', {
+      errors: [{ msg: 'Quote already applied', loanId: quote.loan }],
+    });
+  }
+  if (quote.isExpired()) {
+    throw createError(409, 'This quote has expired; ask your loan officer for updated pricing');
+  }
+  const scenario = quote.scenarios.id(scenarioId);
+  if (!scenario) {
+    throw createError(400, 'Scenario not found on this quote');
+  }
+
+  const isPurchase = quote.loanPurpose === 'purchase';
+  const loan = await LoanApplication.create({
+    borrower: quote.borrower,
+    assignedOfficer: quote.loanOfficer,
+    amount: quote.loanAmount,
+    status: 'application',
+    statusHistory: [{ to: 'application', changedBy: actor._id, source: 'app', reason: 'Started from rate quote' }],
+    loanPurpose: quote.loanPurpose,
+    occupancy: quote.occupancy,
+    productType: scenario.productType,
+    loanTerm: scenario.loanTerm,
+    interestRate: scenario.rate,
+    downPayment: isPurchase ? Math.max(0, quote.propertyValue - quote.loanAmount) : undefined,
+    property: {
+      propertyType: quote.propertyType,
+      ...(isPurchase ? { purchasePrice: quote.propertyValue } : { estimatedValue: quote.propertyValue }),
+    },
+    borrowerInfo: { creditScore: quote.creditScore },
+  });
+
+  quote.status = 'applied';
+  quote.loan = loan._id;
+  quote.selectedScenario = scenario._id;
+  quote.appliedAt = new Date();
+  await quote.save();
+
+  await Notification.create({
+    user: quote.loanOfficer,
+    type: 'status',
+    title: 'Application started from quote',
+    body: `Your borrower started an application for ${scenario.label} at ${scenario.rate}%.`,
+    metadata: { rateQuoteId: quote._id, loanId: loan._id },
+  });
+
+  await audit(
+    {
+      action: 'rateQuote.apply',
+      entityType: 'RateQuote',
+      entityId: quote._id.toString(),
+      metadata: { loanId: loan._id.toString(), scenarioId: scenario._id.toString(), rate: scenario.rate },
+    },
+    req
+  );
+
+  return loan;
+}
+
+module.exports = {
+  MAX_SCENARIOS,
+  QUOTE_VALIDITY_DAYS,
+  selectRate,
+  priceScenario,
+  priceScenarios,
+  quoteExpiration,
+  getPdf,
+  share,
+  recordView,
+  startApplication,
+};
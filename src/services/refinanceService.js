@@ -0,0 +1,212 @@
+const { LOAN_PROGRAMS } = require('../config/loanPrograms');
+const feeEngineService = require('./feeEngineService');
+const { calcMonthlyPayment, generateAmortizationSchedule, round2 } = require('../utils/mortgageMath');
+
+/**
+ * Closing costs a borrower pays to refinance: lender and third-party loan costs (A–C)
+ * plus recording fees and transfer taxes (E). Prepaids and escrow deposits are left out
+ * because the existing escrow balance is refunded at payoff.
+ */
+function estimateClosingCosts({ loanAmount, rate, termYears, propertyValue, productType, state, cashOut }) {
+  const estimate = feeEngineService.buildLoanEstimate({
+    loanAmount,
+    rate,
+    termYears,
+    purchasePrice: propertyValue,
+    loanPurpose: cashOut > 0 ? 'cash_out_refinance' : 'refinance',
+    productType,
+    state,
+  });
+  return round2(estimate.totals.loanCosts + estimate.sections.E.total);
+}
+
+/**
+ * Summarize a full amortization schedule by loan year.
+ */
+function yearlyTotals(schedule) {
+  const years = [];
+  schedule.forEach((row) => {
+    const index = Math.floor((row.month - 1) / 12);
+    if (!years[index]) years[index] = { payments: 0, principal: 0, interest: 0, endingBalance: 0 };
+    const year = years[index];
+    year.payments += row.payment;
+    year.principal += row.principal;
+    year.interest += row.interest;
+    year.endingBalance = row.balance;
+  });
+  return years;
+}
+
+function roundYear(year) {
+  if (!year) return { payments: 0, principal: 0, interest: 0, endingBalance: 0 };
+  return {
+    payments: round2(year.payments),
+    principal: round2(year.principal),
+    interest: round2(year.interest),
+    endingBalance: year.endingBalance,
+  };
+}
+
+/**
+ * Side-by-side yearly comparison of the current loan and the refinance. Cumulative savings
+ * start at minus the closing costs paid in cash, so the year they turn positive is break-even.
+ */
+function buildComparison(current, proposed, cashClosingCosts) {
+  const currentYears = yearlyTotals(
+    generateAmortizationSchedule(current.balance, current.rate, current.remainingMonths / 12, 1, current.remainingMonths)
+  );
+  const proposedYears = yearlyTotals(
+    generateAmortizationSchedule(proposed.loanAmount, proposed.rate, proposed.termYears, 1, proposed.termYears * 12)
+  );
+
+  let cumulativeSavings = -cashClosingCosts;
+  return Array.from({ length: Math.max(currentYears.length, proposedYears.length) }, (_, index) => {
+    const currentYear = roundYear(currentYears[index]);
+    const proposedYear = roundYear(proposedYears[index]);
+    cumulativeSavings += currentYear.payments - proposedYear.payments;
+    return {
+      year: index + 1,
+      current: currentYear,
+      proposed: proposedYear,
+      cumulativeSavings: round2(cumulativeSavings),
+    };
+  });
+}
+
+/**
+ * Largest cash-out the program allows against the property value.
+ */
+function cashOutOption({ productType, propertyValue, balance, rolledCosts, rate, termYears, currentPayment }) {
+  const maxLtv = LOAN_PROGRAMS[productType]?.maxCashOutLtv ?? null;
+  if (maxLtv == null || !propertyValue) {
+    return { available: false, maxLtv, maxCashOut: 0, loanAmount: null, monthlyPayment: null, monthlyPaymentChange: null };
+  }
+
+  const maxLoanAmount = (propertyValue * maxLtv) / 100;
+  const maxCashOut = Math.max(0, Math.floor(maxLoanAmount - balance - rolledCosts));
+  const loanAmount = balance + rolledCosts + maxCashOut;
+  const monthlyPayment = calcMonthlyPayment(loanAmount, rate, termYears);
+
+  return {
+    available: maxCashOut > 0,
+    maxLtv,
+    maxCashOut,
+    loanAmount: round2(loanAmount),
+    monthlyPayment: round2(monthlyPayment),
+    monthlyPaymentChange: round2(monthlyPayment - currentPayment),
+  };
+}
+
+/**
+ * Compare keeping the current loan against a refinance.
+ *
+ * @param {Object} input
+ * @param {number} input.currentBalance - Current principal balance
+ * @param {number} input.currentRate - Current note rate (%)
+ * @param {number} input.remainingMonths - Payments left on the current loan
+ * @param {number} input.newRate - Refinance note rate (%)
+ * @param {number} [input.newTermYears=30]
+ * @param {number} [input.closingCosts] - Estimated from the fee templates when omitted
+ * @param {boolean} [input.rollClosingCosts=false] - Finance closing costs into the new loan
+ * @param {number} [input.cashOut=0] - Cash the borrower takes out at closing
+ * @param {number} [input.propertyValue] - Estimated value; required for LTV and cash-out limits
+ * @param {string} [input.productType='conventional']
+ * @param {string} [input.state] - Two-letter property state for the fee template
+ */
+function analyze(input) {
+  const {
+    currentBalance,
+    currentRate,
+    remainingMonths,
+    newRate,
+    newTermYears = 30,
+    rollClosingCosts = false,
+    cashOut = 0,
+    propertyValue,
+    productType = 'conventional',
+    state,
+  } = input;
+
+  const closingCostsEstimated = input.closingCosts == null;
+  const closingCosts = closingCostsEstimated
+    ? estimateClosingCosts({
+        loanAmount: currentBalance + cashOut,
+        rate: newRate,
+        termYears: newTermYears,
+        propertyValue,
+        productType,
+        state,
+        cashOut,
+      })
+    : round2(input.closingCosts);
+  const rolledCosts = rollClosingCosts ? closingCosts : 0;
+  const cashClosingCosts = rollClosingCosts ? 0 : closingCosts;
+
+  const currentPayment = calcMonthlyPayment(currentBalance, currentRate, remainingMonths / 12);
+  const currentTotalPayments = currentPayment * remainingMonths;
+  const loanAmount = currentBalance + cashOut + rolledCosts;
+  const newPayment = calcMonthlyPayment(loanAmount, newRate, newTermYears);
+  const newTotalPayments = newPayment * newTermYears * 12;
+
+  const monthlySavings = currentPayment - newPayment;
+  const currentInterest = currentTotalPayments - currentBalance;
+  const newInterest = newTotalPayments - loanAmount;
+
+  const maxCashOut = cashOutOption({
+    productType,
+    propertyValue,
+    balance: currentBalance,
+    rolledCosts,
+    rate: newRate,
+    termYears: newTermYears,
+    currentPayment,
+  });
+
+  return {
+    current: {
+      balance: round2(currentBalance),
+      rate: currentRate,
+      remainingMonths,
+      monthlyPayment: round2(currentPayment),
+      remainingInterest: round2(currentInterest),
+      totalPayments: round2(currentTotalPayments),
+    },
+    proposed: {
+      productType,
+      loanAmount: round2(loanAmount),
+      rate: newRate,
+      termYears: newTermYears,
+      ltv: propertyValue ? round2((loanAmount / propertyValue) * 100) : null,
+      monthlyPayment: round2(newPayment),
+      totalInterest: round2(newInterest),
+      totalPayments: round2(newTotalPayments),
+      cashOut: round2(cashOut),
+    },
+    closingCosts: {
+      amount: closingCosts,
+      estimated: closingCostsEstimated,
+      rolledIntoLoan: rollClosingCosts,
+      paidAtClosing: cashClosingCosts,
+    },
+    monthlySavings: round2(monthlySavings),
+    // Months of savings needed to recover closing costs; null when the payment does not drop
+    breakEvenMonth: monthlySavings > 0 ? Math.ceil(closingCosts / monthlySavings) : null,
+    lifetimeInterestDifference: round2(currentInterest - newInterest),
+    lifetimeCostDifference: round2(currentTotalPayments - newTotalPayments - cashClosingCosts),
+    cashOut: {
+      requested: round2(cashOut),
+      withinLimit: cashOut === 0 || cashOut <= maxCashOut.maxCashOut,
+      option: maxCashOut,
+    },
+    comparison: buildComparison(
+      { balance: currentBalance, rate: currentRate, remainingMonths },
+      { loanAmount, rate: newRate, termYears: newTermYears },
+      cashClosingCosts
+    ),
+  };
+}
+
+module.exports = {
+  estimateClosingCosts,
+  analyze,
+};
@@ -3,6 +3,7 @@ const LoanApplication = require('../models/LoanApplication');
 const User = require('../models/User');
 const smsService = require('./smsService');
 const logger = require('../utils/logger');
+const { termLabel } = require('../config/armProducts');
 
 /**
  * SMS Notification Service
@@ -214,8 +215,15 @@ class SMSNotificationService {
         userName: user.name,
         productType: rateAlertData.productType,
         loanTerm: rateAlertData.loanTerm,
+        armType: rateAlertData.armType,
+        triggerType: rateAlertData.triggerType,
         currentRate: rateAlertData.currentRate,
-        targetRate: rateAlertData.targetRate
+        targetRate: rateAlertData.targetRate,
+        currentApr: rateAlertData.currentApr,
+        targetApr: rateAlertData.targetApr,
+        monthlyPayment: rateAlertData.monthlyPayment,
+        targetPayment: rateAlertData.targetPayment,
+        applyUrl: rateAlertData.applyUrl
       });
 
       const smsMessage = new SMSMessage({
@@ -342,8 +350,16 @@ class SMSNotificationService {
    * Template: Rate Alert
    */
   getRateAlertTemplate(data) {
+    const product = `${termLabel(data.loanTerm, data.armType)} ${data.productType}`;
+    let news = `${product} rates just dropped to ${data.currentRate}% (your target: ${data.targetRate}%)`;
+    if (data.triggerType === 'payment_below') {
+      news = `your estimated ${product} payment is now $${data.monthlyPayment}/mo at ${data.currentRate}% (your target: $${data.targetPayment})`;
+    } else if (data.triggerType === 'apr_below') {
+      news = `${product} APR just dropped to ${data.currentApr}% (your target: ${data.targetApr}%)`;
+    }
+    const action = data.applyUrl ? `Apply now: ${data.applyUrl}` : 'Lock in your rate now in the FAHM app!';
     return {
-      body: `Hi ${data.userName.split(' ')[0]}! 📉 Rate Alert: ${data.loanTerm}-year ${data.productType} rates just dropped to ${data.currentRate}% (your target: ${data.targetRate}%). Lock in your rate now in the FAHM app! - FAHM`
+      body: `Hi ${data.userName.split(' ')[0]}! 📉 Rate Alert: ${news}. ${action} - FAHM`
     };
   }
 
@@ -66,6 +66,42 @@ class SMSService {
     }
   }
 
+  /**
+   * Send rate quote download link via SMS
+   */
+  async sendRateQuoteLink(phoneNumber, quoteData, downloadUrl) {
+    try {
+      if (!this.client) {
+        throw new Error('SMS service not initialized. Please configure Twilio credentials.');
+      }
+
+      const formattedPhone = this.formatPhoneNumber(phoneNumber);
+      const firstName = quoteData.borrowerName ? ` ${quoteData.borrowerName.split(' ')[0]}` : '';
+      const message = `Hi${firstName}! Your mortgage rate quote for ${this.formatCurrency(quoteData.loanAmount)} is ready (Quote #${quoteData.quoteNumber}). View it here: ${downloadUrl} - First Alliance Home Mortgage`;
+
+      const result = await this.client.messages.create({
+        body: message,
+        from: this.fromNumber,
+        to: formattedPhone
+      });
+
+      logger.info('Rate quote SMS sent', {
+        sid: result.sid,
+        to: formattedPhone,
+        quoteNumber: quoteData.quoteNumber
+      });
+
+      return {
+        success: true,
+        messageSid: result.sid,
+        status: result.status
+      };
+    } catch (error) {
+      logger.error('Failed to send rate quote SMS:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send preapproval notification SMS
    */
@@ -0,0 +1,68 @@
+// The package entry point runs a self-test when required without a parent module
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const { createWorker } = require('tesseract.js');
+const eng = require('@tesseract.js-data/eng');
+const { MAX_PDF_PAGES, MAX_OCR_BYTES } = require('../config/documentClassification');
+
+// OCR is CPU-bound, so images are recognised one at a time
+let ocrQueue = Promise.resolve();
+
+/**
+ * Text layer of the first MAX_PDF_PAGES pages. Scanned PDFs have none and return ''.
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+async function extractPdfText(buffer) {
+  // pdf.js reads the whole underlying ArrayBuffer, so pooled Buffer slices are copied out
+  const { text } = await pdfParse(new Uint8Array(buffer), { max: MAX_PDF_PAGES });
+  return text.trim();
+}
+
+async function recognize(buffer) {
+  const worker = await createWorker(eng.code, 1, { langPath: eng.langPath, gzip: eng.gzip, cacheMethod: 'none' });
+  try {
+    const { data } = await worker.recognize(buffer);
+    return data.text.trim();
+  } finally {
+    await worker.terminate();
+  }
+}
+
+/**
+ * OCR a photo with the bundled English model. A worker is started per image so no
+ * OCR threads linger between uploads.
+ *
+ * @param {Buffer} buffer - PNG or JPEG
+ * @returns {Promise<string>}
+ */
+function extractImageText(buffer) {
+  const run = ocrQueue.then(() => recognize(buffer));
+  ocrQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Text of a stored file, and where it came from.
+ *
+ * @param {Buffer} buffer
+ * @param {string} mimeType
+ * @returns {Promise<{ text: string, source: 'pdf_text'|'ocr'|'none' }>}
+ */
+async function extractText(buffer, mimeType) {
+  if (mimeType === 'application/pdf') {
+    const text = await extractPdfText(buffer);
+    return { text, source: text ? 'pdf_text' : 'none' };
+  }
+  if (buffer.length > MAX_OCR_BYTES) {
+    return { text: '', source: 'none' };
+  }
+  const text = await extractImageText(buffer);
+  return { text, source: text ? 'ocr' : 'none' };
+}
+
+module.exports = {
+  extractPdfText,
+  extractImageText,
+  extractText,
+};
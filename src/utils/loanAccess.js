@@ -0,0 +1,27 @@
+const createError = require('http-errors');
+const LoanApplication = require('../models/LoanApplication');
+const roles = require('../config/roles');
+
+/**
+ * Load the loan and check the requester may see it: staff see every loan,
+ * everyone else only loans they borrow on or are assigned to.
+ * @param {string} loanId
+ * @param {Object} user - Authenticated user (`req.user`)
+ * @returns {Promise<Object>} Loan with `borrower` and `assignedOfficer`
+ * @throws 404 when the loan doesn't exist, 403 when the user may not see it
+ */
+async function loadAccessibleLoan(loanId, user) {
+  const loan = await LoanApplication.findById(loanId).select('borrower assignedOfficer');
+  if (!loan) throw createError(404, 'Loan not found');
+
+  const userId = user._id.toString();
+  const canAccess =
+    roles.STAFF_ROLES.includes(user.role?.slug) ||
+    loan.borrower?.toString() === userId ||
+    loan.assignedOfficer?.toString() === userId;
+  if (!canAccess) throw createError(403, 'Access denied');
+
+  return loan;
+}
+
+module.exports = { loadAccessibleLoan };
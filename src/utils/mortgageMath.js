@@ -0,0 +1,247 @@
+/**
+ * Shared mortgage math used by the calculator and fee engine.
+ */
+
+/**
+ * Calculate monthly payment (P&I)
+ */
+function calcMonthlyPayment(principal, annualRate, termYears) {
+  const r = annualRate / 100 / 12;
+  const n = termYears * 12;
+  if (r === 0) return principal / n;
+  return (principal * r) / (1 - Math.pow(1 + r, -n));
+}
+
+/**
+ * Calculate APR including fees
+ */
+function calculateAPR(principal, monthlyPayment, termYears, totalFees) {
+  const netLoanAmount = principal - totalFees;
+  const n = termYears * 12;
+
+  // Newton-Raphson method to solve for APR
+  let apr = 0.06; // Initial guess
+  const tolerance = 0.0001;
+  let iterations = 0;
+  const maxIterations = 100;
+
+  while (iterations < maxIterations) {
+    const r = apr / 12;
+    const pv = monthlyPayment * ((1 - Math.pow(1 + r, -n)) / r);
+    const derivative = monthlyPayment * n * Math.pow(1 + r, -n - 1) / r -
+                       monthlyPayment * (1 - Math.pow(1 + r, -n)) / (r * r);
+
+    const diff = pv - netLoanAmount;
+    if (Math.abs(diff) < tolerance) break;
+
+    apr = apr - diff / derivative;
+    iterations++;
+  }
+
+  return apr * 100; // Return as percentage
+}
+
+/**
+ * Generate amortization schedule
+ */
+function generateAmortizationSchedule(principal, annualRate, termYears, startingMonth = 1, monthsToGenerate = 12) {
+  const monthlyRate = annualRate / 100 / 12;
+  const totalMonths = termYears * 12;
+  const monthlyPayment = calcMonthlyPayment(principal, annualRate, termYears);
+
+  let balance = principal;
+  const schedule = [];
+
+  // Fast forward to starting month
+  for (let i = 1; i < startingMonth; i++) {
+    const interest = balance * monthlyRate;
+    const principalPayment = monthlyPayment - interest;
+    balance -= principalPayment;
+  }
+
+  // Generate requested months
+  const endMonth = Math.min(startingMonth + monthsToGenerate - 1, totalMonths);
+
+  for (let month = startingMonth; month <= endMonth; month++) {
+    const interest = balance * monthlyRate;
+    const principalPayment = monthlyPayment - interest;
+    balance -= principalPayment;
+
+    schedule.push({
+      month,
+      payment: Number(monthlyPayment.toFixed(2)),
+      principal: Number(principalPayment.toFixed(2)),
+      interest: Number(interest.toFixed(2)),
+      balance: Number(Math.max(0, balance).toFixed(2))
+    });
+  }
+
+  return schedule;
+}
+
+/**
+ * Date of a scheduled payment: monthly payments fall on the same day each month,
+ * biweekly payments every 14 days.
+ */
+function paymentDate(firstPaymentDate, period, biweekly) {
+  const date = new Date(firstPaymentDate);
+  if (biweekly) {
+    date.setUTCDate(date.getUTCDate() + (period - 1) * 14);
+  } else {
+    date.setUTCMonth(date.getUTCMonth() + period - 1);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Mortgage insurance due with a payment; stops once the balance reaches the cancellation
+ * balance or the premium term ends.
+ */
+function periodPremium({ monthlyPremium, cancelAtBalance, lastMonth }, balance, month, periodsPerYear) {
+  if (cancelAtBalance != null && balance <= cancelAtBalance) return 0;
+  if (lastMonth != null && month > lastMonth) return 0;
+  return (monthlyPremium * 12) / periodsPerYear;
+}
+
+function firstOfNextMonth() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+/**
+ * Full amortization schedule with prepayments. Runs until the loan is paid off.
+ *
+ * Biweekly schedules pay half the monthly payment every two weeks (26 payments a year),
+ * which adds up to one extra monthly payment each year.
+ *
+ * @param {number} principal
+ * @param {number} annualRate - Note rate (%)
+ * @param {number} termYears
+ * @param {Object} [options]
+ * @param {'monthly'|'biweekly'} [options.frequency='monthly']
+ * @param {number} [options.extraMonthly=0] - Recurring extra principal per month, spread across biweekly payments
+ * @param {Array<{month: number, amount: number}>} [options.lumpSums=[]] - One-time extra principal by loan month
+ * @param {Date|string} [options.firstPaymentDate] - Defaults to the first of next month
+ * @param {Object} [options.mortgageInsurance] - Monthly premium and when it stops
+ *   (see mortgageInsuranceService.scheduleOptions)
+ * @returns {{ periodsPerYear, payment, schedule, totalInterest, totalPaid, totalMortgageInsurance,
+ *   mortgageInsuranceEndMonth, payoffDate }}
+ */
+function amortize(principal, annualRate, termYears, options = {}) {
+  const { frequency = 'monthly', extraMonthly = 0, lumpSums = [], firstPaymentDate, mortgageInsurance } = options;
+  const biweekly = frequency === 'biweekly';
+  const periodsPerYear = biweekly ? 26 : 12;
+  const periodRate = annualRate / 100 / periodsPerYear;
+  const monthlyPayment = calcMonthlyPayment(principal, annualRate, termYears);
+  const payment = biweekly ? monthlyPayment / 2 : monthlyPayment;
+  const extraPerPeriod = biweekly ? (extraMonthly * 12) / periodsPerYear : extraMonthly;
+  const start = firstPaymentDate ? new Date(firstPaymentDate) : firstOfNextMonth();
+
+  const lumpSumsByMonth = {};
+  lumpSums.forEach(({ month, amount }) => {
+    lumpSumsByMonth[month] = (lumpSumsByMonth[month] || 0) + Number(amount);
+  });
+
+  const schedule = [];
+  let balance = principal;
+  let totalInterest = 0;
+  let totalPaid = 0;
+  let totalMortgageInsurance = 0;
+  let mortgageInsuranceEndMonth = null;
+  let previousMonth = 0;
+
+  for (let period = 1; period <= termYears * periodsPerYear && balance > 0.005; period++) {
+    // Biweekly payments are mapped to the loan month they fall in; lump sums go on the first one
+    const month = biweekly ? Math.floor(((period - 1) * 12) / periodsPerYear) + 1 : period;
+    const interest = balance * periodRate;
+    const principalPayment = Math.min(payment - interest, balance);
+    const premium = mortgageInsurance ? periodPremium(mortgageInsurance, balance, month, periodsPerYear) : 0;
+    let extra = extraPerPeriod;
+    if (month !== previousMonth) {
+      extra += lumpSumsByMonth[month] || 0;
+      previousMonth = month;
+    }
+    extra = Math.max(0, Math.min(extra, balance - principalPayment));
+
+    balance -= principalPayment + extra;
+    totalInterest += interest;
+    totalPaid += interest + principalPayment + extra;
+    totalMortgageInsurance += premium;
+    if (premium > 0) mortgageInsuranceEndMonth = month;
+
+    schedule.push({
+      period,
+      month,
+      date: paymentDate(start, period, biweekly),
+      payment: round2(interest + principalPayment),
+      principal: round2(principalPayment),
+      extraPrincipal: round2(extra),
+      interest: round2(interest),
+      mortgageInsurance: round2(premium),
+      balance: round2(Math.max(0, balance)),
+    });
+  }
+
+  return {
+    periodsPerYear,
+    payment: round2(payment),
+    schedule,
+    totalInterest: round2(totalInterest),
+    totalPaid: round2(totalPaid),
+    totalMortgageInsurance: round2(totalMortgageInsurance),
+    mortgageInsuranceEndMonth,
+    payoffDate: schedule.length ? schedule[schedule.length - 1].date : null,
+  };
+}
+
+/**
+ * Roll an amortize() schedule up into loan years.
+ */
+function rollupByYear(schedule, periodsPerYear = 12) {
+  const years = [];
+  schedule.forEach((row) => {
+    const index = Math.floor((row.period - 1) / periodsPerYear);
+    if (!years[index]) {
+      years[index] = {
+        year: index + 1,
+        payments: 0,
+        principal: 0,
+        extraPrincipal: 0,
+        interest: 0,
+        mortgageInsurance: 0,
+        endingBalance: 0,
+      };
+    }
+    const year = years[index];
+    year.payments += row.payment + row.extraPrincipal;
+    year.principal += row.principal;
+    year.extraPrincipal += row.extraPrincipal;
+    year.interest += row.interest;
+    year.mortgageInsurance += row.mortgageInsurance;
+    year.endingBalance = row.balance;
+  });
+  return years.map((year) => ({
+    ...year,
+    payments: round2(year.payments),
+    principal: round2(year.principal),
+    extraPrincipal: round2(year.extraPrincipal),
+    interest: round2(year.interest),
+    mortgageInsurance: round2(year.mortgageInsurance),
+  }));
+}
+
+/**
+ * Round to cents
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  calcMonthlyPayment,
+  calculateAPR,
+  generateAmortizationSchedule,
+  amortize,
+  rollupByYear,
+  round2,
+};
@@ -0,0 +1,57 @@
+// Grayscale re-encoding for merged PDFs. Decoding and encoding a phone photo in pure JS takes
+// seconds of CPU, so documentAssemblyService runs this file as a worker thread rather than
+// blocking requests on the main thread.
+const { isMainThread, parentPort, workerData } = require('worker_threads');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { GRAYSCALE_JPEG_QUALITY, GRAYSCALE_MAX_EDGE } = require('../config/documentAssembly');
+
+/**
+ * Re-encode an image as a grayscale JPEG, box-averaging it down so the long edge fits
+ * GRAYSCALE_MAX_EDGE. Transparent PNG pixels are flattened onto white.
+ *
+ * @param {Buffer} buffer
+ * @param {string} mimeType - `image/png` or `image/jpeg`
+ * @returns {Buffer}
+ */
+function toGrayscaleJpeg(buffer, mimeType) {
+  const { width, height, data } = mimeType === 'image/png'
+    ? PNG.sync.read(buffer)
+    : jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+
+  const step = Math.max(1, Math.ceil(Math.max(width, height) / GRAYSCALE_MAX_EDGE));
+  const outWidth = Math.max(1, Math.floor(width / step));
+  const outHeight = Math.max(1, Math.floor(height / step));
+  const out = Buffer.alloc(outWidth * outHeight * 4);
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < step; dy++) {
+        for (let dx = 0; dx < step; dx++) {
+          const i = ((y * step + dy) * width + (x * step + dx)) * 4;
+          const alpha = data[i + 3] / 255;
+          const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+          sum += luma * alpha + 255 * (1 - alpha);
+        }
+      }
+      const gray = Math.round(sum / (step * step));
+      const o = (y * outWidth + x) * 4;
+      out[o] = gray;
+      out[o + 1] = gray;
+      out[o + 2] = gray;
+      out[o + 3] = 255;
+    }
+  }
+
+  return jpeg.encode({ data: out, width: outWidth, height: outHeight }, GRAYSCALE_JPEG_QUALITY).data;
+}
+
+if (!isMainThread && workerData) {
+  const { buffer, mimeType } = workerData;
+  parentPort.postMessage(toGrayscaleJpeg(Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength), mimeType));
+}
+
+module.exports = {
+  toGrayscaleJpeg,
+};